@@ -23,6 +23,7 @@ import {
 } from "./middlewares/compression.middleware.js";
 import infraHealthRoutes from "./routes/infra/health.routes.js";
 import infradbRoutes from "./routes/infra/db.routes.js";
+import paymentGateway from "./services/paymentGateway/index.js";
 
 
 const app = express();
@@ -119,7 +120,7 @@ app.use(express.static("public", {
 app.use(cookieParser());
 
 app.get("/api/getKey", (req, res) =>
-        res.status(200).json({ key: process.env.RAZORPAY_API_KEY }),
+        res.status(200).json({ key: paymentGateway.keyId }),
 );
 
 app.use("/api/v1", routes);
@@ -3,6 +3,11 @@ import connectDB from './db/index.js';
 
 import { app } from './app.js';
 import logger from './utils/logger.js';
+import reconciliationService from './services/reconciliationService.js';
+import reservationService from './services/reservationService.js';
+import batchService from './services/batchService.js';
+import searchAnalyticsService from './services/searchAnalyticsService.js';
+import { Product } from './modules/product/product.models.js';
 
 dotenv.config();
 
@@ -30,6 +35,21 @@ connectDB()
       });
     });
 
+    if (process.env.RECONCILIATION_ENABLED !== 'false') {
+      reconciliationService.startSchedule();
+    }
+
+    // Give back stock held by checkouts nobody completed
+    reservationService.startSweeper();
+    // Write off expired batches and warn sellers about ones close to expiry
+    batchService.startSweeper();
+    // Feed clicks on search results into product popularity
+    searchAnalyticsService.startSweeper();
+    // Health badges follow the configured thresholds
+    Product.refreshNutritionBadges()
+      .then(updated => updated && logger.info('Nutrition badges recomputed', { products: updated }))
+      .catch(error => logger.error('Nutrition badge refresh failed', { error: error.message }));
+
     // Handle server errors
     server.on('error', error => {
       logger.error('Server error occurred', { error: error.message });
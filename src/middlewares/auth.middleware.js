@@ -73,6 +73,25 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
         }
 });
 
+// For public routes that also serve signed-in users: attaches the user when
+// a valid token is sent, and carries on anonymously otherwise
+export const optionalJWT = asyncHandler(async (req, res, next) => {
+        const token = req.cookies?.accessToken ||
+                     req.header("Authorization")?.replace("Bearer ", "").trim();
+
+        if (token) {
+                try {
+                        const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+                        const user = await User.findById(decodedToken._id).select("_id role isActive");
+                        if (user?.isActive) req.user = user;
+                } catch (error) {
+                        // An expired or invalid token is treated as no token
+                }
+        }
+
+        next();
+});
+
 export const verifySeller = asyncHandler(async (req, _, next) => {
         try {
                 const token =
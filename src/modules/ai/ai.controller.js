@@ -2,6 +2,10 @@ import { Product } from "../product/product.models.js";
 import { hashNutrition } from "../../utils/HashNutrition.js";
 import { geminiModel } from "../../utils/ai.js";
 
+// Nutrients the label doesn't give are unset, not 0
+const amount = (value, unit = "") =>
+  value === undefined || value === null ? "not stated" : `${value}${unit && ` ${unit}`}`;
+
 export const getWhyHealthyAI = async (req, res) => {
   try {
     const { productId } = req.params;
@@ -47,12 +51,12 @@ Use simple, declarative sentences. Each sentence should convey one analytical id
 Write in plain text only. Do not use bullet points, numbering, headings, emojis, symbols, or formatting. Do not reference yourself or the instructions.
 
 Nutrition data
-Protein ${product.nutrition.macros.protein} grams
-Fibre ${product.nutrition.macros.fibre} grams
-Sugar ${product.nutrition.macros.sugar} grams
-Fat ${product.nutrition.macros.fat} grams
-Calories ${product.nutrition.energy.calories}
-Sodium ${product.nutrition.micros.minerals.sodium} milligrams
+Protein ${amount(product.nutrition?.macros?.protein, "grams")}
+Fibre ${amount(product.nutrition?.macros?.fibre, "grams")}
+Sugar ${amount(product.nutrition?.macros?.sugar, "grams")}
+Fat ${amount(product.nutrition?.macros?.fat, "grams")}
+Calories ${amount(product.nutrition?.energy?.calories)}
+Sodium ${amount(product.nutrition?.micros?.minerals?.sodium, "milligrams")}
 
 Dietary classification
 Vegan ${product.dietary.isVegan}
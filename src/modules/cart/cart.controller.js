@@ -1,4 +1,6 @@
 import cartService from '../../services/cartService.js';
+import reservationService from '../../services/reservationService.js';
+import { Product } from '../product/product.models.js';
 import logger from '../../utils/logger.js';
 import { validationResult } from 'express-validator';
 
@@ -67,6 +69,14 @@ class CartController {
         });
       }
 
+      // A variant missing, not offered or no longer sold
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to add item to cart',
@@ -219,13 +229,21 @@ class CartController {
     } catch (error) {
       logger.error('Failed to apply discount:', error);
       
-      if (error.message.includes('Invalid discount code') || error.message.includes('Minimum order amount')) {
+      // Coupon rule failures carry the reason for the customer
+      if (error.statusCode === 400) {
         return res.status(400).json({
           success: false,
           message: error.message
         });
       }
 
+      if (error.message === 'Cart not found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Cart not found'
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to apply discount',
@@ -234,6 +252,39 @@ class CartController {
     }
   }
 
+  // Remove one coupon (`discountCode` in the body) or all of them
+  async removeDiscount(req, res) {
+    try {
+      const userId = req.user?.id;
+      const sessionId = req.sessionID || req.headers['x-session-id'] || 'anonymous';
+      const { discountCode } = req.body || {};
+
+      const cart = await cartService.removeDiscount(userId, sessionId, discountCode);
+
+      res.json({
+        success: true,
+        message: 'Discount removed successfully',
+        data: { cart }
+      });
+
+    } catch (error) {
+      logger.error('Failed to remove discount:', error);
+
+      if (error.message === 'Cart not found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Cart not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove discount',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+
   // Merge guest cart with user cart (called after login)
   async mergeGuestCart(req, res) {
     try {
@@ -271,27 +322,38 @@ class CartController {
     }
   }
 
-  // Calculate shipping cost
+  // Itemized shipping (one shipment per seller) for the cart, priced like checkout
   async calculateShipping(req, res) {
     try {
       const userId = req.user?.id;
       const sessionId = req.sessionID || req.headers['x-session-id'] || 'anonymous';
       const { shippingAddress } = req.body;
 
-      const cart = await cartService.getCart(userId, sessionId);
-      const shippingCost = await cartService.calculateShipping(cart, shippingAddress);
+      const quote = await cartService.buildQuote(userId, sessionId, shippingAddress);
+      await cartService.setShippingCost(quote.cartId, quote.shippingCost);
 
       res.json({
         success: true,
         data: {
-          shippingCost,
-          freeShippingThreshold: 500,
-          isFreeShipping: cart.totalAmount >= 500
+          shippingCost: quote.shippingCost,
+          shippingDiscount: quote.shippingDiscount,
+          estimated: quote.shippingEstimated,
+          shipments: quote.shipments,
+          totalAmount: quote.totalAmount
         }
       });
 
     } catch (error) {
       logger.error('Failed to calculate shipping:', error);
+
+      // Empty cart, unavailable stock or an unserviceable pincode
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to calculate shipping',
@@ -394,6 +456,8 @@ class CartController {
       }
 
       const validationErrors = [];
+      // Units this cart's checkout already holds are its own
+      const held = await reservationService.heldForCart(cart._id);
       
       // Check stock availability for each item
       for (const item of cart.items) {
@@ -407,23 +471,38 @@ class CartController {
           continue;
         }
 
-        if (!product.inStock || product.stocks < item.quantity) {
+        // Products with variants are checked against the variant on the line
+        const variant = Product.findVariant(product, item.variantId);
+        if (product.variants?.length && !variant?.isActive) {
+          validationErrors.push({
+            productId: item.productId,
+            productName: product.name,
+            error: 'Variant no longer available'
+          });
+          continue;
+        }
+
+        const availableStock =
+          reservationService.available(product, variant?._id) +
+          (held.get(reservationService.lineKey(product._id, variant?._id)) || 0);
+        if (availableStock < item.quantity) {
           validationErrors.push({
             productId: item.productId,
             productName: product.name,
             requestedQuantity: item.quantity,
-            availableStock: product.stocks,
+            availableStock,
             error: 'Insufficient stock'
           });
         }
 
-        // Check if price has changed
-        if (Math.abs(product.price - item.price) > 0.01) {
+        // Check if price has changed, including a near-expiry markdown starting or ending
+        const price = Product.sellingPrice(product, variant);
+        if (Math.abs(price - item.price) > 0.01) {
           validationErrors.push({
             productId: item.productId,
             productName: product.name,
             oldPrice: item.price,
-            newPrice: product.price,
+            newPrice: price,
             error: 'Price has changed'
           });
         }
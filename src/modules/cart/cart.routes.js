@@ -29,6 +29,13 @@ const addToCartValidation = [
     .isLength({ max: 50 })
     .withMessage('Size must be a string with maximum 50 characters'),
   
+  body('variant.flavour')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Flavour must be a string with maximum 50 characters'),
+
   body('variant.color')
     .optional()
     .isString()
@@ -41,7 +48,15 @@ const addToCartValidation = [
     .isString()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Material must be a string with maximum 50 characters')
+    .withMessage('Material must be a string with maximum 50 characters'),
+
+  // Picks the variant directly instead of by its options
+  body('variant.sku')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 64 })
+    .withMessage('SKU must be a string with maximum 64 characters')
 ];
 
 const updateQuantityValidation = [
@@ -155,6 +170,12 @@ router.post(
   cartController.applyDiscount
 );
 
+router.delete(
+  '/discount',
+  rateLimitMiddleware('remove-discount', { windowMs: 60000, max: 30 }), // 30 requests per minute,
+  cartController.removeDiscount
+);
+
 router.post(
   '/shipping/calculate',
   rateLimitMiddleware('calculate-shipping', { windowMs: 60000, max: 50 }), // 50 requests per minute,
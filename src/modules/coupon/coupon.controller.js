@@ -0,0 +1,80 @@
+import { ApiError } from "../../utils/ApiError.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import couponService from "../../services/couponService.js";
+
+const paging = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100),
+});
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a valid date`);
+  }
+  return date;
+};
+
+export const createCoupon = asyncHandler(async (req, res) => {
+  const coupon = await couponService.createCoupon(req.body, req.user._id);
+
+  return res.status(201).json(new ApiResponse(201, coupon, "Coupon created successfully"));
+});
+
+// ?status=active|scheduled|expired|inactive&search=
+export const listCoupons = asyncHandler(async (req, res) => {
+  const { status, search } = req.query;
+
+  const result = await couponService.listCoupons({ status, search, ...paging(req.query) });
+
+  return res.status(200).json(new ApiResponse(200, result, "Coupons fetched successfully"));
+});
+
+export const getCoupon = asyncHandler(async (req, res) => {
+  const coupon = await couponService.getCoupon(req.params.couponId);
+
+  return res.status(200).json(new ApiResponse(200, coupon, "Coupon fetched successfully"));
+});
+
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await couponService.updateCoupon(req.params.couponId, req.body, req.user._id);
+
+  return res.status(200).json(new ApiResponse(200, coupon, "Coupon updated successfully"));
+});
+
+// Coupons that were ever redeemed are deactivated instead of deleted
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const result = await couponService.deleteCoupon(req.params.couponId, req.user._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        result.deleted ? "Coupon deleted successfully" : "Coupon has redemptions and was deactivated"
+      )
+    );
+});
+
+export const getCouponAnalytics = asyncHandler(async (req, res) => {
+  const analytics = await couponService.getAnalytics({
+    couponId: req.params.couponId,
+    from: parseDate(req.query.from, "from"),
+    to: parseDate(req.query.to, "to"),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, analytics, "Coupon analytics fetched successfully"));
+});
+
+export const getCouponRedemptions = asyncHandler(async (req, res) => {
+  const result = await couponService.listRedemptions(req.params.couponId, paging(req.query));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Coupon redemptions fetched successfully"));
+});
@@ -0,0 +1,98 @@
+import mongoose, { Schema } from "mongoose";
+
+export const COUPON_TYPES = Object.freeze([
+  "percentage", // `value`% off eligible items, capped at `maxDiscount`
+  "flat", // ₹`value` off eligible items
+  "free_shipping",
+  "buy_x_get_y", // buy `buyQuantity` eligible units, get `getQuantity` more at `getDiscountPercent`% off
+]);
+
+const couponSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,20}$/, "Code must be 3-20 letters, digits, - or _"],
+    },
+    name: { type: String, required: true, trim: true },
+    description: String,
+
+    type: { type: String, enum: COUPON_TYPES, required: true },
+    value: { type: Number, min: 0, default: 0 },
+    maxDiscount: { type: Number, min: 0 }, // percentage coupons only
+    buyQuantity: { type: Number, min: 1 },
+    getQuantity: { type: Number, min: 1 },
+    getDiscountPercent: { type: Number, min: 1, max: 100, default: 100 },
+
+    // Empty lists mean "no restriction"; items matching every non-empty list are eligible
+    conditions: {
+      categories: [String],
+      brands: [String],
+      sellers: [{ type: Schema.Types.ObjectId, ref: "User" }],
+      products: [{ type: Schema.Types.ObjectId, ref: "Product" }],
+      minCartValue: { type: Number, min: 0, default: 0 }, // on eligible items
+      firstOrderOnly: { type: Boolean, default: false },
+    },
+
+    usageLimit: { type: Number, min: 1 }, // across all customers; unset = unlimited
+    perUserLimit: { type: Number, min: 1, default: 1 },
+    usedCount: { type: Number, default: 0 },
+
+    startsAt: { type: Date, default: Date.now },
+    endsAt: Date,
+    isActive: { type: Boolean, default: true },
+
+    // Stackable coupons combine with each other; anything else must be used alone
+    stackable: { type: Boolean, default: false },
+    priority: { type: Number, default: 0 }, // higher applies first when stacked
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+couponSchema.index({ isActive: 1, endsAt: 1 });
+
+couponSchema.pre("validate", function (next) {
+  if (this.type === "buy_x_get_y" && !(this.buyQuantity && this.getQuantity)) {
+    return next(new Error("buy_x_get_y coupons need buyQuantity and getQuantity"));
+  }
+  if (["percentage", "flat"].includes(this.type) && !(this.value > 0)) {
+    return next(new Error(`${this.type} coupons need a value greater than zero`));
+  }
+  if (this.type === "percentage" && this.value > 100) {
+    return next(new Error("Percentage cannot exceed 100"));
+  }
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    return next(new Error("endsAt must be after startsAt"));
+  }
+  next();
+});
+
+export const Coupon = mongoose.model("Coupon", couponSchema);
+
+// One use of a coupon on an order; reversed when the order is cancelled
+const couponRedemptionSchema = new Schema(
+  {
+    coupon: { type: Schema.Types.ObjectId, ref: "Coupon", required: true },
+    code: { type: String, required: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    order: { type: Schema.Types.ObjectId, ref: "Order", required: true },
+    discountAmount: { type: Number, default: 0 }, // off the items
+    shippingDiscount: { type: Number, default: 0 },
+    orderTotal: Number,
+    status: { type: String, enum: ["applied", "reversed"], default: "applied" },
+    reversedAt: Date,
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, userId: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+
+export const CouponRedemption = mongoose.model("CouponRedemption", couponRedemptionSchema);
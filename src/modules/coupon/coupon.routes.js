@@ -0,0 +1,25 @@
+import { Router } from "express";
+import {
+  createCoupon,
+  listCoupons,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getCouponAnalytics,
+  getCouponRedemptions,
+} from "./coupon.controller.js";
+import { verifyJWT } from "../../middlewares/auth.middleware.js";
+import { verifyRole } from "../../middlewares/role.middleware.js";
+
+const couponRouter = Router();
+
+// Customers apply coupons through /cart/discount; everything here is admin-only
+couponRouter.use(verifyJWT, verifyRole(["admin", "superadmin"]));
+
+couponRouter.route("/").get(listCoupons).post(createCoupon);
+couponRouter.route("/analytics").get(getCouponAnalytics);
+couponRouter.route("/:couponId").get(getCoupon).patch(updateCoupon).delete(deleteCoupon);
+couponRouter.route("/:couponId/analytics").get(getCouponAnalytics);
+couponRouter.route("/:couponId/redemptions").get(getCouponRedemptions);
+
+export default couponRouter;
@@ -0,0 +1,185 @@
+import { ApiError } from "../../utils/ApiError.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import inventoryService from "../../services/inventoryService.js";
+import batchService from "../../services/batchService.js";
+import warehouseService from "../../services/warehouseService.js";
+import stockAlertService from "../../services/stockAlertService.js";
+import { MOVEMENT_TYPE } from "./inventoryMovement.model.js";
+import { BATCH_STATUS } from "./stockBatch.model.js";
+
+const paging = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 200),
+});
+
+const dateParam = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ApiError(400, `${name} must be a date`);
+  return date;
+};
+
+const positiveUnits = (value) => {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new ApiError(400, "quantity must be a positive whole number");
+  }
+  return quantity;
+};
+
+// ?type=sale&sku=OATS-500G&from=2026-10-01&to=2026-10-31 — with the stock derived from the ledger
+export const getProductMovements = asyncHandler(async (req, res) => {
+  const { type, sku } = req.query;
+  if (type && !Object.values(MOVEMENT_TYPE).includes(type)) {
+    throw new ApiError(400, `type must be one of ${Object.values(MOVEMENT_TYPE).join(", ")}`);
+  }
+
+  const history = await inventoryService.getHistory(req.params.productId, req.user, {
+    type,
+    sku,
+    from: dateParam(req.query.from, "from"),
+    to: dateParam(req.query.to, "to"),
+    ...paging(req.query),
+  });
+
+  return res.status(200).json(new ApiResponse(200, history, "Stock history fetched successfully"));
+});
+
+export const getDiscrepancies = asyncHandler(async (req, res) => {
+  const products = await inventoryService.findDiscrepancies(req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, products, "Stock discrepancies fetched successfully"));
+});
+
+// Products at or below their low-stock threshold with suggested reorder quantities
+export const getLowStock = asyncHandler(async (req, res) => {
+  const products = await stockAlertService.listLowStock(req.user);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { products, basis: stockAlertService.settings },
+        "Low-stock products fetched successfully"
+      )
+    );
+});
+
+// Units received from a supplier or production run, at `warehouseId` when
+// sent. Products with variants send the variant's `sku`. Perishables send the
+// batch: batchNumber, expiresAt and optionally manufacturedAt and markdownPrice
+export const receiveStock = asyncHandler(async (req, res) => {
+  const { batchNumber, expiresAt, manufacturedAt, markdownPrice, note, warehouseId, sku } =
+    req.body;
+  const quantity = positiveUnits(req.body.quantity);
+  if (warehouseId) await warehouseService.assertHolds(warehouseId, req.params.productId);
+
+  const result =
+    batchNumber !== undefined || expiresAt !== undefined
+      ? await batchService.receive(
+          req.params.productId,
+          quantity,
+          { batchNumber, expiresAt, manufacturedAt, markdownPrice },
+          { actor: req.user, note, sku }
+        )
+      : await inventoryService.receive(req.params.productId, quantity, {
+          sku,
+          actor: req.user,
+          note,
+        });
+  if (result && warehouseId) {
+    await warehouseService.adjustStock(warehouseId, req.params.productId, quantity);
+  }
+
+  return res.status(201).json(new ApiResponse(201, result, "Stock received successfully"));
+});
+
+export const writeOffStock = asyncHandler(async (req, res) => {
+  if (!req.body.note?.trim()) {
+    throw new ApiError(400, "A note explaining the write-off is required");
+  }
+
+  const { batchId, warehouseId, sku } = req.body;
+  const quantity = positiveUnits(req.body.quantity);
+  const context = { actor: req.user, note: req.body.note, sku };
+  if (warehouseId) await warehouseService.assertHolds(warehouseId, req.params.productId);
+
+  // With batchId / warehouseId the units come out of that batch / warehouse too
+  const product = batchId
+    ? await batchService.writeOff(req.params.productId, quantity, batchId, context)
+    : await inventoryService.writeOff(req.params.productId, quantity, context);
+  if (product && warehouseId) {
+    await warehouseService.adjustStock(warehouseId, req.params.productId, -quantity);
+  }
+
+  return res.status(201).json(new ApiResponse(201, product, "Stock written off successfully"));
+});
+
+// Either a signed `quantity` or the `counted` stock from a stock take (of the
+// variant `sku`, for products with variants)
+export const adjustStock = asyncHandler(async (req, res) => {
+  const { quantity, counted, note, sku } = req.body;
+  if (!note?.trim()) {
+    throw new ApiError(400, "A note explaining the adjustment is required");
+  }
+  if ((quantity === undefined) === (counted === undefined)) {
+    throw new ApiError(400, "Send either quantity or counted");
+  }
+  if (quantity !== undefined && (!Number.isInteger(Number(quantity)) || Number(quantity) === 0)) {
+    throw new ApiError(400, "quantity must be a non-zero whole number");
+  }
+  if (counted !== undefined && (!Number.isInteger(Number(counted)) || Number(counted) < 0)) {
+    throw new ApiError(400, "counted must be a whole number of at least 0");
+  }
+
+  const product = await inventoryService.adjust(req.params.productId, {
+    quantity: quantity === undefined ? undefined : Number(quantity),
+    counted: counted === undefined ? undefined : Number(counted),
+    sku,
+    actor: req.user,
+    note,
+  });
+
+  return res.status(201).json(new ApiResponse(201, product, "Stock adjusted successfully"));
+});
+
+// ?status=active|depleted|expired
+export const getProductBatches = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  if (status && !Object.values(BATCH_STATUS).includes(status)) {
+    throw new ApiError(400, `status must be one of ${Object.values(BATCH_STATUS).join(", ")}`);
+  }
+
+  const batches = await batchService.listBatches(req.params.productId, req.user, { status });
+
+  return res.status(200).json(new ApiResponse(200, batches, "Batches fetched successfully"));
+});
+
+// ?days=7 — batches still in stock that expire within that many days
+export const getExpiringBatches = asyncHandler(async (req, res) => {
+  const days = req.query.days === undefined ? undefined : Number(req.query.days);
+  if (days !== undefined && !(days > 0 && days <= 365)) {
+    throw new ApiError(400, "days must be between 1 and 365");
+  }
+
+  const batches = await batchService.listExpiring(req.user, { days });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, batches, "Expiring batches fetched successfully"));
+});
+
+// { markdownPrice } — null removes it
+export const setBatchMarkdown = asyncHandler(async (req, res) => {
+  const batch = await batchService.setMarkdown(
+    req.params.batchId,
+    req.user,
+    req.body.markdownPrice
+  );
+
+  return res.status(200).json(new ApiResponse(200, batch, "Markdown price updated successfully"));
+});
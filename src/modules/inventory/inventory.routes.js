@@ -0,0 +1,43 @@
+import { Router } from "express";
+import {
+  getProductMovements,
+  getDiscrepancies,
+  getLowStock,
+  receiveStock,
+  writeOffStock,
+  adjustStock,
+  getProductBatches,
+  getExpiringBatches,
+  setBatchMarkdown,
+} from "./inventory.controller.js";
+import {
+  listWarehouses,
+  createWarehouse,
+  updateWarehouse,
+  getWarehouseStock,
+  setWarehouseStock,
+} from "./warehouse.controller.js";
+import { verifyJWT } from "../../middlewares/auth.middleware.js";
+import { verifyRole } from "../../middlewares/role.middleware.js";
+
+const inventoryRouter = Router();
+
+// Sellers manage their own products' stock; admins any product's
+inventoryRouter.use(verifyJWT, verifyRole(["seller", "admin", "superadmin"]));
+
+inventoryRouter.route("/discrepancies").get(getDiscrepancies);
+inventoryRouter.route("/low-stock").get(getLowStock);
+inventoryRouter.route("/products/:productId/movements").get(getProductMovements);
+inventoryRouter.route("/products/:productId/receipts").post(receiveStock);
+inventoryRouter.route("/products/:productId/write-offs").post(writeOffStock);
+inventoryRouter.route("/products/:productId/adjustments").post(adjustStock);
+inventoryRouter.route("/products/:productId/batches").get(getProductBatches);
+inventoryRouter.route("/batches/expiring").get(getExpiringBatches);
+inventoryRouter.route("/batches/:batchId/markdown").patch(setBatchMarkdown);
+
+inventoryRouter.route("/warehouses").get(listWarehouses).post(createWarehouse);
+inventoryRouter.route("/warehouses/:warehouseId").patch(updateWarehouse);
+inventoryRouter.route("/warehouses/:warehouseId/stock").get(getWarehouseStock);
+inventoryRouter.route("/warehouses/:warehouseId/stock/:productId").put(setWarehouseStock);
+
+export default inventoryRouter;
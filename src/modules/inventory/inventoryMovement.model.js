@@ -0,0 +1,82 @@
+import mongoose, { Schema } from "mongoose";
+
+export const MOVEMENT_TYPE = Object.freeze({
+  OPENING: "opening", // stock a product already had when its ledger started
+  RECEIPT: "receipt", // units received into stock
+  SALE: "sale", // units shipped out against an order
+  RESERVATION: "reservation", // units held for a checkout
+  RELEASE: "release", // a hold given back
+  RETURN_RESTOCK: "return_restock", // returned units put back on sale
+  CANCEL_RESTOCK: "cancel_restock", // units sold to an order that was then cancelled, back on sale
+  DAMAGE: "damage", // units written off as damaged, expired or lost
+  ADJUSTMENT: "adjustment", // manual correction, e.g. after a stock count
+});
+
+/**
+ * One change to a product's stock. The ledger is append-only: a product's
+ * `stocks` is the sum of its movements' `quantity` and its `reservedStock`
+ * the sum of their `reservedChange`.
+ */
+const inventoryMovementSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    seller: { type: Schema.Types.ObjectId, ref: "User" },
+    // Set when the product has variants and this moved one of them
+    variant: Schema.Types.ObjectId,
+    sku: String,
+
+    type: { type: String, enum: Object.values(MOVEMENT_TYPE), required: true },
+    // Signed change to Product.stocks and Product.reservedStock
+    quantity: { type: Number, default: 0 },
+    reservedChange: { type: Number, default: 0 },
+    // The product's levels right after this movement
+    stockAfter: { type: Number, required: true },
+    reservedAfter: { type: Number, default: 0 },
+    variantStockAfter: Number,
+
+    // Who caused it; no user means the system did (checkout, sweeper, webhooks)
+    actor: {
+      user: { type: Schema.Types.ObjectId, ref: "User" },
+      role: { type: String, default: "system" },
+    },
+    // The document it was made for
+    reference: {
+      kind: {
+        type: String,
+        enum: ["Order", "Payment", "StockReservation", "Return", "Product", "StockBatch"],
+      },
+      id: { type: Schema.Types.ObjectId, refPath: "reference.kind" },
+    },
+    note: { type: String, trim: true, maxlength: 500 },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ seller: 1, createdAt: -1 });
+inventoryMovementSchema.index({ "reference.kind": 1, "reference.id": 1 });
+// One opening balance per product, however many first movements race for it
+inventoryMovementSchema.index(
+  { product: 1 },
+  { unique: true, partialFilterExpression: { type: MOVEMENT_TYPE.OPENING } }
+);
+
+// Mistakes are corrected with a new movement, never by editing an old one
+const appendOnly = function (next) {
+  next(new Error("Inventory movements are append-only"));
+};
+inventoryMovementSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  appendOnly
+);
+inventoryMovementSchema.pre(
+  ["deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: true, query: true },
+  appendOnly
+);
+inventoryMovementSchema.pre("save", function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+export const InventoryMovement = mongoose.model("InventoryMovement", inventoryMovementSchema);
@@ -0,0 +1,54 @@
+import mongoose, { Schema } from "mongoose";
+
+export const RESERVATION_STATUS = Object.freeze({
+  ACTIVE: "active", // units are held in Product.reservedStock
+  COMMITTED: "committed", // turned into a stock decrement when the order was finalized
+  RELEASED: "released", // given back to stock, see releaseReason
+});
+
+// Stock held for one checkout (a payment) or one placed order awaiting
+// payment / COD confirmation, until it is committed or released
+const stockReservationSchema = new Schema(
+  {
+    items: [
+      {
+        _id: false,
+        productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+        variantId: Schema.Types.ObjectId,
+        quantity: { type: Number, required: true, min: 1 },
+      },
+    ],
+    userId: { type: Schema.Types.ObjectId, ref: "User" },
+    cartId: { type: Schema.Types.ObjectId, ref: "Cart" },
+    payment: { type: Schema.Types.ObjectId, ref: "Payment" },
+    order: { type: Schema.Types.ObjectId, ref: "Order" },
+
+    status: {
+      type: String,
+      enum: Object.values(RESERVATION_STATUS),
+      default: RESERVATION_STATUS.ACTIVE,
+    },
+    expiresAt: { type: Date, required: true },
+    committedAt: Date,
+    releasedAt: Date,
+    releaseReason: {
+      type: String,
+      enum: [
+        "payment_failed",
+        "expired",
+        "cart_changed",
+        "order_cancelled",
+        "checkout_failed",
+        "superseded",
+      ],
+    },
+  },
+  { timestamps: true }
+);
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ payment: 1, status: 1 });
+stockReservationSchema.index({ order: 1, status: 1 });
+stockReservationSchema.index({ cartId: 1, status: 1 });
+
+export const StockReservation = mongoose.model("StockReservation", stockReservationSchema);
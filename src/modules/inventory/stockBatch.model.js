@@ -0,0 +1,47 @@
+import mongoose, { Schema } from "mongoose";
+
+export const BATCH_STATUS = Object.freeze({
+  ACTIVE: "active", // on sale, allocated first expiry first out
+  DEPLETED: "depleted", // every unit sold or written off
+  EXPIRED: "expired", // past its expiry date; remaining units were written off
+});
+
+// One lot of a product received with its own manufacture and expiry dates
+const stockBatchSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    seller: { type: Schema.Types.ObjectId, ref: "User" },
+    // The variant the batch is of, for products with variants
+    variant: Schema.Types.ObjectId,
+    sku: String,
+
+    batchNumber: { type: String, required: true, trim: true, maxlength: 60 },
+    manufacturedAt: Date,
+    expiresAt: { type: Date, required: true },
+
+    // Units received into this batch, and how many of them are still in stock
+    quantity: { type: Number, required: true, min: 0 },
+    remaining: { type: Number, required: true, min: 0 },
+
+    status: {
+      type: String,
+      enum: Object.values(BATCH_STATUS),
+      default: BATCH_STATUS.ACTIVE,
+    },
+    // Price the product sells at while this batch is the next to go and close to expiry
+    markdownPrice: { type: Number, min: 0 },
+
+    nearExpiryAlertedAt: Date,
+    expiredAt: Date,
+    expiredUnits: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+// Variants of a product may share a production run's batch number
+stockBatchSchema.index({ product: 1, variant: 1, batchNumber: 1 }, { unique: true });
+stockBatchSchema.index({ product: 1, status: 1, expiresAt: 1 });
+stockBatchSchema.index({ status: 1, expiresAt: 1 });
+stockBatchSchema.index({ seller: 1, status: 1, expiresAt: 1 });
+
+export const StockBatch = mongoose.model("StockBatch", stockBatchSchema);
@@ -0,0 +1,50 @@
+import { ApiError } from "../../utils/ApiError.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import warehouseService from "../../services/warehouseService.js";
+
+// Sellers see their own warehouses; admins all of them, or one seller's with ?sellerId=
+export const listWarehouses = asyncHandler(async (req, res) => {
+  const warehouses = await warehouseService.list(req.user, { sellerId: req.query.sellerId });
+
+  return res.status(200).json(new ApiResponse(200, warehouses, "Warehouses fetched successfully"));
+});
+
+// { name, pickupLocation, address: { contactName, phone, email, line1, line2, city, state, pincode }, isDefault }
+export const createWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await warehouseService.create(req.user, req.body);
+  const message = warehouse.shiprocket?.registeredAt
+    ? "Warehouse added and registered with Shiprocket"
+    : "Warehouse added; Shiprocket registration failed and will be retried on the next update";
+
+  return res.status(201).json(new ApiResponse(201, warehouse, message));
+});
+
+export const updateWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await warehouseService.update(req.params.warehouseId, req.user, req.body);
+
+  return res.status(200).json(new ApiResponse(200, warehouse, "Warehouse updated successfully"));
+});
+
+export const getWarehouseStock = asyncHandler(async (req, res) => {
+  const result = await warehouseService.getStock(req.params.warehouseId, req.user);
+
+  return res.status(200).json(new ApiResponse(200, result, "Warehouse stock fetched successfully"));
+});
+
+// { quantity } — how many of the product's units are kept at this warehouse
+export const setWarehouseStock = asyncHandler(async (req, res) => {
+  const quantity = Number(req.body.quantity);
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new ApiError(400, "quantity must be a whole number of at least 0");
+  }
+
+  const stock = await warehouseService.setStock(
+    req.params.warehouseId,
+    req.params.productId,
+    quantity,
+    req.user
+  );
+
+  return res.status(200).json(new ApiResponse(200, stock, "Warehouse stock updated successfully"));
+});
@@ -0,0 +1,40 @@
+import mongoose, { Schema } from "mongoose";
+
+// A place a seller ships from, registered with Shiprocket as a pickup location
+const warehouseSchema = new Schema(
+  {
+    seller: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    // Shiprocket pickup location nickname; orders shipped from here name it
+    pickupLocation: { type: String, required: true, trim: true, maxlength: 36 },
+
+    address: {
+      contactName: { type: String, required: true, trim: true },
+      phone: { type: String, required: true, match: /^[6-9]\d{9}$/ },
+      email: { type: String, required: true, trim: true, lowercase: true },
+      line1: { type: String, required: true, trim: true },
+      line2: { type: String, trim: true },
+      city: { type: String, required: true, trim: true },
+      state: { type: String, required: true, trim: true },
+      country: { type: String, default: "India" },
+      pincode: { type: String, required: true, match: /^\d{6}$/ },
+    },
+
+    // Stock not assigned to any warehouse ships from the seller's default one
+    isDefault: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+
+    shiprocket: {
+      pickupId: Number,
+      registeredAt: Date,
+      error: String, // why the last registration attempt failed
+    },
+  },
+  { timestamps: true }
+);
+
+// Pickup locations share one Shiprocket account, so their nicknames must not clash
+warehouseSchema.index({ pickupLocation: 1 }, { unique: true });
+warehouseSchema.index({ seller: 1, isActive: 1 });
+
+export const Warehouse = mongoose.model("Warehouse", warehouseSchema);
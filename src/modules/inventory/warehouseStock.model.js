@@ -0,0 +1,17 @@
+import mongoose, { Schema } from "mongoose";
+
+// Units of a product kept at one warehouse; together they never exceed Product.stocks
+const warehouseStockSchema = new Schema(
+  {
+    warehouse: { type: Schema.Types.ObjectId, ref: "Warehouse", required: true },
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    seller: { type: Schema.Types.ObjectId, ref: "User" },
+    quantity: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+warehouseStockSchema.index({ warehouse: 1, product: 1 }, { unique: true });
+warehouseStockSchema.index({ product: 1 });
+
+export const WarehouseStock = mongoose.model("WarehouseStock", warehouseStockSchema);
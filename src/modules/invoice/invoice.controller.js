@@ -0,0 +1,54 @@
+import { ApiError } from "../../utils/ApiError.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import invoiceService from "../../services/invoiceService.js";
+
+const paging = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100),
+});
+
+const listFilters = (query) => {
+  const { type, financialYear } = query;
+  if (type && !["invoice", "credit_note"].includes(type)) {
+    throw new ApiError(400, "type must be invoice or credit_note");
+  }
+  if (financialYear && !/^\d{4}-\d{2}$/.test(financialYear)) {
+    throw new ApiError(400, "financialYear must look like 2026-27");
+  }
+  return { type, financialYear, ...paging(query) };
+};
+
+// Invoices and credit notes of an order; issued on first request once it has shipped
+export const getOrderInvoices = asyncHandler(async (req, res) => {
+  const invoices = await invoiceService.getOrderInvoices(req.params.orderId, req.user);
+
+  return res.status(200).json(new ApiResponse(200, invoices, "Invoices fetched successfully"));
+});
+
+// ?type=invoice|credit_note&financialYear=2026-27 — a seller's own, or all for admins
+export const listInvoices = asyncHandler(async (req, res) => {
+  const result = await invoiceService.listInvoices(req.user, listFilters(req.query));
+
+  return res.status(200).json(new ApiResponse(200, result, "Invoices fetched successfully"));
+});
+
+export const getInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getInvoice(req.params.invoiceId, req.user);
+
+  return res.status(200).json(new ApiResponse(200, invoice, "Invoice fetched successfully"));
+});
+
+export const downloadInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getInvoice(req.params.invoiceId, req.user, {
+    withPdf: true,
+  });
+  const fileName = `${invoice.number.replace(/\//g, "-")}.pdf`;
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${fileName}"`,
+    "Content-Length": invoice.pdf.length,
+  });
+  return res.status(200).send(invoice.pdf);
+});
@@ -0,0 +1,114 @@
+import mongoose, { Schema } from "mongoose";
+
+// Running number per seller, document series and financial year
+const invoiceCounterSchema = new Schema({
+  seller: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  series: { type: String, enum: ["INV", "CN"], required: true },
+  financialYear: { type: String, required: true }, // e.g. "2026-27"
+  seq: { type: Number, default: 0 },
+});
+
+invoiceCounterSchema.index({ seller: 1, series: 1, financialYear: 1 }, { unique: true });
+
+export const InvoiceCounter = mongoose.model("InvoiceCounter", invoiceCounterSchema);
+
+const invoiceLineSchema = new Schema(
+  {
+    _id: false,
+    productId: { type: Schema.Types.ObjectId, ref: "Product" },
+    name: String,
+    sku: String,
+    hsnCode: String,
+    quantity: Number,
+    unitPrice: Number, // taxable value per unit, after discount
+    gstRate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number,
+  }
+);
+
+const partySchema = new Schema(
+  {
+    _id: false,
+    name: String,
+    gstin: String,
+    pan: String,
+    email: String,
+    phone: String,
+    address: String,
+    city: String,
+    state: String,
+    stateCode: String,
+    postalCode: String,
+  }
+);
+
+// A GST tax invoice (one per seller per order) or a credit note against one
+const invoiceSchema = new Schema(
+  {
+    type: { type: String, enum: ["invoice", "credit_note"], required: true },
+    number: { type: String, required: true }, // INV/26-27/00001, CN/26-27/00001
+    financialYear: { type: String, required: true },
+    issuedAt: { type: Date, default: Date.now },
+
+    order: { type: Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+    orderNumber: String,
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true }, // buyer
+    seller: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    // Credit notes only
+    originalInvoice: { type: Schema.Types.ObjectId, ref: "Invoice" },
+    originalInvoiceNumber: String,
+    returnId: { type: Schema.Types.ObjectId, ref: "Return", index: true },
+    reason: String,
+
+    supplier: partySchema,
+    buyer: partySchema,
+    placeOfSupply: String,
+    supplyType: { type: String, enum: ["intra_state", "inter_state"] },
+    stateTaxType: { type: String, enum: ["SGST", "UTGST"], default: "SGST" },
+
+    items: [invoiceLineSchema],
+    hsnSummary: [
+      {
+        _id: false,
+        hsnCode: String,
+        gstRate: Number,
+        quantity: Number,
+        taxableValue: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        taxAmount: Number,
+      },
+    ],
+    totals: {
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      taxAmount: Number,
+      shippingCharges: { type: Number, default: 0 },
+      codFee: { type: Number, default: 0 },
+      roundOff: { type: Number, default: 0 },
+      grandTotal: Number,
+    },
+    amountInWords: String,
+
+    pdf: { type: Buffer, select: false },
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ seller: 1, number: 1 }, { unique: true });
+invoiceSchema.index({ seller: 1, type: 1, issuedAt: -1 });
+// One tax invoice per seller per order
+invoiceSchema.index(
+  { order: 1, seller: 1 },
+  { unique: true, partialFilterExpression: { type: "invoice" } }
+);
+
+export const Invoice = mongoose.model("Invoice", invoiceSchema);
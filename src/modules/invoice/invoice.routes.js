@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+  getOrderInvoices,
+  listInvoices,
+  getInvoice,
+  downloadInvoice,
+} from "./invoice.controller.js";
+import { verifyJWT } from "../../middlewares/auth.middleware.js";
+import { verifyRole } from "../../middlewares/role.middleware.js";
+
+const invoiceRouter = Router();
+
+// Buyers, the order's sellers and admins; access is checked per document
+invoiceRouter.use(verifyJWT);
+
+invoiceRouter.route("/").get(verifyRole(["seller", "admin", "superadmin"]), listInvoices);
+invoiceRouter.route("/order/:orderId").get(getOrderInvoices);
+invoiceRouter.route("/:invoiceId").get(getInvoice);
+invoiceRouter.route("/:invoiceId/download").get(downloadInvoice);
+
+export default invoiceRouter;
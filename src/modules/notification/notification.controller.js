@@ -0,0 +1,32 @@
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import notificationService from "../../services/notificationService.js";
+
+const paging = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100),
+});
+
+// The user's inbox, newest first; ?unread=true for unread only
+export const getNotifications = asyncHandler(async (req, res) => {
+  const result = await notificationService.list(req.user._id, {
+    unread: req.query.unread === "true",
+    ...paging(req.query),
+  });
+
+  return res.status(200).json(new ApiResponse(200, result, "Notifications fetched successfully"));
+});
+
+export const markNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await notificationService.markRead(req.user._id, req.params.notificationId);
+
+  return res.status(200).json(new ApiResponse(200, notification, "Notification marked as read"));
+});
+
+export const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const updated = await notificationService.markAllRead(req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { updated }, "All notifications marked as read"));
+});
@@ -0,0 +1,25 @@
+import mongoose, { Schema } from "mongoose";
+
+export const NOTIFICATION_TYPE = Object.freeze({
+  LOW_STOCK: "low_stock", // a product fell to or below its low-stock threshold
+  OUT_OF_STOCK: "out_of_stock", // a product has no units left
+});
+
+// In-app inbox entry shown to a user until they read it
+const notificationSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: Object.values(NOTIFICATION_TYPE), required: true },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    message: { type: String, trim: true, maxlength: 1000 },
+    // Whatever the client needs to link the notification, e.g. { productId }
+    data: { type: Schema.Types.Mixed },
+    readAt: Date,
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+export const Notification = mongoose.model("Notification", notificationSchema);
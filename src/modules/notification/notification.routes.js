@@ -0,0 +1,15 @@
+import { Router } from "express";
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "./notification.controller.js";
+import { verifyJWT } from "../../middlewares/auth.middleware.js";
+
+const notificationRouter = Router();
+
+notificationRouter.route("/").get(verifyJWT, getNotifications);
+notificationRouter.route("/read-all").patch(verifyJWT, markAllNotificationsRead);
+notificationRouter.route("/:notificationId/read").patch(verifyJWT, markNotificationRead);
+
+export default notificationRouter;
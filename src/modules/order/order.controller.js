@@ -1,4 +1,5 @@
-import orderService from '../services/orderService.js';
+import orderService from '../../services/orderService.js';
+import invoiceService from '../../services/invoiceService.js';
 import { asyncHandler } from '../../utils/asyncHandler.js';
 import { ApiResponse } from '../../utils/ApiResponse.js';
 import { ApiError } from '../../utils/ApiError.js';
@@ -17,13 +18,59 @@ export const createOrder = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Payment details are required');
   }
 
-  const order = await orderService.createOrderFromCart(userId, orderData);
+  const order = await orderService.createOrderFromCart(userId, {
+    ...orderData,
+    email: req.user.email,
+    sessionId: req.sessionID || req.headers['x-session-id'] || 'anonymous'
+  });
 
   res.status(201).json(
     new ApiResponse(201, order, 'Order created successfully')
   );
 });
 
+// COD availability and fee for the current cart and a delivery address
+export const getCodEligibility = asyncHandler(async (req, res) => {
+  const { addressId } = req.query;
+
+  if (!addressId) {
+    throw new ApiError(400, 'Address ID is required');
+  }
+
+  const eligibility = await orderService.getCodEligibility(
+    req.user._id,
+    req.sessionID || req.headers['x-session-id'] || 'anonymous',
+    addressId
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, eligibility, 'COD eligibility fetched successfully')
+  );
+});
+
+// Confirm a COD order with the OTP emailed at checkout
+export const confirmCodOrder = asyncHandler(async (req, res) => {
+  const { otp } = req.body;
+
+  if (!otp) {
+    throw new ApiError(400, 'OTP is required');
+  }
+
+  const order = await orderService.confirmCodOrder(req.params.orderId, req.user._id, otp);
+
+  res.status(200).json(
+    new ApiResponse(200, order, 'Order confirmed successfully')
+  );
+});
+
+export const resendCodOtp = asyncHandler(async (req, res) => {
+  const order = await orderService.resendCodOtp(req.params.orderId, req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, order, 'OTP sent successfully')
+  );
+});
+
 // Get order by ID
 export const getOrder = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
@@ -87,14 +134,28 @@ export const getSellerOrders = asyncHandler(async (req, res) => {
 // Update order status (for sellers/admin)
 export const updateOrderStatus = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { status, notes = '', location = '' } = req.body;
+  const {
+    status,
+    notes = '',
+    location = '',
+    trackingNumber,
+    shippingProvider,
+    estimatedDeliveryDate
+  } = req.body;
   const updatedBy = req.user._id;
 
   if (!status) {
     throw new ApiError(400, 'Status is required');
   }
 
-  const order = await orderService.updateOrderStatus(orderId, status, updatedBy, notes, location);
+  const order = await orderService.updateOrderStatus(orderId, status, updatedBy, notes, location, {
+    role: req.user.role,
+    // Sellers can only update orders that contain their products
+    sellerId: req.user.role === 'seller' ? req.user._id : null,
+    trackingNumber,
+    shippingProvider,
+    estimatedDeliveryDate
+  });
 
   res.status(200).json(
     new ApiResponse(200, order, 'Order status updated successfully')
@@ -152,14 +213,21 @@ export const processReturn = asyncHandler(async (req, res) => {
   );
 });
 
-// Generate invoice
-export const generateInvoice = asyncHandler(async (req, res) => {
-  const { orderId } = req.params;
+// Retry the refund of a cancelled prepaid order (admin only)
+export const refundCancelledOrder = asyncHandler(async (req, res) => {
+  const refund = await orderService.refundCancelledOrder(req.params.orderId, req.user._id);
 
-  const invoiceData = await orderService.generateInvoice(orderId);
+  res.status(200).json(
+    new ApiResponse(200, refund, 'Refund initiated successfully')
+  );
+});
+
+// Tax invoices for a shipped order (one per seller); PDFs via /invoices/:invoiceId/download
+export const generateInvoice = asyncHandler(async (req, res) => {
+  const invoices = await invoiceService.getOrderInvoices(req.params.orderId, req.user);
 
   res.status(200).json(
-    new ApiResponse(200, invoiceData, 'Invoice generated successfully')
+    new ApiResponse(200, invoices, 'Invoice generated successfully')
   );
 });
 
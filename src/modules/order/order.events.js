@@ -0,0 +1,35 @@
+import { EventEmitter } from 'events';
+import logger from '../../utils/logger.js';
+
+export const ORDER_EVENTS = Object.freeze({
+  // Fired on every transition with { order, from, to, entry }
+  STATUS_CHANGED: 'order.status_changed'
+});
+
+/**
+ * Per-status event name, e.g. `order.shipped`, `order.out_for_delivery`.
+ *
+ * @param {string} status
+ * @returns {string}
+ */
+export const statusEvent = status => `order.${status.toLowerCase()}`;
+
+class OrderEventBus extends EventEmitter {
+  /**
+   * Like `emit`, but a failing (or rejecting) listener is logged instead of
+   * breaking the transition that triggered it.
+   */
+  publish(event, payload) {
+    for (const listener of this.listeners(event)) {
+      try {
+        Promise.resolve(listener(payload)).catch(error => {
+          logger.error('Order event listener failed', { event, error: error.message });
+        });
+      } catch (error) {
+        logger.error('Order event listener failed', { event, error: error.message });
+      }
+    }
+  }
+}
+
+export const orderEvents = new OrderEventBus();
@@ -1,90 +1,374 @@
 import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+import { ApiError } from "../../utils/ApiError.js";
+import {
+        ORDER_STATUS,
+        CANCELLABLE_STATUSES,
+        canTransition,
+} from "./order.status.js";
+import { orderEvents, ORDER_EVENTS, statusEvent } from "./order.events.js";
 
-const orderSchema = new Schema(
+const RETURN_WINDOW_DAYS = 7;
+
+const orderItemSchema = new Schema(
         {
-                userId: {
+                productId: {
+                        type: Schema.Types.ObjectId,
+                        required: true,
+                        ref: "Product",
+                },
+                sellerId: {
                         type: Schema.Types.ObjectId,
                         ref: "User",
+                },
+                // Snapshot of the product at the time the order was placed
+                name: { type: String, required: true },
+                image: String,
+                // The product variant bought, when the product has variants; sku is its SKU
+                variantId: Schema.Types.ObjectId,
+                sku: String,
+                price: { type: Number, required: true }, // unit price charged
+                quantity: { type: Number, required: true, min: 1 },
+                selectedVariant: {
+                        size: String,
+                        flavour: String,
+                        color: String,
+                        material: String,
+                },
+                // GST for this line, after its share of the order discount (see taxService)
+                hsnCode: String,
+                gstRate: Number,
+                priceIncludesTax: { type: Boolean, default: true },
+                taxableValue: Number,
+                taxAmount: Number,
+                cgst: Number,
+                sgst: Number,
+                igst: Number,
+        },
+        { _id: false },
+);
+
+const statusHistorySchema = new Schema(
+        {
+                status: {
+                        type: String,
+                        enum: Object.values(ORDER_STATUS),
                         required: true,
                 },
-                items: [
-                        {
-                                productId: {
-                                        type: Schema.Types.ObjectId,
-                                        required: true,
-                                        ref: "Product",
-                                },
-                                sellerId: {
-                                        type: Schema.Types.ObjectId,
-                                        ref: "User",
-                                    },
-
-                                quantity: { type: Number },
-                        },
-                ],
+                from: String,
+                changedBy: { type: Schema.Types.ObjectId, ref: "User" }, // empty for system updates
+                changedByRole: {
+                        type: String,
+                        enum: ["customer", "seller", "admin", "superadmin", "system"],
+                        default: "system",
+                },
+                notes: String,
+                location: String,
+                timestamp: { type: Date, default: Date.now },
+        },
+        { _id: false },
+);
 
-                // Shiprocket-related fields
-                orderId: {
+const orderSchema = new Schema(
+        {
+                orderNumber: {
+                        type: String,
+                        unique: true,
+                },
+                userId: {
                         type: Schema.Types.ObjectId,
+                        ref: "User",
                         required: true,
-                        ref: "Product",
+                        index: true,
+                },
+                items: {
+                        type: [orderItemSchema],
+                        validate: [(items) => items.length > 0, "Order must contain at least one item"],
                 },
 
-                shippingDetails: {
-                        customerName: {
-                                type: Schema.Types.ObjectId,
-                                ref: "User",
-                                required: true,
-                        },
-                        lastName: {
-                                type: Schema.Types.ObjectId,
-                                ref: "User",
-                                required: true,
-                        },
-                        address: {
-                                type: Schema.Types.ObjectId,
-                                ref: "Address",
-                                required: true,
-                        },
-                        // Default to India for Shiprocket.
-                        email: { type: String, required: true },
+                // Snapshot of the delivery address, so later edits to the
+                // address book don't rewrite order history.
+                shippingAddress: {
+                        addressId: { type: Schema.Types.ObjectId, ref: "Address" },
+                        firstName: { type: String, required: true },
+                        lastName: { type: String, required: true },
+                        streetAddress: { type: String, required: true },
+                        city: { type: String, required: true },
+                        state: { type: String, required: true },
+                        country: { type: String, default: "India" },
+                        postalCode: { type: String, required: true },
+                        phoneNumber: { type: String, required: true },
                 },
+                email: { type: String, required: true },
                 shippingIsBilling: {
                         type: Boolean,
                         default: true, // Assume shipping and billing addresses are the same by default.
                 },
+
+                // Payment
                 paymentMethod: {
                         type: String,
                         enum: ["Prepaid", "COD"],
                         default: "Prepaid",
                 },
+                payment: {
+                        type: Schema.Types.ObjectId,
+                        ref: "Payment",
+                },
+
+                // Amounts (INR)
+                currency: { type: String, default: "INR" },
                 subTotal: {
                         type: Number,
                         required: true, // Total cost before shipping
                 },
+                discountCode: String, // comma-separated when coupons are stacked
+                discountAmount: { type: Number, default: 0 },
+                coupons: [
+                        {
+                                _id: false,
+                                coupon: { type: Schema.Types.ObjectId, ref: "Coupon" },
+                                code: String,
+                                amount: Number, // off the items
+                                shippingDiscount: Number,
+                        },
+                ],
+                shippingCost: { type: Number, default: 0 }, // after any free-shipping coupon
+                // Shipments the shipping cost was quoted for: one per seller and
+                // warehouse. Each becomes its own Shiprocket order.
+                shipments: [
+                        {
+                                _id: false,
+                                sellerId: { type: Schema.Types.ObjectId, ref: "User" },
+                                warehouseId: { type: Schema.Types.ObjectId, ref: "Warehouse" },
+                                pickupLocation: String, // Shiprocket pickup location of the warehouse
+                                pickupPincode: String,
+                                items: [
+                                        {
+                                                _id: false,
+                                                productId: { type: Schema.Types.ObjectId, ref: "Product" },
+                                                quantity: Number,
+                                        },
+                                ],
+                                value: Number,
+                                weight: Number, // kg
+                                courier: String,
+                                courierId: Number,
+                                etd: String,
+                                rate: Number,
+                                free: Boolean,
+                                cost: Number,
+                                shiprocketOrderId: String,
+                                shiprocketShipmentId: String,
+                                trackingNumber: String,
+                        },
+                ],
+                taxAmount: { type: Number, default: 0 }, // total GST on the items
+                taxBreakup: {
+                        taxableValue: Number,
+                        cgst: Number,
+                        sgst: Number,
+                        igst: Number,
+                        included: Number, // part of taxAmount already inside item prices
+                        stateTaxType: { type: String, enum: ["SGST", "UTGST"] },
+                },
+                codFee: { type: Number, default: 0 },
+                totalAmount: { type: Number, required: true },
+                walletAmount: { type: Number, default: 0 }, // part of totalAmount paid from store credit
+
+                // COD orders are confirmed by an emailed OTP before they ship
+                codVerification: {
+                        otpHash: { type: String, select: false },
+                        sentAt: Date,
+                        expiresAt: Date,
+                        attempts: { type: Number, default: 0 },
+                        verifiedAt: Date,
+                },
+
+                // Shiprocket-related fields; dimensions is the whole consignment
+                // as one package, computed from the parcels at order time
                 dimensions: {
-                        length: { type: Number, required: true }, // in cm
-                        breadth: { type: Number, required: true }, // in cm
-                        height: { type: Number, required: true }, // in cm
-                        weight: { type: Number, required: true }, // in kg
+                        length: { type: Number, default: 10 }, // in cm
+                        breadth: { type: Number, default: 10 }, // in cm
+                        height: { type: Number, default: 10 }, // in cm
+                        weight: { type: Number, default: 1 }, // in kg, chargeable
                 },
+                parcels: [
+                        {
+                                _id: false,
+                                length: Number, // cm
+                                breadth: Number,
+                                height: Number,
+                                weight: Number, // kg, dead weight
+                                volumetricWeight: Number,
+                                items: [
+                                        {
+                                                _id: false,
+                                                productId: { type: Schema.Types.ObjectId, ref: "Product" },
+                                                quantity: Number,
+                                        },
+                                ],
+                        },
+                ],
+                // Where the order (its first shipment) ships from; sellers without
+                // warehouses use the account's default Shiprocket location
                 pickupLocation: {
                         type: String,
-                        required: true, // Must match registered Shiprocket location
+                        default: () => process.env.SHIPROCKET_PICKUP_LOCATION || "Primary", // Must match registered Shiprocket location
                 },
                 status: {
                         type: String,
-                        enum: ["PENDING", "CANCELLED", "DELIVERED"],
-                        default: "PENDING",
+                        enum: Object.values(ORDER_STATUS),
+                        default: ORDER_STATUS.PLACED,
+                        index: true,
                 },
+                statusHistory: [statusHistorySchema],
                 shiprocketOrderId: {
                         type: String, // Shiprocket's order ID (returned after order creation)
                 },
-                shiprocketTrackingId: {
-                        type: String, // Shiprocket's tracking ID for the shipment
+                shiprocketShipmentId: {
+                        type: String, // Shiprocket's shipment ID
+                },
+                trackingNumber: String, // courier AWB
+                shippingProvider: String, // courier name
+                estimatedDeliveryDate: Date,
+                actualDeliveryDate: Date,
+                // Set once when stock is committed, the cart cleared and the
+                // shipment requested; guards against double fulfilment.
+                finalizedAt: Date,
+                // Set once when a cancelled order's sold units are put back in stock
+                restockedAt: Date,
+                // Batches the units were picked from (first expiry first out), for recalls and returns
+                batchAllocations: [
+                        {
+                                _id: false,
+                                productId: { type: Schema.Types.ObjectId, ref: "Product" },
+                                variantId: Schema.Types.ObjectId,
+                                batch: { type: Schema.Types.ObjectId, ref: "StockBatch" },
+                                batchNumber: String,
+                                expiresAt: Date,
+                                quantity: Number,
+                        },
+                ],
+
+                // Cancellation
+                cancellationReason: String,
+                cancelledBy: { type: Schema.Types.ObjectId, ref: "User" },
+                cancelledAt: Date,
+
+                // Return request raised against the whole order
+                returnRequest: {
+                        status: {
+                                type: String,
+                                enum: ["REQUESTED", "APPROVED", "REJECTED"],
+                        },
+                        reason: String,
+                        requestedAt: Date,
+                        processedBy: { type: Schema.Types.ObjectId, ref: "User" },
+                        processedAt: Date,
+                        adminNotes: String,
                 },
         },
-        { timestamps: true },
+        { timestamps: true, optimisticConcurrency: true },
 );
 
+orderSchema.index({ userId: 1, status: 1, createdAt: -1 });
+orderSchema.index({ "items.sellerId": 1, status: 1 });
+
+/* ───────── Middleware ───────── */
+orderSchema.pre("validate", function (next) {
+        if (!this.orderNumber) {
+                const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+                const randomPart = crypto.randomBytes(3).toString("hex").toUpperCase();
+                this.orderNumber = `ORD-${datePart}-${randomPart}`;
+        }
+
+        if (this.isNew && this.statusHistory.length === 0) {
+                this.statusHistory.push({
+                        status: this.status,
+                        changedBy: this.userId,
+                        changedByRole: "customer",
+                        notes: "Order placed",
+                });
+        }
+        next();
+});
+
+/* ───────── Methods ───────── */
+/**
+ * Move the order to a new status, record who/when/where in statusHistory and
+ * publish the transition on the order event bus once it is saved.
+ *
+ * @param {string} status - Target status (see ORDER_STATUS).
+ * @param {object} [meta]
+ * @param {ObjectId} [meta.changedBy] - User making the change; omit for system updates.
+ * @param {string} [meta.changedByRole="system"]
+ * @param {string} [meta.notes]
+ * @param {string} [meta.location]
+ */
+orderSchema.methods.transitionTo = async function (
+        status,
+        { changedBy, changedByRole = "system", notes = "", location = "" } = {},
+) {
+        const from = this.status;
+
+        if (!canTransition(this, status)) {
+                throw new ApiError(409, `Order cannot move from ${from} to ${status}`);
+        }
+
+        const entry = {
+                status,
+                from,
+                changedBy,
+                changedByRole,
+                notes,
+                location,
+                timestamp: new Date(),
+        };
+
+        this.status = status;
+        this.statusHistory.push(entry);
+
+        if (status === ORDER_STATUS.DELIVERED && !this.actualDeliveryDate) {
+                this.actualDeliveryDate = entry.timestamp;
+        }
+
+        await this.save();
+
+        const payload = { order: this, from, to: status, entry };
+        orderEvents.publish(ORDER_EVENTS.STATUS_CHANGED, payload);
+        orderEvents.publish(statusEvent(status), payload);
+
+        return this;
+};
+
+orderSchema.methods.canBeCancelled = function () {
+        return CANCELLABLE_STATUSES.includes(this.status);
+};
+
+orderSchema.methods.canBeReturned = function () {
+        if (this.status !== ORDER_STATUS.DELIVERED || !this.actualDeliveryDate) return false;
+        if (this.returnRequest?.status) return false;
+
+        const returnEligibleUntil = new Date(this.actualDeliveryDate);
+        returnEligibleUntil.setDate(returnEligibleUntil.getDate() + RETURN_WINDOW_DAYS);
+        return new Date() <= returnEligibleUntil;
+};
+
+// Returns name their order in free text: its id, its order number or the
+// Shiprocket order id from the customer's shipping emails
+orderSchema.statics.findByReference = function (reference) {
+        const text = String(reference ?? "").trim();
+        if (mongoose.isObjectIdOrHexString(text)) {
+                return this.findOne({ _id: text });
+        }
+        return this.findOne({
+                $or: [
+                        { orderNumber: text },
+                        { shiprocketOrderId: text },
+                        { "shipments.shiprocketOrderId": text },
+                ],
+        });
+};
+
 export const Order = mongoose.model("Order", orderSchema);
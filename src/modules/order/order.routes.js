@@ -0,0 +1,68 @@
+import { Router } from 'express';
+import {
+  createOrder,
+  getOrder,
+  getUserOrders,
+  getSellerOrders,
+  updateOrderStatus,
+  cancelOrder,
+  requestReturn,
+  processReturn,
+  refundCancelledOrder,
+  generateInvoice,
+  getOrderAnalytics,
+  getOrderTracking,
+  getOrderSummary,
+  getCodEligibility,
+  confirmCodOrder,
+  resendCodOtp
+} from './order.controller.js';
+import { verifyJWT } from '../../middlewares/auth.middleware.js';
+import { verifyRole } from '../../middlewares/role.middleware.js';
+import { orderRateLimit } from '../../middlewares/rateLimiting.middleware.js';
+
+const router = Router();
+
+// Customer routes
+router.post('/', verifyJWT, orderRateLimit, createOrder);
+router.get('/', verifyJWT, getUserOrders);
+router.get('/cod/eligibility', verifyJWT, getCodEligibility);
+
+// Seller / admin routes
+router.get('/seller', verifyJWT, verifyRole(['seller', 'superadmin']), getSellerOrders);
+router.get(
+  '/analytics',
+  verifyJWT,
+  verifyRole(['seller', 'admin', 'superadmin']),
+  getOrderAnalytics
+);
+router.patch(
+  '/:orderId/status',
+  verifyJWT,
+  verifyRole(['seller', 'admin', 'superadmin']),
+  updateOrderStatus
+);
+router.post(
+  '/:orderId/return/process',
+  verifyJWT,
+  verifyRole(['admin', 'superadmin']),
+  processReturn
+);
+router.post(
+  '/:orderId/refund',
+  verifyJWT,
+  verifyRole(['admin', 'superadmin']),
+  refundCancelledOrder
+);
+
+// Customer routes on a single order
+router.get('/:orderId', verifyJWT, getOrder);
+router.get('/:orderId/tracking', verifyJWT, getOrderTracking);
+router.get('/:orderId/summary', verifyJWT, getOrderSummary);
+router.get('/:orderId/invoice', verifyJWT, generateInvoice);
+router.post('/:orderId/cancel', verifyJWT, cancelOrder);
+router.post('/:orderId/return', verifyJWT, requestReturn);
+router.post('/:orderId/cod/confirm', verifyJWT, confirmCodOrder);
+router.post('/:orderId/cod/resend', verifyJWT, orderRateLimit, resendCodOtp);
+
+export default router;
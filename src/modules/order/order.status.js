@@ -0,0 +1,63 @@
+/**
+ * Order lifecycle.
+ *
+ *   PLACED ─▶ PAID ─▶ PACKED ─▶ SHIPPED ─▶ OUT_FOR_DELIVERY ─▶ DELIVERED ─▶ RETURN_REQUESTED ─▶ RETURNED
+ *
+ * COD orders skip PAID and go straight from PLACED to PACKED once the customer
+ * has confirmed them (see codService). Orders can be CANCELLED until they are
+ * handed to the courier, and a shipment that never reaches the customer (RTO)
+ * ends as RETURNED.
+ */
+export const ORDER_STATUS = Object.freeze({
+  PLACED: 'PLACED',
+  PAID: 'PAID',
+  PACKED: 'PACKED',
+  SHIPPED: 'SHIPPED',
+  OUT_FOR_DELIVERY: 'OUT_FOR_DELIVERY',
+  DELIVERED: 'DELIVERED',
+  CANCELLED: 'CANCELLED',
+  RETURN_REQUESTED: 'RETURN_REQUESTED',
+  RETURNED: 'RETURNED'
+});
+
+export const ORDER_TRANSITIONS = Object.freeze({
+  PLACED: ['PAID', 'PACKED', 'CANCELLED'],
+  PAID: ['PACKED', 'CANCELLED'],
+  PACKED: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['OUT_FOR_DELIVERY', 'DELIVERED', 'RETURNED'],
+  OUT_FOR_DELIVERY: ['DELIVERED', 'RETURNED'],
+  DELIVERED: ['RETURN_REQUESTED'],
+  // A rejected return request puts the order back to DELIVERED
+  RETURN_REQUESTED: ['RETURNED', 'DELIVERED'],
+  CANCELLED: [],
+  RETURNED: []
+});
+
+// Statuses a seller may set by hand; the rest are driven by payments, customers and admins
+export const SELLER_SETTABLE_STATUSES = Object.freeze([
+  'PACKED',
+  'SHIPPED',
+  'OUT_FOR_DELIVERY',
+  'DELIVERED'
+]);
+
+export const CANCELLABLE_STATUSES = Object.freeze(['PLACED', 'PAID', 'PACKED']);
+
+/**
+ * Whether an order may move from one status to another.
+ *
+ * @param {object} order - Order document (needs `status` and `paymentMethod`).
+ * @param {string} to - Target status.
+ * @returns {boolean}
+ */
+export const canTransition = (order, to) => {
+  const allowed = ORDER_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(to)) return false;
+
+  // Prepaid orders must be paid before they can be packed, COD orders confirmed
+  if (order.status === 'PLACED' && to === 'PACKED') {
+    return order.paymentMethod === 'COD' && Boolean(order.finalizedAt);
+  }
+
+  return true;
+};
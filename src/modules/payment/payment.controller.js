@@ -1,35 +1,185 @@
 import { ApiError } from "../../utils/ApiError.js";
 import { asyncHandler } from "../../utils/asyncHandler.js";
-import { razorpay } from "../../utils/razorPay.js";
-import crypto from "crypto";
+import mongoose from "mongoose";
 import {Payment} from "./payment.model.js"
+import { Address } from "../address/address.models.js";
+import cartService from "../../services/cartService.js";
+import orderService from "../../services/orderService.js";
+import paymentGateway from "../../services/paymentGateway/index.js";
+import paymentWebhookService, {
+  CAPTURABLE_STATUSES,
+} from "../../services/paymentWebhookService.js";
+import walletService from "../../services/walletService.js";
+import reservationService from "../../services/reservationService.js";
+
+// How long a checkout quote's prices stay locked
+const QUOTE_TTL_MS = (parseInt(process.env.CHECKOUT_QUOTE_TTL_MINUTES) || 15) * 60 * 1000;
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+// Quote for a prepaid order that already exists; the order's totals are the price
+const quoteFromOrder = (order) => ({
+  items: order.items.map((item) => item.toObject()),
+  subTotal: order.subTotal,
+  discountCode: order.discountCode,
+  discountAmount: order.discountAmount,
+  shippingCost: order.shippingCost,
+  taxAmount: order.taxAmount,
+  taxBreakup: order.taxBreakup,
+  totalAmount: order.totalAmount,
+  currency: order.currency,
+  addressId: order.shippingAddress?.addressId,
+  fingerprint: `order:${order._id}`,
+});
 
 const checkout = asyncHandler(async (req, res) => {
   try {
-    const { amount } = req.body;
+    const { addressId, orderId, useWallet } = req.body;
+    const userId = req.user._id;
+    const sessionId = req.sessionID || req.headers["x-session-id"] || "anonymous";
 
-    const options = {
-      amount: amount * 100, // Razorpay uses paise
-      currency: "INR",
-    };
+    let order = null;
+    let quote;
 
-    const order = await razorpay.orders.create(options)
-    ;
+    if (orderId) {
+      // Paying for (or retrying payment of) an order placed earlier
+      order = await orderService.getPayableOrder(orderId, userId);
+      quote = quoteFromOrder(order);
+    } else {
+      // Shipping is priced and checked for serviceability against the real
+      // address; without one the quote would carry the fallback rate
+      if (!addressId) {
+        throw new ApiError(400, "addressId is required to check out");
+      }
+      const address = await Address.findOne({ _id: addressId, userId });
+      if (!address) {
+        throw new ApiError(404, "Shipping address not found");
+      }
+
+      // Amount always comes from the server-side quote, never from the client
+      quote = await cartService.buildQuote(userId, sessionId, {
+        state: address.state,
+        pincode: address.postalCode,
+      });
+      quote.addressId = address._id;
+    }
 
-    //  Save new payment entry
-    await Payment.create({
-      razorpayOrderId: order.id,
-      amount,
-      currency: "INR",
+    if (quote.totalAmount <= 0) {
+      throw new ApiError(400, "Nothing to pay for");
+    }
+
+    // Store credit applies to new carts only; an existing order keeps its split
+    const walletRequested = Boolean(useWallet) && !order;
+
+    // Same cart checked out again inside the lock window: reuse that Razorpay order
+    const lockedPayment = await Payment.findOne({
+      userId,
       status: "created",
-      userId: req.user?._id,
-     emailAtPayment:req.user?.email // optional, only if you're using auth
+      "quote.fingerprint": quote.fingerprint,
+      "quote.addressId": quote.addressId,
+      "quote.expiresAt": { $gt: new Date() },
+      walletAmount: walletRequested ? { $gt: 0 } : { $in: [0, null] },
     });
 
-    res.status(200).json({ success: true, order });
+    if (lockedPayment) {
+      // Picks the hold back up if it lapsed, as long as the stock is still there
+      await reservationService.hold(quote.items, {
+        userId,
+        cartId: quote.cartId,
+        paymentId: lockedPayment._id,
+        orderId: order?._id,
+        expiresAt: lockedPayment.quote.expiresAt,
+      });
+
+      return res.status(200).json({
+        success: true,
+        order: {
+          id: lockedPayment.razorpayOrderId,
+          amount: toPaise(lockedPayment.amount),
+          currency: lockedPayment.currency,
+        },
+        quote: lockedPayment.quote,
+      });
+    }
+
+    const walletAmount = walletRequested
+      ? Math.min(await walletService.getBalance(userId), quote.totalAmount)
+      : 0;
+
+    // The wallet covers everything: the client places the order with useWallet
+    // and Razorpay is never involved
+    if (walletAmount > 0 && walletAmount >= quote.totalAmount) {
+      return res.status(200).json({ success: true, walletOnly: true, quote });
+    }
+
+    // Hold the units for as long as the quote is locked
+    const paymentId = new mongoose.Types.ObjectId();
+    const expiresAt = new Date(Date.now() + QUOTE_TTL_MS);
+    await reservationService.hold(quote.items, {
+      userId,
+      cartId: quote.cartId,
+      paymentId,
+      orderId: order?._id,
+      expiresAt,
+    });
+
+    // Hold the wallet share now; it is given back if the checkout is abandoned
+    if (walletAmount > 0) {
+      await walletService.debit(userId, walletAmount, {
+        source: "checkout",
+        description: "Applied at checkout",
+        reference: { kind: "Payment", id: paymentId },
+        idempotencyKey: `payment:${paymentId}`,
+      });
+    }
+
+    const gatewayAmount = Math.round((quote.totalAmount - walletAmount) * 100) / 100;
+
+    let razorpayOrder;
+    try {
+      razorpayOrder = await paymentGateway.createOrder({
+        amount: toPaise(gatewayAmount), // gateway amounts are in paise
+        currency: quote.currency,
+        receipt: order?.orderNumber,
+        notes: { userId: userId.toString() },
+      });
+    } catch (error) {
+      await reservationService.releaseForPayment(paymentId, "checkout_failed");
+      if (walletAmount > 0) {
+        await walletService.credit(userId, walletAmount, {
+          source: "checkout_reversal",
+          description: "Checkout could not be started",
+          reference: { kind: "Payment", id: paymentId },
+          idempotencyKey: `payment:${paymentId}:reversal`,
+        });
+      }
+      throw error;
+    }
+
+    //  Save new payment entry with the locked quote
+    const payment = await Payment.create({
+      _id: paymentId,
+      razorpayOrderId: razorpayOrder.id,
+      amount: gatewayAmount,
+      walletAmount,
+      currency: quote.currency,
+      status: "created",
+      userId,
+      orderRef: order?._id,
+      emailAtPayment: req.user.email,
+      quote: { ...quote, expiresAt },
+    });
+
+    if (order) {
+      order.payment = payment._id;
+      await order.save();
+    }
+
+    res.status(200).json({ success: true, order: razorpayOrder, quote: payment.quote });
   } catch (error) {
     console.error(error);
-    throw new ApiError(500, error, "Error in the payments section");
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(500, "Error in the payments section");
   }
 });
 
@@ -41,57 +191,113 @@ const paymentVerification = asyncHandler(async (req, res) => {
       throw new ApiError(400, "Missing payment verification fields");
     }
 
-    const secret = process.env.RAZORPAY_API_SECRET;
-
-    const generated_signature = crypto
-      .createHmac("sha256", secret)
-      .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-      .digest("hex");
+    const signatureValid = paymentGateway.verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
+    });
 
-    if (generated_signature !== razorpay_signature) {
+    if (!signatureValid) {
       return res.status(400).send("Invalid payment signature");
     }
 
-    //  Update payment status and save payment ID + signature
-    await Payment.findOneAndUpdate(
-      { razorpayOrderId: razorpay_order_id },
+    let payment = await Payment.findOne({
+      razorpayOrderId: razorpay_order_id,
+      userId: req.user._id,
+    });
+
+    if (!payment) {
+      throw new ApiError(404, "Payment not found");
+    }
+
+    // Prove the money received is exactly the quoted amount
+    let gatewayPayment = await paymentGateway.fetchPayment(razorpay_payment_id);
+    if (
+      gatewayPayment.order_id !== razorpay_order_id ||
+      gatewayPayment.amount !== toPaise(payment.amount)
+    ) {
+      console.error("Payment amount mismatch", {
+        razorpayOrderId: razorpay_order_id,
+        expected: toPaise(payment.amount),
+        received: gatewayPayment.amount,
+      });
+      throw new ApiError(400, "Payment amount does not match checkout quote");
+    }
+
+    // Accounts without auto-capture leave the payment authorized
+    if (gatewayPayment.status === "authorized") {
+      gatewayPayment = await paymentGateway.capture(
+        razorpay_payment_id,
+        gatewayPayment.amount,
+        gatewayPayment.currency
+      );
+    }
+
+    if (gatewayPayment.status !== "captured") {
+      throw new ApiError(400, `Payment is ${gatewayPayment.status}, not captured`);
+    }
+
+    //  Update payment status and save payment ID + signature. The signature
+    //  never expires, so a replayed call must not undo a refund.
+    const captured = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: CAPTURABLE_STATUSES } },
       {
-        razorpayPaymentId: razorpay_payment_id,
-        razorpaySignature: razorpay_signature,
-        status: "captured",
-      }
+        $set: {
+          razorpayPaymentId: razorpay_payment_id,
+          razorpaySignature: razorpay_signature,
+          status: "captured",
+        },
+      },
+      { new: true }
     );
+    if (!captured) {
+      payment = await Payment.findById(payment._id);
+      return res.status(200).json({ success: true, orderId: payment.orderRef });
+    }
 
-    res.status(200).json({ success: true });
+    // The webhook may have got here first; finalization only happens once
+    const order = await orderService.handlePaymentCaptured(captured);
+
+    res.status(200).json({ success: true, orderId: order?._id });
   } catch (error) {
     console.error(error);
+    if (error instanceof ApiError) throw error;
     throw new ApiError(500, "Error handling payment verification");
   }
 });
 
-const transactionVerification = asyncHandler(async (req, res) => {
-  try {
-    const orderId = req.body.payload?.payment?.entity?.order_id;
-    const paymentId = req.body.payload?.payment?.entity?.id;
-
-    if (!(orderId && paymentId)) {
-      throw new ApiError(500, "Incomplete webhook data");
-    }
+// Local development only (fake gateway): pay a gateway order, deliver the
+// matching webhook and hand back what the checkout widget would post to
+// /paymentcallback.
+const simulateGatewayPayment = asyncHandler(async (req, res) => {
+  const { razorpayOrderId } = req.params;
+  const { status = "captured" } = req.body;
 
-    //  Optionally update status here (for extra safety via webhook)
-    await Payment.findOneAndUpdate(
-      { razorpayOrderId: orderId },
-      {
-        razorpayPaymentId: paymentId,
-        status: "captured",
-      }
-    );
+  const payment = await Payment.findOne({ razorpayOrderId, userId: req.user._id });
+  if (!payment) {
+    throw new ApiError(404, "Payment not found");
+  }
 
-    res.status(200).send("Webhook received successfully");
+  let result;
+  try {
+    result = paymentGateway.pay(razorpayOrderId, { status });
   } catch (error) {
-    console.error(error);
-    throw new ApiError(500, "Error verifying transaction");
+    throw new ApiError(error.statusCode || 400, error.message);
   }
+
+  if (status !== "authorized") {
+    const event = status === "failed" ? "payment.failed" : "payment.captured";
+    await paymentWebhookService.ingest(
+      paymentGateway.buildWebhook(event, { payment: result.payment })
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    razorpay_order_id: razorpayOrderId,
+    razorpay_payment_id: result.payment.id,
+    razorpay_signature: result.signature,
+  });
 });
 
-export { checkout, paymentVerification, transactionVerification };
+export { checkout, paymentVerification, simulateGatewayPayment };
@@ -1,25 +1,167 @@
 import mongoose,{Schema} from "mongoose";
 
+// Server-side price of the cart at checkout. Razorpay is charged exactly
+// `totalAmount`, and the order is built from these lines, not from the live cart.
+const quoteSchema = new Schema(
+  {
+    cartId: { type: Schema.Types.ObjectId, ref: "Cart" },
+    items: [
+      {
+        _id: false,
+        productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+        sellerId: { type: Schema.Types.ObjectId, ref: "User" },
+        name: String,
+        image: String,
+        variantId: Schema.Types.ObjectId,
+        sku: String,
+        price: { type: Number, required: true },
+        quantity: { type: Number, required: true },
+        selectedVariant: {
+          size: String,
+          flavour: String,
+          color: String,
+          material: String,
+        },
+        hsnCode: String,
+        gstRate: Number,
+        priceIncludesTax: Boolean,
+        taxableValue: Number,
+        taxAmount: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+      },
+    ],
+    subTotal: Number,
+    discountCode: String,
+    discountAmount: { type: Number, default: 0 },
+    coupons: [
+      {
+        _id: false,
+        coupon: { type: Schema.Types.ObjectId, ref: "Coupon" },
+        code: String,
+        type: { type: String },
+        amount: Number,
+        shippingDiscount: Number,
+      },
+    ],
+    addressId: { type: Schema.Types.ObjectId, ref: "Address" }, // where shipping was priced to
+    shippingCost: { type: Number, default: 0 },
+    shippingDiscount: { type: Number, default: 0 },
+    // One per seller, priced at the cheapest courier (see shippingService)
+    shipments: [
+      {
+        _id: false,
+        sellerId: { type: Schema.Types.ObjectId, ref: "User" },
+        warehouseId: { type: Schema.Types.ObjectId, ref: "Warehouse" },
+        pickupLocation: String,
+        pickupPincode: String,
+        items: [
+          {
+            _id: false,
+            productId: { type: Schema.Types.ObjectId, ref: "Product" },
+            name: String,
+            quantity: Number,
+          },
+        ],
+        value: Number,
+        weight: Number, // kg
+        volumetricWeight: Number,
+        chargeableWeight: Number,
+        parcels: [
+          {
+            _id: false,
+            length: Number, // cm
+            breadth: Number,
+            height: Number,
+            weight: Number, // kg
+          },
+        ],
+        courier: String,
+        courierId: Number,
+        etd: String,
+        rate: Number,
+        freeShippingAbove: Number,
+        free: Boolean,
+        estimated: Boolean, // fallback rate, Shiprocket was unreachable
+        cost: Number,
+      },
+    ],
+    taxAmount: { type: Number, default: 0 },
+    taxBreakup: {
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      included: Number,
+      stateTaxType: String,
+    },
+    totalAmount: { type: Number, required: true },
+    currency: { type: String, default: "INR" },
+    fingerprint: String,
+    expiresAt: { type: Date, required: true }, // price lock window
+  },
+  { _id: false }
+);
+
+// One Razorpay refund against this payment; status follows refund.* webhooks
+const refundSchema = new Schema(
+  {
+    refundId: { type: String, required: true },
+    amount: { type: Number, required: true }, // INR
+    status: {
+      type: String,
+      enum: ["pending", "processed", "failed"],
+      default: "pending",
+    },
+    reason: { type: String, enum: ["return", "cancellation"] },
+    returnId: { type: Schema.Types.ObjectId, ref: "Return" },
+    initiatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    processedAt: Date,
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
 const paymentSchema = new Schema(
   {
     razorpayOrderId: { type: String, required: true, index: true },
     razorpayPaymentId: String,
     razorpaySignature: String,
-    amount: { type: Number, required: true },
+    amount: { type: Number, required: true }, // charged through the gateway
+    walletAmount: { type: Number, default: 0 }, // rest of the quote, paid from store credit
     currency: { type: String, default: "INR" },
     status: {
       type: String,
-      enum: ["created", "captured", "failed", "refunded"],
+      // expired: abandoned checkout closed by reconciliation
+      enum: ["created", "captured", "failed", "expired", "partially_refunded", "refunded"],
       default: "created",
     },
     userId: { type: Schema.Types.ObjectId, ref: "User", },
-   // orderRef: { type: Schema.Types.ObjectId, ref: "Order" },
-    refundId: String,
+    orderRef: { type: Schema.Types.ObjectId, ref: "Order", index: true },
+    quote: quoteSchema,
+    refundId: String, // latest refund
+    refundedAmount: { type: Number, default: 0 }, // settled refunds, INR
+    refunds: [refundSchema],
+    failureReason: String,
     emailAtPayment:String,
   },
   { timestamps: true }
 );
 
 paymentSchema.index({ createdAt: -1 })
+paymentSchema.index({ userId: 1, status: 1, "quote.fingerprint": 1 })
+paymentSchema.index({ "refunds.refundId": 1 })
+
+paymentSchema.methods.isQuoteLocked = function () {
+  return !!this.quote && this.quote.expiresAt > new Date();
+};
+
+// Amount still available to refund, counting refunds that are in flight
+paymentSchema.methods.refundableAmount = function () {
+  const committed = this.refunds
+    .filter((refund) => refund.status !== "failed")
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(Math.round((this.amount - committed) * 100) / 100, 0);
+};
 
 export const  Payment= mongoose.model("Payment", paymentSchema);
@@ -3,10 +3,21 @@ import express from "express";
 import {
   checkout,
   paymentVerification,
-  transactionVerification,
+  simulateGatewayPayment,
 } from "./payment.controller.js";
 import { verifyJWT } from "../../middlewares/auth.middleware.js";
-import { razorpayWebhook } from "./razorpay.webhook.js";
+import { verifyRole } from "../../middlewares/role.middleware.js";
+import {
+  runReconciliation,
+  listReconciliationReports,
+  getReconciliationReport,
+} from "./reconciliation.controller.js";
+import paymentGateway from "../../services/paymentGateway/index.js";
+import {
+  razorpayWebhook,
+  listWebhookEvents,
+  replayWebhookEvent,
+} from "./razorpay.webhook.js";
 const paymentRouter = Router();
 
 paymentRouter.route("/paid").post(verifyJWT,checkout);
@@ -14,5 +25,17 @@ paymentRouter.route("/paid").post(verifyJWT,checkout);
 paymentRouter.route("/paymentcallback").post(verifyJWT,paymentVerification);
 paymentRouter.route("/razorpay").post(express.raw({ type: "application/json" }),razorpayWebhook); // razorpayWebhook
 
-paymentRouter.route("/paymentVerification").post(transactionVerification);
+// Legacy webhook URL; goes through the same signature check and event store
+paymentRouter.route("/paymentVerification").post(express.raw({ type: "application/json" }),razorpayWebhook);
+
+paymentRouter.route("/webhooks").get(verifyJWT, verifyRole(["admin", "superadmin"]), listWebhookEvents);
+paymentRouter.route("/webhooks/:eventId/replay").post(verifyJWT, verifyRole(["admin", "superadmin"]), replayWebhookEvent);
+
+paymentRouter.route("/reconciliation").get(verifyJWT, verifyRole(["admin", "superadmin"]), listReconciliationReports);
+paymentRouter.route("/reconciliation/run").post(verifyJWT, verifyRole(["admin", "superadmin"]), runReconciliation);
+paymentRouter.route("/reconciliation/:reportId").get(verifyJWT, verifyRole(["admin", "superadmin"]), getReconciliationReport);
+
+if (paymentGateway.name === "fake") {
+  paymentRouter.route("/fake/:razorpayOrderId/pay").post(verifyJWT, simulateGatewayPayment);
+}
 export default paymentRouter;
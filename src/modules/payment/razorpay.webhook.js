@@ -1,52 +1,44 @@
-import crypto from "crypto";
-import { Payment } from "./payment.model.js";
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import paymentWebhookService from '../../services/paymentWebhookService.js';
 
 export const razorpayWebhook = async (req, res) => {
-  try {
-    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    const razorpaySignature = req.headers["x-razorpay-signature"];
-
-    // 🔐 Verify signature
-    const expectedSignature = crypto
-      .createHmac("sha256", webhookSecret)
-      .update(req.body)
-      .digest("hex");
-
-    if (expectedSignature !== razorpaySignature) {
-      return res.status(400).send("Invalid signature");
-    }
+  // express.json keeps the exact bytes Razorpay signed in req.rawBody
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : req.rawBody;
 
-    const event = JSON.parse(req.body.toString());
-
-    //  Handle payment success
-    if (event.event === "payment.captured") {
-      const payment = event.payload.payment.entity;
-
-      await Payment.findOneAndUpdate(
-        { razorpayOrderId: payment.order_id },
-        {
-          razorpayPaymentId: payment.id,
-          status: "captured",
-        }
-      );
-    }
-
-    //  Handle payment failure
-    if (event.event === "payment.failed") {
-      const payment = event.payload.payment.entity;
+  if (!rawBody) {
+    return res.status(400).send('Missing webhook body');
+  }
 
-      await Payment.findOneAndUpdate(
-        { razorpayOrderId: payment.order_id },
-        {
-          razorpayPaymentId: payment.id,
-          status: "failed",
-        }
-      );
-    }
+  try {
+    const { duplicate } = await paymentWebhookService.ingest({
+      rawBody,
+      headers: req.headers
+    });
 
-    return res.status(200).send("Webhook processed");
+    return res.status(200).send(duplicate ? 'Webhook already processed' : 'Webhook processed');
   } catch (err) {
-    console.error("Webhook error:", err);
-    return res.status(500).send("Webhook error");
+    if (err.statusCode && err.statusCode < 500) {
+      return res.status(err.statusCode).send(err.message);
+    }
+    // Non-2xx makes Razorpay retry; the stored event tracks the attempts
+    console.error('Webhook error:', err);
+    return res.status(500).send('Webhook error');
   }
 };
+
+export const listWebhookEvents = asyncHandler(async (req, res) => {
+  const { status, event } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const result = await paymentWebhookService.listEvents({ status, event, page, limit });
+  return res.status(200).json(new ApiResponse(200, result, 'Webhook events fetched'));
+});
+
+export const replayWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await paymentWebhookService.replay(req.params.eventId, req.user._id);
+  const message =
+    event.status === 'failed' ? 'Replay failed, see lastError' : 'Webhook event replayed';
+  return res.status(200).json(new ApiResponse(200, event, message));
+});
@@ -0,0 +1,55 @@
+import { ApiError } from "../../utils/ApiError.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import reconciliationService from "../../services/reconciliationService.js";
+
+const parseDate = (value, field) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `Invalid ${field} date`);
+  }
+  return date;
+};
+
+// Run a reconciliation now, optionally for a custom window
+export const runReconciliation = asyncHandler(async (req, res) => {
+  const report = await reconciliationService.run({
+    from: parseDate(req.body.from, "from"),
+    to: parseDate(req.body.to, "to"),
+    trigger: "manual",
+    triggeredBy: req.user._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, report, "Reconciliation completed"));
+});
+
+export const listReconciliationReports = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const result = await reconciliationService.listReports({ page, limit });
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Reconciliation reports fetched"));
+});
+
+// ?format=csv downloads the mismatches as a spreadsheet
+export const getReconciliationReport = asyncHandler(async (req, res) => {
+  const report = await reconciliationService.getReport(req.params.reportId);
+
+  if (req.query.format === "csv") {
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="reconciliation-${report._id}.csv"`
+    );
+    return res.status(200).send(reconciliationService.toCsv(report));
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, report, "Reconciliation report fetched"));
+});
@@ -0,0 +1,68 @@
+import mongoose, { Schema } from "mongoose";
+
+export const MISMATCH_TYPES = [
+  "AMOUNT_MISMATCH", // gateway charged a different amount than we quoted
+  "MISSED_CAPTURE", // captured at the gateway, still created/failed here
+  "ORPHAN_CAPTURE", // captured but no order was ever placed for it
+  "UNKNOWN_GATEWAY_PAYMENT", // gateway payment for an order we have no record of
+  "MISSING_AT_GATEWAY", // captured here, not found at the gateway
+  "REFUND_MISMATCH", // refunded totals differ between gateway and us
+];
+
+const mismatchSchema = new Schema(
+  {
+    type: { type: String, enum: MISMATCH_TYPES, required: true },
+    payment: { type: Schema.Types.ObjectId, ref: "Payment" },
+    orderRef: { type: Schema.Types.ObjectId, ref: "Order" },
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    localStatus: String,
+    gatewayStatus: String,
+    expectedAmount: Number, // INR
+    gatewayAmount: Number, // INR
+    localRefunded: Number,
+    gatewayRefunded: Number,
+    details: String,
+  },
+  { _id: false }
+);
+
+const reconciliationReportSchema = new Schema(
+  {
+    trigger: { type: String, enum: ["scheduled", "manual"], required: true },
+    runDate: String, // YYYY-MM-DD, one scheduled run per day
+    triggeredBy: { type: Schema.Types.ObjectId, ref: "User" },
+    window: {
+      from: { type: Date, required: true },
+      to: { type: Date, required: true },
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    summary: {
+      gatewayPayments: { type: Number, default: 0 },
+      localPayments: { type: Number, default: 0 },
+      mismatches: { type: Number, default: 0 },
+      expired: { type: Number, default: 0 },
+    },
+    mismatches: [mismatchSchema],
+    expiredPayments: [{ type: Schema.Types.ObjectId, ref: "Payment" }],
+    error: String,
+    finishedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Several app instances may fire the daily job; only one gets to run it
+reconciliationReportSchema.index(
+  { runDate: 1 },
+  { unique: true, partialFilterExpression: { trigger: "scheduled" } }
+);
+reconciliationReportSchema.index({ createdAt: -1 });
+
+export const ReconciliationReport = mongoose.model(
+  "ReconciliationReport",
+  reconciliationReportSchema
+);
@@ -0,0 +1,42 @@
+import mongoose, { Schema } from 'mongoose';
+
+// Every Razorpay webhook delivery we receive, kept for audit and replay
+const webhookEventSchema = new Schema(
+  {
+    eventId: { type: String, required: true }, // x-razorpay-event-id
+    event: { type: String, index: true }, // e.g. payment.captured
+    provider: { type: String, default: 'razorpay' },
+    payload: { type: Schema.Types.Mixed },
+    rawBody: String,
+    signatureValid: { type: Boolean, required: true },
+    status: {
+      type: String,
+      enum: ['received', 'processing', 'processed', 'failed', 'ignored', 'rejected'],
+      default: 'received',
+      index: true
+    },
+    attempts: { type: Number, default: 0 },
+    deliveries: { type: Number, default: 0 }, // how many times Razorpay sent it
+    lastError: String,
+    processedAt: Date,
+    replays: [
+      {
+        _id: false,
+        replayedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+        replayedAt: { type: Date, default: Date.now },
+        result: String
+      }
+    ]
+  },
+  { timestamps: true }
+);
+
+// Only signed events are de-duplicated; forged deliveries are kept for audit
+// without being able to squat on a real event id.
+webhookEventSchema.index(
+  { eventId: 1 },
+  { unique: true, partialFilterExpression: { signatureValid: true } }
+);
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+export const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -4,8 +4,90 @@ import { ApiResponse } from '../../utils/ApiResponse.js';
 import { Product } from './product.models.js';
 import { uploadOnCloudinary } from '../../utils/cloudinary.js';
 import detectObjects from '../../utils/detect.object.js';
+import inventoryService from '../../services/inventoryService.js';
+import stockAlertService from '../../services/stockAlertService.js';
+import batchService from '../../services/batchService.js';
+import variantService from '../../services/variantService.js';
+import searchService from '../../services/searchService.js';
+import suggestService from '../../services/suggestService.js';
+import searchAnalyticsService from '../../services/searchAnalyticsService.js';
+import { NUTRITION_BADGE, BADGE_RULES_KEY, nutritionBadges } from '../../utils/nutrition.js';
 import fs from 'fs';
 
+// Weight and package size, when sent; multipart bodies carry them as strings
+const packagingFields = (body) => {
+  const fields = {};
+  for (const key of ["netWeight", "grossWeight"]) {
+    if (body[key] !== undefined && body[key] !== "") fields[key] = Number(body[key]);
+  }
+
+  if (body.packageDimensions !== undefined) {
+    let dimensions = body.packageDimensions;
+    try {
+      if (typeof dimensions === "string") dimensions = JSON.parse(dimensions);
+    } catch {
+      throw new ApiError(400, "packageDimensions must be an object of length, breadth and height");
+    }
+    fields.packageDimensions = {
+      length: Number(dimensions?.length),
+      breadth: Number(dimensions?.breadth),
+      height: Number(dimensions?.height),
+    };
+    if (Object.values(fields.packageDimensions).some((side) => !(side > 0))) {
+      throw new ApiError(400, "packageDimensions needs a positive length, breadth and height in cm");
+    }
+  }
+
+  if (fields.grossWeight !== undefined && fields.grossWeight < (fields.netWeight ?? 0)) {
+    throw new ApiError(400, "grossWeight cannot be less than netWeight");
+  }
+  return fields;
+};
+
+const NUTRITION_PATHS = [
+  "energy.calories",
+  "macros.protein",
+  "macros.carbs",
+  "macros.sugar",
+  "macros.fat",
+  "macros.fibre",
+  "micros.vitamins.vitaminA",
+  "micros.vitamins.vitaminB12",
+  "micros.vitamins.vitaminC",
+  "micros.vitamins.vitaminD",
+  "micros.vitamins.vitaminE",
+  "micros.vitamins.vitaminK",
+  "micros.minerals.sodium",
+  "micros.minerals.calcium",
+  "micros.minerals.iron",
+  "micros.minerals.potassium",
+  "micros.minerals.magnesium",
+  "micros.minerals.zinc",
+];
+
+// A full nutrition panel from what was sent; values not sent keep `current`'s, or stay
+// null when unknown so they can't pass a low-sugar or low-sodium check as 0
+const nutritionFields = (raw, current = {}) => {
+  const read = (source, path) => path.split(".").reduce((value, key) => value?.[key], source);
+  const nutrition = { basis: raw.basis ?? current.basis ?? "100g" };
+  if (!["100g", "serving"].includes(nutrition.basis)) {
+    throw new ApiError(400, "nutrition.basis must be 100g or serving");
+  }
+
+  for (const path of NUTRITION_PATHS) {
+    const sent = read(raw, path);
+    const value =
+      sent === undefined || sent === null || sent === "" ? read(current, path) ?? null : Number(sent);
+    if (value !== null && (!Number.isFinite(value) || value < 0)) {
+      throw new ApiError(400, `nutrition.${path} must be a number of at least 0`);
+    }
+    const keys = path.split(".");
+    const parent = keys.slice(0, -1).reduce((node, key) => (node[key] ??= {}), nutrition);
+    parent[keys.at(-1)] = value;
+  }
+  return nutrition;
+};
+
 const addProduct = asyncHandler(async (req, res) => {
   const {
     name,
@@ -17,6 +99,10 @@ const addProduct = asyncHandler(async (req, res) => {
     brand,
     stocks,
 
+    hsnCode,
+    gstRate,
+    priceIncludesTax,
+
     ingredients,
     allergens,
     tags,
@@ -32,8 +118,10 @@ const addProduct = asyncHandler(async (req, res) => {
   } = req.body;
 
   /* ───────── Validation ───────── */
-  if (!name?.trim() || !price || !Category || stocks === undefined) {
-    throw new ApiError(400, "Name, price, category and stocks are required");
+  // Products with variants take their price and stock from the variants
+  const variants = await variantService.forNewProduct(req.body.variants);
+  if (!name?.trim() || !Category || (!variants.length && (!price || stocks === undefined))) {
+    throw new ApiError(400, "Name, price, category and stocks (or variants) are required");
   }
 
   const exists = await Product.findOne({ name: name.trim() });
@@ -81,10 +169,11 @@ const addProduct = asyncHandler(async (req, res) => {
       ? val.split(",").map((v) => v.trim()).filter(Boolean)
       : [];
 
-  const num = (v) => (v === undefined || v === null ? 0 : Number(v));
-
   /* ───────── Pricing Logic ───────── */
-  const basePrice = Number(price);
+  const activePrices = variants.filter((v) => v.isActive !== false).map((v) => v.price);
+  const basePrice = variants.length
+    ? Math.min(...(activePrices.length ? activePrices : variants.map((v) => v.price)))
+    : Number(price);
   const baseOriginalPrice = originalPrice || basePrice;
 
   const discount =
@@ -95,40 +184,7 @@ const addProduct = asyncHandler(async (req, res) => {
       : 0;
 
   /* ───────── Nutrition Normalization (NEW) ───────── */
-  const rawNutrition = parseJSON(nutrition) || {};
-
-  const normalizedNutrition = {
-    energy: {
-      calories: num(rawNutrition?.energy?.calories),
-    },
-
-    macros: {
-      protein: num(rawNutrition?.macros?.protein),
-      carbs: num(rawNutrition?.macros?.carbs),
-      sugar: num(rawNutrition?.macros?.sugar),
-      fat: num(rawNutrition?.macros?.fat),
-      fibre: num(rawNutrition?.macros?.fibre),
-    },
-
-    micros: {
-      vitamins: {
-        vitaminA: num(rawNutrition?.micros?.vitamins?.vitaminA),
-        vitaminB12: num(rawNutrition?.micros?.vitamins?.vitaminB12),
-        vitaminC: num(rawNutrition?.micros?.vitamins?.vitaminC),
-        vitaminD: num(rawNutrition?.micros?.vitamins?.vitaminD),
-        vitaminE: num(rawNutrition?.micros?.vitamins?.vitaminE),
-        vitaminK: num(rawNutrition?.micros?.vitamins?.vitaminK),
-      },
-      minerals: {
-        sodium: num(rawNutrition?.micros?.minerals?.sodium),
-        calcium: num(rawNutrition?.micros?.minerals?.calcium),
-        iron: num(rawNutrition?.micros?.minerals?.iron),
-        potassium: num(rawNutrition?.micros?.minerals?.potassium),
-        magnesium: num(rawNutrition?.micros?.minerals?.magnesium),
-        zinc: num(rawNutrition?.micros?.minerals?.zinc),
-      },
-    },
-  };
+  const normalizedNutrition = nutritionFields(parseJSON(nutrition) || {});
 
   /* ───────── Product Object ───────── */
   const productData = {
@@ -142,7 +198,14 @@ const addProduct = asyncHandler(async (req, res) => {
     subcategory,
     brand,
 
-    stocks,
+    stocks: variants.length ? variants.reduce((sum, v) => sum + v.stocks, 0) : stocks,
+    variants,
+
+    hsnCode,
+    gstRate: gstRate === undefined || gstRate === "" ? undefined : Number(gstRate),
+    priceIncludesTax: priceIncludesTax === undefined ? undefined : String(priceIncludesTax) !== "false",
+
+    ...packagingFields(req.body),
 
     ProductImage: uploadedMainImage.url,
     images: galleryImages,
@@ -168,6 +231,9 @@ const addProduct = asyncHandler(async (req, res) => {
   };
 
   const product = await Product.create(productData);
+  await inventoryService.openLedger(product, req.user);
+  // Listed with an expiry date: the opening stock becomes its first batch
+  await batchService.openBatch(product, req.body.batchNumber);
 
   return res.status(201).json(
     new ApiResponse(201, product, "Product added successfully")
@@ -176,24 +242,37 @@ const addProduct = asyncHandler(async (req, res) => {
 
 
 
-const searchresult = asyncHandler(async (req, res) => {
-  const { name } = req.body;
-    console.log(name);
+// GET /api/v1/products/search?q=&Category=&brand=&minPrice=&dietary=&sort=&cursor=...
+const searchProducts = asyncHandler(async (req, res) => {
+  const result = await searchService.search(req.query, {
+    userId: req.user?._id,
+    sessionId: req.sessionID || req.headers["x-session-id"],
+  });
 
-  const result = await Product.aggregate([
-    {
-      $match: {
-        name: {
-          $regex: name,
-          $options: 'i'
-        }
-      }
-    }
-  ]);
-  console.log(result)
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Products fetched successfully"));
+});
+
+// POST /api/v1/products/search/:searchId/click { productId, position } — a result was opened;
+// sent with the same token or session the search was made with
+const recordSearchClick = asyncHandler(async (req, res) => {
+  const recorded = await searchAnalyticsService.recordClick(req.params.searchId, req.body, {
+    userId: req.user?._id,
+    sessionId: req.sessionID || req.headers["x-session-id"],
+  });
 
-  return res.status(200)
-  .json(result );
+  const message = recorded ? "Click recorded" : "Click already recorded";
+  return res.status(200).json(new ApiResponse(200, { recorded }, message));
+});
+
+// GET /api/v1/products/suggest?q=prot — autocomplete while typing, with "did you mean"
+const getSearchSuggestions = asyncHandler(async (req, res) => {
+  const result = await suggestService.suggest(req.query.q, { limit: req.query.limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Suggestions fetched successfully"));
 });
 
 export const searchByImage = async (req, res) => {
@@ -221,6 +300,18 @@ export const searchByImage = async (req, res) => {
 };
 
 const getProducts = asyncHandler(async (req, res) => {
+  // ?badges=high_protein,low_sugar lists products with every one of them
+  const badges = (req.query.badges ? String(req.query.badges).split(",") : [])
+    .map((badge) => badge.trim())
+    .filter(Boolean);
+  const unknown = badges.find((badge) => !Object.values(NUTRITION_BADGE).includes(badge));
+  if (unknown) {
+    throw new ApiError(
+      400,
+      `Unknown badge ${unknown}; use ${Object.values(NUTRITION_BADGE).join(", ")}`
+    );
+  }
+
   try {
     const { category } = req.query;
   
@@ -229,7 +320,8 @@ const getProducts = asyncHandler(async (req, res) => {
     if (category) {
   filter.Category = category;
 }
-    const products = await Product.find(filter).select("name price ProductImage rating reviewCount Category").lean();
+    if (badges.length) filter.nutritionBadges = { $all: badges };
+    const products = await Product.find(filter).select("name price ProductImage rating reviewCount Category nutritionBadges").lean();
 
     res.status(200).json(products);
   } catch (error) {
@@ -250,7 +342,8 @@ const getProductById = asyncHandler(async (req, res) => {
     return res.status(404).json({ message: "Product not found" });
   }
 
-  res.status(200).json(product);
+  // Variants with their own price, availability and nutrition per serving
+  res.status(200).json(variantService.present(product));
 });
 
 const getTrendingProduct = asyncHandler(async (req, res) => {
@@ -290,6 +383,57 @@ const updateProduct = asyncHandler(async (req, res) => {
       category: req.body.category || existingProduct.category
     };
 
+    // GST setup is only changed when sent
+    if (req.body.hsnCode !== undefined) updateData.hsnCode = req.body.hsnCode;
+    if (req.body.gstRate !== undefined) updateData.gstRate = Number(req.body.gstRate);
+    if (req.body.priceIncludesTax !== undefined) {
+      updateData.priceIncludesTax = String(req.body.priceIncludesTax) !== 'false';
+    }
+    Object.assign(updateData, packagingFields(req.body));
+    if (req.body.lowStockThreshold !== undefined && req.body.lowStockThreshold !== '') {
+      const threshold = Number(req.body.lowStockThreshold);
+      if (!Number.isInteger(threshold) || threshold < 0) {
+        throw new ApiError(400, 'lowStockThreshold must be a whole number of at least 0');
+      }
+      updateData.lowStockThreshold = threshold;
+    }
+
+    // A new nutrition panel, or serving size it is given per, earns its badges again
+    const current = existingProduct.toObject();
+    if (req.body.nutrition !== undefined) {
+      let nutrition = req.body.nutrition;
+      try {
+        if (typeof nutrition === 'string') nutrition = JSON.parse(nutrition);
+      } catch {
+        throw new ApiError(400, 'nutrition must be an object');
+      }
+      updateData.nutrition = nutritionFields(nutrition || {}, current.nutrition);
+    }
+    if (req.body.servingSize !== undefined) {
+      updateData['foodInfo.servingSize'] = String(req.body.servingSize).trim();
+    }
+    if (updateData.nutrition || updateData['foodInfo.servingSize'] !== undefined) {
+      updateData.nutritionBadges = nutritionBadges({
+        nutrition: updateData.nutrition ?? current.nutrition,
+        foodInfo: {
+          ...current.foodInfo,
+          servingSize: updateData['foodInfo.servingSize'] ?? current.foodInfo?.servingSize
+        }
+      });
+      updateData.nutritionBadgeRules = BADGE_RULES_KEY;
+    }
+
+    // A new stock figure is recorded as a counted adjustment, never written over
+    const counted =
+      req.body.stocks === undefined || req.body.stocks === '' ? undefined : Number(req.body.stocks);
+    if (counted !== undefined && (!Number.isInteger(counted) || counted < 0)) {
+      throw new ApiError(400, 'stocks must be a whole number of at least 0');
+    }
+
+    // Variants added or changed; a product with variants lists at its cheapest one
+    const variantsChanged = await variantService.applyChanges(id, req.body.variants);
+    if (variantsChanged || existingProduct.variants.length) delete updateData.price;
+
     const avatarlocalPath = req.file?.path;
 
     let uploadedAvatar;
@@ -306,11 +450,33 @@ const updateProduct = asyncHandler(async (req, res) => {
       updateData.ProductImage = existingProduct.ProductImage; // Keep old image if not provided
     }
 
+    if (counted !== undefined && (req.body.sku || counted !== existingProduct.stocks)) {
+      await inventoryService.adjust(id, {
+        counted,
+        // The variant counted, for products with variants
+        sku: req.body.sku,
+        actor: req.user,
+        note: req.body.stockNote || 'Stock updated from the product form'
+      });
+    }
+
     // Update product while keeping old values for fields not sent in req.body
-    const updatedProduct = await Product.findByIdAndUpdate(id, updateData, { new: true });
+    const updatedProduct = await Product.findByIdAndUpdate(id, updateData, {
+      new: true,
+      runValidators: true
+    });
+
+    // A new threshold can put the product below it without any stock moving
+    if (updatedProduct && updateData.lowStockThreshold !== undefined) {
+      stockAlertService
+        .check(updatedProduct.toObject())
+        .catch(error => console.error('Low-stock check failed:', error.message));
+    }
 
     res.json(updatedProduct);
   } catch (error) {
+    // Bad input keeps its status and message
+    if (error instanceof ApiError) throw error;
     console.error(error);
     res.status(500).json({ error: 'Error updating product' });
   }
@@ -361,7 +527,9 @@ export {
   getTrendingProduct,
   addProduct,
   getProducts,
-  searchresult,
+  searchProducts,
+  getSearchSuggestions,
+  recordSearchClick,
   deleteProduct,
   updateProduct,
   getSellerProduct,
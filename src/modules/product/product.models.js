@@ -1,4 +1,72 @@
 import mongoose, { Schema } from "mongoose";
+import { NUTRITION_BADGE, BADGE_RULES_KEY, nutritionBadges } from "../../utils/nutrition.js";
+
+// Cart selectedVariant keys a variant is told apart by
+export const VARIANT_OPTIONS = ["size", "flavour", "color", "material"];
+
+// Dietary flags a product can carry; search filters and counts every one
+export const DIETARY_FLAGS = [
+  "isVegan",
+  "isVegetarian",
+  "isGlutenFree",
+  "isKetoFriendly",
+  "isOrganic",
+  "isSugarFree",
+];
+
+/* ───────── Variants ───────── */
+// One sellable version of the product (e.g. the 500g chocolate pack) with
+// its own SKU, price and stock. Product.stocks and reservedStock are the sums
+// over the variants; the stock statics below keep both in step.
+const VariantSchema = new Schema(
+  {
+    sku: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      maxlength: 64,
+    },
+
+    // Pack size (250g, 1kg), flavour, and the cart's other options
+    size: { type: String, trim: true },
+    flavour: { type: String, trim: true },
+    color: { type: String, trim: true },
+    material: { type: String, trim: true },
+
+    price: { type: Number, required: true, min: 0 },
+    originalPrice: { type: Number, min: 0 },
+
+    stocks: { type: Number, default: 0, min: 0 },
+    reservedStock: { type: Number, default: 0, min: 0 },
+
+    images: [String],
+
+    // One packed unit of this variant (kg and cm); unset ones are the product's
+    netWeight: { type: Number, min: 0 },
+    grossWeight: { type: Number, min: 0 },
+    packageDimensions: {
+      length: { type: Number, min: 0 },
+      breadth: { type: Number, min: 0 },
+      height: { type: Number, min: 0 },
+    },
+
+    // Per-serving values that differ from the product's; unset ones are inherited
+    servingSize: String,
+    nutrition: {
+      calories: Number,
+      protein: Number, // g
+      carbs: Number, // g
+      sugar: Number, // g
+      fat: Number, // g
+      fibre: Number, // g
+      sodium: Number, // mg
+    },
+
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
 
 const ProductSchema = new Schema(
   {
@@ -6,7 +74,6 @@ const ProductSchema = new Schema(
     name: {
       type: String,
       required: true,
-      index: "text",
     },
 
     price: {
@@ -29,10 +96,7 @@ const ProductSchema = new Schema(
       max: 100,
     },
 
-    description: {
-      type: String,
-      index: "text",
-    },
+    description: String,
 
     ProductImage: {
       type: String,
@@ -65,6 +129,43 @@ const ProductSchema = new Schema(
       index: true,
     },
 
+    /* ───────── Tax (GST) ───────── */
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: [/^\d{4}(\d{2}){0,2}$/, "HSN code must be 4, 6 or 8 digits"],
+    },
+
+    // Percent; unset falls back to GST_DEFAULT_RATE
+    gstRate: {
+      type: Number,
+      enum: [0, 0.25, 3, 5, 12, 18, 28, 40],
+    },
+
+    // true: `price` already includes GST (MRP-style); false: GST is added at checkout
+    priceIncludesTax: {
+      type: Boolean,
+      default: true,
+    },
+
+    /* ───────── Shipping ───────── */
+    // Kilograms per unit: net is the contents, gross is the unit as packed
+    netWeight: {
+      type: Number,
+      min: 0,
+    },
+    grossWeight: {
+      type: Number,
+      min: 0,
+    },
+
+    // Centimetres, one packed unit
+    packageDimensions: {
+      length: { type: Number, min: 0 },
+      breadth: { type: Number, min: 0 },
+      height: { type: Number, min: 0 },
+    },
+
     /* ───────── Inventory ───────── */
     stocks: {
       type: Number,
@@ -72,10 +173,18 @@ const ProductSchema = new Schema(
       min: 0,
     },
 
+    // Units held by open checkouts; only stocks - reservedStock can be sold
+    reservedStock: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Whether any unit is available, i.e. not sold and not held
     inStock: {
       type: Boolean,
       default: function () {
-        return this.stocks > 0;
+        return this.stocks - (this.reservedStock || 0) > 0;
       },
       index: true,
     },
@@ -85,90 +194,100 @@ const ProductSchema = new Schema(
       default: 10,
     },
 
+    // Last stock level the seller was told about; see stockAlertService
+    stockAlert: {
+      level: { type: String, enum: ["ok", "low", "out_of_stock"], default: "ok" },
+      changedAt: Date,
+      notifiedAt: Date,
+      notifiedLevel: String,
+    },
+
+    // Near-expiry price while the batch it comes from is the next to be sold;
+    // kept up to date by batchService. With variants, only the batch's variant is marked down.
+    markdown: {
+      price: Number,
+      batch: { type: Schema.Types.ObjectId, ref: "StockBatch" },
+      variant: Schema.Types.ObjectId,
+      until: Date,
+    },
+
+    // Empty for products sold in one version only
+    variants: [VariantSchema],
+
     /* ───────── Nutrition (CRITICAL) ───────── */
  nutrition: {
+  // What the values below are for: 100g (or 100ml) of product, or one foodInfo.servingSize.
+  // A value the label doesn't give stays unset rather than counting as 0.
+  basis: {
+    type: String,
+    enum: ["100g", "serving"],
+    default: "100g",
+  },
+
   energy: {
     calories: {
       type: Number,
-      default: 0,
     },
   },
 
   macros: {
     protein: {
-      type: Number,
-      default: 0, // g
+      type: Number, // g
     },
     carbs: {
-      type: Number,
-      default: 0, // g
+      type: Number, // g
     },
     sugar: {
-      type: Number,
-      default: 0, // g (sub-carb)
+      type: Number, // g (sub-carb)
     },
     fat: {
-      type: Number,
-      default: 0, // g
+      type: Number, // g
     },
     fibre: {
-      type: Number,
-      default: 0, // g
+      type: Number, // g
     },
   },
 
   micros: {
     vitamins: {
       vitaminA: {
-        type: Number,
-        default: 0, // %
+        type: Number, // %
       },
       vitaminB12: {
-        type: Number,
-        default: 0, // %
+        type: Number, // %
       },
       vitaminC: {
-        type: Number,
-        default: 0, // %
+        type: Number, // %
       },
       vitaminD: {
-        type: Number,
-        default: 0, // %
+        type: Number, // %
       },
       vitaminE: {
-        type: Number,
-        default: 0, // %
+        type: Number, // %
       },
       vitaminK: {
-        type: Number,
-        default: 0, // %
+        type: Number, // %
       },
     },
 
     minerals: {
       sodium: {
-        type: Number,
-        default: 0, // mg
+        type: Number, // mg
       },
       calcium: {
-        type: Number,
-        default: 0, // %
+        type: Number, // %
       },
       iron: {
-        type: Number,
-        default: 0, // %
+        type: Number, // %
       },
       potassium: {
-        type: Number,
-        default: 0, // %
+        type: Number, // %
       },
       magnesium: {
-        type: Number,
-        default: 0, // %
+        type: Number, // %
       },
       zinc: {
-        type: Number,
-        default: 0, // %
+        type: Number, // %
       },
     },
   },
@@ -176,16 +295,17 @@ const ProductSchema = new Schema(
 
 
 
+    // Health badges the nutrition earns (per 100g, thresholds in utils/nutrition.js);
+    // recomputed on every save and when the thresholds change
+    nutritionBadges: {
+      type: [{ type: String, enum: Object.values(NUTRITION_BADGE) }],
+      index: true,
+    },
+    nutritionBadgeRules: String,
+
     /* ───────── Dietary Flags ───────── */
 
-    dietary: {
-      isVegan: Boolean,
-      isVegetarian: Boolean,
-      isGlutenFree: Boolean,
-      isKetoFriendly: Boolean,
-      isOrganic: Boolean,
-      isSugarFree: Boolean,
-    },
+    dietary: Object.fromEntries(DIETARY_FLAGS.map((flag) => [flag, Boolean])),
 
     /* ───────── Ingredients & Safety ───────── */
 
@@ -203,17 +323,9 @@ const ProductSchema = new Schema(
 
     /* ───────── Search & SEO ───────── */
 
-    tags: [
-      {
-        type: String,
-        index: "text",
-      },
-    ],
+    tags: [String],
 
-    searchKeywords: {
-      type: String,
-      index: "text",
-    },
+    searchKeywords: String,
 
     seoTitle: String,
     seoDescription: String,
@@ -249,6 +361,12 @@ const ProductSchema = new Schema(
       default: 0,
     },
 
+    // Clicks from search results over the last SEARCH_POPULARITY_DAYS; see searchAnalyticsService
+    searchClicks: {
+      type: Number,
+      default: 0,
+    },
+
     popularity: {
       type: Number,
       default: 0,
@@ -308,6 +426,7 @@ const ProductSchema = new Schema(
 );
 
 /* ───────── Indexes ───────── */
+// The only text index: a collection can have one, so fields mustn't declare their own
 ProductSchema.index({
   name: "text",
   description: "text",
@@ -331,8 +450,13 @@ ProductSchema.index({ Category: 1, price: 1 });
 ProductSchema.index({ Category: 1, rating: -1 });
 ProductSchema.index({ popularity: -1, rating: -1 });
 ProductSchema.index({ "dietary.isVegan": 1 });
-ProductSchema.index({ "nutrition.sugar": 1 });
-ProductSchema.index({ "nutrition.protein": -1 });
+ProductSchema.index({ "nutrition.macros.sugar": 1 });
+ProductSchema.index({ "nutrition.macros.protein": -1 });
+// Products without variants have an empty array, which a plain unique index would count as a duplicate
+ProductSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
 
 /* ───────── Virtuals ───────── */
 ProductSchema.virtual("discountedPrice").get(function () {
@@ -346,8 +470,32 @@ ProductSchema.virtual("isLowStock").get(function () {
 });
 
 /* ───────── Middleware ───────── */
+const POPULARITY_WEIGHTS = { reviews: 0.3, sales: 0.5, views: 0.2, searchClicks: 0.4 };
+
 ProductSchema.pre("save", function (next) {
-  this.inStock = this.stocks > 0;
+  // A product with variants stocks what its variants do and lists at its
+  // cheapest one. Stock is only summed on create; after that the stock
+  // statics keep it in step and a save could write back stale levels.
+  if (this.variants?.length) {
+    if (this.isNew) {
+      this.stocks = this.variants.reduce((sum, variant) => sum + variant.stocks, 0);
+      this.reservedStock = this.variants.reduce(
+        (sum, variant) => sum + (variant.reservedStock || 0),
+        0
+      );
+    }
+
+    const prices = this.variants
+      .filter((variant) => variant.isActive)
+      .map((variant) => variant.price);
+    if (prices.length) this.price = Math.min(...prices);
+  }
+
+  // Same rule as the stock statics' syncInStock
+  this.inStock = this.stocks - (this.reservedStock || 0) > 0;
+
+  this.nutritionBadges = nutritionBadges(this);
+  this.nutritionBadgeRules = BADGE_RULES_KEY;
 
   if (!this.slug && this.name) {
     this.slug = this.name
@@ -368,9 +516,10 @@ ProductSchema.pre("save", function (next) {
     .join(" ");
 
   this.popularity =
-    this.rating * this.reviewCount * 0.3 +
-    this.salesCount * 0.5 +
-    this.viewCount * 0.2;
+    this.rating * this.reviewCount * POPULARITY_WEIGHTS.reviews +
+    this.salesCount * POPULARITY_WEIGHTS.sales +
+    this.viewCount * POPULARITY_WEIGHTS.views +
+    (this.searchClicks || 0) * POPULARITY_WEIGHTS.searchClicks;
 
   next();
 });
@@ -392,6 +541,269 @@ ProductSchema.methods.updateRating = function (rating, count) {
   return this.save();
 };
 
+/* ───────── Statics ───────── */
+
+// What a unit (of `variant`, when the product has them) sells for now: the
+// near-expiry markdown while it lasts. Works on lean documents.
+ProductSchema.statics.sellingPrice = function (product, variant) {
+  const price = variant ? variant.price : product.price;
+  const markdown = product.markdown;
+  const marked =
+    markdown?.price >= 0 &&
+    markdown.price < price &&
+    !(markdown.until <= new Date()) &&
+    String(markdown.variant || "") === String(variant?._id || "");
+  return marked ? markdown.price : price;
+};
+
+// Recompute the badges of products whose badges came from other thresholds
+// (or never); run at startup so a threshold change reaches every product
+ProductSchema.statics.refreshNutritionBadges = async function () {
+  const stale = this.find({ nutritionBadgeRules: { $ne: BADGE_RULES_KEY } })
+    .select("nutrition foodInfo")
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let writes = [];
+  for await (const product of stale) {
+    writes.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: {
+          $set: {
+            nutritionBadges: nutritionBadges(product),
+            nutritionBadgeRules: BADGE_RULES_KEY,
+          },
+        },
+      },
+    });
+    if (writes.length === 500) {
+      updated += (await this.bulkWrite(writes)).modifiedCount;
+      writes = [];
+    }
+  }
+  if (writes.length) updated += (await this.bulkWrite(writes)).modifiedCount;
+  return updated;
+};
+
+// The pre-save popularity as an aggregation expression, for pipeline updates
+ProductSchema.statics.popularityExpression = function () {
+  const field = (name) => ({ $ifNull: [`$${name}`, 0] });
+  return {
+    $add: [
+      { $multiply: [field("rating"), field("reviewCount"), POPULARITY_WEIGHTS.reviews] },
+      { $multiply: [field("salesCount"), POPULARITY_WEIGHTS.sales] },
+      { $multiply: [field("viewCount"), POPULARITY_WEIGHTS.views] },
+      { $multiply: [field("searchClicks"), POPULARITY_WEIGHTS.searchClicks] },
+    ],
+  };
+};
+
+ProductSchema.statics.findVariant = function (product, variantId) {
+  if (!variantId) return null;
+  return (
+    product.variants?.find((variant) => variant._id.toString() === variantId.toString()) || null
+  );
+};
+
+// The cart's selectedVariant for a variant: its options that are set
+ProductSchema.statics.variantOptions = function (variant) {
+  const options = {};
+  for (const key of VARIANT_OPTIONS) {
+    if (variant?.[key]) options[key] = variant[key];
+  }
+  return options;
+};
+
+// Stock moves are atomic and return the product's new levels (or null when
+// refused) so inventoryService can write them to the ledger and check for low
+// stock. Passing a variant id moves that variant's stock together with the
+// product's totals.
+const reserved = { $ifNull: ["$reservedStock", 0] };
+const syncInStock = {
+  $set: { inStock: { $gt: [{ $subtract: ["$stocks", reserved] }, 0] } },
+};
+const levels = {
+  new: true,
+  projection: {
+    stocks: 1,
+    reservedStock: 1,
+    seller: 1,
+    lowStockThreshold: 1,
+    stockAlert: 1,
+    "variants._id": 1,
+    "variants.sku": 1,
+    "variants.stocks": 1,
+    "variants.reservedStock": 1,
+  },
+  lean: true,
+};
+
+// Inside the variant pipelines below, "$$v" is the variant being moved
+const objectId = (id) => new mongoose.Types.ObjectId(id.toString());
+const variantReserved = { $ifNull: ["$$v.reservedStock", 0] };
+
+// Only match when the variant exists and meets `condition`
+const whereVariant = (filter, variantId, condition) => {
+  if (!variantId) return filter;
+  const variantExpr = {
+    $anyElementTrue: [
+      {
+        $map: {
+          input: { $ifNull: ["$variants", []] },
+          as: "v",
+          in: { $and: [{ $eq: ["$$v._id", objectId(variantId)] }, condition] },
+        },
+      },
+    ],
+  };
+  return { ...filter, $expr: filter.$expr ? { $and: [filter.$expr, variantExpr] } : variantExpr };
+};
+
+// Pipeline stages updating the variant's fields alongside the product's
+const onVariant = (variantId, fields) =>
+  variantId
+    ? [
+        {
+          $set: {
+            variants: {
+              $map: {
+                input: "$variants",
+                as: "v",
+                in: {
+                  $cond: [
+                    { $eq: ["$$v._id", objectId(variantId)] },
+                    { $mergeObjects: ["$$v", fields] },
+                    "$$v",
+                  ],
+                },
+              },
+            },
+          },
+        },
+      ]
+    : [];
+
+// Atomically take `qty` units out of stock; null when not enough is left
+ProductSchema.statics.decrementStock = function (productId, qty, variantId) {
+  return this.findOneAndUpdate(
+    whereVariant({ _id: productId, stocks: { $gte: qty } }, variantId, {
+      $gte: ["$$v.stocks", qty],
+    }),
+    [
+      {
+        $set: {
+          stocks: { $subtract: ["$stocks", qty] },
+          reservedStock: reserved,
+          salesCount: { $add: [{ $ifNull: ["$salesCount", 0] }, qty] },
+        },
+      },
+      ...onVariant(variantId, {
+        stocks: { $subtract: ["$$v.stocks", qty] },
+        reservedStock: variantReserved,
+      }),
+      syncInStock,
+    ],
+    levels
+  );
+};
+
+// Hold units for a checkout, only if that many are neither sold nor held
+ProductSchema.statics.reserveStock = function (productId, qty, variantId) {
+  return this.findOneAndUpdate(
+    whereVariant(
+      {
+        _id: productId,
+        $expr: { $gte: [{ $subtract: ["$stocks", reserved] }, qty] },
+      },
+      variantId,
+      { $gte: [{ $subtract: ["$$v.stocks", variantReserved] }, qty] }
+    ),
+    [
+      { $set: { reservedStock: { $add: [reserved, qty] } } },
+      ...onVariant(variantId, { reservedStock: { $add: [variantReserved, qty] } }),
+      syncInStock,
+    ],
+    levels
+  );
+};
+
+ProductSchema.statics.releaseStock = function (productId, qty, variantId) {
+  return this.findOneAndUpdate(
+    whereVariant({ _id: productId }, variantId, true),
+    [
+      { $set: { reservedStock: { $max: [{ $subtract: [reserved, qty] }, 0] } } },
+      ...onVariant(variantId, {
+        reservedStock: { $max: [{ $subtract: [variantReserved, qty] }, 0] },
+      }),
+      syncInStock,
+    ],
+    levels
+  );
+};
+
+// Turn held units into a sale
+ProductSchema.statics.commitReservedStock = function (productId, qty, variantId) {
+  return this.findOneAndUpdate(
+    whereVariant({ _id: productId, stocks: { $gte: qty } }, variantId, {
+      $gte: ["$$v.stocks", qty],
+    }),
+    [
+      {
+        $set: {
+          stocks: { $subtract: ["$stocks", qty] },
+          reservedStock: { $max: [{ $subtract: [reserved, qty] }, 0] },
+          salesCount: { $add: [{ $ifNull: ["$salesCount", 0] }, qty] },
+        },
+      },
+      ...onVariant(variantId, {
+        stocks: { $subtract: ["$$v.stocks", qty] },
+        reservedStock: { $max: [{ $subtract: [variantReserved, qty] }, 0] },
+      }),
+      syncInStock,
+    ],
+    levels
+  );
+};
+
+// Add (qty > 0) or remove (qty < 0) units; never takes away units that are held
+// unless `allowHeld` (expired stock goes whether held or not). With `expected`,
+// only applies while stocks (the variant's, when moving one) still equals it.
+ProductSchema.statics.adjustStock = function (
+  productId,
+  qty,
+  { expected, allowHeld = false, variantId } = {}
+) {
+  let filter = { _id: productId };
+  if (expected !== undefined && !variantId) filter.stocks = expected;
+  if (qty < 0) {
+    filter.$expr = { $gte: [allowHeld ? "$stocks" : { $subtract: ["$stocks", reserved] }, -qty] };
+  }
+
+  const variantConditions = [];
+  if (expected !== undefined) variantConditions.push({ $eq: ["$$v.stocks", expected] });
+  if (qty < 0) {
+    variantConditions.push({
+      $gte: [allowHeld ? "$$v.stocks" : { $subtract: ["$$v.stocks", variantReserved] }, -qty],
+    });
+  }
+  filter = whereVariant(filter, variantId, { $and: [true, ...variantConditions] });
+
+  return this.findOneAndUpdate(
+    filter,
+    [
+      { $set: { stocks: { $add: ["$stocks", qty] }, reservedStock: reserved } },
+      ...onVariant(variantId, {
+        stocks: { $add: ["$$v.stocks", qty] },
+        reservedStock: variantReserved,
+      }),
+      syncInStock,
+    ],
+    levels
+  );
+};
+
 /* ───────── Serialization ───────── */
 ProductSchema.set("toJSON", { virtuals: true });
 ProductSchema.set("toObject", { virtuals: true });
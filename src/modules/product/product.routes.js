@@ -3,15 +3,18 @@ import { upload } from "../../middlewares/multer.middleware.js";
 import {
         addProduct,
         getProducts,
-        searchresult,
+        searchProducts,
+        getSearchSuggestions,
+        recordSearchClick,
         deleteProduct,
         updateProduct,
         getSellerProduct,
         getTrendingProduct,
         getProductById,
 } from "./product.controller.js";
-import { verifyJWT } from "../../middlewares/auth.middleware.js";
+import { verifyJWT, optionalJWT } from "../../middlewares/auth.middleware.js";
 import { verifyRole } from "../../middlewares/role.middleware.js";
+import { rateLimitMiddleware } from "../../middlewares/rateLimiting.middleware.js";
 import { getWhyHealthyAI } from "../ai/ai.controller.js";
 
 const router = Router();
@@ -48,11 +51,20 @@ router .route("/ai/whyHealthy/:productId").get(getWhyHealthyAI);
 
 router.route("/getTrendingProduct").get(getTrendingProduct);
 
-router.route("/:id").get(getProductById);
-
+router.route("/search").get(rateLimitMiddleware("search"), optionalJWT, searchProducts);
+router
+  .route("/search/:searchId/click")
+  .post(
+    rateLimitMiddleware("search-click", { windowMs: 60000, max: 120 }),
+    optionalJWT,
+    recordSearchClick
+  );
 
+// Called on every keystroke, so it gets more room than full searches
+router
+  .route("/suggest")
+  .get(rateLimitMiddleware("suggest", { windowMs: 60000, max: 300 }), getSearchSuggestions);
 
-
-router.route("/searchProduct").post(searchresult);
+router.route("/:id").get(getProductById);
 
 export default router;
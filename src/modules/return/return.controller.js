@@ -1,10 +1,28 @@
 import { Return } from './return.model.js';
+import { Order } from '../order/order.models.js';
 import { asyncHandler } from '../../utils/asyncHandler.js';
 import { ApiError } from '../../utils/ApiError.js';
 import { ApiResponse } from '../../utils/ApiResponse.js';
 import { getHeaders } from '../../utils/ShipRocket.js';
+import refundService from '../../services/refundService.js';
+import invoiceService from '../../services/invoiceService.js';
+import inventoryService from '../../services/inventoryService.js';
+import batchService from '../../services/batchService.js';
+import warehouseService from '../../services/warehouseService.js';
+import logger from '../../utils/logger.js';
 import axios from 'axios';
 
+// Credit notes don't hold up the refund response; a failure is logged for follow-up.
+// Only settled refunds are credited; Razorpay refunds are credited from their webhook.
+const issueCreditNotes = (returnRequest) => {
+  invoiceService.issueCreditNotes(returnRequest).catch((error) => {
+    logger.error('Credit note issue failed', {
+      returnId: returnRequest._id,
+      error: error.message,
+    });
+  });
+};
+
 /**
  * Create a return request
  * POST /api/v1/returns/create
@@ -40,6 +58,21 @@ export const createReturnRequest = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'A return request already exists for this order');
   }
 
+  // Returned variants go back to the variant the order line was for, matched by SKU
+  const order = await Order.findByReference(orderId)
+    .select('userId items.productId items.variantId items.sku')
+    .lean();
+  const orderLines = order?.userId.equals(req.user._id) ? order.items : [];
+  const returnItems = items.map((item) => {
+    const line = orderLines.find(
+      (orderLine) =>
+        orderLine.variantId &&
+        orderLine.productId.toString() === String(item.productId) &&
+        (!item.sku || orderLine.sku === item.sku)
+    );
+    return line ? { ...item, variantId: line.variantId, sku: line.sku } : item;
+  });
+
   // Calculate return eligible date (7 days from now as default)
   const returnEligibleUntil = new Date();
   returnEligibleUntil.setDate(returnEligibleUntil.getDate() + 7);
@@ -51,7 +84,7 @@ export const createReturnRequest = asyncHandler(async (req, res) => {
     userId: req.user._id,
     userEmail: req.user.email,
     userName: req.user.fullName || req.user.username,
-    items,
+    items: returnItems,
     returnReason,
     returnDescription,
     images: images || [],
@@ -322,6 +355,40 @@ export const inspectReturn = asyncHandler(async (req, res) => {
     req.user._id
   );
 
+  // Only units in sellable condition go back into stock, and into the batches
+  // and warehouses they came from
+  if (condition === 'GOOD') {
+    for (const item of returnRequest.items) {
+      await inventoryService
+        .restock(item.productId, item.quantity, {
+          variantId: item.variantId,
+          actor: req.user,
+          reference: { kind: 'Return', id: returnRequest._id },
+          note: 'Returned in good condition',
+        })
+        .then(
+          (product) =>
+            product &&
+            Promise.all([
+              batchService.returnUnits(
+                returnRequest.orderId,
+                item.productId,
+                item.quantity,
+                item.variantId
+              ),
+              warehouseService.returnUnits(returnRequest.orderId, item.productId, item.quantity),
+            ])
+        )
+        .catch((error) => {
+          logger.error('Return restock failed', {
+            returnId: returnRequest._id,
+            productId: item.productId,
+            error: error.message,
+          });
+        });
+    }
+  }
+
   res.status(200).json(
     new ApiResponse(200, returnRequest, 'Product inspected successfully')
   );
@@ -330,11 +397,24 @@ export const inspectReturn = asyncHandler(async (req, res) => {
 /**
  * Initiate refund
  * POST /api/v1/returns/:id/refund
+ *
+ * ORIGINAL_PAYMENT refunds go through Razorpay for the returned items (and
+ * back to the wallet for any part paid with store credit); STORE_CREDIT puts
+ * the whole amount in the customer's wallet. Pass
+ * `items: [{ productId, quantity }]` to refund only part of the return.
+ * Razorpay refunds complete from the refund.processed webhook.
  */
 export const initiateRefund = asyncHandler(async (req, res) => {
-  const { amount, method } = req.body;
+  const { amount, method, items } = req.body;
+
+  if (!method) {
+    throw new ApiError(400, 'Refund method is required');
+  }
 
-  if (!amount || !method) {
+  // Original-payment and store-credit refunds are priced from the order
+  const automatic = ['ORIGINAL_PAYMENT', 'STORE_CREDIT'].includes(method);
+
+  if (!automatic && !amount) {
     throw new ApiError(400, 'Refund amount and method are required');
   }
 
@@ -344,10 +424,43 @@ export const initiateRefund = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Return request not found');
   }
 
-  if (returnRequest.status !== 'INSPECTED') {
+  // Further partial refunds are allowed while some returned units are unrefunded
+  const refundableStatuses = automatic
+    ? ['INSPECTED', 'REFUND_INITIATED', 'REFUND_COMPLETED']
+    : ['INSPECTED'];
+
+  if (!refundableStatuses.includes(returnRequest.status)) {
     throw new ApiError(400, 'Product must be inspected before refund');
   }
 
+  if (automatic) {
+    const refund = await refundService.refundReturn(returnRequest, {
+      items,
+      method,
+      initiatedBy: req.user._id,
+    });
+
+    const destinations = [
+      refund.refundId && `the original payment (Razorpay ${refund.refundId})`,
+      refund.walletAmount > 0 && `₹${refund.walletAmount} to the wallet`,
+    ].filter(Boolean);
+
+    // Wallet-only refunds have nothing left to settle
+    const completed = returnRequest.refund.status === 'COMPLETED';
+
+    await returnRequest.addTimelineEntry(
+      completed ? 'REFUND_COMPLETED' : 'REFUND_INITIATED',
+      `Refund of ₹${refund.amount} issued to ${destinations.join(' and ')}`,
+      req.user._id
+    );
+
+    issueCreditNotes(returnRequest);
+
+    return res.status(200).json(
+      new ApiResponse(200, returnRequest, 'Refund initiated successfully')
+    );
+  }
+
   returnRequest.refund = {
     amount,
     method,
@@ -369,6 +482,9 @@ export const initiateRefund = asyncHandler(async (req, res) => {
 /**
  * Complete refund
  * POST /api/v1/returns/:id/refund/complete
+ *
+ * Only for bank transfers; ORIGINAL_PAYMENT and STORE_CREDIT refunds
+ * complete on their own.
  */
 export const completeRefund = asyncHandler(async (req, res) => {
   const { transactionId } = req.body;
@@ -383,6 +499,10 @@ export const completeRefund = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Refund must be initiated first');
   }
 
+  if (['ORIGINAL_PAYMENT', 'STORE_CREDIT'].includes(returnRequest.refund?.method)) {
+    throw new ApiError(409, 'This refund is completed automatically once settled');
+  }
+
   returnRequest.refund.status = 'COMPLETED';
   returnRequest.refund.transactionId = transactionId;
   returnRequest.refund.completedAt = new Date();
@@ -393,6 +513,8 @@ export const completeRefund = asyncHandler(async (req, res) => {
     req.user._id
   );
 
+  issueCreditNotes(returnRequest);
+
   res.status(200).json(
     new ApiResponse(200, returnRequest, 'Refund completed successfully')
   );
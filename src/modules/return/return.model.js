@@ -38,6 +38,8 @@ const returnSchema = new Schema(
           required: true,
         },
         productName: String,
+        // As on the order line, for products with variants
+        variantId: Schema.Types.ObjectId,
         sku: String,
         quantity: {
           type: Number,
@@ -49,6 +51,10 @@ const returnSchema = new Schema(
           type: String,
           required: true,
         },
+        refundedQuantity: {
+          type: Number,
+          default: 0,
+        },
       },
     ],
 
@@ -153,6 +159,26 @@ const returnSchema = new Schema(
         enum: ["PENDING", "PROCESSING", "COMPLETED", "FAILED"],
       },
       transactionId: String,
+      // Razorpay refunds issued for ORIGINAL_PAYMENT (one per partial refund)
+      razorpayRefunds: [
+        {
+          _id: false,
+          refundId: String,
+          amount: Number,
+          status: {
+            type: String,
+            enum: ["pending", "processed", "failed"],
+            default: "pending",
+          },
+          items: [
+            {
+              _id: false,
+              productId: { type: Schema.Types.ObjectId, ref: "Product" },
+              quantity: Number,
+            },
+          ],
+        },
+      ],
       processedAt: Date,
       completedAt: Date,
     },
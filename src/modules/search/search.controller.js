@@ -0,0 +1,68 @@
+import { ApiError } from "../../utils/ApiError.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import synonymService from "../../services/synonymService.js";
+import searchAnalyticsService from "../../services/searchAnalyticsService.js";
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a valid date`);
+  }
+  return date;
+};
+
+const paging = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 100),
+});
+
+// ?search= finds the groups containing a term
+export const listSynonyms = asyncHandler(async (req, res) => {
+  const result = await synonymService.list({ search: req.query.search, ...paging(req.query) });
+
+  return res.status(200).json(new ApiResponse(200, result, "Synonyms fetched successfully"));
+});
+
+// { terms: ["makhana", "fox nuts"], note }
+export const createSynonym = asyncHandler(async (req, res) => {
+  const synonym = await synonymService.create(req.body, req.user._id);
+
+  return res.status(201).json(new ApiResponse(201, synonym, "Synonym group created successfully"));
+});
+
+export const updateSynonym = asyncHandler(async (req, res) => {
+  const synonym = await synonymService.update(req.params.synonymId, req.body, req.user._id);
+
+  return res.status(200).json(new ApiResponse(200, synonym, "Synonym group updated successfully"));
+});
+
+export const deleteSynonym = asyncHandler(async (req, res) => {
+  await synonymService.remove(req.params.synonymId, req.user._id);
+
+  return res.status(200).json(new ApiResponse(200, null, "Synonym group deleted successfully"));
+});
+
+// Adds the built-in Hindi/English food names that don't clash with existing groups
+export const addDefaultSynonyms = asyncHandler(async (req, res) => {
+  const result = await synonymService.addDefaults(req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, `${result.added} built-in synonym groups added`));
+});
+
+// ?from=&to= (default: the last 30 days), ?limit= per list, ?minSearches= for low click-through
+export const getSearchAnalytics = asyncHandler(async (req, res) => {
+  const report = await searchAnalyticsService.report({
+    from: parseDate(req.query.from, "from"),
+    to: parseDate(req.query.to, "to"),
+    limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+    minSearches: Math.max(parseInt(req.query.minSearches) || 5, 1),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, report, "Search analytics fetched successfully"));
+});
@@ -0,0 +1,23 @@
+import { Router } from "express";
+import {
+  listSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  addDefaultSynonyms,
+  getSearchAnalytics,
+} from "./search.controller.js";
+import { verifyJWT } from "../../middlewares/auth.middleware.js";
+import { verifyRole } from "../../middlewares/role.middleware.js";
+
+const searchRouter = Router();
+
+// Shoppers search through /products/search and /products/suggest; this is search admin
+searchRouter.use(verifyJWT, verifyRole(["admin", "superadmin"]));
+
+searchRouter.route("/analytics").get(getSearchAnalytics);
+searchRouter.route("/synonyms").get(listSynonyms).post(createSynonym);
+searchRouter.route("/synonyms/defaults").post(addDefaultSynonyms);
+searchRouter.route("/synonyms/:synonymId").patch(updateSynonym).delete(deleteSynonym);
+
+export default searchRouter;
@@ -0,0 +1,44 @@
+import mongoose, { Schema } from "mongoose";
+
+// Days search log entries are kept before MongoDB deletes them
+const RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS) || 180;
+
+// One search a shopper ran (its first page), and what they clicked in the results
+const searchEventSchema = new Schema(
+  {
+    // Normalized text as typed; empty when only browsing with filters
+    query: { type: String, default: "", maxlength: 100 },
+    // The filter params sent, as sent
+    filters: { type: Schema.Types.Mixed },
+    sort: String,
+    // Products matching the query as typed (with its filters)
+    resultCount: { type: Number, default: 0 },
+    // Set when nothing matched and the typo-corrected query was searched instead
+    didYouMean: String,
+    correctedResultCount: Number,
+    // Products on the page shown (the corrected query's when there is one); only these can be clicked
+    results: [{ type: Schema.Types.ObjectId, ref: "Product" }],
+
+    // Who searched; only they can report clicks on it
+    user: { type: Schema.Types.ObjectId, ref: "User" },
+    sessionId: String,
+
+    // At most one per product
+    clicks: [
+      {
+        _id: false,
+        product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+        // 1-based place in the results
+        position: Number,
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+searchEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+searchEventSchema.index({ query: 1, createdAt: -1 });
+searchEventSchema.index({ "clicks.product": 1, createdAt: -1 });
+
+export const SearchEvent = mongoose.model("SearchEvent", searchEventSchema);
@@ -0,0 +1,17 @@
+import mongoose, { Schema } from "mongoose";
+
+// How often shoppers searched for a query (normalized) and how many
+// products it found last time; queries that find something feed suggestions
+const searchQuerySchema = new Schema(
+  {
+    query: { type: String, required: true, unique: true, maxlength: 100 },
+    count: { type: Number, default: 0 },
+    resultCount: { type: Number, default: 0 },
+    lastSearchedAt: Date,
+  },
+  { timestamps: true }
+);
+
+searchQuerySchema.index({ resultCount: 1, count: -1 });
+
+export const SearchQuery = mongoose.model("SearchQuery", searchQuerySchema);
@@ -0,0 +1,25 @@
+import mongoose, { Schema } from "mongoose";
+
+// Terms shoppers use for the same thing, e.g. makhana, fox nuts and lotus
+// seeds; a search for any of them also finds the others. Terms are stored
+// normalized (lowercase, single spaces).
+const synonymSchema = new Schema(
+  {
+    terms: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: 60 }],
+      validate: {
+        validator: (terms) => terms.length >= 2,
+        message: "A synonym group needs at least two terms",
+      },
+    },
+    note: { type: String, trim: true, maxlength: 200 },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+synonymSchema.index({ terms: 1 });
+
+export const Synonym = mongoose.model("Synonym", synonymSchema);
@@ -393,6 +393,42 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
                 );
 });
 
+// Store-level preferences: COD opt-out, free-shipping threshold and notification toggles
+const updateStoreSettings = asyncHandler(async (req, res) => {
+        const { codEnabled, freeShippingAbove, notifications = {} } = req.body;
+
+        const updates = {};
+        const unset = {};
+        if (typeof codEnabled === "boolean") updates.codEnabled = codEnabled;
+        // null goes back to the platform threshold
+        if (freeShippingAbove === null) {
+                unset.freeShippingAbove = "";
+        } else if (freeShippingAbove !== undefined) {
+                if (typeof freeShippingAbove !== "number" || freeShippingAbove < 0) {
+                        throw new ApiError(400, "freeShippingAbove must be a non-negative number");
+                }
+                updates.freeShippingAbove = freeShippingAbove;
+        }
+        for (const key of ["lowStock", "email"]) {
+                if (typeof notifications[key] === "boolean") {
+                        updates[`notifications.${key}`] = notifications[key];
+                }
+        }
+
+        if (Object.keys(updates).length === 0 && Object.keys(unset).length === 0) {
+                throw new ApiError(400, "No settings to update");
+        }
+
+        const seller = await Seller.findByIdAndUpdate(
+                req.seller?._id,
+                { $set: updates, $unset: unset },
+                { new: true },
+        ).select("-password -refreshToken");
+
+        return res
+                .status(200)
+                .json(new ApiResponse(200, seller, "Store settings updated successfully"));
+});
 
 const getSellerDashboard = asyncHandler(async (req, res) => {
   const sellerId = req.seller?._id;
@@ -445,5 +481,6 @@ export {
         changePassword,
         updateAccountdetail,
         updateUserAvatar,
+        updateStoreSettings,
         getSellerDashboard
 };
\ No newline at end of file
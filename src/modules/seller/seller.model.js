@@ -151,6 +151,18 @@ totalOrders: {
   default: 0,
 },
 
+// Sellers can refuse cash on delivery for orders containing their products
+codEnabled: {
+  type: Boolean,
+  default: true,
+},
+
+// Shipments from this seller worth at least this much ship free; unset uses the platform default
+freeShippingAbove: {
+  type: Number,
+  min: 0,
+},
+
 /* ───────────────────────────────
    Notification Settings
 ────────────────────────────── */
@@ -169,6 +181,23 @@ lastLoginAt: {
   { timestamps: true }
 );
 
+// Products and orders reference the seller's User account; Seller profiles
+// (store settings, notification preferences) are matched to it by email.
+sellerSchema.statics.findForUsers = async function (userIds) {
+  const User = mongoose.model("User");
+  const users = await User.find({ _id: { $in: userIds } }).select("email").lean();
+  const sellers = await this.find({
+    email: { $in: users.map((user) => user.email) },
+  }).lean();
+
+  const sellersByEmail = new Map(sellers.map((seller) => [seller.email, seller]));
+  return new Map(
+    users
+      .filter((user) => sellersByEmail.has(user.email))
+      .map((user) => [user._id.toString(), sellersByEmail.get(user.email)])
+  );
+};
+
 sellerSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   this.password = await bcrypt.hash(this.password, 10);
@@ -8,7 +8,7 @@ import { Router } from "express";
 //         updateUserAvatar,
 //         changePassword,
 // } from "../controllers/user.controller.js";
-import { registerSeller,loginSeller,logOutUser,updateAccountdetail,updateUserAvatar,changePassword,refreshAccessSessionToken, getSellerDashboard } from "./seller.controllers.js";
+import { registerSeller,loginSeller,logOutUser,updateAccountdetail,updateUserAvatar,changePassword,refreshAccessSessionToken, getSellerDashboard, updateStoreSettings } from "./seller.controllers.js";
 import { upload } from "../../middlewares/multer.middleware.js";
 
 import { isSellerAutenticated ,verifySeller } from "../../middlewares/auth.middleware.js";
@@ -39,6 +39,7 @@ sellerRouter.route("/logout").post(verifySeller, logOutUser);
 sellerRouter.route("/updateAvatar").post(upload.single("avatar"), updateUserAvatar);
 sellerRouter.route("/updateUserdetail").post(verifySeller, updateAccountdetail);
 sellerRouter.route("/changePassword").post(verifySeller, changePassword);
+sellerRouter.route("/settings").patch(verifySeller, updateStoreSettings);
 
 // Secured Routes
 
@@ -5,18 +5,9 @@ import axios from 'axios';
 import { v4 as uuidv4 } from 'uuid';
 import { asyncHandler } from '../../utils/asyncHandler.js';
 import { ApiError } from '../../utils/ApiError.js';
+import packingService from '../../services/packingService.js';
+import variantService from '../../services/variantService.js';
 
-const generateSKU = name => {
-  return (
-    name
-      .toLowerCase() // Convert to lowercase
-      .replace(/\s+/g, '_') // Replace spaces with underscores
-      .replace(/[^a-z0-9_]/g, '') // Remove special characters
-      .slice(0, 15) +
-    '_' +
-    Math.floor(1000 + Math.random() * 9000)
-  ); // Add random 4-digit number
-};
 
 // Authentication
 authenticate().catch(err => console.error(err.message));
@@ -36,6 +27,7 @@ export const createOrderController = asyncHandler(async (req, res) => {
 
   const orders = [];
   const groupedOrders = {};
+  const groupedLines = {};
 
  // Cache to avoid redundant DB queries
 const addressCache = {};
@@ -56,6 +48,10 @@ for (const item of items) {
   if (!product) {
     throw new ApiError(404, `Product with ID ${productId} not found`);
   }
+  // Products with variants ship under the variant's SKU
+  const variant = variantService.resolve(product, item.variant || {});
+  const sku = variant?.sku || product.slug || product._id.toString();
+  const price = variant ? variant.price : product.price;
 
   // Increment bought count (fire-and-forget for performance)
   Product.updateOne({ _id: productId }, { $inc: { bought: 1 } }).catch(err => {
@@ -90,25 +86,32 @@ for (const item of items) {
       shipping_is_billing: true,
       order_items: [],
       payment_method: paymentMethod,
-      sub_total: 0,
-      length: 10,
-      breadth: 10,
-      height: 10,
-      weight: 1
+      sub_total: 0
     };
+    groupedLines[Address_id] = [];
   }
 
   // Step 4: Add item to grouped order
   groupedOrders[Address_id].order_items.push({
-    name: product.name,
-    sku: generateSKU(product.name),
+    name: variant ? `${product.name} (${variantService.label(variant)})` : product.name,
+    sku,
     units: quantity,
-    selling_price: product.price,
+    selling_price: price,
     discount: 0,
-    tax: product.price * 0.18
+    tax: price * 0.18
   });
 
-  groupedOrders[Address_id].sub_total += product.price * quantity;
+  groupedOrders[Address_id].sub_total += price * quantity;
+  groupedLines[Address_id].push({
+    productId: product._id,
+    quantity,
+    package: packingService.unitPackage(product, variant)
+  });
+}
+
+// Package size and weight come from the products being shipped
+for (const [addressId, lines] of Object.entries(groupedLines)) {
+  Object.assign(groupedOrders[addressId], packingService.consignment(packingService.pack(lines)));
 }
 
   console.log('=== GROUPED ORDERS TO SEND TO SHIPROCKET ===');
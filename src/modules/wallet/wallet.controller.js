@@ -0,0 +1,85 @@
+import { ApiError } from "../../utils/ApiError.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import walletService from "../../services/walletService.js";
+
+const paging = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100),
+});
+
+// Current balance plus credit that is about to lapse
+export const getWallet = asyncHandler(async (req, res) => {
+  const [wallet, expiringSoon] = await Promise.all([
+    walletService.getWallet(req.user._id),
+    walletService.getExpiringCredits(req.user._id),
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { ...wallet, expiringSoon }, "Wallet fetched successfully"));
+});
+
+export const getWalletTransactions = asyncHandler(async (req, res) => {
+  const { type, source } = req.query;
+
+  const result = await walletService.listTransactions(req.user._id, {
+    type,
+    source,
+    ...paging(req.query),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Wallet transactions fetched successfully"));
+});
+
+/* ───────── Admin ───────── */
+
+export const getUserWalletTransactions = asyncHandler(async (req, res) => {
+  const { type, source } = req.query;
+
+  const [wallet, result] = await Promise.all([
+    walletService.getWallet(req.params.userId),
+    walletService.listTransactions(req.params.userId, {
+      type,
+      source,
+      ...paging(req.query),
+    }),
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { wallet, ...result }, "Wallet transactions fetched successfully"));
+});
+
+// Positive amount credits the wallet, negative debits it
+export const adjustWallet = asyncHandler(async (req, res) => {
+  const { amount, reason, expiresAt, promotional } = req.body;
+  const value = Number(amount);
+
+  if (!Number.isFinite(value) || value === 0) {
+    throw new ApiError(400, "A non-zero amount is required");
+  }
+
+  let expiry;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw new ApiError(400, "expiresAt must be a future date");
+    }
+    if (value < 0) {
+      throw new ApiError(400, "Only credits can expire");
+    }
+  }
+
+  const transaction = await walletService.adjust(req.user._id, req.params.userId, value, {
+    reason,
+    expiresAt: expiry,
+    promotional: Boolean(promotional),
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, transaction, "Wallet adjusted successfully"));
+});
@@ -0,0 +1,18 @@
+import mongoose, { Schema } from "mongoose";
+
+// Running balance per user; every change is mirrored by a WalletTransaction
+const walletSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    balance: { type: Number, default: 0, min: 0 }, // INR
+    currency: { type: String, default: "INR" },
+  },
+  { timestamps: true }
+);
+
+export const Wallet = mongoose.model("Wallet", walletSchema);
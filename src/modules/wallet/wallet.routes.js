@@ -0,0 +1,24 @@
+import { Router } from "express";
+import {
+  getWallet,
+  getWalletTransactions,
+  getUserWalletTransactions,
+  adjustWallet,
+} from "./wallet.controller.js";
+import { verifyJWT } from "../../middlewares/auth.middleware.js";
+import { verifyRole } from "../../middlewares/role.middleware.js";
+
+const walletRouter = Router();
+
+walletRouter.route("/").get(verifyJWT, getWallet);
+walletRouter.route("/transactions").get(verifyJWT, getWalletTransactions);
+
+// Admin
+walletRouter
+  .route("/admin/:userId/transactions")
+  .get(verifyJWT, verifyRole(["admin", "superadmin"]), getUserWalletTransactions);
+walletRouter
+  .route("/admin/:userId/adjust")
+  .post(verifyJWT, verifyRole(["admin", "superadmin"]), adjustWallet);
+
+export default walletRouter;
@@ -0,0 +1,52 @@
+import mongoose, { Schema } from "mongoose";
+
+export const WALLET_SOURCES = [
+  "refund", // return refunded as store credit
+  "cashback",
+  "promotion",
+  "checkout", // spent on an order
+  "checkout_reversal", // spend given back (cancelled order, abandoned checkout)
+  "admin_adjustment",
+  "expiry", // promotional credit that lapsed
+];
+
+// Append-only wallet ledger
+const walletTransactionSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: { type: String, enum: ["credit", "debit"], required: true },
+    amount: { type: Number, required: true, min: 0.01 }, // INR
+    source: { type: String, enum: WALLET_SOURCES, required: true },
+    description: String,
+    reference: {
+      kind: { type: String, enum: ["Order", "Payment", "Return"] },
+      id: { type: Schema.Types.ObjectId },
+    },
+    balanceAfter: Number,
+
+    // Credits only: what is still unspent, and when it lapses (promotional credit)
+    remaining: Number,
+    expiresAt: Date,
+
+    // Admin adjustments
+    performedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    reason: String,
+
+    // Stops the same refund/spend from being booked twice
+    idempotencyKey: { type: String, unique: true, sparse: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+walletTransactionSchema.index({ userId: 1, type: 1, remaining: 1, expiresAt: 1 });
+walletTransactionSchema.index({ "reference.kind": 1, "reference.id": 1 });
+
+export const WalletTransaction = mongoose.model(
+  "WalletTransaction",
+  walletTransactionSchema
+);
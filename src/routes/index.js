@@ -12,6 +12,13 @@ import paymentRoutes from "../modules/payment/payment.routes.js";
 import Reviewrouter from "../modules/review/review.routes.js";
 import Subscriberouter from "../modules/Subscriber/subscriber.routes.js";
 import returnRoutes from "../modules/return/return.routes.js";
+import orderRoutes from "../modules/order/order.routes.js";
+import walletRoutes from "../modules/wallet/wallet.routes.js";
+import couponRoutes from "../modules/coupon/coupon.routes.js";
+import invoiceRoutes from "../modules/invoice/invoice.routes.js";
+import inventoryRoutes from "../modules/inventory/inventory.routes.js";
+import notificationRoutes from "../modules/notification/notification.routes.js";
+import searchRoutes from "../modules/search/search.routes.js";
 
 
 const router = express.Router();
@@ -25,6 +32,13 @@ router.use("/wishlist", wishlistRoutes);
 router.use("/address", addressRoutes);
 router.use("/shiprocket", shiprouter);
 router.use("/returns", returnRoutes);
+router.use("/orders", orderRoutes);
+router.use("/wallet", walletRoutes);
+router.use("/coupons", couponRoutes);
+router.use("/invoices", invoiceRoutes);
+router.use("/inventory", inventoryRoutes);
+router.use("/notifications", notificationRoutes);
+router.use("/search", searchRoutes);
 
 /* API v2 */
 router.use("/payment", paymentRoutes);
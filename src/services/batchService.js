@@ -0,0 +1,529 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { sendNearExpiryAlert } from '../utils/Nodemailer.js';
+import { Product } from '../modules/product/product.models.js';
+import { Order } from '../modules/order/order.models.js';
+import { User } from '../modules/user/user.model.js';
+import { Seller } from '../modules/seller/seller.model.js';
+import { StockBatch, BATCH_STATUS } from '../modules/inventory/stockBatch.model.js';
+import inventoryService from './inventoryService.js';
+
+const { ACTIVE, DEPLETED, EXPIRED } = BATCH_STATUS;
+
+// Batches this close to expiry alert their seller and switch on their markdown
+const NEAR_EXPIRY_DAYS = parseInt(process.env.BATCH_NEAR_EXPIRY_DAYS) || 7;
+const SWEEP_MS = (parseInt(process.env.BATCH_SWEEP_MINUTES) || 60) * 60 * 1000;
+const SWEEP_BATCH = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Batch (lot) tracking for perishable stock.
+ *
+ * Receipts with an expiry date open or top up a batch; Product.stocks stays
+ * the total. Fulfilled orders are allocated first expiry first out, and the
+ * allocation is kept on the order. A periodic sweep writes off batches that
+ * reach their expiry date, emails sellers about batches that are close to
+ * it, and prices the product at the batch's markdown while the batch about
+ * to be sold next is near expiry.
+ */
+class BatchService {
+  nearExpiryCutoff(now = new Date()) {
+    return new Date(now.getTime() + NEAR_EXPIRY_DAYS * DAY_MS);
+  }
+
+  parseDate(value, name) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new ApiError(400, `${name} must be a date`);
+    return date;
+  }
+
+  /**
+   * Receive units into a batch, creating it on first receipt.
+   *
+   * @param {string} productId
+   * @param {number} quantity
+   * @param {object} batch - batchNumber, expiresAt, and optionally manufacturedAt and markdownPrice
+   * @param {object} [context] - actor (the user receiving it), note, and the variant's sku for products with variants
+   * @returns {Promise<{product: object, batch: object}>}
+   */
+  async receive(productId, quantity, batch, { actor, note, sku } = {}) {
+    const product = await inventoryService.authorize(productId, actor);
+    const variant = inventoryService.variantFor(product, sku);
+
+    const batchNumber = batch.batchNumber?.toString().trim();
+    const expiresAt = this.parseDate(batch.expiresAt, 'expiresAt');
+    const manufacturedAt = this.parseDate(batch.manufacturedAt, 'manufacturedAt');
+    if (!batchNumber || !expiresAt) {
+      throw new ApiError(400, 'batchNumber and expiresAt are required to receive a batch');
+    }
+    if (expiresAt <= new Date()) {
+      throw new ApiError(400, 'Cannot receive a batch that has already expired');
+    }
+    if (manufacturedAt && manufacturedAt > expiresAt) {
+      throw new ApiError(400, 'manufacturedAt cannot be after expiresAt');
+    }
+    const markdownPrice = this.validMarkdown(batch.markdownPrice, variant || product);
+
+    const key = { product: product._id, variant: variant?._id ?? null, batchNumber };
+    const existing = await StockBatch.findOne(key).lean();
+    if (existing && existing.expiresAt.getTime() !== expiresAt.getTime()) {
+      throw new ApiError(409, `Batch ${batchNumber} already exists with a different expiry date`);
+    }
+    if (existing?.status === EXPIRED) {
+      throw new ApiError(409, `Batch ${batchNumber} has expired`);
+    }
+
+    const stockBatch = await StockBatch.findOneAndUpdate(
+      key,
+      {
+        $setOnInsert: { seller: product.seller, sku: variant?.sku, expiresAt, manufacturedAt },
+        $set: { status: ACTIVE, ...(markdownPrice !== undefined && { markdownPrice }) },
+        $inc: { quantity, remaining: quantity }
+      },
+      { upsert: true, new: true }
+    );
+
+    const levels = await inventoryService.receive(product._id, quantity, {
+      sku: variant?.sku,
+      actor,
+      reference: { kind: 'StockBatch', id: stockBatch._id },
+      note: note || `Batch ${batchNumber}`
+    });
+    if (!levels) {
+      // The product went away in between; undo the batch receipt
+      await StockBatch.updateOne(
+        { _id: stockBatch._id },
+        { $inc: { quantity: -quantity, remaining: -quantity } }
+      );
+      throw new ApiError(404, 'Product not found');
+    }
+
+    await this.refreshMarkdown(product._id);
+    return { product: levels, batch: stockBatch };
+  }
+
+  // A new product listed with an expiry date: its opening stock is one batch (per variant)
+  async openBatch(product, batchNumber) {
+    const expiresAt = product.foodInfo?.expiryDate;
+    if (!expiresAt || expiresAt <= new Date() || !(product.stocks > 0)) return [];
+
+    const lots = product.variants?.length ? product.variants : [product];
+    const batches = await StockBatch.create(
+      lots
+        .filter(lot => lot.stocks > 0)
+        .map(lot => ({
+          product: product._id,
+          seller: product.seller,
+          variant: lot === product ? undefined : lot._id,
+          sku: lot === product ? undefined : lot.sku,
+          batchNumber: batchNumber?.toString().trim() || 'OPENING',
+          expiresAt,
+          quantity: lot.stocks,
+          remaining: lot.stocks
+        }))
+    );
+    await this.refreshMarkdown(product._id);
+    return batches;
+  }
+
+  // `priced` is the product, or the variant the batch is of
+  validMarkdown(value, priced) {
+    if (value === undefined || value === '') return undefined;
+    if (value === null) return null;
+
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0 || price >= priced.price) {
+      throw new ApiError(
+        400,
+        `markdownPrice must be at least 0 and below the price of ${priced.price}`
+      );
+    }
+    return price;
+  }
+
+  // Batches a line of the product (or of one of its variants) is sold from
+  lotFilter(productId, variantId) {
+    return {
+      product: productId,
+      // Batches received before the product had variants can go to any of them
+      variant: variantId ? { $in: [variantId, null] } : null
+    };
+  }
+
+  /**
+   * Take sold units out of the product's batches, earliest expiry first.
+   * Units not covered by any batch (stock received without one) are left
+   * unallocated.
+   *
+   * @returns {Promise<Array<{productId, variantId, batch, batchNumber, expiresAt, quantity}>>}
+   */
+  async allocate(productId, quantity, variantId) {
+    const allocations = [];
+    let needed = quantity;
+
+    while (needed > 0) {
+      const next = await StockBatch.findOne({
+        ...this.lotFilter(productId, variantId),
+        status: ACTIVE,
+        remaining: { $gt: 0 },
+        expiresAt: { $gt: new Date() }
+      })
+        .sort({ expiresAt: 1, _id: 1 })
+        .lean();
+      if (!next) break;
+
+      const take = Math.min(needed, next.remaining);
+      const batch = await StockBatch.findOneAndUpdate(
+        { _id: next._id, status: ACTIVE, remaining: { $gte: take } },
+        { $inc: { remaining: -take } },
+        { new: true }
+      );
+      // Another order took from it first; look again
+      if (!batch) continue;
+
+      if (batch.remaining === 0) {
+        await StockBatch.updateOne(
+          { _id: batch._id, remaining: 0, status: ACTIVE },
+          { status: DEPLETED }
+        );
+      }
+      allocations.push({
+        productId: batch.product,
+        variantId: variantId || undefined,
+        batch: batch._id,
+        batchNumber: batch.batchNumber,
+        expiresAt: batch.expiresAt,
+        quantity: take
+      });
+      needed -= take;
+    }
+
+    if (allocations.length) await this.refreshMarkdown(productId);
+    return allocations;
+  }
+
+  // Allocate an order's sold lines and keep the allocation on the order
+  async allocateOrder(orderId, lines) {
+    const allocations = [];
+    for (const line of lines) {
+      allocations.push(...(await this.allocate(line.productId, line.quantity, line.variantId)));
+    }
+    if (allocations.length) {
+      await Order.updateOne(
+        { _id: orderId },
+        { $push: { batchAllocations: { $each: allocations } } }
+      );
+    }
+    return allocations;
+  }
+
+  /**
+   * Put restocked returned units back into the batches the order was
+   * allocated from, latest expiry first, as long as those haven't expired.
+   */
+  async returnUnits(orderRef, productId, quantity, variantId) {
+    const order = await Order.findByReference(orderRef).select('batchAllocations').lean();
+    const allocations = (order?.batchAllocations || [])
+      .filter(
+        allocation =>
+          allocation.productId?.toString() === productId.toString() &&
+          (!variantId || allocation.variantId?.toString() === variantId.toString())
+      )
+      .sort((a, b) => b.expiresAt - a.expiresAt);
+
+    let left = quantity;
+    for (const allocation of allocations) {
+      if (left <= 0) break;
+      const units = Math.min(left, allocation.quantity);
+
+      const batch = await StockBatch.findOneAndUpdate(
+        {
+          _id: allocation.batch,
+          status: { $in: [ACTIVE, DEPLETED] },
+          expiresAt: { $gt: new Date() }
+        },
+        { $inc: { remaining: units }, $set: { status: ACTIVE } },
+        { new: true }
+      );
+      if (batch) left -= units;
+    }
+
+    if (left < quantity) await this.refreshMarkdown(productId);
+  }
+
+  // Hand a cancelled order's allocations back to their batches, unless they have expired since
+  async releaseOrder(order) {
+    const products = new Set();
+    for (const allocation of order.batchAllocations || []) {
+      const batch = await StockBatch.findOneAndUpdate(
+        {
+          _id: allocation.batch,
+          status: { $in: [ACTIVE, DEPLETED] },
+          expiresAt: { $gt: new Date() }
+        },
+        { $inc: { remaining: allocation.quantity }, $set: { status: ACTIVE } }
+      );
+      if (batch) products.add(allocation.productId.toString());
+    }
+
+    for (const productId of products) await this.refreshMarkdown(productId);
+  }
+
+  // Damaged units from a known batch
+  async writeOff(productId, quantity, batchId, { actor, note } = {}) {
+    if (!mongoose.isValidObjectId(batchId)) throw new ApiError(400, 'Invalid batch id');
+
+    const batch = await StockBatch.findOneAndUpdate(
+      { _id: batchId, product: productId, status: ACTIVE, remaining: { $gte: quantity } },
+      { $inc: { remaining: -quantity } },
+      { new: true }
+    );
+    if (!batch) {
+      throw new ApiError(409, `The batch does not have ${quantity} units of this product left`);
+    }
+
+    try {
+      const product = await inventoryService.writeOff(productId, quantity, {
+        sku: batch.sku,
+        actor,
+        reference: { kind: 'StockBatch', id: batch._id },
+        note
+      });
+      if (batch.remaining === 0) {
+        await StockBatch.updateOne(
+          { _id: batch._id, remaining: 0, status: ACTIVE },
+          { status: DEPLETED }
+        );
+      }
+      await this.refreshMarkdown(productId);
+      return product;
+    } catch (error) {
+      await StockBatch.updateOne({ _id: batch._id }, { $inc: { remaining: quantity } });
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the product's markdown and displayed expiry date in line with the
+   * batch that will be sold next.
+   */
+  async refreshMarkdown(productId) {
+    const next = await StockBatch.findOne({
+      product: productId,
+      status: ACTIVE,
+      remaining: { $gt: 0 },
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ expiresAt: 1, _id: 1 })
+      .lean();
+
+    if (
+      next &&
+      next.markdownPrice !== undefined &&
+      next.markdownPrice !== null &&
+      next.expiresAt <= this.nearExpiryCutoff()
+    ) {
+      await Product.updateOne(
+        { _id: productId },
+        {
+          $set: {
+            markdown: {
+              price: next.markdownPrice,
+              batch: next._id,
+              variant: next.variant ?? undefined,
+              until: next.expiresAt
+            },
+            'foodInfo.expiryDate': next.expiresAt
+          }
+        }
+      );
+      return;
+    }
+
+    await Product.updateOne(
+      { _id: productId },
+      {
+        $unset: { markdown: 1 },
+        ...(next && { $set: { 'foodInfo.expiryDate': next.expiresAt } })
+      }
+    );
+  }
+
+  async setMarkdown(batchId, user, markdownPrice) {
+    if (!mongoose.isValidObjectId(batchId)) throw new ApiError(400, 'Invalid batch id');
+
+    const batch = await StockBatch.findById(batchId);
+    if (!batch) throw new ApiError(404, 'Batch not found');
+    const product = await inventoryService.authorize(batch.product, user);
+
+    const price = this.validMarkdown(
+      markdownPrice,
+      Product.findVariant(product, batch.variant) || product
+    );
+    if (price === undefined)
+      throw new ApiError(400, 'markdownPrice is required, or null to remove it');
+
+    batch.markdownPrice = price ?? undefined;
+    await batch.save();
+    await this.refreshMarkdown(batch.product);
+    return batch;
+  }
+
+  async listBatches(productId, user, { status } = {}) {
+    const product = await inventoryService.authorize(productId, user);
+    return StockBatch.find({ product: product._id, ...(status && { status }) })
+      .sort({ expiresAt: 1 })
+      .lean();
+  }
+
+  // Batches still in stock expiring within `days`; a seller's own, or all for admins
+  async listExpiring(user, { days = NEAR_EXPIRY_DAYS } = {}) {
+    const query = {
+      status: ACTIVE,
+      remaining: { $gt: 0 },
+      expiresAt: { $lte: new Date(Date.now() + days * DAY_MS) }
+    };
+    if (!['admin', 'superadmin'].includes(user.role)) query.seller = user._id;
+
+    return StockBatch.find(query)
+      .populate('product', 'name price markdown')
+      .sort({ expiresAt: 1 })
+      .limit(500)
+      .lean();
+  }
+
+  /* ───────── Sweep ───────── */
+
+  // Take batches past their expiry date off sale and write off what's left of them
+  async expireDue() {
+    const due = await StockBatch.find({ status: ACTIVE, expiresAt: { $lte: new Date() } })
+      .select('_id')
+      .limit(SWEEP_BATCH)
+      .lean();
+
+    let expired = 0;
+    for (const { _id } of due) {
+      // Old document back, so we know how many units were left
+      const batch = await StockBatch.findOneAndUpdate(
+        { _id, status: ACTIVE },
+        [
+          {
+            $set: {
+              status: EXPIRED,
+              expiredAt: new Date(),
+              expiredUnits: '$remaining',
+              remaining: 0
+            }
+          }
+        ],
+        { new: false }
+      );
+      if (!batch) continue;
+
+      if (batch.remaining > 0) {
+        const units = await inventoryService.expire(batch.product, batch.remaining, {
+          variantId: batch.variant,
+          reference: { kind: 'StockBatch', id: batch._id },
+          note: `Batch ${batch.batchNumber} expired`
+        });
+        if (units !== batch.remaining) {
+          await StockBatch.updateOne({ _id: batch._id }, { expiredUnits: units });
+        }
+      }
+      await this.refreshMarkdown(batch.product);
+      expired += 1;
+    }
+
+    if (expired) logger.info('Expired stock batches written off', { expired });
+    return expired;
+  }
+
+  // One email per seller listing their batches that just came within NEAR_EXPIRY_DAYS
+  async alertNearExpiry() {
+    const batches = await StockBatch.find({
+      status: ACTIVE,
+      remaining: { $gt: 0 },
+      expiresAt: { $gt: new Date(), $lte: this.nearExpiryCutoff() },
+      nearExpiryAlertedAt: { $exists: false }
+    })
+      .populate('product', 'name')
+      .limit(SWEEP_BATCH)
+      .lean();
+    if (!batches.length) return 0;
+
+    const bySeller = new Map();
+    for (const batch of batches) {
+      const key = batch.seller?.toString() || '';
+      bySeller.set(key, [...(bySeller.get(key) || []), batch]);
+    }
+
+    const sellerIds = [...bySeller.keys()].filter(Boolean);
+    const [sellers, users] = await Promise.all([
+      Seller.findForUsers(sellerIds),
+      User.find({ _id: { $in: sellerIds } })
+        .select('email')
+        .lean()
+    ]);
+    const emails = new Map(users.map(user => [user._id.toString(), user.email]));
+
+    for (const [sellerId, sellerBatches] of bySeller) {
+      const seller = sellers.get(sellerId);
+      const email = seller?.email || emails.get(sellerId);
+
+      if (email && seller?.notifications?.email !== false) {
+        try {
+          await sendNearExpiryAlert(
+            email,
+            sellerBatches.map(batch => ({
+              productName: [batch.product?.name || 'A product', batch.sku && `(${batch.sku})`]
+                .filter(Boolean)
+                .join(' '),
+              batchNumber: batch.batchNumber,
+              expiresAt: batch.expiresAt,
+              remaining: batch.remaining
+            }))
+          );
+        } catch (error) {
+          // Not marked, so the next sweep tries again
+          logger.error('Near-expiry alert failed', { sellerId, error: error.message });
+          continue;
+        }
+      }
+
+      await StockBatch.updateMany(
+        { _id: { $in: sellerBatches.map(batch => batch._id) } },
+        { $set: { nearExpiryAlertedAt: new Date() } }
+      );
+    }
+
+    // Their markdowns start now
+    const productIds = new Set(
+      batches.map(batch => batch.product?._id?.toString()).filter(Boolean)
+    );
+    for (const productId of productIds) {
+      await this.refreshMarkdown(productId);
+    }
+
+    return batches.length;
+  }
+
+  async sweep() {
+    await this.expireDue();
+    await this.alertNearExpiry();
+  }
+
+  startSweeper() {
+    setInterval(
+      () =>
+        this.sweep().catch(error =>
+          logger.error('Stock batch sweep failed', { error: error.message })
+        ),
+      SWEEP_MS
+    ).unref();
+  }
+}
+
+export default new BatchService();
@@ -1,7 +1,16 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
 import { Product } from '../modules/product/product.models.js';
 import redisClient from '../config/redis.js';
+import codService from './codService.js';
+import couponService from './couponService.js';
+import taxService from './taxService.js';
+import shippingService from './shippingService.js';
+import packingService from './packingService.js';
+import reservationService from './reservationService.js';
+import variantService from './variantService.js';
 
 // Cart Item Schema
 const CartItemSchema = new mongoose.Schema({
@@ -22,9 +31,13 @@ const CartItemSchema = new mongoose.Schema({
   },
   selectedVariant: {
     size: String,
+    flavour: String,
     color: String,
     material: String
   },
+  // The variant chosen, for products with variants
+  variantId: mongoose.Schema.Types.ObjectId,
+  sku: String,
   addedAt: {
     type: Date,
     default: Date.now
@@ -60,6 +73,8 @@ const CartSchema = new mongoose.Schema({
   discountCode: {
     type: String
   },
+  // Applied coupons, in the order they were added; discountCode is these joined
+  couponCodes: [String],
   discountAmount: {
     type: Number,
     default: 0
@@ -68,10 +83,15 @@ const CartSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // GST on the items; taxIncluded is the part already inside item prices
   taxAmount: {
     type: Number,
     default: 0
   },
+  taxIncluded: {
+    type: Number,
+    default: 0
+  },
   finalAmount: {
     type: Number,
     default: 0
@@ -94,10 +114,14 @@ CartSchema.index({ userId: 1, isActive: 1 });
 CartSchema.index({ sessionId: 1, isActive: 1 });
 CartSchema.index({ updatedAt: -1 });
 
-// Pre-save middleware to calculate totals
-CartSchema.pre('save', function(next) {
+// Pre-save middleware to calculate tax and totals
+CartSchema.pre('save', async function() {
+  // A checkout hold is for the cart as it was; once items change the units go back
+  if (!this.isNew && this.isModified('items')) {
+    await reservationService.releaseForCart(this._id, 'cart_changed');
+  }
+  await taxService.applyToCart(this);
   this.calculateTotals();
-  next();
 });
 
 // Methods
@@ -106,13 +130,20 @@ CartSchema.methods.calculateTotals = function() {
   this.totalAmount = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
   
   // Calculate final amount with discounts and shipping
-  this.finalAmount = this.totalAmount - this.discountAmount + this.shippingCost + this.taxAmount;
+  this.finalAmount = this.totalAmount - this.discountAmount + this.shippingCost +
+    (this.taxAmount - (this.taxIncluded || 0));
 };
 
-CartSchema.methods.addItem = function(productId, quantity, price, variant = {}) {
-  const existingItemIndex = this.items.findIndex(item => 
-    item.productId.toString() === productId.toString() &&
-    JSON.stringify(item.selectedVariant) === JSON.stringify(variant)
+// Lines of a product with variants are told apart by variant, other lines by selectedVariant
+const isSameLine = (item, productId, variant, variantId) =>
+  item.productId.toString() === productId.toString() &&
+  (variantId
+    ? item.variantId?.toString() === variantId.toString()
+    : JSON.stringify(item.selectedVariant) === JSON.stringify(variant));
+
+CartSchema.methods.addItem = function(productId, quantity, price, variant = {}, chosen = null) {
+  const existingItemIndex = this.items.findIndex(item =>
+    isSameLine(item, productId, variant, chosen?._id)
   );
 
   if (existingItemIndex > -1) {
@@ -122,30 +153,30 @@ CartSchema.methods.addItem = function(productId, quantity, price, variant = {})
       productId,
       quantity,
       price,
-      selectedVariant: variant
+      selectedVariant: variant,
+      variantId: chosen?._id,
+      sku: chosen?.sku
     });
   }
 
   this.calculateTotals();
 };
 
-CartSchema.methods.removeItem = function(productId, variant = {}) {
-  this.items = this.items.filter(item => 
-    !(item.productId.toString() === productId.toString() &&
-      JSON.stringify(item.selectedVariant) === JSON.stringify(variant))
+CartSchema.methods.removeItem = function(productId, variant = {}, variantId = null) {
+  this.items = this.items.filter(item =>
+    !isSameLine(item, productId, variant, variantId)
   );
   this.calculateTotals();
 };
 
-CartSchema.methods.updateItemQuantity = function(productId, quantity, variant = {}) {
-  const item = this.items.find(item => 
-    item.productId.toString() === productId.toString() &&
-    JSON.stringify(item.selectedVariant) === JSON.stringify(variant)
+CartSchema.methods.updateItemQuantity = function(productId, quantity, variant = {}, variantId = null) {
+  const item = this.items.find(item =>
+    isSameLine(item, productId, variant, variantId)
   );
 
   if (item) {
     if (quantity <= 0) {
-      this.removeItem(productId, variant);
+      this.removeItem(productId, variant, variantId);
     } else {
       item.quantity = quantity;
       this.calculateTotals();
@@ -188,7 +219,7 @@ class CartService {
       }
 
       cart = await Cart.findOne(query)
-        .populate('items.productId', 'name price ProductImage Category stocks inStock')
+        .populate('items.productId', 'name price markdown ProductImage Category stocks reservedStock inStock variants')
         .lean();
 
       if (!cart) {
@@ -200,7 +231,7 @@ class CartService {
         });
         await cart.save();
         cart = await Cart.findById(cart._id)
-          .populate('items.productId', 'name price ProductImage Category stocks inStock')
+          .populate('items.productId', 'name price markdown ProductImage Category stocks reservedStock inStock variants')
           .lean();
       }
 
@@ -220,13 +251,15 @@ class CartService {
   // Add item to cart
   async addToCart(userId, sessionId, productId, quantity = 1, variant = {}) {
     try {
-      // Validate product
+      // Validate product, and the variant for products that come in several
       const product = await Product.findById(productId);
       if (!product) {
         throw new Error('Product not found');
       }
+      const chosen = variantService.resolve(product, variant);
+      if (chosen) variant = Product.variantOptions(chosen);
 
-      if (!product.inStock || product.stocks < quantity) {
+      if (reservationService.available(product, chosen?._id) < quantity) {
         throw new Error('Insufficient stock');
       }
 
@@ -247,7 +280,8 @@ class CartService {
       }
 
       // Add item
-      cart.addItem(productId, quantity, product.price, variant);
+      const price = Product.sellingPrice(product, chosen);
+      cart.addItem(productId, quantity, price, variant, chosen);
       await cart.save();
 
       // Update cache
@@ -255,7 +289,7 @@ class CartService {
 
       // Populate and return
       const populatedCart = await Cart.findById(cart._id)
-        .populate('items.productId', 'name price ProductImage Category stocks inStock')
+        .populate('items.productId', 'name price markdown ProductImage Category stocks reservedStock inStock variants')
         .lean();
 
       // Track interaction
@@ -268,8 +302,9 @@ class CartService {
           interactionType: 'add_to_cart',
           metadata: {
             quantity,
-            price: product.price,
-            variant
+            price,
+            variant,
+            sku: chosen?.sku
           }
         });
       } catch (error) {
@@ -297,7 +332,7 @@ class CartService {
         throw new Error('Cart not found');
       }
 
-      cart.removeItem(productId, variant);
+      cart.removeItem(productId, variant, await this.variantIdFor(productId, variant));
       await cart.save();
 
       // Update cache
@@ -318,7 +353,7 @@ class CartService {
       }
 
       const populatedCart = await Cart.findById(cart._id)
-        .populate('items.productId', 'name price ProductImage Category stocks inStock')
+        .populate('items.productId', 'name price markdown ProductImage Category stocks reservedStock inStock variants')
         .lean();
 
       return populatedCart;
@@ -346,22 +381,29 @@ class CartService {
         throw new Error('Cart not found');
       }
 
-      // Validate stock if increasing quantity
+      const variantId = await this.variantIdFor(productId, variant);
+
+      // Validate stock if increasing quantity; units this cart's checkout holds count as its own
       if (quantity > 0) {
         const product = await Product.findById(productId);
-        if (!product || !product.inStock || product.stocks < quantity) {
+        const held = product
+          ? (await reservationService.heldForCart(cart._id)).get(
+            reservationService.lineKey(productId, variantId)
+          ) || 0
+          : 0;
+        if (!product || reservationService.available(product, variantId) + held < quantity) {
           throw new Error('Insufficient stock');
         }
       }
 
-      cart.updateItemQuantity(productId, quantity, variant);
+      cart.updateItemQuantity(productId, quantity, variant, variantId);
       await cart.save();
 
       // Update cache
       await this.updateCache(userId, sessionId, cart);
 
       const populatedCart = await Cart.findById(cart._id)
-        .populate('items.productId', 'name price ProductImage Category stocks inStock')
+        .populate('items.productId', 'name price markdown ProductImage Category stocks reservedStock inStock variants')
         .lean();
 
       return populatedCart;
@@ -371,6 +413,12 @@ class CartService {
     }
   }
 
+  // The variant a remove or update refers to; it may no longer be on sale
+  async variantIdFor(productId, variant) {
+    const product = await Product.findById(productId).select('variants').lean();
+    return product ? variantService.match(product, variant)?._id || null : null;
+  }
+
   // Clear cart
   async clearCart(userId, sessionId) {
     try {
@@ -411,19 +459,19 @@ class CartService {
         throw new Error('Cart not found');
       }
 
-      // Validate discount code (implement your discount logic here)
-      const discount = await this.validateDiscountCode(discountCode, cart);
-      
-      cart.discountCode = discountCode;
-      cart.discountAmount = discount.amount;
-      cart.calculateTotals();
+      const discount = await this.validateDiscountCode(discountCode, cart, {
+        userId,
+        appliedCodes: this.getCouponCodes(cart)
+      });
+
+      this.setCoupons(cart, discount);
       await cart.save();
 
       // Update cache
       await this.updateCache(userId, sessionId, cart);
 
       const populatedCart = await Cart.findById(cart._id)
-        .populate('items.productId', 'name price ProductImage Category stocks inStock')
+        .populate('items.productId', 'name price markdown ProductImage Category stocks reservedStock inStock variants')
         .lean();
 
       return populatedCart;
@@ -433,6 +481,44 @@ class CartService {
     }
   }
 
+  // Remove one coupon, or all of them when `discountCode` is omitted
+  async removeDiscount(userId, sessionId, discountCode) {
+    try {
+      const cart = await Cart.findOne({
+        $or: [
+          { userId: userId, isActive: true },
+          { sessionId: sessionId, isActive: true }
+        ]
+      });
+
+      if (!cart) {
+        throw new Error('Cart not found');
+      }
+
+      const remaining = discountCode
+        ? this.getCouponCodes(cart).filter(code => code !== discountCode.trim().toUpperCase())
+        : [];
+
+      const discount = await couponService.evaluate(remaining, {
+        userId,
+        lines: await this.getCouponLines(cart.items)
+      });
+
+      this.setCoupons(cart, discount);
+      await cart.save();
+
+      // Update cache
+      await this.updateCache(userId, sessionId, cart);
+
+      return await Cart.findById(cart._id)
+        .populate('items.productId', 'name price markdown ProductImage Category stocks reservedStock inStock variants')
+        .lean();
+    } catch (error) {
+      logger.error('Failed to remove discount:', error);
+      throw error;
+    }
+  }
+
   // Merge guest cart with user cart
   async mergeGuestCart(userId, guestSessionId) {
     try {
@@ -455,8 +541,7 @@ class CartService {
         // Merge items from guest cart to user cart
         for (const guestItem of guestCart.items) {
           const existingItem = targetCart.items.find(item =>
-            item.productId.toString() === guestItem.productId.toString() &&
-            JSON.stringify(item.selectedVariant) === JSON.stringify(guestItem.selectedVariant)
+            isSameLine(item, guestItem.productId, guestItem.selectedVariant, guestItem.variantId)
           );
 
           if (existingItem) {
@@ -479,7 +564,7 @@ class CartService {
       await this.clearCache(null, guestSessionId);
 
       const populatedCart = await Cart.findById(targetCart._id)
-        .populate('items.productId', 'name price ProductImage Category stocks inStock')
+        .populate('items.productId', 'name price markdown ProductImage Category stocks reservedStock inStock variants')
         .lean();
 
       return populatedCart;
@@ -522,61 +607,217 @@ class CartService {
     }
   }
 
-  // Calculate shipping cost
-  async calculateShipping(cart, shippingAddress) {
-    try {
-      // Implement your shipping calculation logic here
-      let shippingCost = 0;
+  // Shipping for priced cart lines, one shipment per seller, from live courier rates
+  async calculateShipping(items, shippingAddress, { paymentMethod } = {}) {
+    return shippingService.quote(items, {
+      deliveryPincode: shippingAddress?.pincode,
+      cod: paymentMethod === 'COD'
+    });
+  }
 
-      if (cart.totalAmount < 500) {
-        shippingCost = 50; // Free shipping above ₹500
-      }
+  // Show the quoted shipping on the cart itself so its finalAmount matches checkout
+  async setShippingCost(cartId, shippingCost) {
+    const cart = await Cart.findById(cartId);
+    if (!cart || cart.shippingCost === shippingCost) return cart;
 
-      // Add location-based shipping costs
-      if (shippingAddress && shippingAddress.state) {
-        const remoteStates = ['Assam', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Tripura'];
-        if (remoteStates.includes(shippingAddress.state)) {
-          shippingCost += 25;
-        }
-      }
+    cart.shippingCost = shippingCost;
+    await cart.save();
+    await this.updateCache(cart.userId, cart.sessionId, cart);
+    return cart;
+  }
 
-      return shippingCost;
-    } catch (error) {
-      logger.error('Failed to calculate shipping:', error);
-      return 0;
+  // Price the active cart from current Product data. This is the only amount
+  // checkout charges; client-side totals are never trusted. Pass
+  // `{ paymentMethod: 'COD' }` to include the COD fee.
+  async buildQuote(userId, sessionId, shippingAddress, { paymentMethod } = {}) {
+    const query = { isActive: true };
+    if (userId) {
+      query.userId = userId;
+    } else {
+      query.sessionId = sessionId;
     }
-  }
 
-  // Validate discount code
-  async validateDiscountCode(code, cart) {
-    try {
-      // Implement your discount validation logic here
-      const discounts = {
-        'WELCOME10': { type: 'percentage', value: 10, minAmount: 100 },
-        'SAVE50': { type: 'fixed', value: 50, minAmount: 200 },
-        'NEWUSER': { type: 'percentage', value: 15, minAmount: 150 }
-      };
+    const cart = await Cart.findOne(query).lean();
+    if (!cart || cart.items.length === 0) {
+      throw new ApiError(400, 'Cart is empty');
+    }
+
+    const products = await Product.find({
+      _id: { $in: cart.items.map(item => item.productId) },
+      isActive: true
+    }).lean();
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+    // Units an earlier checkout of this cart holds are still available to it
+    const held = await reservationService.heldForCart(cart._id);
 
-      const discount = discounts[code.toUpperCase()];
-      if (!discount) {
-        throw new Error('Invalid discount code');
+    const items = cart.items.map(item => {
+      const product = productMap.get(item.productId.toString());
+      if (!product) {
+        throw new ApiError(404, `Product ${item.productId} is no longer available`);
       }
 
-      if (cart.totalAmount < discount.minAmount) {
-        throw new Error(`Minimum order amount ₹${discount.minAmount} required`);
+      // Lines of a product that has since gained variants must be chosen again
+      const variant = Product.findVariant(product, item.variantId);
+      if (product.variants?.length && !variant?.isActive) {
+        throw new ApiError(400, `Choose an available variant of ${product.name} again`);
       }
 
-      let amount = 0;
-      if (discount.type === 'percentage') {
-        amount = (cart.totalAmount * discount.value) / 100;
-      } else {
-        amount = discount.value;
+      const available =
+        reservationService.available(product, variant?._id) +
+        (held.get(reservationService.lineKey(product._id, variant?._id)) || 0);
+      if (available < item.quantity) {
+        throw new ApiError(400, `Insufficient stock for ${product.name}`);
       }
 
-      return { amount, type: discount.type, value: discount.value };
-    } catch (error) {
-      throw error;
+      return {
+        productId: product._id,
+        variantId: variant?._id,
+        sellerId: product.seller,
+        name: variant ? `${product.name} (${variantService.label(variant)})` : product.name,
+        image: variant?.images?.[0] || product.ProductImage,
+        sku: variant?.sku || product.slug || product._id.toString(),
+        price: Product.sellingPrice(product, variant),
+        quantity: item.quantity,
+        selectedVariant: item.selectedVariant,
+        ...taxService.productTax(product)
+      };
+    });
+
+    const subTotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const shipping = await this.calculateShipping(
+      items.map(item => {
+        const product = productMap.get(item.productId.toString());
+        return {
+          ...item,
+          package: packingService.unitPackage(product, Product.findVariant(product, item.variantId))
+        };
+      }),
+      shippingAddress,
+      { paymentMethod }
+    );
+    if (!shipping.serviceable) {
+      throw new ApiError(400, `Delivery is not available to pincode ${shippingAddress.pincode}`);
     }
+    const fullShippingCost = shipping.shippingCost;
+
+    // Coupons that stopped applying since they were added are dropped from the
+    // price and reported back in rejectedCoupons
+    const discount = await couponService.evaluate(this.getCouponCodes(cart), {
+      userId,
+      lines: items.map(item => {
+        const product = productMap.get(item.productId.toString());
+        return { ...item, category: product.Category, brand: product.brand };
+      }),
+      shippingCost: fullShippingCost
+    });
+
+    const discountAmount = Math.min(discount.discountAmount, subTotal);
+    const shippingCost = fullShippingCost - discount.shippingDiscount;
+
+    const tax = await taxService.computeForOrder(items, {
+      discountAmount,
+      deliveryState: shippingAddress?.state
+    });
+    const taxAmount = tax.summary.taxAmount;
+    // Tax-inclusive prices already carry their GST
+    const payable = subTotal - discountAmount + shippingCost + taxAmount - tax.summary.included;
+    const codFee = paymentMethod === 'COD' ? codService.feeFor(payable) : 0;
+    const totalAmount = Math.round((payable + codFee) * 100) / 100;
+
+    const quote = {
+      cartId: cart._id,
+      items: tax.lines,
+      subTotal,
+      discountCode: discount.coupons.map(coupon => coupon.code).join(',') || undefined,
+      discountAmount,
+      coupons: discount.coupons,
+      rejectedCoupons: discount.rejected,
+      shippingCost,
+      shippingDiscount: discount.shippingDiscount,
+      shipments: shipping.shipments,
+      shippingEstimated: shipping.estimated,
+      taxAmount,
+      taxBreakup: tax.summary,
+      codFee,
+      totalAmount,
+      currency: cart.currency || 'INR'
+    };
+
+    // Identifies an identical quote so a repeated checkout can reuse the locked one
+    quote.fingerprint = crypto
+      .createHash('sha256')
+      .update(
+        JSON.stringify({
+          items: items.map(i => [i.productId, i.variantId, i.price, i.quantity, i.selectedVariant]),
+          coupons: discount.coupons.map(coupon => [coupon.code, coupon.amount]),
+          discountAmount,
+          shippingCost,
+          taxAmount,
+          codFee,
+          totalAmount
+        })
+      )
+      .digest('hex');
+
+    return quote;
+  }
+
+  // Price a new coupon together with the ones already on the cart. A coupon
+  // that can't be stacked replaces them; any other rejection is an error.
+  async validateDiscountCode(code, cart, { userId, appliedCodes = [] } = {}) {
+    code = code.trim().toUpperCase();
+
+    const lines = await this.getCouponLines(cart.items);
+    const others = appliedCodes.filter(applied => applied !== code);
+
+    let discount = await couponService.evaluate([...others, code], { userId, lines });
+    let rejection = discount.rejected.find(rejected => rejected.code === code);
+
+    if (rejection && others.length && rejection.reason.includes('cannot be combined')) {
+      discount = await couponService.evaluate([code], { userId, lines });
+      rejection = discount.rejected.find(rejected => rejected.code === code);
+    }
+
+    if (rejection) {
+      throw new ApiError(400, rejection.reason);
+    }
+
+    return discount;
+  }
+
+  // Cart lines with the product fields coupon conditions look at
+  async getCouponLines(cartItems) {
+    const products = await Product.find({
+      _id: { $in: cartItems.map(item => item.productId) }
+    })
+      .select('seller Category brand')
+      .lean();
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    return cartItems.map(item => {
+      const product = productMap.get(item.productId.toString());
+      return {
+        productId: item.productId,
+        sellerId: product?.seller,
+        category: product?.Category,
+        brand: product?.brand,
+        price: item.price,
+        quantity: item.quantity
+      };
+    });
+  }
+
+  // Carts from before coupon stacking only have discountCode
+  getCouponCodes(cart) {
+    if (cart.couponCodes?.length) return cart.couponCodes;
+    return cart.discountCode ? [cart.discountCode.toUpperCase()] : [];
+  }
+
+  setCoupons(cart, discount) {
+    cart.couponCodes = discount.coupons.map(coupon => coupon.code);
+    cart.discountCode = cart.couponCodes.join(',') || undefined;
+    cart.discountAmount = discount.discountAmount;
+    cart.calculateTotals();
   }
 
   // Cache management
@@ -614,7 +855,7 @@ class CartService {
 
       const productIds = cart.items.map(item => item.productId);
       const products = await Product.find({ _id: { $in: productIds } })
-        .select('name price ProductImage Category stocks inStock')
+        .select('name price markdown ProductImage Category stocks reservedStock inStock variants')
         .lean();
 
       const productMap = new Map(products.map(p => [p._id.toString(), p]));
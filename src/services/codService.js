@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { generateOTP } from '../utils/otpGenerator.js';
+import { sendOTP } from '../utils/Nodemailer.js';
+import { checkServiceability } from '../utils/ShipRocket.js';
+import { Order } from '../modules/order/order.models.js';
+import { Seller } from '../modules/seller/seller.model.js';
+import { ORDER_STATUS } from '../modules/order/order.status.js';
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// COD rules, tunable from the environment
+const COD_RULES = Object.freeze({
+  enabled: process.env.COD_ENABLED !== 'false',
+  maxOrderValue: numberFromEnv('COD_MAX_ORDER_VALUE', 10000), // INR, fee included
+  fee: numberFromEnv('COD_FEE', 49),
+  feeWaivedAbove: numberFromEnv('COD_FEE_WAIVED_ABOVE', 0), // 0 = never waived
+  maxRtoOrders: numberFromEnv('COD_MAX_RTO_ORDERS', 2), // 0 = ignore history
+  otpRequired: process.env.COD_OTP_REQUIRED !== 'false',
+  otpTtlMs: 10 * 60 * 1000,
+  otpResendAfterMs: 60 * 1000,
+  otpMaxAttempts: 5
+});
+
+// COD shipments that came back without being delivered (refused / RTO)
+const RTO_FROM_STATUSES = [ORDER_STATUS.SHIPPED, ORDER_STATUS.OUT_FOR_DELIVERY];
+
+const hashOtp = (orderId, otp) =>
+  crypto.createHash('sha256').update(`${orderId}:${otp}`).digest('hex');
+
+class CodService {
+  get rules() {
+    return COD_RULES;
+  }
+
+  // Fee charged for COD on an order worth `amount` (before the fee)
+  feeFor(amount) {
+    if (COD_RULES.feeWaivedAbove > 0 && amount >= COD_RULES.feeWaivedAbove) return 0;
+    return COD_RULES.fee;
+  }
+
+  async countRtoOrders(userId) {
+    return Order.countDocuments({
+      userId,
+      paymentMethod: 'COD',
+      statusHistory: {
+        $elemMatch: { status: ORDER_STATUS.RETURNED, from: { $in: RTO_FROM_STATUSES } }
+      }
+    });
+  }
+
+  /**
+   * Decide whether COD can be offered for a priced cart.
+   *
+   * @param {ObjectId} userId
+   * @param {object} quote - cartService.buildQuote result priced for COD
+   * @param {string} pincode - delivery pincode
+   * @returns {Promise<{eligible: boolean, fee: number, reasons: Array<{code: string, message: string}>}>}
+   */
+  async checkEligibility(userId, quote, pincode) {
+    const reasons = [];
+
+    if (!COD_RULES.enabled) {
+      reasons.push({ code: 'COD_DISABLED', message: 'Cash on delivery is not available' });
+      return { eligible: false, fee: 0, reasons };
+    }
+
+    if (quote.totalAmount > COD_RULES.maxOrderValue) {
+      reasons.push({
+        code: 'ORDER_VALUE_TOO_HIGH',
+        message: `Cash on delivery is available for orders up to ₹${COD_RULES.maxOrderValue}`
+      });
+    }
+
+    const sellerIds = [
+      ...new Set(quote.items.map(item => item.sellerId?.toString()).filter(Boolean))
+    ];
+
+    // Every warehouse the order ships from has to offer COD to the pincode
+    const pickupPincodes = [
+      ...new Set((quote.shipments || []).map(shipment => shipment.pickupPincode).filter(Boolean))
+    ];
+    const [serviceability, rtoOrders, sellers] = await Promise.all([
+      pickupPincodes.length
+        ? Promise.all(
+            pickupPincodes.map(pickupPincode => checkServiceability(pincode, 1, 1, pickupPincode))
+          ).then(results => ({ cod: results.every(result => result.cod) }))
+        : checkServiceability(pincode, 1),
+      COD_RULES.maxRtoOrders > 0 ? this.countRtoOrders(userId) : 0,
+      Seller.findForUsers(sellerIds)
+    ]);
+
+    if (!serviceability.cod) {
+      reasons.push({
+        code: 'PINCODE_NOT_SERVICEABLE',
+        message: `Cash on delivery is not available for pincode ${pincode}`
+      });
+    }
+
+    if (COD_RULES.maxRtoOrders > 0 && rtoOrders >= COD_RULES.maxRtoOrders) {
+      reasons.push({
+        code: 'RTO_HISTORY',
+        message: 'Cash on delivery is unavailable because earlier COD orders were not accepted'
+      });
+    }
+
+    const optedOut = quote.items.filter(
+      item => item.sellerId && sellers.get(item.sellerId.toString())?.codEnabled === false
+    );
+    if (optedOut.length) {
+      reasons.push({
+        code: 'SELLER_OPTED_OUT',
+        message: `Cash on delivery is not offered for: ${optedOut.map(item => item.name).join(', ')}`
+      });
+    }
+
+    return { eligible: reasons.length === 0, fee: quote.codFee || 0, reasons };
+  }
+
+  async assertEligible(userId, quote, pincode) {
+    const result = await this.checkEligibility(userId, quote, pincode);
+    if (!result.eligible) {
+      throw new ApiError(400, result.reasons[0].message, result.reasons);
+    }
+    return result;
+  }
+
+  // Email a fresh OTP for a COD order; earlier codes stop working
+  async issueOtp(order) {
+    const sentAt = order.codVerification?.sentAt;
+    if (sentAt && Date.now() - sentAt.getTime() < COD_RULES.otpResendAfterMs) {
+      throw new ApiError(429, 'Please wait a minute before requesting another OTP');
+    }
+
+    const otp = generateOTP();
+    const now = new Date();
+
+    order.codVerification = {
+      otpHash: hashOtp(order._id, otp),
+      sentAt: now,
+      expiresAt: new Date(now.getTime() + COD_RULES.otpTtlMs),
+      attempts: 0
+    };
+    await order.save();
+
+    try {
+      await sendOTP(order.email, otp, 'cod');
+    } catch (error) {
+      logger.error('Failed to send COD confirmation OTP', {
+        orderId: order._id,
+        error: error.message
+      });
+      throw new ApiError(502, 'Could not send the confirmation OTP, please try again');
+    }
+
+    return order;
+  }
+
+  // Check an OTP against the order; marks it verified on success
+  async verifyOtp(order, otp) {
+    const verification = order.codVerification;
+
+    if (verification?.verifiedAt) return order;
+
+    if (!verification?.otpHash) {
+      throw new ApiError(400, 'No OTP has been sent for this order');
+    }
+    if (verification.attempts >= COD_RULES.otpMaxAttempts) {
+      throw new ApiError(429, 'Too many incorrect attempts, please request a new OTP');
+    }
+    if (verification.expiresAt < new Date()) {
+      throw new ApiError(400, 'OTP has expired, please request a new one');
+    }
+
+    const expected = Buffer.from(verification.otpHash);
+    const received = Buffer.from(hashOtp(order._id, String(otp)));
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+      verification.attempts += 1;
+      await order.save();
+      throw new ApiError(400, 'Incorrect OTP');
+    }
+
+    verification.verifiedAt = new Date();
+    verification.otpHash = undefined;
+    await order.save();
+    return order;
+  }
+}
+
+export default new CodService();
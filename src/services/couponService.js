@@ -0,0 +1,520 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { Coupon, CouponRedemption } from '../modules/coupon/coupon.model.js';
+import { Order } from '../modules/order/order.models.js';
+import { ORDER_STATUS } from '../modules/order/order.status.js';
+
+const EDITABLE_FIELDS = [
+  'code',
+  'name',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'buyQuantity',
+  'getQuantity',
+  'getDiscountPercent',
+  'conditions',
+  'usageLimit',
+  'perUserLimit',
+  'startsAt',
+  'endsAt',
+  'isActive',
+  'stackable',
+  'priority'
+];
+
+// Changing these would rewrite what earlier redemptions meant
+const LOCKED_AFTER_USE = ['code', 'type'];
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+const normalizeCode = code =>
+  String(code || '')
+    .trim()
+    .toUpperCase();
+
+// Duplicate codes and schema rule failures are the admin's to fix
+const saveError = error => {
+  if (error.code === 11000) return new ApiError(409, 'A coupon with this code already exists');
+  if (['ValidationError', 'CastError', 'Error'].includes(error.name)) {
+    return new ApiError(400, error.message);
+  }
+  return error;
+};
+
+const pick = (source, keys) =>
+  Object.fromEntries(keys.filter(key => source[key] !== undefined).map(key => [key, source[key]]));
+
+// Take `amount` off the lines' remaining value, proportionally to what is left on each
+const takeFromLines = (lines, amount) => {
+  const available = lines.reduce((sum, line) => sum + line.remaining, 0);
+  if (available <= 0) return 0;
+
+  const taken = Math.min(amount, available);
+  for (const line of lines) {
+    line.remaining -= (line.remaining / available) * taken;
+  }
+  return roundMoney(taken);
+};
+
+class CouponService {
+  /**
+   * Price a set of coupon codes against cart lines.
+   *
+   * Coupons are applied by priority (highest first), each one on what is left
+   * of its eligible lines after the previous ones, so stacked discounts never
+   * exceed the item value. Codes that don't apply are returned in `rejected`
+   * with the reason instead of failing the whole set.
+   *
+   * @param {string[]} codes
+   * @param {object} context
+   * @param {ObjectId} [context.userId] - per-user and first-order rules are skipped for guests
+   * @param {Array<{productId, sellerId, category, brand, price, quantity}>} context.lines
+   * @param {number} [context.shippingCost=0]
+   * @returns {Promise<{discountAmount: number, shippingDiscount: number, coupons: Array, rejected: Array<{code: string, reason: string}>}>}
+   */
+  async evaluate(codes, { userId, lines, shippingCost = 0 }) {
+    const result = { discountAmount: 0, shippingDiscount: 0, coupons: [], rejected: [] };
+    const unique = [...new Set(codes.map(normalizeCode).filter(Boolean))];
+    if (!unique.length) return result;
+
+    const found = await Coupon.find({ code: { $in: unique } }).lean();
+    const byCode = new Map(found.map(coupon => [coupon.code, coupon]));
+
+    const candidates = [];
+    for (const code of unique) {
+      const coupon = byCode.get(code);
+      if (!coupon) {
+        result.rejected.push({ code, reason: 'Invalid discount code' });
+      } else if (unique.length > 1 && !coupon.stackable) {
+        result.rejected.push({ code, reason: `${code} cannot be combined with other offers` });
+      } else {
+        candidates.push(coupon);
+      }
+    }
+
+    candidates.sort((a, b) => b.priority - a.priority);
+
+    const working = lines.map(line => ({ ...line, remaining: line.price * line.quantity }));
+    let shippingLeft = shippingCost;
+
+    for (const coupon of candidates) {
+      const eligible = working.filter(line => this.lineMatches(coupon, line));
+      const reason = await this.checkRules(coupon, { userId, eligible });
+      if (reason) {
+        result.rejected.push({ code: coupon.code, reason });
+        continue;
+      }
+
+      let amount = 0;
+      let shippingDiscount = 0;
+
+      if (coupon.type === 'free_shipping') {
+        shippingDiscount = roundMoney(shippingLeft);
+        shippingLeft = 0;
+      } else {
+        amount = takeFromLines(eligible, this.discountFor(coupon, eligible));
+      }
+
+      if (amount <= 0 && shippingDiscount <= 0) {
+        result.rejected.push({
+          code: coupon.code,
+          reason:
+            coupon.type === 'free_shipping'
+              ? 'Shipping is already free on this order'
+              : 'No items in your cart qualify for this coupon'
+        });
+        continue;
+      }
+
+      result.discountAmount = roundMoney(result.discountAmount + amount);
+      result.shippingDiscount = roundMoney(result.shippingDiscount + shippingDiscount);
+      result.coupons.push({
+        coupon: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        amount,
+        shippingDiscount
+      });
+    }
+
+    return result;
+  }
+
+  lineMatches(coupon, line) {
+    const { categories, brands, sellers, products } = coupon.conditions || {};
+    const has = (list, value) =>
+      !list?.length || (value != null && list.some(item => item.toString() === value.toString()));
+
+    return (
+      has(categories, line.category) &&
+      has(brands, line.brand) &&
+      has(sellers, line.sellerId) &&
+      has(products, line.productId)
+    );
+  }
+
+  // Reason the coupon can't be used, or null
+  async checkRules(coupon, { userId, eligible }) {
+    const now = new Date();
+
+    if (!coupon.isActive) return 'This coupon is no longer active';
+    if (coupon.startsAt && coupon.startsAt > now) return 'This coupon is not active yet';
+    if (coupon.endsAt && coupon.endsAt <= now) return 'This coupon has expired';
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      return 'This coupon has reached its usage limit';
+    }
+
+    if (!eligible.length) return 'No items in your cart qualify for this coupon';
+
+    const eligibleValue = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const minCartValue = coupon.conditions?.minCartValue || 0;
+    if (eligibleValue < minCartValue) {
+      return `Minimum order amount ₹${minCartValue} required`;
+    }
+
+    if (!userId) {
+      return coupon.conditions?.firstOrderOnly ? 'Log in to use this coupon' : null;
+    }
+
+    if (coupon.conditions?.firstOrderOnly && (await this.hasOrdered(userId))) {
+      return 'This coupon is only valid on your first order';
+    }
+
+    if (coupon.perUserLimit) {
+      const used = await CouponRedemption.countDocuments({
+        coupon: coupon._id,
+        userId,
+        status: 'applied'
+      });
+      if (used >= coupon.perUserLimit) return 'You have already used this coupon';
+    }
+
+    return null;
+  }
+
+  async hasOrdered(userId) {
+    return Boolean(await Order.exists({ userId, status: { $ne: ORDER_STATUS.CANCELLED } }));
+  }
+
+  // Discount before it is capped at what is left on the eligible lines
+  discountFor(coupon, eligible) {
+    const eligibleValue = eligible.reduce((sum, line) => sum + line.remaining, 0);
+
+    switch (coupon.type) {
+      case 'percentage': {
+        const amount = (eligibleValue * coupon.value) / 100;
+        return coupon.maxDiscount ? Math.min(amount, coupon.maxDiscount) : amount;
+      }
+      case 'flat':
+        return coupon.value;
+      case 'buy_x_get_y': {
+        // Every full group of buy + get units makes its cheapest `get` units discounted
+        const units = eligible
+          .flatMap(line => Array(line.quantity).fill(line.price))
+          .sort((a, b) => a - b);
+        const groups = Math.floor(units.length / (coupon.buyQuantity + coupon.getQuantity));
+        const discounted = units.slice(0, groups * coupon.getQuantity);
+        const percent = coupon.getDiscountPercent ?? 100;
+        return discounted.reduce((sum, price) => sum + (price * percent) / 100, 0);
+      }
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Count the coupons on a quote against their limits for a new order. With
+   * `enforceLimits` a coupon that ran out since the quote fails the order;
+   * without it (the customer has already paid) the use is recorded anyway.
+   *
+   * @param {object} redemption - { orderId, userId, orderTotal, coupons: quote.coupons }
+   */
+  async redeem({ orderId, userId, orderTotal, coupons = [] }, { enforceLimits = true } = {}) {
+    const redeemed = [];
+
+    try {
+      for (const entry of coupons) {
+        const limitFilter = enforceLimits
+          ? {
+              $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+            }
+          : {};
+
+        const coupon = await Coupon.findOneAndUpdate(
+          { _id: entry.coupon, ...limitFilter },
+          { $inc: { usedCount: 1 } },
+          { new: true }
+        );
+        if (!coupon) {
+          throw new ApiError(409, `Coupon ${entry.code} is no longer available`);
+        }
+        redeemed.push(coupon._id);
+
+        if (enforceLimits && coupon.perUserLimit) {
+          const used = await CouponRedemption.countDocuments({
+            coupon: coupon._id,
+            userId,
+            status: 'applied'
+          });
+          if (used >= coupon.perUserLimit) {
+            throw new ApiError(409, `You have already used coupon ${entry.code}`);
+          }
+        }
+
+        await CouponRedemption.create({
+          coupon: coupon._id,
+          code: entry.code,
+          userId,
+          order: orderId,
+          discountAmount: entry.amount,
+          shippingDiscount: entry.shippingDiscount,
+          orderTotal
+        });
+      }
+    } catch (error) {
+      await this.reverse(orderId);
+      // Counts taken for coupons whose redemption was never written
+      const written = await CouponRedemption.distinct('coupon', { order: orderId });
+      const orphaned = redeemed.filter(id => !written.some(couponId => couponId.equals(id)));
+      if (orphaned.length) {
+        await Coupon.updateMany({ _id: { $in: orphaned } }, { $inc: { usedCount: -1 } });
+      }
+      throw error;
+    }
+  }
+
+  // Give the uses back, e.g. when the order is cancelled; safe to repeat
+  async reverse(orderId) {
+    const redemptions = await CouponRedemption.find({ order: orderId, status: 'applied' });
+
+    for (const redemption of redemptions) {
+      const updated = await CouponRedemption.updateOne(
+        { _id: redemption._id, status: 'applied' },
+        { $set: { status: 'reversed', reversedAt: new Date() } }
+      );
+      if (updated.modifiedCount) {
+        await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { usedCount: -1 } });
+      }
+    }
+  }
+
+  /* ───────── Admin ───────── */
+
+  async createCoupon(data, adminId) {
+    try {
+      const coupon = await Coupon.create({
+        ...pick(data, EDITABLE_FIELDS),
+        createdBy: adminId,
+        updatedBy: adminId
+      });
+      logger.logUserAction(adminId, 'coupon_created', { couponId: coupon._id, code: coupon.code });
+      return coupon;
+    } catch (error) {
+      throw saveError(error);
+    }
+  }
+
+  async listCoupons({ status, search, page = 1, limit = 20 } = {}) {
+    const query = {};
+    const now = new Date();
+
+    if (status === 'active') {
+      Object.assign(query, {
+        isActive: true,
+        startsAt: { $lte: now },
+        $or: [{ endsAt: null }, { endsAt: { $gt: now } }]
+      });
+    } else if (status === 'scheduled') {
+      Object.assign(query, { isActive: true, startsAt: { $gt: now } });
+    } else if (status === 'expired') {
+      query.endsAt = { $lte: now };
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    }
+
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$and = [{ $or: [{ code: pattern }, { name: pattern }] }];
+    }
+
+    const skip = (page - 1) * limit;
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Coupon.countDocuments(query)
+    ]);
+
+    return {
+      coupons,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  async getCoupon(couponId) {
+    if (!mongoose.isValidObjectId(couponId)) {
+      throw new ApiError(400, 'Invalid coupon ID');
+    }
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      throw new ApiError(404, 'Coupon not found');
+    }
+    return coupon;
+  }
+
+  async updateCoupon(couponId, data, adminId) {
+    const coupon = await this.getCoupon(couponId);
+    const changes = pick(data, EDITABLE_FIELDS);
+
+    if (coupon.usedCount > 0) {
+      const locked = LOCKED_AFTER_USE.filter(
+        key => changes[key] !== undefined && changes[key] !== coupon[key]
+      );
+      if (locked.length) {
+        throw new ApiError(
+          409,
+          `Cannot change ${locked.join(', ')} of a coupon that has been used`
+        );
+      }
+    }
+
+    coupon.set({ ...changes, updatedBy: adminId });
+
+    try {
+      await coupon.save();
+    } catch (error) {
+      throw saveError(error);
+    }
+
+    logger.logUserAction(adminId, 'coupon_updated', { couponId, changes: Object.keys(changes) });
+    return coupon;
+  }
+
+  // Used coupons are only deactivated so their redemption history stays readable
+  async deleteCoupon(couponId, adminId) {
+    const coupon = await this.getCoupon(couponId);
+
+    if (await CouponRedemption.exists({ coupon: coupon._id })) {
+      coupon.isActive = false;
+      coupon.updatedBy = adminId;
+      await coupon.save();
+      logger.logUserAction(adminId, 'coupon_deactivated', { couponId });
+      return { deleted: false, coupon };
+    }
+
+    await coupon.deleteOne();
+    logger.logUserAction(adminId, 'coupon_deleted', { couponId, code: coupon.code });
+    return { deleted: true };
+  }
+
+  /**
+   * Redemption analytics for one coupon, or for every coupon when `couponId`
+   * is omitted.
+   *
+   * @param {object} [options]
+   * @param {ObjectId} [options.couponId]
+   * @param {Date} [options.from]
+   * @param {Date} [options.to]
+   */
+  async getAnalytics({ couponId, from, to } = {}) {
+    const match = {};
+    if (couponId) {
+      match.coupon = (await this.getCoupon(couponId))._id;
+    }
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = from;
+      if (to) match.createdAt.$lte = to;
+    }
+
+    const applied = { $eq: ['$status', 'applied'] };
+    const whenApplied = field => ({ $cond: [applied, field, 0] });
+
+    const [totals] = await CouponRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: whenApplied(1) },
+          reversed: { $sum: { $cond: [applied, 0, 1] } },
+          discountGiven: { $sum: whenApplied('$discountAmount') },
+          shippingDiscountGiven: { $sum: whenApplied('$shippingDiscount') },
+          revenue: { $sum: whenApplied('$orderTotal') },
+          customers: { $addToSet: { $cond: [applied, '$userId', null] } }
+        }
+      }
+    ]);
+
+    const daily = await CouponRedemption.aggregate([
+      { $match: { ...match, status: 'applied' } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          redemptions: { $sum: 1 },
+          discountGiven: { $sum: '$discountAmount' },
+          revenue: { $sum: '$orderTotal' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const summary = {
+      redemptions: totals?.redemptions || 0,
+      reversed: totals?.reversed || 0,
+      discountGiven: roundMoney(totals?.discountGiven || 0),
+      shippingDiscountGiven: roundMoney(totals?.shippingDiscountGiven || 0),
+      revenue: roundMoney(totals?.revenue || 0),
+      uniqueCustomers: (totals?.customers || []).filter(Boolean).length
+    };
+    summary.averageOrderValue = summary.redemptions
+      ? roundMoney(summary.revenue / summary.redemptions)
+      : 0;
+
+    const result = {
+      summary,
+      daily: daily.map(({ _id, ...day }) => ({ date: _id, ...day }))
+    };
+
+    if (!couponId) {
+      result.topCoupons = await CouponRedemption.aggregate([
+        { $match: { ...match, status: 'applied' } },
+        {
+          $group: {
+            _id: '$coupon',
+            code: { $first: '$code' },
+            redemptions: { $sum: 1 },
+            discountGiven: { $sum: '$discountAmount' },
+            revenue: { $sum: '$orderTotal' }
+          }
+        },
+        { $sort: { redemptions: -1 } },
+        { $limit: 10 }
+      ]);
+    }
+
+    return result;
+  }
+
+  async listRedemptions(couponId, { page = 1, limit = 20 } = {}) {
+    const coupon = await this.getCoupon(couponId);
+    const skip = (page - 1) * limit;
+
+    const [redemptions, total] = await Promise.all([
+      CouponRedemption.find({ coupon: coupon._id })
+        .populate('userId', 'fullName email')
+        .populate('order', 'orderNumber status totalAmount')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      CouponRedemption.countDocuments({ coupon: coupon._id })
+    ]);
+
+    return {
+      redemptions,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+}
+
+export default new CouponService();
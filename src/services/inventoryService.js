@@ -0,0 +1,514 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { Product } from '../modules/product/product.models.js';
+import { InventoryMovement, MOVEMENT_TYPE } from '../modules/inventory/inventoryMovement.model.js';
+import stockAlertService from './stockAlertService.js';
+
+const ADMIN_ROLES = ['admin', 'superadmin'];
+
+const actorOf = user => (user ? { user: user._id, role: user.role } : { role: 'system' });
+
+/**
+ * The inventory ledger.
+ *
+ * Every change to a product's stock goes through here: the product is
+ * updated atomically and the change is appended to InventoryMovement with
+ * the levels it left behind, who made it and the document it was made for.
+ * A product's ledger starts with an opening balance (its stock when the
+ * ledger first saw it), so summing its movements must give its current
+ * stock; `verify` checks exactly that. Each move also hands the new levels
+ * to stockAlertService, which alerts the seller when stock runs low.
+ *
+ * Products with variants move one variant at a time (`variantId`, or `sku`
+ * on the manual endpoints) and the product's totals with it.
+ */
+class InventoryService {
+  constructor() {
+    // Products known to have a ledger, to skip the lookup on every move
+    this.opened = new Set();
+  }
+
+  async ensureOpening(productId) {
+    const key = productId.toString();
+    if (this.opened.has(key)) return;
+
+    if (!(await InventoryMovement.exists({ product: productId }))) {
+      const product = await Product.findById(productId)
+        .select('stocks reservedStock seller')
+        .lean();
+      if (!product) return;
+
+      await InventoryMovement.create({
+        product: product._id,
+        seller: product.seller,
+        type: MOVEMENT_TYPE.OPENING,
+        quantity: product.stocks,
+        reservedChange: product.reservedStock || 0,
+        stockAfter: product.stocks,
+        reservedAfter: product.reservedStock || 0,
+        note: 'Stock on hand when the ledger started'
+      }).catch(error => {
+        // Another move wrote it first
+        if (error.code !== 11000) throw error;
+      });
+    }
+    this.opened.add(key);
+  }
+
+  /**
+   * Apply one stock change and append it to the ledger.
+   *
+   * @param {ObjectId} productId
+   * @param {Function} apply - performs the atomic product update, resolves to its new levels or null when refused
+   * @param {object} entry - type, quantity, reservedChange, variantId, actor (a user), reference ({kind, id}), note
+   * @returns {Promise<object|null>} the product's new levels, or null when the change was refused
+   */
+  async move(
+    productId,
+    apply,
+    { type, quantity = 0, reservedChange = 0, variantId, actor, reference, note }
+  ) {
+    await this.ensureOpening(productId);
+
+    const product = await apply();
+    if (!product) return null;
+
+    const variant = Product.findVariant(product, variantId);
+    try {
+      await InventoryMovement.create({
+        product: product._id,
+        seller: product.seller,
+        variant: variant?._id,
+        sku: variant?.sku,
+        variantStockAfter: variant?.stocks,
+        type,
+        quantity,
+        reservedChange,
+        stockAfter: product.stocks,
+        reservedAfter: product.reservedStock || 0,
+        actor: actorOf(actor),
+        reference,
+        note
+      });
+    } catch (error) {
+      // The stock has already moved; verify() will flag the gap
+      logger.error('Inventory movement not recorded', {
+        productId: productId.toString(),
+        type,
+        quantity,
+        reservedChange,
+        error: error.message
+      });
+    }
+
+    if (quantity) {
+      stockAlertService.check(product).catch(error =>
+        logger.error('Low-stock check failed', {
+          productId: productId.toString(),
+          error: error.message
+        })
+      );
+    }
+    return product;
+  }
+
+  // A new product's initial stock is its first receipt, one per variant when it has them
+  async openLedger(product, actor) {
+    const receipts = product.variants?.length ? product.variants : [null];
+    let stockAfter = 0;
+
+    for (const variant of receipts) {
+      const quantity = variant ? variant.stocks : product.stocks;
+      stockAfter += quantity;
+      await InventoryMovement.create({
+        product: product._id,
+        seller: product.seller,
+        variant: variant?._id,
+        sku: variant?.sku,
+        variantStockAfter: variant?.stocks,
+        type: MOVEMENT_TYPE.RECEIPT,
+        quantity,
+        stockAfter,
+        reservedAfter: product.reservedStock || 0,
+        actor: actorOf(actor),
+        reference: { kind: 'Product', id: product._id },
+        note: 'Opening stock'
+      });
+    }
+    this.opened.add(product._id.toString());
+  }
+
+  /* ───────── Checkout and orders ───────── */
+
+  reserve(productId, quantity, { variantId, reference, actor } = {}) {
+    return this.move(productId, () => Product.reserveStock(productId, quantity, variantId), {
+      type: MOVEMENT_TYPE.RESERVATION,
+      reservedChange: quantity,
+      variantId,
+      reference,
+      actor
+    });
+  }
+
+  release(productId, quantity, { variantId, reference, actor, note } = {}) {
+    return this.move(productId, () => Product.releaseStock(productId, quantity, variantId), {
+      type: MOVEMENT_TYPE.RELEASE,
+      reservedChange: -quantity,
+      variantId,
+      reference,
+      actor,
+      note
+    });
+  }
+
+  // Sell units that were held for the order
+  sellHeld(productId, quantity, { variantId, reference, actor } = {}) {
+    return this.move(productId, () => Product.commitReservedStock(productId, quantity, variantId), {
+      type: MOVEMENT_TYPE.SALE,
+      quantity: -quantity,
+      reservedChange: -quantity,
+      variantId,
+      reference,
+      actor
+    });
+  }
+
+  sell(productId, quantity, { variantId, reference, actor } = {}) {
+    return this.move(productId, () => Product.decrementStock(productId, quantity, variantId), {
+      type: MOVEMENT_TYPE.SALE,
+      quantity: -quantity,
+      variantId,
+      reference,
+      actor
+    });
+  }
+
+  // Units an order took out of stock, per product and variant
+  async soldForOrder(orderId) {
+    const rows = await InventoryMovement.aggregate([
+      {
+        $match: {
+          'reference.kind': 'Order',
+          'reference.id': new mongoose.Types.ObjectId(orderId.toString()),
+          type: MOVEMENT_TYPE.SALE
+        }
+      },
+      { $group: { _id: { product: '$product', variant: '$variant' }, sold: { $sum: '$quantity' } } }
+    ]);
+    return rows
+      .filter(row => row.sold < 0)
+      .map(row => ({
+        productId: row._id.product,
+        variantId: row._id.variant || undefined,
+        quantity: -row.sold
+      }));
+  }
+
+  // Units sold to an order that was cancelled before it shipped
+  restockCancelled(productId, quantity, { variantId, reference, note } = {}) {
+    return this.move(productId, () => Product.adjustStock(productId, quantity, { variantId }), {
+      type: MOVEMENT_TYPE.CANCEL_RESTOCK,
+      quantity,
+      variantId,
+      reference,
+      note
+    });
+  }
+
+  /* ───────── Receipts, returns, write-offs and adjustments ───────── */
+
+  // Sellers may only move stock of their own products
+  async authorize(productId, user) {
+    if (!mongoose.isValidObjectId(productId)) throw new ApiError(400, 'Invalid product id');
+
+    const product = await Product.findById(productId)
+      .select(
+        'name price stocks reservedStock seller variants._id variants.sku variants.price variants.stocks variants.reservedStock'
+      )
+      .lean();
+    if (!product) throw new ApiError(404, 'Product not found');
+    if (
+      user &&
+      !ADMIN_ROLES.includes(user.role) &&
+      product.seller?.toString() !== user._id.toString()
+    ) {
+      throw new ApiError(403, 'You can only manage stock of your own products');
+    }
+    return product;
+  }
+
+  // The variant a manual move names by SKU; products with variants must name one
+  variantFor(product, sku) {
+    if (!product.variants?.length) {
+      if (sku) throw new ApiError(400, 'This product has no variants');
+      return null;
+    }
+    if (!sku) throw new ApiError(400, 'sku is required for a product with variants');
+
+    const variant = product.variants.find(
+      candidate => candidate.sku === String(sku).trim().toUpperCase()
+    );
+    if (!variant) throw new ApiError(404, `No variant with SKU ${sku} on this product`);
+    return variant;
+  }
+
+  async receive(productId, quantity, { sku, actor, reference, note } = {}) {
+    const variantId = this.variantFor(await this.authorize(productId, actor), sku)?._id;
+    return this.move(productId, () => Product.adjustStock(productId, quantity, { variantId }), {
+      type: MOVEMENT_TYPE.RECEIPT,
+      quantity,
+      variantId,
+      actor,
+      reference,
+      note
+    });
+  }
+
+  // Returned units that passed inspection go back on sale
+  restock(productId, quantity, { variantId, actor, reference, note } = {}) {
+    return this.move(productId, () => Product.adjustStock(productId, quantity, { variantId }), {
+      type: MOVEMENT_TYPE.RETURN_RESTOCK,
+      quantity,
+      variantId,
+      actor,
+      reference,
+      note
+    });
+  }
+
+  async writeOff(productId, quantity, { sku, actor, reference, note } = {}) {
+    const variantId = this.variantFor(await this.authorize(productId, actor), sku)?._id;
+    const product = await this.move(
+      productId,
+      () => Product.adjustStock(productId, -quantity, { variantId }),
+      {
+        type: MOVEMENT_TYPE.DAMAGE,
+        quantity: -quantity,
+        variantId,
+        actor,
+        reference,
+        note
+      }
+    );
+    if (!product) await this.refuseRemoval(productId, quantity, variantId);
+    return product;
+  }
+
+  /**
+   * Write off an expired batch's units, held or not; a checkout holding them
+   * will come up short when its order is finalized. Takes at most what is in
+   * stock.
+   *
+   * @returns {Promise<number>} units written off
+   */
+  async expire(productId, quantity, { variantId, reference, note } = {}) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const current = await Product.findById(productId).select('stocks variants').lean();
+      const variant = Product.findVariant(current || {}, variantId);
+      const stocks = variant ? variant.stocks : current?.stocks || 0;
+      const units = Math.min(quantity, stocks);
+      if (units <= 0) return 0;
+
+      const product = await this.move(
+        productId,
+        () =>
+          Product.adjustStock(productId, -units, {
+            expected: stocks,
+            allowHeld: true,
+            variantId: variant?._id
+          }),
+        { type: MOVEMENT_TYPE.DAMAGE, quantity: -units, variantId: variant?._id, reference, note }
+      );
+      if (product) return units;
+      // Stock moved in between; read it again
+    }
+    throw new ApiError(409, 'Stock kept changing while writing off expired units');
+  }
+
+  /**
+   * Manual correction: a signed `quantity`, or the `counted` stock from a
+   * stock take, which is applied only if stock hasn't moved since it was read.
+   */
+  async adjust(productId, { quantity, counted, sku, actor, note } = {}) {
+    const current = await this.authorize(productId, actor);
+    const variant = this.variantFor(current, sku);
+    const variantId = variant?._id;
+    const stocks = (variant || current).stocks;
+
+    const expected = counted === undefined ? undefined : stocks;
+    const change = counted === undefined ? quantity : counted - stocks;
+    if (!change) return current;
+
+    const product = await this.move(
+      productId,
+      () => Product.adjustStock(productId, change, { expected, variantId }),
+      { type: MOVEMENT_TYPE.ADJUSTMENT, quantity: change, variantId, actor, note }
+    );
+    if (product) return product;
+
+    if (expected !== undefined) {
+      const latest = await Product.findById(productId).select('stocks variants').lean();
+      if ((Product.findVariant(latest || {}, variantId) || latest)?.stocks !== expected) {
+        throw new ApiError(409, 'Stock changed while it was being counted, please try again');
+      }
+    }
+    return this.refuseRemoval(productId, -change, variantId);
+  }
+
+  async refuseRemoval(productId, quantity, variantId) {
+    const current = await Product.findById(productId)
+      .select('stocks reservedStock variants')
+      .lean();
+    const product = Product.findVariant(current || {}, variantId) || current;
+    const free = Math.max((product?.stocks || 0) - (product?.reservedStock || 0), 0);
+    throw new ApiError(
+      409,
+      `Cannot remove ${quantity} units: only ${free} are not held by open checkouts`
+    );
+  }
+
+  /* ───────── History and verification ───────── */
+
+  // Current stock as the ledger derives it, next to what the product says
+  async verify(productId) {
+    const id = new mongoose.Types.ObjectId(productId.toString());
+    const [product, [ledger]] = await Promise.all([
+      Product.findById(id).select('name stocks reservedStock variants').lean(),
+      InventoryMovement.aggregate([
+        { $match: { product: id } },
+        {
+          $group: {
+            _id: null,
+            stocks: { $sum: '$quantity' },
+            reservedStock: { $sum: '$reservedChange' },
+            movements: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+    if (!product) throw new ApiError(404, 'Product not found');
+
+    const derived = {
+      stocks: ledger?.stocks || 0,
+      reservedStock: ledger?.reservedStock || 0,
+      movements: ledger?.movements || 0
+    };
+    // A product with variants must also hold exactly what its variants do
+    const variants = product.variants?.length
+      ? {
+          stocks: product.variants.reduce((sum, variant) => sum + variant.stocks, 0),
+          reservedStock: product.variants.reduce(
+            (sum, variant) => sum + (variant.reservedStock || 0),
+            0
+          )
+        }
+      : null;
+
+    return {
+      stocks: product.stocks,
+      reservedStock: product.reservedStock || 0,
+      available: Math.max(product.stocks - (product.reservedStock || 0), 0),
+      ledger: derived,
+      ...(variants && { variants }),
+      consistent:
+        derived.stocks === product.stocks &&
+        derived.reservedStock === (product.reservedStock || 0) &&
+        (!variants ||
+          (variants.stocks === product.stocks &&
+            variants.reservedStock === (product.reservedStock || 0)))
+    };
+  }
+
+  /**
+   * A product's movements, newest first, with its verified stock.
+   *
+   * @param {string} productId
+   * @param {object} user - sellers see their own products only
+   * @param {object} [filters] - type, sku, from, to, page, limit
+   */
+  async getHistory(productId, user, { type, sku, from, to, page = 1, limit = 50 } = {}) {
+    const product = await this.authorize(productId, user);
+    await this.ensureOpening(product._id);
+
+    const query = { product: product._id };
+    if (type) query.type = type;
+    if (sku) query.sku = String(sku).trim().toUpperCase();
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const skip = (page - 1) * limit;
+    const [movements, total, stock] = await Promise.all([
+      InventoryMovement.find(query)
+        .populate('actor.user', 'fullName email role')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      InventoryMovement.countDocuments(query),
+      this.verify(product._id)
+    ]);
+
+    return {
+      product: { _id: product._id, name: product.name },
+      stock,
+      movements,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  // Products whose stock no longer matches their ledger; a seller's own, or all for admins
+  async findDiscrepancies(user, { limit = 100 } = {}) {
+    const scope = ADMIN_ROLES.includes(user.role) ? {} : { seller: user._id };
+
+    return InventoryMovement.aggregate([
+      { $match: scope },
+      {
+        $group: {
+          _id: '$product',
+          stocks: { $sum: '$quantity' },
+          reservedStock: { $sum: '$reservedChange' },
+          lastMovementAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'products',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'product',
+          pipeline: [{ $project: { name: 1, stocks: 1, reservedStock: 1 } }]
+        }
+      },
+      { $unwind: '$product' },
+      {
+        $match: {
+          $expr: {
+            $or: [
+              { $ne: ['$stocks', '$product.stocks'] },
+              { $ne: ['$reservedStock', { $ifNull: ['$product.reservedStock', 0] }] }
+            ]
+          }
+        }
+      },
+      { $sort: { lastMovementAt: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          productId: '$_id',
+          name: '$product.name',
+          stocks: '$product.stocks',
+          reservedStock: { $ifNull: ['$product.reservedStock', 0] },
+          ledger: { stocks: '$stocks', reservedStock: '$reservedStock' },
+          lastMovementAt: 1
+        }
+      }
+    ]);
+  }
+}
+
+export default new InventoryService();
@@ -0,0 +1,438 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { amountInWords } from '../utils/amountInWords.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+import { GST_STATE_CODES, stateCodeFor, stateCodeFromGstin } from '../utils/gstStates.js';
+import { Invoice, InvoiceCounter } from '../modules/invoice/invoice.model.js';
+import { Order } from '../modules/order/order.models.js';
+import { Seller } from '../modules/seller/seller.model.js';
+import { ORDER_STATUS } from '../modules/order/order.status.js';
+import { orderEvents, statusEvent } from '../modules/order/order.events.js';
+import taxService from './taxService.js';
+import refundService from './refundService.js';
+
+// Goods have left the seller once the order ships; that is the time of supply
+const INVOICEABLE_STATUSES = [
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.OUT_FOR_DELIVERY,
+  ORDER_STATUS.DELIVERED,
+  ORDER_STATUS.RETURN_REQUESTED,
+  ORDER_STATUS.RETURNED
+];
+
+const ADMIN_ROLES = ['admin', 'superadmin'];
+const UNKNOWN_SELLER = 'unassigned';
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+// Indian financial year (April-March) of a date, e.g. "2026-27"
+const financialYearOf = date => {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+// Split `amount` across weights, keeping the rounding remainder on the last share
+const allocate = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let left = amount;
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return roundMoney(left);
+    const share = total > 0 ? roundMoney((amount * weight) / total) : 0;
+    left -= share;
+    return share;
+  });
+};
+
+class InvoiceService {
+  constructor() {
+    orderEvents.on(statusEvent(ORDER_STATUS.SHIPPED), ({ order }) => this.issueForOrder(order._id));
+  }
+
+  async nextNumber(sellerId, series, issuedAt, session) {
+    const financialYear = financialYearOf(issuedAt);
+    const counter = await InvoiceCounter.findOneAndUpdate(
+      { seller: sellerId, series, financialYear },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true, session }
+    );
+
+    return {
+      financialYear,
+      number: `${series}/${financialYear.slice(2)}/${String(counter.seq).padStart(5, '0')}`
+    };
+  }
+
+  supplierDetails(seller) {
+    if (!seller) return { name: 'Unregistered seller' };
+
+    const stateCode = stateCodeFromGstin(seller.gstNumber);
+    return {
+      name: seller.businessName || seller.fullName,
+      gstin: seller.gstNumber,
+      pan: seller.panNumber,
+      email: seller.email,
+      phone: seller.contactNumber,
+      address: seller.businessAddress,
+      postalCode: seller.pincode,
+      state: GST_STATE_CODES[stateCode],
+      stateCode
+    };
+  }
+
+  buyerDetails(order) {
+    const address = order.shippingAddress;
+    return {
+      name: `${address.firstName} ${address.lastName}`.trim(),
+      email: order.email,
+      phone: address.phoneNumber,
+      address: address.streetAddress,
+      city: address.city,
+      state: address.state,
+      stateCode: stateCodeFor(address.state),
+      postalCode: address.postalCode
+    };
+  }
+
+  // Order lines with their GST; orders placed before the tax engine are taxed now
+  async taxedOrderLines(order) {
+    const items = order.items.map(item => (item.toObject ? item.toObject() : item));
+    if (items.every(item => item.taxableValue != null)) return items;
+
+    const { lines } = await taxService.computeForOrder(
+      items.map(item => ({ ...item, ...taxService.productTax(item) })),
+      { discountAmount: order.discountAmount, deliveryState: order.shippingAddress.state }
+    );
+    return lines;
+  }
+
+  invoiceLine(line, quantity = line.quantity) {
+    const share = quantity / line.quantity;
+    const taxableValue = roundMoney(line.taxableValue * share);
+    const cgst = roundMoney((line.cgst || 0) * share);
+    const sgst = roundMoney((line.sgst || 0) * share);
+    const igst = roundMoney((line.igst || 0) * share);
+
+    return {
+      productId: line.productId,
+      name: line.name,
+      sku: line.sku,
+      hsnCode: line.hsnCode,
+      quantity,
+      unitPrice: roundMoney(taxableValue / quantity),
+      gstRate: line.gstRate,
+      taxableValue,
+      cgst,
+      sgst,
+      igst,
+      taxAmount: roundMoney(cgst + sgst + igst),
+      total: roundMoney(taxableValue + cgst + sgst + igst)
+    };
+  }
+
+  totalsFor(lines, { shippingCharges = 0, codFee = 0 } = {}) {
+    const summary = taxService.summarize(lines);
+    const exact = roundMoney(summary.taxableValue + summary.taxAmount + shippingCharges + codFee);
+    const grandTotal = Math.round(exact);
+
+    return {
+      taxableValue: summary.taxableValue,
+      cgst: summary.cgst,
+      sgst: summary.sgst,
+      igst: summary.igst,
+      taxAmount: summary.taxAmount,
+      shippingCharges,
+      codFee,
+      roundOff: roundMoney(grandTotal - exact),
+      grandTotal
+    };
+  }
+
+  /**
+   * Number, render and save one document. The number is taken in the same
+   * transaction as the insert, so a render or save that fails (or loses the
+   * race for an order's invoice) gives it back and the series has no gaps.
+   * withTransaction retries when two documents take a number at once.
+   */
+  async createDocument(data) {
+    const session = await mongoose.startSession();
+    try {
+      let invoice;
+      await session.withTransaction(async () => {
+        const { financialYear, number } = await this.nextNumber(
+          data.seller,
+          data.type === 'credit_note' ? 'CN' : 'INV',
+          data.issuedAt,
+          session
+        );
+
+        invoice = new Invoice({
+          ...data,
+          financialYear,
+          number,
+          hsnSummary: taxService.summarizeByHsn(data.items),
+          amountInWords: amountInWords(data.totals.grandTotal)
+        });
+        invoice.pdf = await renderInvoicePdf(invoice.toObject());
+        await invoice.save({ session });
+      });
+      return invoice;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Issue the tax invoices for an order, one per seller. Shipping and COD
+   * charges are shared between sellers by taxable value. Safe to call again:
+   * sellers that already have an invoice for the order are skipped.
+   *
+   * @param {ObjectId} orderId
+   * @returns {Promise<Array<object>>} every invoice for the order
+   */
+  async issueForOrder(orderId) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new ApiError(404, 'Order not found');
+    }
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+      throw new ApiError(409, 'An invoice is issued once the order has shipped');
+    }
+
+    const lines = await this.taxedOrderLines(order);
+    const bySeller = new Map();
+    for (const line of lines) {
+      const key = line.sellerId?.toString() || UNKNOWN_SELLER;
+      bySeller.set(key, [...(bySeller.get(key) || []), line]);
+    }
+
+    const sellerKeys = [...bySeller.keys()];
+    const weights = sellerKeys.map(key =>
+      bySeller.get(key).reduce((sum, line) => sum + line.taxableValue, 0)
+    );
+    const shippingShares = allocate(order.shippingCost || 0, weights);
+    const codShares = allocate(order.codFee || 0, weights);
+
+    const existing = await Invoice.find({ order: order._id, type: 'invoice' }).select('seller');
+    const invoiced = new Set(existing.map(invoice => invoice.seller.toString()));
+    const sellers = await Seller.findForUsers(sellerKeys.filter(key => key !== UNKNOWN_SELLER));
+    const buyer = this.buyerDetails(order);
+
+    for (const [index, key] of sellerKeys.entries()) {
+      // Unattributed lines are invoiced under the buyer's account so they are not lost
+      const sellerId = key === UNKNOWN_SELLER ? order.userId : key;
+      if (invoiced.has(sellerId.toString())) continue;
+
+      const items = bySeller.get(key).map(line => this.invoiceLine(line));
+      const intraState = items.every(item => !item.igst) && items.some(item => item.cgst);
+
+      try {
+        await this.createDocument({
+          type: 'invoice',
+          issuedAt: new Date(),
+          order: order._id,
+          orderNumber: order.orderNumber,
+          userId: order.userId,
+          seller: sellerId,
+          supplier: this.supplierDetails(sellers.get(key)),
+          buyer,
+          placeOfSupply: buyer.stateCode ? `${buyer.state} (${buyer.stateCode})` : buyer.state,
+          supplyType: intraState ? 'intra_state' : 'inter_state',
+          stateTaxType: order.taxBreakup?.stateTaxType || 'SGST',
+          items,
+          totals: this.totalsFor(items, {
+            shippingCharges: shippingShares[index],
+            codFee: codShares[index]
+          })
+        });
+      } catch (error) {
+        // Another request issued it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    logger.info('Invoices issued', { orderId: order._id });
+    return Invoice.find({ order: order._id }).sort({ issuedAt: 1 });
+  }
+
+  /**
+   * Issue credit notes for refunded return lines not credited yet, one per
+   * seller, against that seller's invoice. Only money that has reached the
+   * customer is credited: automatic refunds credit the units refunded except
+   * those in Razorpay refunds still pending, and bank-transfer refunds credit
+   * the whole return once completed. Called again as refunds settle.
+   *
+   * @param {object} returnRequest - Return document
+   * @returns {Promise<Array<object>>} the credit notes issued now
+   */
+  async issueCreditNotes(returnRequest) {
+    const order = await refundService.resolveOrder(returnRequest.orderId);
+    const invoices = await this.issueForOrder(order._id);
+    const previous = invoices.filter(
+      invoice =>
+        invoice.type === 'credit_note' &&
+        invoice.returnId?.toString() === returnRequest._id.toString()
+    );
+
+    const credited = new Map();
+    for (const note of previous) {
+      for (const item of note.items) {
+        const key = item.productId.toString();
+        credited.set(key, (credited.get(key) || 0) + item.quantity);
+      }
+    }
+
+    const pending = new Map();
+    for (const refund of returnRequest.refund?.razorpayRefunds || []) {
+      if (refund.status !== 'pending') continue;
+      for (const item of refund.items) {
+        const key = item.productId.toString();
+        pending.set(key, (pending.get(key) || 0) + item.quantity);
+      }
+    }
+
+    const lines = await this.taxedOrderLines(order);
+    const fullReturn = returnRequest.refund?.method === 'BANK_TRANSFER';
+    if (fullReturn && returnRequest.refund.status !== 'COMPLETED') return [];
+    const bySeller = new Map();
+
+    for (const returnItem of returnRequest.items) {
+      const key = returnItem.productId.toString();
+      const refunded = fullReturn
+        ? returnItem.quantity
+        : (returnItem.refundedQuantity || 0) - (pending.get(key) || 0);
+      const quantity = refunded - (credited.get(key) || 0);
+      const line = lines.find(orderLine => orderLine.productId.toString() === key);
+      if (quantity <= 0 || !line) continue;
+
+      const sellerKey = line.sellerId?.toString() || order.userId.toString();
+      bySeller.set(sellerKey, [
+        ...(bySeller.get(sellerKey) || []),
+        this.invoiceLine(line, Math.min(quantity, line.quantity))
+      ]);
+    }
+
+    const notes = [];
+    for (const [sellerKey, items] of bySeller) {
+      const original = invoices.find(
+        invoice => invoice.type === 'invoice' && invoice.seller.toString() === sellerKey
+      );
+
+      notes.push(
+        await this.createDocument({
+          type: 'credit_note',
+          issuedAt: new Date(),
+          order: order._id,
+          orderNumber: order.orderNumber,
+          userId: order.userId,
+          seller: original?.seller || sellerKey,
+          originalInvoice: original?._id,
+          originalInvoiceNumber: original?.number,
+          returnId: returnRequest._id,
+          reason: `Goods returned: ${returnRequest.returnReason}`,
+          supplier: original?.supplier,
+          buyer: original?.buyer || this.buyerDetails(order),
+          placeOfSupply: original?.placeOfSupply,
+          supplyType: original?.supplyType,
+          stateTaxType: original?.stateTaxType,
+          items,
+          totals: this.totalsFor(items)
+        })
+      );
+    }
+
+    if (notes.length) {
+      logger.info('Credit notes issued', {
+        returnId: returnRequest._id,
+        numbers: notes.map(note => note.number)
+      });
+    }
+    return notes;
+  }
+
+  // The order must belong to the user unless they are a seller on it or an admin
+  async getOrderInvoices(orderId, user) {
+    if (!mongoose.isValidObjectId(orderId)) {
+      throw new ApiError(400, 'Invalid order ID');
+    }
+
+    const order = await Order.findById(orderId).select('userId status items.sellerId');
+    if (!order) {
+      throw new ApiError(404, 'Order not found');
+    }
+
+    const isAdmin = ADMIN_ROLES.includes(user.role);
+    const isSeller = order.items.some(item => item.sellerId?.equals(user._id));
+    if (!isAdmin && !isSeller && !order.userId.equals(user._id)) {
+      throw new ApiError(403, 'You do not have access to this order');
+    }
+
+    const invoices = INVOICEABLE_STATUSES.includes(order.status)
+      ? await this.issueForOrder(order._id)
+      : [];
+
+    // Sellers only see their own documents
+    return isAdmin || order.userId.equals(user._id)
+      ? invoices
+      : invoices.filter(invoice => invoice.seller.equals(user._id));
+  }
+
+  async getInvoice(invoiceId, user, { withPdf = false } = {}) {
+    if (!mongoose.isValidObjectId(invoiceId)) {
+      throw new ApiError(400, 'Invalid invoice ID');
+    }
+
+    const query = Invoice.findById(invoiceId);
+    if (withPdf) query.select('+pdf');
+    const invoice = await query;
+
+    if (
+      !invoice ||
+      !(
+        ADMIN_ROLES.includes(user.role) ||
+        invoice.userId.equals(user._id) ||
+        invoice.seller.equals(user._id)
+      )
+    ) {
+      throw new ApiError(404, 'Invoice not found');
+    }
+
+    if (withPdf && !invoice.pdf) {
+      invoice.pdf = await renderInvoicePdf(invoice.toObject());
+      await invoice.save();
+    }
+    return invoice;
+  }
+
+  /**
+   * Invoices and credit notes for a seller (their own) or an admin (all).
+   *
+   * @param {object} user
+   * @param {object} [filters] - type, financialYear, page, limit
+   */
+  async listInvoices(user, { type, financialYear, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (!ADMIN_ROLES.includes(user.role)) query.seller = user._id;
+    if (type) query.type = type;
+    if (financialYear) query.financialYear = financialYear;
+
+    const skip = (page - 1) * limit;
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query)
+        .select('type number financialYear issuedAt orderNumber seller totals.grandTotal')
+        .sort({ issuedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Invoice.countDocuments(query)
+    ]);
+
+    return {
+      invoices,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+}
+
+export default new InvoiceService();
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import { ApiError } from '../utils/ApiError.js';
+import { Notification } from '../modules/notification/notification.model.js';
+
+/**
+ * In-app notifications: an inbox per user that clients poll, with read
+ * state kept per notification.
+ */
+class NotificationService {
+  notify(userId, { type, title, message, data }) {
+    return Notification.create({ user: userId, type, title, message, data });
+  }
+
+  async list(userId, { unread = false, page = 1, limit = 20 } = {}) {
+    const query = { user: userId };
+    if (unread) query.readAt = { $exists: false };
+
+    const skip = (page - 1) * limit;
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: userId, readAt: { $exists: false } })
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  async markRead(userId, notificationId) {
+    if (!mongoose.isValidObjectId(notificationId)) {
+      throw new ApiError(400, 'Invalid notification id');
+    }
+
+    const notification = await Notification.findOne({ _id: notificationId, user: userId });
+    if (!notification) throw new ApiError(404, 'Notification not found');
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    return notification;
+  }
+
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { user: userId, readAt: { $exists: false } },
+      { $set: { readAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export default new NotificationService();
@@ -0,0 +1,847 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { Order } from '../modules/order/order.models.js';
+import { Address } from '../modules/address/address.models.js';
+import { Payment } from '../modules/payment/payment.model.js';
+import { createOrder as createShiprocketOrder, cancelOrders } from '../utils/ShipRocket.js';
+import { ORDER_STATUS, SELLER_SETTABLE_STATUSES } from '../modules/order/order.status.js';
+import cartService from './cartService.js';
+import refundService from './refundService.js';
+import codService from './codService.js';
+import walletService from './walletService.js';
+import couponService from './couponService.js';
+import taxService from './taxService.js';
+import packingService from './packingService.js';
+import reservationService from './reservationService.js';
+
+const ORDER_STATUSES = Object.values(ORDER_STATUS);
+const PAYMENT_METHODS = Order.schema.path('paymentMethod').enumValues;
+// Fields a user may sort their order history by
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'totalAmount', 'status'];
+
+class OrderService {
+  // Create an order from the user's active cart
+  async createOrderFromCart(userId, orderData) {
+    try {
+      const { shippingAddress, paymentDetails, sessionId, email } = orderData;
+
+      const paymentMethod = paymentDetails.razorpayOrderId
+        ? 'Prepaid'
+        : paymentDetails.method || 'Prepaid';
+      if (!PAYMENT_METHODS.includes(paymentMethod)) {
+        throw new ApiError(400, `Payment method must be one of ${PAYMENT_METHODS.join(', ')}`);
+      }
+
+      const address = await Address.findOne({ _id: shippingAddress, userId });
+      if (!address) {
+        throw new ApiError(404, 'Shipping address not found');
+      }
+
+      // Link the payment the client completed at checkout, if any; its locked
+      // quote is what was charged, so the order is built from it.
+      let payment = null;
+      if (paymentDetails.razorpayOrderId) {
+        payment = await Payment.findOne({
+          razorpayOrderId: paymentDetails.razorpayOrderId,
+          userId
+        });
+        if (!payment || !payment.quote) {
+          throw new ApiError(404, 'Payment not found');
+        }
+
+        if (await Order.exists({ payment: payment._id })) {
+          throw new ApiError(409, 'Payment is already linked to another order');
+        }
+
+        if (payment.status !== 'captured' && !payment.isQuoteLocked()) {
+          throw new ApiError(409, 'Checkout quote has expired, please checkout again');
+        }
+
+        // Shipping was charged for the address checked out with
+        if (payment.quote.addressId && !payment.quote.addressId.equals(address._id)) {
+          throw new ApiError(409, 'Order must ship to the address used at checkout');
+        }
+      }
+
+      const quote = payment
+        ? payment.quote.toObject()
+        : await cartService.buildQuote(
+            userId,
+            sessionId,
+            { state: address.state, pincode: address.postalCode },
+            { paymentMethod }
+          );
+
+      if (paymentMethod === 'COD') {
+        await codService.assertEligible(userId, quote, address.postalCode);
+      }
+
+      // A checkout quote may have been priced without an address; the amount of
+      // GST is fixed, but CGST/SGST vs IGST follows where the order ships
+      const tax = await taxService.applyDeliveryState(quote.items, address.state);
+      quote.items = tax.lines;
+      quote.taxBreakup = tax.summary;
+
+      // Parcels (and the package Shiprocket is told about) come from the products' sizes
+      const packing = await packingService.packProducts(quote.items);
+
+      // Store credit was either held on the payment at checkout or is spent here
+      const orderId = new mongoose.Types.ObjectId();
+      let walletAmount = payment?.walletAmount || 0;
+      let walletSpent = false;
+
+      if (!payment && paymentDetails.useWallet) {
+        const balance = await walletService.getBalance(userId);
+        walletAmount = Math.min(balance, quote.totalAmount);
+
+        if (paymentMethod === 'Prepaid' && walletAmount < quote.totalAmount) {
+          throw new ApiError(
+            400,
+            'Wallet balance does not cover this order; pay the rest through checkout'
+          );
+        }
+
+        if (walletAmount > 0) {
+          await walletService.debit(userId, walletAmount, {
+            source: 'checkout',
+            description: 'Spent on order',
+            reference: { kind: 'Order', id: orderId },
+            idempotencyKey: `order:${orderId}`
+          });
+          walletSpent = true;
+        }
+      }
+
+      // Coupon uses are counted before the order exists so a coupon that ran out
+      // since the quote stops the order; a paid checkout is honoured regardless
+      // A paid checkout already holds its stock; anything else holds it for the order
+      const order = await (
+        payment
+          ? Promise.resolve()
+          : reservationService.hold(quote.items, { userId, cartId: quote.cartId, orderId })
+      )
+        .then(() =>
+          couponService.redeem(
+            { orderId, userId, orderTotal: quote.totalAmount, coupons: quote.coupons },
+            { enforceLimits: !payment }
+          )
+        )
+        .then(() =>
+          Order.create({
+            _id: orderId,
+            userId,
+            items: quote.items,
+            shippingAddress: {
+              addressId: address._id,
+              firstName: address.firstName,
+              lastName: address.lastName,
+              streetAddress: address.streetAddress,
+              city: address.city,
+              state: address.state,
+              country: address.country,
+              postalCode: address.postalCode,
+              phoneNumber: address.phoneNumber
+            },
+            email,
+            paymentMethod,
+            payment: payment?._id,
+            subTotal: quote.subTotal,
+            discountCode: quote.discountCode,
+            discountAmount: quote.discountAmount,
+            shippingCost: quote.shippingCost,
+            shipments: quote.shipments,
+            pickupLocation: quote.shipments?.[0]?.pickupLocation || undefined,
+            dimensions: packingService.consignment(packing),
+            parcels: packing.parcels,
+            taxAmount: quote.taxAmount,
+            taxBreakup: quote.taxBreakup,
+            codFee: quote.codFee || 0,
+            totalAmount: quote.totalAmount,
+            walletAmount,
+            coupons: quote.coupons
+          })
+        )
+        .catch(async error => {
+          await reservationService.releaseForOrder(orderId, 'checkout_failed');
+          await couponService.reverse(orderId);
+          if (walletSpent) {
+            await walletService.credit(userId, walletAmount, {
+              source: 'checkout_reversal',
+              description: 'Order could not be placed',
+              reference: { kind: 'Order', id: orderId },
+              idempotencyKey: `order:${orderId}:reversal`
+            });
+          }
+          throw error;
+        });
+
+      logger.logUserAction(userId, 'order_created', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        totalAmount: order.totalAmount
+      });
+
+      if (payment) {
+        await reservationService.attachOrder(payment._id, order._id);
+
+        // Read the status back atomically: if the capture landed before this
+        // link we finalize here, otherwise the capture handler will see orderRef.
+        const linkedPayment = await Payment.findByIdAndUpdate(
+          payment._id,
+          { $set: { orderRef: order._id } },
+          { new: true }
+        );
+
+        if (linkedPayment.status === 'captured') {
+          return await this.handlePaymentCaptured(linkedPayment);
+        }
+      }
+
+      // Fully paid from the wallet: nothing to collect
+      if (paymentMethod === 'Prepaid' && walletSpent) {
+        await order.transitionTo(ORDER_STATUS.PAID, {
+          changedBy: userId,
+          changedByRole: 'customer',
+          notes: 'Paid from wallet'
+        });
+        return await this.finalizeOrder(order._id);
+      }
+
+      // Prepaid orders wait for the payment to be captured before they ship,
+      // COD orders for the customer to confirm the emailed OTP
+      if (paymentMethod === 'COD') {
+        if (codService.rules.otpRequired) {
+          // If the email fails the order still stands; the customer can ask for a resend
+          await codService.issueOtp(order).catch(error => {
+            logger.error('COD OTP email failed', { orderId: order._id, error: error.message });
+          });
+          return await Order.findById(order._id);
+        }
+        return await this.finalizeOrder(order._id);
+      }
+
+      return order;
+    } catch (error) {
+      logger.error('Failed to create order from cart:', error);
+      throw error;
+    }
+  }
+
+  // COD availability and fee for the user's cart delivered to one of their addresses
+  async getCodEligibility(userId, sessionId, addressId) {
+    const address = await Address.findOne({ _id: addressId, userId });
+    if (!address) {
+      throw new ApiError(404, 'Shipping address not found');
+    }
+
+    const quote = await cartService.buildQuote(
+      userId,
+      sessionId,
+      { state: address.state, pincode: address.postalCode },
+      { paymentMethod: 'COD' }
+    );
+    const eligibility = await codService.checkEligibility(userId, quote, address.postalCode);
+
+    return { ...eligibility, quote };
+  }
+
+  // Confirm a COD order with the emailed OTP, then ship it
+  async confirmCodOrder(orderId, userId, otp) {
+    if (!mongoose.isValidObjectId(orderId)) {
+      throw new ApiError(400, 'Invalid order ID');
+    }
+
+    const order = await Order.findOne({ _id: orderId, userId }).select('+codVerification.otpHash');
+    if (!order) {
+      throw new ApiError(404, 'Order not found');
+    }
+    if (order.paymentMethod !== 'COD' || order.status !== ORDER_STATUS.PLACED) {
+      throw new ApiError(409, 'Order is not awaiting COD confirmation');
+    }
+
+    await codService.verifyOtp(order, otp);
+    return this.finalizeOrder(order._id);
+  }
+
+  async resendCodOtp(orderId, userId) {
+    const order = await this.getOrderById(orderId, userId);
+
+    if (
+      order.paymentMethod !== 'COD' ||
+      order.status !== ORDER_STATUS.PLACED ||
+      order.codVerification?.verifiedAt
+    ) {
+      throw new ApiError(409, 'Order is not awaiting COD confirmation');
+    }
+
+    await codService.issueOtp(order);
+    return Order.findById(order._id);
+  }
+
+  // Prepaid order the user can (re)start payment for
+  async getPayableOrder(orderId, userId) {
+    const order = await this.getOrderById(orderId, userId);
+
+    if (order.paymentMethod !== 'Prepaid' || order.status !== ORDER_STATUS.PLACED) {
+      throw new ApiError(409, 'Order is not awaiting payment');
+    }
+
+    return order;
+  }
+
+  // Called by both the payment callback and the webhook once a payment is
+  // captured; safe to call any number of times for the same payment.
+  async handlePaymentCaptured(payment) {
+    if (!payment.orderRef) {
+      // No order yet: createOrderFromCart finalizes when it links this payment
+      return null;
+    }
+
+    const order = await Order.findById(payment.orderRef);
+    if (!order) {
+      logger.error('Captured payment references a missing order', { paymentId: payment._id });
+      return null;
+    }
+
+    if (order.status === ORDER_STATUS.PLACED) {
+      try {
+        await order.transitionTo(ORDER_STATUS.PAID, {
+          notes: `Payment ${payment.razorpayPaymentId} captured`
+        });
+      } catch (error) {
+        // Lost the race to the other capture notification; it moves the order on
+        if (error.name !== 'VersionError' && error.statusCode !== 409) throw error;
+      }
+    }
+
+    return this.finalizeOrder(order._id);
+  }
+
+  // Commit stock, clear the cart and request the shipment, exactly once per order
+  async finalizeOrder(orderId) {
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        finalizedAt: { $exists: false },
+        status: { $in: [ORDER_STATUS.PLACED, ORDER_STATUS.PAID] }
+      },
+      { $set: { finalizedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!order) {
+      return Order.findById(orderId);
+    }
+
+    const shortfalls = await reservationService.commitForOrder(order);
+    for (const { productId, variantId, quantity } of shortfalls) {
+      // Paid but oversold: keep the order and let the seller resolve it
+      logger.error('Insufficient stock while finalizing order', {
+        orderId: order._id,
+        productId,
+        variantId,
+        quantity
+      });
+    }
+
+    await cartService.clearCart(order.userId, null);
+
+    return this.createShipment(order);
+  }
+
+  inclusiveUnitPrice(item) {
+    if (item.priceIncludesTax !== false || !item.gstRate) return item.price;
+    return Math.round(item.price * (1 + item.gstRate / 100) * 100) / 100;
+  }
+
+  /**
+   * Push the order to Shiprocket and keep its identifiers on our order.
+   * Shipments from different pickup locations (warehouses) become separate
+   * Shiprocket orders, numbered `<orderNumber>-1`, `-2`, ...; the first is
+   * also recorded on the order itself. Retrying only creates the missing ones.
+   */
+  async createShipment(order) {
+    const groups = this.pickupGroups(order);
+    const pending = groups.filter(group => !group.shiprocketOrderId);
+    if (!pending.length) {
+      return order;
+    }
+
+    const split = groups.length > 1;
+    const itemsValue = order.items.reduce(
+      (sum, item) => sum + this.inclusiveUnitPrice(item) * item.quantity,
+      0
+    );
+    const credits = order.discountAmount + order.walletAmount;
+
+    const payloads = {};
+    for (const group of pending) {
+      const items = split ? this.groupItems(order, group) : order.items;
+      const value = items.reduce(
+        (sum, item) => sum + this.inclusiveUnitPrice(item) * item.quantity,
+        0
+      );
+      const dimensions = split
+        ? packingService.consignment(await packingService.packProducts(items))
+        : order.dimensions;
+
+      payloads[group.key] = this.shiprocketPayload(order, {
+        orderId: split ? `${order.orderNumber}-${group.number}` : order.orderNumber,
+        pickupLocation: group.pickupLocation,
+        items,
+        shippingCharges: split ? group.shippingCharges : order.shippingCost,
+        // The COD fee rides on the first shipment; discounts and store credit are shared by value
+        codFee: group.number === 1 ? order.codFee : 0,
+        discount: split ? Math.round(((credits * value) / (itemsValue || 1)) * 100) / 100 : credits,
+        dimensions
+      });
+    }
+
+    const results = await createShiprocketOrder(payloads);
+
+    pending.forEach((group, index) => {
+      const result = results[index];
+      if (!result?.order_id) {
+        // Order stays in our system; shipment creation can be retried later
+        logger.error('Shiprocket shipment creation failed', {
+          orderId: order._id,
+          pickupLocation: group.pickupLocation
+        });
+        return;
+      }
+
+      const ids = {
+        shiprocketOrderId: String(result.order_id),
+        shiprocketShipmentId: result.shipment_id ? String(result.shipment_id) : undefined,
+        trackingNumber: result.awb_code || undefined
+      };
+      for (const shipmentIndex of group.shipmentIndexes) {
+        Object.assign(order.shipments[shipmentIndex], ids);
+      }
+      if (!order.shiprocketOrderId) {
+        Object.assign(order, ids);
+        order.shippingProvider = result.courier_name || undefined;
+      }
+    });
+    await order.save();
+
+    return order;
+  }
+
+  // The order's shipments grouped by where they are picked up, in shipment order
+  pickupGroups(order) {
+    const groups = new Map();
+    (order.shipments || []).forEach((shipment, index) => {
+      const pickupLocation = shipment.pickupLocation || order.pickupLocation;
+      if (!groups.has(pickupLocation)) {
+        groups.set(pickupLocation, {
+          key: pickupLocation,
+          number: groups.size + 1,
+          pickupLocation,
+          shipmentIndexes: [],
+          quantities: new Map(),
+          shippingCharges: 0,
+          shiprocketOrderId: shipment.shiprocketOrderId
+        });
+      }
+
+      const group = groups.get(pickupLocation);
+      group.shipmentIndexes.push(index);
+      group.shippingCharges += shipment.cost || 0;
+      for (const item of shipment.items || []) {
+        const key = item.productId.toString();
+        group.quantities.set(key, (group.quantities.get(key) || 0) + item.quantity);
+      }
+    });
+
+    // Orders shipped as one Shiprocket order before shipments were tracked
+    if (groups.size === 1) {
+      const [group] = groups.values();
+      group.shiprocketOrderId = group.shiprocketOrderId || order.shiprocketOrderId;
+    }
+
+    if (!groups.size) {
+      return [
+        {
+          key: order.pickupLocation,
+          number: 1,
+          pickupLocation: order.pickupLocation,
+          shipmentIndexes: [],
+          shiprocketOrderId: order.shiprocketOrderId
+        }
+      ];
+    }
+    return [...groups.values()];
+  }
+
+  // Order items (with their prices and tax) for the units one pickup group ships
+  groupItems(order, group) {
+    const left = new Map(group.quantities);
+    const items = [];
+    for (const item of order.items) {
+      const key = item.productId.toString();
+      const quantity = Math.min(item.quantity, left.get(key) || 0);
+      if (!quantity) continue;
+      left.set(key, left.get(key) - quantity);
+      items.push({ ...(item.toObject?.() || item), quantity });
+    }
+    return items;
+  }
+
+  shiprocketPayload(
+    order,
+    { orderId, pickupLocation, items, shippingCharges, codFee, discount, dimensions }
+  ) {
+    const address = order.shippingAddress;
+    return {
+      order_id: orderId,
+      order_date: order.createdAt.toISOString(),
+      pickup_location: pickupLocation,
+      billing_customer_name: address.firstName,
+      billing_last_name: address.lastName,
+      billing_address: address.streetAddress,
+      billing_city: address.city,
+      billing_pincode: address.postalCode,
+      billing_state: address.state,
+      billing_country: address.country,
+      billing_email: order.email,
+      billing_phone: address.phoneNumber,
+      shipping_is_billing: order.shippingIsBilling,
+      // Shiprocket expects tax-inclusive selling prices
+      order_items: items.map(item => ({
+        name: item.name,
+        sku: item.sku,
+        units: item.quantity,
+        selling_price: this.inclusiveUnitPrice(item),
+        discount: 0,
+        tax: item.gstRate,
+        hsn: item.hsnCode
+      })),
+      payment_method: order.paymentMethod,
+      shipping_charges: shippingCharges,
+      transaction_charges: codFee,
+      // Store credit is already paid, so the courier must not collect it on COD
+      total_discount: discount,
+      sub_total: items.reduce(
+        (sum, item) => sum + this.inclusiveUnitPrice(item) * item.quantity,
+        0
+      ),
+      length: dimensions.length,
+      breadth: dimensions.breadth,
+      height: dimensions.height,
+      weight: dimensions.weight
+    };
+  }
+
+  // Get a single order belonging to a user
+  async getOrderById(orderId, userId) {
+    if (!mongoose.isValidObjectId(orderId)) {
+      throw new ApiError(400, 'Invalid order ID');
+    }
+
+    const order = await Order.findOne({ _id: orderId, userId }).populate(
+      'payment',
+      'razorpayPaymentId status amount'
+    );
+    if (!order) {
+      throw new ApiError(404, 'Order not found');
+    }
+
+    return order;
+  }
+
+  // Paginated order history for a user
+  async getUserOrders(userId, options = {}) {
+    const { status, limit = 20, page = 1, sortBy = 'createdAt', sortOrder = 'desc' } = options;
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+      throw new ApiError(400, `sortBy must be one of ${SORTABLE_FIELDS.join(', ')}`);
+    }
+
+    const query = { userId };
+    if (status) {
+      query.status = status;
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(query)
+    ]);
+
+    return {
+      orders,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // Orders containing at least one item sold by the seller; other sellers' lines are hidden
+  async getSellerOrders(sellerId, options = {}) {
+    const { status, limit = 20, page = 1 } = options;
+
+    const query = { 'items.sellerId': sellerId };
+    if (status) {
+      query.status = status;
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .select('-payment -email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(query)
+    ]);
+
+    const sellerOrders = orders.map(order => ({
+      ...order,
+      items: order.items.filter(item => item.sellerId?.toString() === sellerId.toString())
+    }));
+
+    return {
+      orders: sellerOrders,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // Move an order along its lifecycle; sellers may only touch orders they sell into
+  async updateOrderStatus(orderId, status, updatedBy, notes = '', location = '', options = {}) {
+    const { role, sellerId, trackingNumber, shippingProvider, estimatedDeliveryDate } = options;
+
+    if (!ORDER_STATUSES.includes(status)) {
+      throw new ApiError(400, `Status must be one of ${ORDER_STATUSES.join(', ')}`);
+    }
+
+    if (sellerId && !SELLER_SETTABLE_STATUSES.includes(status)) {
+      throw new ApiError(403, `Sellers can only set ${SELLER_SETTABLE_STATUSES.join(', ')}`);
+    }
+
+    const query = { _id: orderId };
+    if (sellerId) {
+      query['items.sellerId'] = sellerId;
+    }
+
+    const order = await Order.findOne(query);
+    if (!order) {
+      throw new ApiError(404, 'Order not found');
+    }
+
+    if (trackingNumber) order.trackingNumber = trackingNumber;
+    if (shippingProvider) order.shippingProvider = shippingProvider;
+    if (estimatedDeliveryDate) order.estimatedDeliveryDate = new Date(estimatedDeliveryDate);
+
+    await order.transitionTo(status, {
+      changedBy: updatedBy,
+      changedByRole: role,
+      notes,
+      location
+    });
+
+    logger.logUserAction(updatedBy, 'order_status_updated', { orderId, status, notes, location });
+
+    return order;
+  }
+
+  // Cancel an order placed by the user
+  async cancelOrder(orderId, userId, reason) {
+    const order = await this.getOrderById(orderId, userId);
+
+    if (!order.canBeCancelled()) {
+      throw new ApiError(400, 'Order cannot be cancelled in current status');
+    }
+
+    const shiprocketOrderIds = [
+      ...new Set(
+        [
+          order.shiprocketOrderId,
+          ...order.shipments.map(shipment => shipment.shiprocketOrderId)
+        ].filter(Boolean)
+      )
+    ];
+    if (shiprocketOrderIds.length) {
+      try {
+        await cancelOrders(shiprocketOrderIds);
+      } catch (error) {
+        logger.error('Shiprocket cancellation failed', {
+          orderId: order._id,
+          error: error.response?.data || error.message
+        });
+        throw new ApiError(502, 'Failed to cancel shipment with Shiprocket');
+      }
+    }
+
+    order.cancellationReason = reason;
+    order.cancelledBy = userId;
+    order.cancelledAt = new Date();
+    await order.transitionTo(ORDER_STATUS.CANCELLED, {
+      changedBy: userId,
+      changedByRole: 'customer',
+      notes: reason
+    });
+
+    // The order stays cancelled even if Razorpay is down; an admin can retry the refund
+    try {
+      await refundService.refundCancelledOrder(order, userId);
+    } catch (error) {
+      logger.error('Refund for cancelled order failed', {
+        orderId: order._id,
+        error: error.message
+      });
+    }
+
+    await couponService.reverse(order._id);
+
+    if (order.walletAmount > 0) {
+      await walletService.credit(order.userId, order.walletAmount, {
+        source: 'checkout_reversal',
+        description: `Order ${order.orderNumber} cancelled`,
+        reference: { kind: 'Order', id: order._id },
+        idempotencyKey: await this.walletReversalKey(order)
+      });
+    }
+
+    return order;
+  }
+
+  // The key that returns an order's wallet share. A share debited at checkout
+  // is returned under the payment's reversal key, which a failed or expired
+  // payment also uses, so it is never credited twice; a share taken again by
+  // a late capture gets its own reversal.
+  async walletReversalKey(order) {
+    // The payment may be populated
+    const paymentId = order.payment?._id || order.payment;
+    if (!paymentId) {
+      return `order:${order._id}:cancelled`;
+    }
+    const recaptured = await walletService.hasTransaction(`payment:${paymentId}:recapture`);
+    return recaptured ? `payment:${paymentId}:recapture:reversal` : `payment:${paymentId}:reversal`;
+  }
+
+  // Admin retry of the refund for a cancelled prepaid order
+  async refundCancelledOrder(orderId, adminId) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new ApiError(404, 'Order not found');
+    }
+    if (order.status !== ORDER_STATUS.CANCELLED) {
+      throw new ApiError(409, 'Only cancelled orders can be refunded here');
+    }
+
+    const refund = await refundService.refundCancelledOrder(order, adminId);
+    if (!refund) {
+      throw new ApiError(409, 'Nothing left to refund for this order');
+    }
+    return refund;
+  }
+
+  // Raise a return request against a delivered order
+  async requestReturn(orderId, userId, reason) {
+    const order = await this.getOrderById(orderId, userId);
+
+    if (!order.canBeReturned()) {
+      throw new ApiError(400, 'Order is not eligible for return');
+    }
+
+    order.returnRequest = {
+      status: 'REQUESTED',
+      reason,
+      requestedAt: new Date()
+    };
+    await order.transitionTo(ORDER_STATUS.RETURN_REQUESTED, {
+      changedBy: userId,
+      changedByRole: 'customer',
+      notes: reason
+    });
+
+    return order;
+  }
+
+  // Approve or reject a pending return request (admin)
+  async processReturn(orderId, adminId, approved, adminNotes = '') {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new ApiError(404, 'Order not found');
+    }
+
+    if (order.returnRequest?.status !== 'REQUESTED') {
+      throw new ApiError(400, 'No pending return request for this order');
+    }
+
+    order.returnRequest.status = approved ? 'APPROVED' : 'REJECTED';
+    order.returnRequest.processedBy = adminId;
+    order.returnRequest.processedAt = new Date();
+    order.returnRequest.adminNotes = adminNotes;
+    await order.transitionTo(approved ? ORDER_STATUS.RETURNED : ORDER_STATUS.DELIVERED, {
+      changedBy: adminId,
+      changedByRole: 'admin',
+      notes: adminNotes || `Return ${approved ? 'approved' : 'rejected'}`
+    });
+
+    return order;
+  }
+
+  // Sales analytics, optionally scoped to a seller's items
+  async getOrderAnalytics(options = {}) {
+    const {
+      startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      endDate = new Date(),
+      sellerId
+    } = options;
+
+    const match = { createdAt: { $gte: startDate, $lte: endDate } };
+    const sellerMatch = sellerId
+      ? [{ $match: { 'items.sellerId': new mongoose.Types.ObjectId(String(sellerId)) } }]
+      : [];
+    const lineTotal = { $multiply: ['$items.price', '$items.quantity'] };
+
+    const [analytics] = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      ...sellerMatch,
+      {
+        $facet: {
+          summary: [
+            {
+              $group: {
+                _id: null,
+                orders: { $addToSet: '$_id' },
+                grossSales: { $sum: lineTotal },
+                unitsSold: { $sum: '$items.quantity' }
+              }
+            },
+            { $project: { _id: 0, totalOrders: { $size: '$orders' }, grossSales: 1, unitsSold: 1 } }
+          ],
+          statusBreakdown: [
+            { $group: { _id: { order: '$_id', status: '$status' } } },
+            { $group: { _id: '$_id.status', count: { $sum: 1 } } }
+          ],
+          topProducts: [
+            {
+              $group: {
+                _id: '$items.productId',
+                name: { $first: '$items.name' },
+                unitsSold: { $sum: '$items.quantity' },
+                revenue: { $sum: lineTotal }
+              }
+            },
+            { $sort: { unitsSold: -1 } },
+            { $limit: 10 }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      summary: analytics.summary[0] || { totalOrders: 0, grossSales: 0, unitsSold: 0 },
+      statusBreakdown: analytics.statusBreakdown,
+      topProducts: analytics.topProducts,
+      period: { startDate, endDate }
+    };
+  }
+}
+
+export default new OrderService();
@@ -0,0 +1,171 @@
+import { Product } from '../modules/product/product.models.js';
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const PACKING_RULES = Object.freeze({
+  // One packed unit, for products without their own weight or package size
+  defaultItemWeightKg: numberFromEnv('SHIPPING_DEFAULT_ITEM_WEIGHT_KG', 0.5),
+  defaultItemDimensionsCm: Object.freeze({ length: 10, breadth: 10, height: 10 }),
+  // A parcel is closed once another unit would take it past either limit
+  maxParcelWeightKg: numberFromEnv('SHIPPING_MAX_PARCEL_WEIGHT_KG', 20),
+  maxParcelHeightCm: numberFromEnv('SHIPPING_MAX_PARCEL_HEIGHT_CM', 60),
+  // Courier volumetric weight = L x B x H (cm) / divisor
+  volumetricDivisor: numberFromEnv('SHIPPING_VOLUMETRIC_DIVISOR', 5000)
+});
+
+const roundWeight = weight => Math.round(weight * 1000) / 1000;
+
+/**
+ * Packs order lines into parcels for rate quotes and Shiprocket.
+ *
+ * Units are laid flat (longest side as length) and stacked largest first,
+ * first-fit, into parcels capped by weight and stack height. Each parcel's
+ * box is its widest unit by the height of its stack, and is charged at the
+ * higher of its dead and volumetric weight.
+ */
+class PackingService {
+  /**
+   * Gross weight (kg) and size (cm) of one packed unit: the variant's own
+   * weight and package size where it has them, else the product's, else the
+   * defaults.
+   *
+   * @param {object} [product]
+   * @param {object} [variant] - the variant being shipped, for products with variants
+   */
+  unitPackage(product, variant) {
+    const complete = dimensions =>
+      dimensions?.length > 0 && dimensions?.breadth > 0 && dimensions?.height > 0
+        ? [dimensions.length, dimensions.breadth, dimensions.height]
+        : null;
+    const sides =
+      complete(variant?.packageDimensions) ||
+      complete(product?.packageDimensions) ||
+      Object.values(PACKING_RULES.defaultItemDimensionsCm);
+    const [length, breadth, height] = [...sides].sort((a, b) => b - a);
+
+    return {
+      weight:
+        variant?.grossWeight ||
+        variant?.netWeight ||
+        product?.grossWeight ||
+        product?.netWeight ||
+        PACKING_RULES.defaultItemWeightKg,
+      length,
+      breadth,
+      height
+    };
+  }
+
+  volumetricWeight({ length, breadth, height }) {
+    return roundWeight((length * breadth * height) / PACKING_RULES.volumetricDivisor);
+  }
+
+  /**
+   * Pack lines into parcels. Lines need `quantity` and may carry `package`
+   * (see unitPackage); lines without one use the default unit.
+   *
+   * @param {Array<object>} lines
+   * @returns {{parcels: Array<object>, weight: number, volumetricWeight: number, chargeableWeight: number}}
+   */
+  pack(lines) {
+    const units = lines
+      .flatMap(line =>
+        Array.from({ length: line.quantity }, () => ({
+          productId: line.productId,
+          ...(line.package || this.unitPackage())
+        }))
+      )
+      .sort((a, b) => b.length * b.breadth - a.length * a.breadth || b.height - a.height);
+
+    const open = [];
+    for (const unit of units) {
+      let parcel = open.find(
+        candidate =>
+          candidate.weight + unit.weight <= PACKING_RULES.maxParcelWeightKg &&
+          candidate.height + unit.height <= PACKING_RULES.maxParcelHeightCm
+      );
+      if (!parcel) {
+        parcel = { length: 0, breadth: 0, height: 0, weight: 0, items: new Map() };
+        open.push(parcel);
+      }
+
+      parcel.length = Math.max(parcel.length, unit.length);
+      parcel.breadth = Math.max(parcel.breadth, unit.breadth);
+      parcel.height += unit.height;
+      parcel.weight += unit.weight;
+
+      const key = unit.productId?.toString() || '';
+      parcel.items.set(key, (parcel.items.get(key) || 0) + 1);
+    }
+
+    const parcels = open.map(parcel => {
+      const box = {
+        length: Math.ceil(parcel.length),
+        breadth: Math.ceil(parcel.breadth),
+        height: Math.ceil(parcel.height)
+      };
+      const weight = roundWeight(parcel.weight);
+      const volumetricWeight = this.volumetricWeight(box);
+
+      return {
+        ...box,
+        weight,
+        volumetricWeight,
+        chargeableWeight: Math.max(weight, volumetricWeight),
+        items: [...parcel.items].map(([productId, quantity]) => ({
+          productId: productId || undefined,
+          quantity
+        }))
+      };
+    });
+
+    const sum = field => roundWeight(parcels.reduce((total, parcel) => total + parcel[field], 0));
+    return {
+      parcels,
+      weight: sum('weight'),
+      volumetricWeight: sum('volumetricWeight'),
+      chargeableWeight: sum('chargeableWeight')
+    };
+  }
+
+  // Pack lines by `productId` (and `variantId`), looking up each one's package
+  async packProducts(lines) {
+    const products = await Product.find({ _id: { $in: lines.map(line => line.productId) } })
+      .select(
+        'netWeight grossWeight packageDimensions variants._id variants.netWeight variants.grossWeight variants.packageDimensions'
+      )
+      .lean();
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    return this.pack(
+      lines.map(line => {
+        const product = productMap.get(line.productId.toString());
+        return {
+          ...line,
+          package: this.unitPackage(
+            product,
+            product && Product.findVariant(product, line.variantId)
+          )
+        };
+      })
+    );
+  }
+
+  /**
+   * Shiprocket takes one package per order: the parcels stacked into one
+   * box, at their total chargeable weight.
+   */
+  consignment(packing) {
+    return {
+      length: Math.max(...packing.parcels.map(parcel => parcel.length)),
+      breadth: Math.max(...packing.parcels.map(parcel => parcel.breadth)),
+      height: packing.parcels.reduce((sum, parcel) => sum + parcel.height, 0),
+      weight: packing.chargeableWeight
+    };
+  }
+}
+
+export default new PackingService();
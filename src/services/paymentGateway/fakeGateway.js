@@ -0,0 +1,190 @@
+import { PaymentGateway } from './paymentGateway.js';
+
+const gatewayError = (statusCode, description) =>
+  Object.assign(new Error(description), { statusCode, error: { description } });
+
+/**
+ * Deterministic in-memory gateway for local development and Jest.
+ *
+ * Ids come from counters (order_fake_000001, pay_fake_000001, ...) and
+ * signatures use fixed secrets, so a test can drive checkout, the client
+ * callback and webhooks end to end without network access. State lives in
+ * the process; call reset() between tests.
+ */
+export class FakeGateway extends PaymentGateway {
+  constructor() {
+    super({
+      name: 'fake',
+      keyId: 'rzp_test_fake',
+      keySecret: process.env.FAKE_GATEWAY_SECRET || 'fake_key_secret',
+      webhookSecret: process.env.FAKE_GATEWAY_WEBHOOK_SECRET || 'fake_webhook_secret'
+    });
+    this.reset();
+  }
+
+  reset() {
+    this.orders = new Map();
+    this.payments = new Map();
+    this.refunds = new Map();
+    this.counters = {};
+  }
+
+  nextId(prefix) {
+    this.counters[prefix] = (this.counters[prefix] || 0) + 1;
+    return `${prefix}_fake_${String(this.counters[prefix]).padStart(6, '0')}`;
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    const order = {
+      id: this.nextId('order'),
+      entity: 'order',
+      amount,
+      amount_paid: 0,
+      currency,
+      receipt,
+      notes,
+      status: 'created'
+    };
+    this.orders.set(order.id, order);
+    return { ...order };
+  }
+
+  async fetchPayment(paymentId) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) throw gatewayError(404, `Payment ${paymentId} does not exist`);
+    return { ...payment };
+  }
+
+  async listPayments({ from, to }) {
+    const fromTs = Math.floor(from.getTime() / 1000);
+    const toTs = Math.floor(to.getTime() / 1000);
+    return [...this.payments.values()]
+      .filter(payment => payment.created_at >= fromTs && payment.created_at <= toTs)
+      .map(payment => ({ ...payment }));
+  }
+
+  async fetchOrderPayments(orderId) {
+    return [...this.payments.values()]
+      .filter(payment => payment.order_id === orderId)
+      .map(payment => ({ ...payment }));
+  }
+
+  async capture(paymentId, amount) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) throw gatewayError(404, `Payment ${paymentId} does not exist`);
+    if (payment.status !== 'authorized') {
+      throw gatewayError(400, 'This payment has already been captured');
+    }
+    if (amount !== payment.amount) {
+      throw gatewayError(400, 'Capture amount must be equal to the amount authorized');
+    }
+
+    payment.status = 'captured';
+    payment.captured = true;
+    this.orders.get(payment.order_id).status = 'paid';
+    return { ...payment };
+  }
+
+  async refund(paymentId, { amount, notes = {} }) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) throw gatewayError(404, `Payment ${paymentId} does not exist`);
+    if (payment.status !== 'captured' && payment.status !== 'refunded') {
+      throw gatewayError(400, 'Only captured payments can be refunded');
+    }
+
+    amount = amount ?? payment.amount - payment.amount_refunded;
+    if (amount <= 0 || payment.amount_refunded + amount > payment.amount) {
+      throw gatewayError(400, 'The requested refund amount is more than the refundable amount');
+    }
+
+    const refund = {
+      id: this.nextId('rfnd'),
+      entity: 'refund',
+      payment_id: paymentId,
+      amount,
+      currency: payment.currency,
+      notes,
+      status: 'processed'
+    };
+    this.refunds.set(refund.id, refund);
+
+    payment.amount_refunded += amount;
+    if (payment.amount_refunded === payment.amount) payment.status = 'refunded';
+    return { ...refund };
+  }
+
+  /* ───────── Test helpers ───────── */
+
+  /**
+   * Simulate the customer paying (or failing to pay) a gateway order.
+   * Returns the payment plus the signature the checkout widget would post to
+   * the client callback.
+   *
+   * @param {string} orderId
+   * @param {object} [options]
+   * @param {'captured'|'authorized'|'failed'} [options.status='captured']
+   * @param {number} [options.amount] - paise; defaults to the order amount
+   */
+  pay(orderId, { status = 'captured', amount } = {}) {
+    const order = this.orders.get(orderId);
+    if (!order) throw gatewayError(404, `Order ${orderId} does not exist`);
+
+    const payment = {
+      id: this.nextId('pay'),
+      entity: 'payment',
+      order_id: orderId,
+      amount: amount ?? order.amount,
+      currency: order.currency,
+      status,
+      captured: status === 'captured',
+      amount_refunded: 0,
+      method: 'upi',
+      created_at: Math.floor(Date.now() / 1000),
+      ...(status === 'failed' && {
+        error_code: 'BAD_REQUEST_ERROR',
+        error_description: 'Payment failed'
+      })
+    };
+    this.payments.set(payment.id, payment);
+
+    if (status === 'captured') {
+      order.status = 'paid';
+      order.amount_paid = payment.amount;
+    }
+
+    return {
+      payment: { ...payment },
+      signature: this.sign(this.keySecret, `${orderId}|${payment.id}`)
+    };
+  }
+
+  /**
+   * Build a signed webhook delivery, e.g. buildWebhook('payment.captured', { payment }).
+   *
+   * @returns {{rawBody: Buffer, headers: object}}
+   */
+  buildWebhook(event, entities = {}) {
+    const payload = {};
+    for (const [key, entity] of Object.entries(entities)) {
+      if (entity) payload[key] = { entity };
+    }
+
+    const rawBody = Buffer.from(
+      JSON.stringify({
+        entity: 'event',
+        event,
+        contains: Object.keys(payload),
+        payload,
+        created_at: Math.floor(Date.now() / 1000)
+      })
+    );
+
+    return {
+      rawBody,
+      headers: {
+        'x-razorpay-event-id': this.nextId('evt'),
+        'x-razorpay-signature': this.sign(this.webhookSecret, rawBody)
+      }
+    };
+  }
+}
@@ -0,0 +1,28 @@
+import { RazorpayGateway } from './razorpayGateway.js';
+import { FakeGateway } from './fakeGateway.js';
+
+const gateways = {
+  razorpay: RazorpayGateway,
+  fake: FakeGateway
+};
+
+/**
+ * Pick the gateway from PAYMENT_GATEWAY (razorpay | fake). Jest runs default
+ * to the fake gateway; production always refuses it.
+ */
+export const createPaymentGateway = (
+  name = process.env.PAYMENT_GATEWAY || (process.env.NODE_ENV === 'test' ? 'fake' : 'razorpay')
+) => {
+  const Gateway = gateways[name];
+  if (!Gateway) {
+    throw new Error(`Unknown PAYMENT_GATEWAY "${name}"`);
+  }
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment gateway cannot be used in production');
+  }
+  return new Gateway();
+};
+
+export { PaymentGateway } from './paymentGateway.js';
+
+export default createPaymentGateway();
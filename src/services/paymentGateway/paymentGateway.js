@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { ApiError } from '../../utils/ApiError.js';
+
+/**
+ * Contract every payment gateway implements.
+ *
+ * Gateways speak Razorpay's shapes: amounts are in paise and orders, payments,
+ * refunds and webhook payloads use Razorpay's field names, so the rest of the
+ * app does not care which gateway is active. Signature checks are shared
+ * because they only depend on the gateway's secrets.
+ */
+export class PaymentGateway {
+  constructor({ name, keyId, keySecret, webhookSecret }) {
+    this.name = name;
+    this.keyId = keyId; // public key handed to the checkout widget
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+  }
+
+  /** @returns {Promise<{id, amount, currency, receipt, status}>} */
+  async createOrder({ amount, currency, receipt, notes }) {
+    throw new Error(`${this.name} gateway does not implement createOrder`);
+  }
+
+  /** @returns {Promise<{id, order_id, amount, currency, status, amount_refunded}>} */
+  async fetchPayment(paymentId) {
+    throw new Error(`${this.name} gateway does not implement fetchPayment`);
+  }
+
+  /**
+   * Every payment created between two dates, for reconciliation.
+   *
+   * @param {{from: Date, to: Date}} range
+   * @returns {Promise<Array<object>>}
+   */
+  async listPayments({ from, to }) {
+    throw new Error(`${this.name} gateway does not implement listPayments`);
+  }
+
+  /** @returns {Promise<Array<object>>} payments attempted against a gateway order */
+  async fetchOrderPayments(orderId) {
+    throw new Error(`${this.name} gateway does not implement fetchOrderPayments`);
+  }
+
+  // Capture an authorized payment
+  async capture(paymentId, amount, currency) {
+    throw new Error(`${this.name} gateway does not implement capture`);
+  }
+
+  /** @returns {Promise<{id, payment_id, amount, status}>} */
+  async refund(paymentId, { amount, notes }) {
+    throw new Error(`${this.name} gateway does not implement refund`);
+  }
+
+  // Signature sent to the client callback after checkout
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return this.matches(this.keySecret, `${orderId}|${paymentId}`, signature);
+  }
+
+  verifyWebhookSignature(rawBody, signature) {
+    return this.matches(this.webhookSecret, rawBody, signature);
+  }
+
+  /**
+   * Parse a webhook delivery. Never throws on a bad signature; callers decide
+   * what to do with `signatureValid`.
+   *
+   * @returns {{eventId: string, event: string, payload: object, signatureValid: boolean}}
+   */
+  parseWebhook(rawBody, headers = {}) {
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString());
+    } catch {
+      throw new ApiError(400, 'Malformed webhook payload');
+    }
+
+    return {
+      eventId:
+        headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(rawBody).digest('hex'),
+      event: payload.event,
+      payload,
+      signatureValid: this.verifyWebhookSignature(rawBody, headers['x-razorpay-signature'])
+    };
+  }
+
+  sign(secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('hex');
+  }
+
+  matches(secret, data, signature) {
+    if (!secret || !data || typeof signature !== 'string') return false;
+
+    const expected = this.sign(secret, data);
+    return (
+      expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+    );
+  }
+}
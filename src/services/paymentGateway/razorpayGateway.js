@@ -0,0 +1,58 @@
+import Razorpay from 'razorpay';
+import { PaymentGateway } from './paymentGateway.js';
+
+export class RazorpayGateway extends PaymentGateway {
+  constructor() {
+    super({
+      name: 'razorpay',
+      keyId: process.env.RAZORPAY_API_KEY,
+      keySecret: process.env.RAZORPAY_API_SECRET,
+      webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET
+    });
+  }
+
+  // The SDK refuses to construct without keys, so create it on first use
+  get client() {
+    if (!this._client) {
+      this._client = new Razorpay({ key_id: this.keyId, key_secret: this.keySecret });
+    }
+    return this._client;
+  }
+
+  createOrder({ amount, currency, receipt, notes }) {
+    return this.client.orders.create({ amount, currency, receipt, notes });
+  }
+
+  fetchPayment(paymentId) {
+    return this.client.payments.fetch(paymentId);
+  }
+
+  async listPayments({ from, to }) {
+    const count = 100; // Razorpay's page size limit
+    const payments = [];
+
+    for (let skip = 0; ; skip += count) {
+      const page = await this.client.payments.all({
+        from: Math.floor(from.getTime() / 1000),
+        to: Math.floor(to.getTime() / 1000),
+        count,
+        skip
+      });
+      payments.push(...page.items);
+      if (page.items.length < count) return payments;
+    }
+  }
+
+  async fetchOrderPayments(orderId) {
+    const { items } = await this.client.orders.fetchPayments(orderId);
+    return items;
+  }
+
+  capture(paymentId, amount, currency) {
+    return this.client.payments.capture(paymentId, amount, currency);
+  }
+
+  refund(paymentId, { amount, notes }) {
+    return this.client.payments.refund(paymentId, { amount, speed: 'normal', notes });
+  }
+}
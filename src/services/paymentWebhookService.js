@@ -0,0 +1,280 @@
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { Payment } from '../modules/payment/payment.model.js';
+import { WebhookEvent } from '../modules/payment/webhookEvent.model.js';
+import orderService from './orderService.js';
+import refundService from './refundService.js';
+import paymentGateway from './paymentGateway/index.js';
+import reservationService from './reservationService.js';
+import walletService from './walletService.js';
+import invoiceService from './invoiceService.js';
+import { Return } from '../modules/return/return.model.js';
+
+// A delivery stuck in "processing" this long is assumed to have crashed
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const toPaise = amount => Math.round(amount * 100);
+
+// A capture moves a payment on from these; a refunded payment stays refunded
+export const CAPTURABLE_STATUSES = ['created', 'failed', 'expired', 'captured'];
+
+class PaymentWebhookService {
+  constructor() {
+    this.handlers = {
+      'payment.captured': payload => this.handleCaptured(payload.payment?.entity),
+      'order.paid': payload => this.handleCaptured(payload.payment?.entity),
+      'payment.failed': payload => this.handleFailed(payload.payment?.entity),
+      'refund.processed': payload => this.handleRefundProcessed(payload),
+      'refund.failed': payload =>
+        refundService.applyRefundEvent(payload.refund?.entity, payload.payment?.entity, 'failed')
+    };
+  }
+
+  /**
+   * Record a webhook delivery and process it at most once.
+   *
+   * Unsigned deliveries are stored as `rejected` and never processed. Signed
+   * deliveries are keyed by Razorpay's event id, so replays of an event that
+   * was already handled are acknowledged without touching payments again.
+   *
+   * @returns {Promise<{event: object, duplicate: boolean}>}
+   */
+  async ingest({ rawBody, headers }) {
+    const { eventId, event, payload, signatureValid } = paymentGateway.parseWebhook(
+      rawBody,
+      headers
+    );
+
+    if (!signatureValid) {
+      await WebhookEvent.create({
+        eventId,
+        event,
+        payload,
+        rawBody: rawBody.toString(),
+        signatureValid: false,
+        status: 'rejected',
+        deliveries: 1
+      });
+      logger.warn('Rejected webhook with invalid signature', { eventId });
+      throw new ApiError(400, 'Invalid signature');
+    }
+
+    const record = await this.recordDelivery(eventId, payload, rawBody);
+
+    if (['processed', 'ignored'].includes(record.status)) {
+      return { event: record, duplicate: true };
+    }
+
+    return { event: await this.process(record), duplicate: false };
+  }
+
+  async recordDelivery(eventId, payload, rawBody) {
+    const filter = { eventId, signatureValid: true };
+    const update = {
+      $setOnInsert: { event: payload.event, payload, rawBody: rawBody.toString() },
+      $inc: { deliveries: 1 }
+    };
+
+    try {
+      return await WebhookEvent.findOneAndUpdate(filter, update, {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true
+      });
+    } catch (error) {
+      // Two deliveries of the same event raced on the upsert
+      if (error.code === 11000) {
+        return WebhookEvent.findOneAndUpdate(filter, { $inc: { deliveries: 1 } }, { new: true });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run the handler for a stored event. Only one worker can claim an event at
+   * a time; failures are recorded on the event and rethrown so Razorpay
+   * retries the delivery.
+   */
+  async process(record) {
+    const claimed = await WebhookEvent.findOneAndUpdate(
+      {
+        _id: record._id,
+        $or: [
+          { status: { $in: ['received', 'failed'] } },
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    // Someone else is handling it (or already has)
+    if (!claimed) return WebhookEvent.findById(record._id);
+
+    const handler = this.handlers[claimed.event];
+
+    try {
+      const outcome = handler ? await handler(claimed.payload.payload || {}) : 'ignored';
+
+      claimed.status = outcome === 'ignored' ? 'ignored' : 'processed';
+      claimed.processedAt = new Date();
+      claimed.lastError = undefined;
+      return await claimed.save();
+    } catch (error) {
+      claimed.status = 'failed';
+      claimed.lastError = error.message;
+      await claimed.save();
+
+      logger.error('Razorpay webhook processing failed', {
+        eventId: claimed.eventId,
+        event: claimed.event,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Admin re-run of an event that failed processing
+  async replay(id, adminId) {
+    const record = await WebhookEvent.findById(id);
+    if (!record) throw new ApiError(404, 'Webhook event not found');
+
+    if (!record.signatureValid || record.status !== 'failed') {
+      throw new ApiError(
+        409,
+        `Only failed, signed events can be replayed (status: ${record.status})`
+      );
+    }
+
+    let result;
+    try {
+      result = await this.process(record);
+    } catch (error) {
+      result = await WebhookEvent.findById(id);
+    }
+
+    result.replays.push({ replayedBy: adminId, result: result.status });
+    return result.save();
+  }
+
+  async listEvents({ status, event, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const skip = (page - 1) * limit;
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query).select('-rawBody').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      WebhookEvent.countDocuments(query)
+    ]);
+
+    return {
+      events,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  /* ───────── Event handlers ───────── */
+
+  async handleCaptured(entity) {
+    if (!entity?.order_id) throw new Error('Webhook is missing the payment entity');
+
+    const record = await Payment.findOne({ razorpayOrderId: entity.order_id });
+    if (!record) return 'ignored'; // not a checkout we created
+
+    // Only trust captures for exactly the quoted amount
+    if (entity.amount !== toPaise(record.amount)) {
+      throw new Error(
+        `Captured amount ${entity.amount} does not match expected ${toPaise(record.amount)}`
+      );
+    }
+
+    const captured = await Payment.findOneAndUpdate(
+      { _id: record._id, status: { $in: CAPTURABLE_STATUSES } },
+      { $set: { razorpayPaymentId: entity.id, status: 'captured' } },
+      { new: true }
+    );
+    if (!captured) return 'ignored'; // already refunded
+
+    // A retry that succeeded after the failure (or expiry) gave the wallet share back
+    if (
+      captured.walletAmount > 0 &&
+      (await walletService.hasTransaction(`payment:${captured._id}:reversal`))
+    ) {
+      try {
+        await walletService.debit(captured.userId, captured.walletAmount, {
+          source: 'checkout',
+          description: 'Applied at checkout',
+          reference: { kind: 'Payment', id: captured._id },
+          idempotencyKey: `payment:${captured._id}:recapture`
+        });
+      } catch (error) {
+        logger.error('Could not re-apply wallet share to a late capture', {
+          paymentId: captured._id,
+          walletAmount: captured.walletAmount,
+          error: error.message
+        });
+      }
+    }
+
+    // The client callback may have got here first; finalization only happens once
+    await orderService.handlePaymentCaptured(captured);
+    return 'processed';
+  }
+
+  async handleRefundProcessed(payload) {
+    const result = await refundService.applyRefundEvent(
+      payload.refund?.entity,
+      payload.payment?.entity,
+      'processed'
+    );
+
+    // The returned units this refund paid for get their credit note now
+    const returnRequest = await Return.findOne({
+      'refund.razorpayRefunds.refundId': payload.refund?.entity?.id
+    });
+    if (returnRequest) {
+      await invoiceService.issueCreditNotes(returnRequest).catch(error => {
+        logger.error('Credit note issue failed', {
+          returnId: returnRequest._id,
+          error: error.message
+        });
+      });
+    }
+    return result;
+  }
+
+  async handleFailed(entity) {
+    if (!entity?.order_id) throw new Error('Webhook is missing the payment entity');
+
+    // A failed attempt never overrides a capture on the same Razorpay order
+    const updated = await Payment.findOneAndUpdate(
+      { razorpayOrderId: entity.order_id, status: 'created' },
+      {
+        $set: {
+          razorpayPaymentId: entity.id,
+          status: 'failed',
+          failureReason: entity.error_description
+        }
+      },
+      { new: true }
+    );
+    if (!updated) return 'ignored';
+
+    // A retry on the same checkout holds stock again if it is still there
+    await reservationService.releaseForPayment(updated._id, 'payment_failed');
+
+    // Same key as reconciliation's expiry, so the share is only ever returned once
+    if (updated.walletAmount > 0) {
+      await walletService.credit(updated.userId, updated.walletAmount, {
+        source: 'checkout_reversal',
+        description: 'Payment failed',
+        reference: { kind: 'Payment', id: updated._id },
+        idempotencyKey: `payment:${updated._id}:reversal`
+      });
+    }
+    return 'processed';
+  }
+}
+
+export default new PaymentWebhookService();
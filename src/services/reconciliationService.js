@@ -0,0 +1,347 @@
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { Payment } from '../modules/payment/payment.model.js';
+import { ReconciliationReport } from '../modules/payment/reconciliation.model.js';
+import paymentGateway from './paymentGateway/index.js';
+import walletService from './walletService.js';
+import reservationService from './reservationService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Checkouts left in `created` this long are treated as abandoned
+const ABANDON_AFTER_MS = (parseInt(process.env.PAYMENT_EXPIRY_HOURS) || 24) * HOUR_MS;
+// A capture may legitimately have no order for a few minutes while the client places it
+const ORPHAN_GRACE_MS = 30 * 60 * 1000;
+const LOOKBACK_MS = (parseInt(process.env.RECONCILIATION_LOOKBACK_HOURS) || 48) * HOUR_MS;
+const RUN_HOUR = parseInt(process.env.RECONCILIATION_HOUR) || 2; // local time
+const EXPIRE_BATCH = 500;
+
+const LOCAL_PAID_STATUSES = ['captured', 'partially_refunded', 'refunded'];
+const GATEWAY_PAID_STATUSES = ['captured', 'refunded'];
+
+const toRupees = paise => Math.round(paise) / 100;
+const toPaise = amount => Math.round(amount * 100);
+
+const CSV_COLUMNS = [
+  'type',
+  'razorpayOrderId',
+  'razorpayPaymentId',
+  'payment',
+  'orderRef',
+  'localStatus',
+  'gatewayStatus',
+  'expectedAmount',
+  'gatewayAmount',
+  'localRefunded',
+  'gatewayRefunded',
+  'details'
+];
+
+const csvCell = value => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class ReconciliationService {
+  /**
+   * Compare our Payments with the gateway's payments for a time window,
+   * record every mismatch on a report and expire abandoned checkouts.
+   *
+   * @param {object} options
+   * @param {Date} options.from
+   * @param {Date} options.to
+   * @param {'scheduled'|'manual'} [options.trigger='manual']
+   * @param {ObjectId} [options.triggeredBy]
+   * @returns {Promise<object|null>} the report, or null if today's scheduled run already exists
+   */
+  async run({ from, to, trigger = 'manual', triggeredBy } = {}) {
+    to = to || new Date();
+    from = from || new Date(to.getTime() - LOOKBACK_MS);
+
+    if (!(from < to)) {
+      throw new ApiError(400, '`from` must be before `to`');
+    }
+
+    let report;
+    try {
+      report = await ReconciliationReport.create({
+        trigger,
+        triggeredBy,
+        runDate: trigger === 'scheduled' ? to.toISOString().slice(0, 10) : undefined,
+        window: { from, to }
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    try {
+      const mismatches = [];
+      const gatewayPayments = await paymentGateway.listPayments({ from, to });
+      const localPayments = await this.loadLocalPayments(from, to, gatewayPayments);
+
+      mismatches.push(...this.compareGatewayPayments(gatewayPayments, localPayments));
+      mismatches.push(...(await this.checkLocalPayments(localPayments, gatewayPayments)));
+
+      const expired = await this.expireAbandonedPayments(mismatches);
+
+      report.mismatches = mismatches;
+      report.expiredPayments = expired;
+      report.summary = {
+        gatewayPayments: gatewayPayments.length,
+        localPayments: localPayments.length,
+        mismatches: mismatches.length,
+        expired: expired.length
+      };
+      report.status = 'completed';
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.error?.description || error.message;
+      logger.error('Payment reconciliation failed', { reportId: report._id, error: report.error });
+    }
+
+    report.finishedAt = new Date();
+    await report.save();
+
+    logger.info('Payment reconciliation finished', {
+      reportId: report._id,
+      status: report.status,
+      ...report.summary
+    });
+    return report;
+  }
+
+  // Our payments in the window, plus older ones the gateway saw activity on
+  async loadLocalPayments(from, to, gatewayPayments) {
+    const orderIds = [...new Set(gatewayPayments.map(payment => payment.order_id))];
+
+    return Payment.find({
+      $or: [{ createdAt: { $gte: from, $lte: to } }, { razorpayOrderId: { $in: orderIds } }]
+    });
+  }
+
+  compareGatewayPayments(gatewayPayments, localPayments) {
+    const localByOrderId = new Map(
+      localPayments.map(payment => [payment.razorpayOrderId, payment])
+    );
+    const mismatches = [];
+
+    for (const gatewayPayment of gatewayPayments) {
+      // Failed attempts on an order are normal; only money that moved matters
+      if (!GATEWAY_PAID_STATUSES.includes(gatewayPayment.status)) continue;
+
+      const local = localByOrderId.get(gatewayPayment.order_id);
+      const base = {
+        razorpayOrderId: gatewayPayment.order_id,
+        razorpayPaymentId: gatewayPayment.id,
+        gatewayStatus: gatewayPayment.status,
+        gatewayAmount: toRupees(gatewayPayment.amount),
+        gatewayRefunded: toRupees(gatewayPayment.amount_refunded || 0)
+      };
+
+      if (!local) {
+        mismatches.push({
+          ...base,
+          type: 'UNKNOWN_GATEWAY_PAYMENT',
+          details: 'No Payment record for this gateway order'
+        });
+        continue;
+      }
+
+      Object.assign(base, {
+        payment: local._id,
+        orderRef: local.orderRef,
+        localStatus: local.status,
+        expectedAmount: local.amount,
+        localRefunded: local.refundedAmount || 0
+      });
+
+      if (gatewayPayment.amount !== toPaise(local.amount)) {
+        mismatches.push({ ...base, type: 'AMOUNT_MISMATCH' });
+      }
+
+      if (!LOCAL_PAID_STATUSES.includes(local.status)) {
+        mismatches.push({
+          ...base,
+          type: 'MISSED_CAPTURE',
+          details: 'Gateway captured the payment but our record was never updated'
+        });
+      } else if (local.razorpayPaymentId && local.razorpayPaymentId !== gatewayPayment.id) {
+        mismatches.push({
+          ...base,
+          type: 'MISSED_CAPTURE',
+          details: `Second capture on the same order; we recorded ${local.razorpayPaymentId}`
+        });
+      }
+
+      if ((gatewayPayment.amount_refunded || 0) !== toPaise(local.refundedAmount || 0)) {
+        mismatches.push({ ...base, type: 'REFUND_MISMATCH' });
+      }
+    }
+
+    return mismatches;
+  }
+
+  async checkLocalPayments(localPayments, gatewayPayments) {
+    const gatewayIds = new Set(gatewayPayments.map(payment => payment.id));
+    const graceCutoff = new Date(Date.now() - ORPHAN_GRACE_MS);
+    const mismatches = [];
+
+    for (const local of localPayments) {
+      if (!LOCAL_PAID_STATUSES.includes(local.status)) continue;
+
+      const base = {
+        payment: local._id,
+        razorpayOrderId: local.razorpayOrderId,
+        razorpayPaymentId: local.razorpayPaymentId,
+        localStatus: local.status,
+        expectedAmount: local.amount,
+        localRefunded: local.refundedAmount || 0
+      };
+
+      if (!local.orderRef && local.status === 'captured' && local.updatedAt < graceCutoff) {
+        mismatches.push({
+          ...base,
+          type: 'ORPHAN_CAPTURE',
+          details: 'Payment captured but no order was placed'
+        });
+      }
+
+      if (local.razorpayPaymentId && !gatewayIds.has(local.razorpayPaymentId)) {
+        // Outside the listing window is not the same as missing; ask directly
+        const found = await paymentGateway
+          .fetchPayment(local.razorpayPaymentId)
+          .then(() => true)
+          .catch(error => error.statusCode !== 404);
+
+        if (!found) {
+          mismatches.push({
+            ...base,
+            type: 'MISSING_AT_GATEWAY',
+            details: 'Gateway has no payment with this id'
+          });
+        }
+      }
+    }
+
+    return mismatches;
+  }
+
+  // Close checkouts nobody paid for; ones the gateway did collect are flagged instead.
+  // Failed checkouts holding store credit are closed too, in case the failure
+  // webhook never returned it (the shared idempotency key stops a second credit).
+  async expireAbandonedPayments(mismatches) {
+    const stale = await Payment.find({
+      $or: [{ status: 'created' }, { status: 'failed', walletAmount: { $gt: 0 } }],
+      createdAt: { $lt: new Date(Date.now() - ABANDON_AFTER_MS) }
+    }).limit(EXPIRE_BATCH);
+
+    const expired = [];
+
+    for (const payment of stale) {
+      const attempts = await paymentGateway.fetchOrderPayments(payment.razorpayOrderId);
+      const collected = attempts.find(attempt =>
+        ['authorized', ...GATEWAY_PAID_STATUSES].includes(attempt.status)
+      );
+
+      if (collected) {
+        if (!mismatches.some(mismatch => mismatch.razorpayPaymentId === collected.id)) {
+          mismatches.push({
+            type: 'MISSED_CAPTURE',
+            payment: payment._id,
+            orderRef: payment.orderRef,
+            razorpayOrderId: payment.razorpayOrderId,
+            razorpayPaymentId: collected.id,
+            localStatus: payment.status,
+            gatewayStatus: collected.status,
+            expectedAmount: payment.amount,
+            gatewayAmount: toRupees(collected.amount),
+            details: 'Abandoned checkout has a payment at the gateway'
+          });
+        }
+        continue;
+      }
+
+      // Skip it if a late webhook moved it on while we were checking
+      const updated = await Payment.updateOne(
+        { _id: payment._id, status: payment.status },
+        { $set: { status: 'expired' } }
+      );
+      if (!updated.modifiedCount) continue;
+      expired.push(payment._id);
+
+      await reservationService.releaseForPayment(payment._id, 'expired');
+
+      if (payment.walletAmount > 0) {
+        await walletService.credit(payment.userId, payment.walletAmount, {
+          source: 'checkout_reversal',
+          description: 'Checkout abandoned',
+          reference: { kind: 'Payment', id: payment._id },
+          idempotencyKey: `payment:${payment._id}:reversal`
+        });
+      }
+    }
+
+    return expired;
+  }
+
+  async listReports({ page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find()
+        .select('-mismatches -expiredPayments')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ReconciliationReport.countDocuments()
+    ]);
+
+    return {
+      reports,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  async getReport(reportId) {
+    const report = await ReconciliationReport.findById(reportId);
+    if (!report) {
+      throw new ApiError(404, 'Reconciliation report not found');
+    }
+    return report;
+  }
+
+  toCsv(report) {
+    const rows = report.mismatches.map(mismatch =>
+      CSV_COLUMNS.map(column => csvCell(mismatch[column])).join(',')
+    );
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Run once a day at RECONCILIATION_HOUR. Every instance may schedule it;
+   * the per-day report index lets only one of them do the work.
+   */
+  startSchedule() {
+    const now = new Date();
+    const next = new Date(now);
+    next.setHours(RUN_HOUR, 0, 0, 0);
+    if (next <= now) next.setDate(next.getDate() + 1);
+
+    const runScheduled = () =>
+      this.run({ trigger: 'scheduled' }).catch(error =>
+        logger.error('Scheduled reconciliation crashed', { error: error.message })
+      );
+
+    const timeout = setTimeout(() => {
+      runScheduled();
+      setInterval(runScheduled, DAY_MS).unref();
+    }, next - now);
+    timeout.unref();
+
+    logger.info('Payment reconciliation scheduled', { nextRun: next.toISOString() });
+  }
+}
+
+export default new ReconciliationService();
@@ -0,0 +1,354 @@
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import paymentGateway from './paymentGateway/index.js';
+import walletService from './walletService.js';
+import { Order } from '../modules/order/order.models.js';
+import { Payment } from '../modules/payment/payment.model.js';
+import { Return } from '../modules/return/return.model.js';
+
+const REFUNDABLE_PAYMENT_STATUSES = ['captured', 'partially_refunded'];
+
+const toPaise = amount => Math.round(amount * 100);
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+class RefundService {
+  // Return.orderId is free text from the client: accept the order id or number
+  async resolveOrder(orderRef) {
+    const order = await Order.findByReference(orderRef);
+    if (!order) {
+      throw new ApiError(404, 'Order for this return not found');
+    }
+    return order;
+  }
+
+  async getRefundablePayment(order) {
+    const payment = order.payment
+      ? await Payment.findById(order.payment)
+      : await Payment.findOne({ orderRef: order._id });
+
+    if (!payment || !REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      throw new ApiError(409, 'Order has no captured payment to refund');
+    }
+    return payment;
+  }
+
+  /**
+   * Issue a Razorpay refund against a captured payment and record it as
+   * pending; refund.processed / refund.failed webhooks settle it.
+   *
+   * @param {object} payment - Payment document
+   * @param {number} amount - INR
+   * @param {object} meta - { reason, returnId, initiatedBy }
+   */
+  async issueRefund(payment, amount, { reason, returnId, initiatedBy } = {}) {
+    amount = roundMoney(amount);
+
+    if (!(amount > 0)) {
+      throw new ApiError(400, 'Refund amount must be greater than zero');
+    }
+    if (amount > payment.refundableAmount()) {
+      throw new ApiError(
+        400,
+        `Refund of ₹${amount} exceeds the refundable balance of ₹${payment.refundableAmount()}`
+      );
+    }
+
+    let refund;
+    try {
+      refund = await paymentGateway.refund(payment.razorpayPaymentId, {
+        amount: toPaise(amount),
+        notes: {
+          paymentId: payment._id.toString(),
+          reason,
+          ...(returnId && { returnId: returnId.toString() })
+        }
+      });
+    } catch (error) {
+      logger.error('Gateway refund failed', {
+        paymentId: payment._id,
+        amount,
+        error: error.error?.description || error.message
+      });
+      throw new ApiError(502, 'Failed to issue refund with the payment gateway');
+    }
+
+    await Payment.findByIdAndUpdate(payment._id, {
+      $set: { refundId: refund.id },
+      $push: {
+        refunds: { refundId: refund.id, amount, reason, returnId, initiatedBy, status: 'pending' }
+      }
+    });
+
+    logger.info('Refund issued', { paymentId: payment._id, refundId: refund.id, amount });
+    return { refundId: refund.id, amount };
+  }
+
+  /**
+   * Refund returned items. `items` selects which return lines (and how many
+   * units) to refund; omit it to refund everything not refunded yet. Unit
+   * prices come from the order, net of its discount.
+   *
+   * ORIGINAL_PAYMENT goes back to the gateway payment, and any part of the
+   * order paid from the wallet goes back to the wallet. STORE_CREDIT puts the
+   * whole amount in the customer's wallet and completes immediately.
+   *
+   * @param {object} returnRequest - Return document; the caller saves it
+   * @param {object} [options]
+   * @param {Array<{productId, quantity}>} [options.items]
+   * @param {ObjectId} [options.initiatedBy]
+   * @param {'ORIGINAL_PAYMENT'|'STORE_CREDIT'} [options.method='ORIGINAL_PAYMENT']
+   * @returns {Promise<{amount: number, refundId?: string, walletAmount: number}>}
+   */
+  async refundReturn(returnRequest, { items, initiatedBy, method = 'ORIGINAL_PAYMENT' } = {}) {
+    const order = await this.resolveOrder(returnRequest.orderId);
+
+    if (order.userId.toString() !== returnRequest.userId.toString()) {
+      throw new ApiError(409, 'Return does not belong to the order owner');
+    }
+
+    const { lines, amount } = this.priceReturnLines(returnRequest, order, items);
+
+    let gatewayAmount = 0;
+    let walletAmount = amount;
+    let payment;
+
+    if (method === 'ORIGINAL_PAYMENT') {
+      payment = order.payment
+        ? await Payment.findById(order.payment)
+        : await Payment.findOne({ orderRef: order._id });
+
+      const gatewayRefundable =
+        payment && REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)
+          ? payment.refundableAmount()
+          : 0;
+      const walletRefundable = order.walletAmount
+        ? order.walletAmount -
+          (await walletService.sumForReference('Order', order._id, { source: 'refund' }))
+        : 0;
+
+      // Never refund more than is left on the payment (e.g. after an earlier partial refund)
+      gatewayAmount = Math.min(amount, gatewayRefundable);
+      walletAmount = roundMoney(Math.min(amount - gatewayAmount, Math.max(walletRefundable, 0)));
+
+      if (gatewayAmount <= 0 && walletAmount <= 0) {
+        throw new ApiError(409, 'Order has no captured payment to refund');
+      }
+    }
+
+    let refund;
+    if (gatewayAmount > 0) {
+      refund = await this.issueRefund(payment, gatewayAmount, {
+        reason: 'return',
+        returnId: returnRequest._id,
+        initiatedBy
+      });
+    }
+
+    let walletTransaction;
+    if (walletAmount > 0) {
+      // Wallet-paid share goes back against the order; store credit against the return
+      const reference =
+        method === 'STORE_CREDIT'
+          ? { kind: 'Return', id: returnRequest._id }
+          : { kind: 'Order', id: order._id };
+
+      walletTransaction = await walletService.credit(returnRequest.userId, walletAmount, {
+        source: 'refund',
+        description: `Refund for returned items on order ${order.orderNumber}`,
+        reference,
+        performedBy: initiatedBy,
+        idempotencyKey: `return:${returnRequest._id}:${returnRequest.refund?.amount || 0}`
+      });
+    }
+
+    for (const line of lines) {
+      line.returnItem.refundedQuantity = (line.returnItem.refundedQuantity || 0) + line.quantity;
+    }
+
+    const refunded = roundMoney((refund?.amount || 0) + walletAmount);
+    const pending = returnRequest.refund?.razorpayRefunds?.some(
+      entry => entry.status === 'pending'
+    );
+
+    returnRequest.refund.amount = roundMoney((returnRequest.refund.amount || 0) + refunded);
+    returnRequest.refund.method = method;
+    returnRequest.refund.processedAt = new Date();
+
+    if (refund) {
+      returnRequest.refund.status = 'PROCESSING';
+      returnRequest.refund.razorpayRefunds.push({
+        refundId: refund.refundId,
+        amount: refund.amount,
+        items: lines.map(({ productId, quantity }) => ({ productId, quantity }))
+      });
+    } else if (!pending) {
+      returnRequest.refund.status = 'COMPLETED';
+      returnRequest.refund.transactionId = walletTransaction._id.toString();
+      returnRequest.refund.completedAt = new Date();
+    }
+
+    return { amount: refunded, refundId: refund?.refundId, walletAmount };
+  }
+
+  // Price the requested return lines at what the customer paid for them
+  priceReturnLines(returnRequest, order, items) {
+    const requested =
+      items && items.length
+        ? items
+        : returnRequest.items.map(item => ({
+            productId: item.productId,
+            quantity: item.quantity - (item.refundedQuantity || 0)
+          }));
+
+    const discountRatio = order.subTotal > 0 ? order.discountAmount / order.subTotal : 0;
+    const lines = [];
+    let amount = 0;
+
+    for (const { productId, quantity } of requested) {
+      if (!quantity) continue;
+
+      const returnItem = returnRequest.items.find(
+        item => item.productId.toString() === productId.toString()
+      );
+      if (!returnItem) {
+        throw new ApiError(400, `Product ${productId} is not part of this return`);
+      }
+
+      const remaining = returnItem.quantity - (returnItem.refundedQuantity || 0);
+      if (quantity < 0 || quantity > remaining) {
+        throw new ApiError(400, `Only ${remaining} unit(s) of ${productId} can still be refunded`);
+      }
+
+      const orderItem = order.items.find(
+        item => item.productId.toString() === productId.toString()
+      );
+      // GST added on top of tax-exclusive prices was paid too
+      const unitPrice = orderItem
+        ? orderItem.price *
+          (orderItem.priceIncludesTax === false ? 1 + (orderItem.gstRate || 0) / 100 : 1)
+        : returnItem.price;
+
+      amount += unitPrice * (1 - discountRatio) * quantity;
+      lines.push({ returnItem, productId: returnItem.productId, quantity });
+    }
+
+    if (!lines.length) {
+      throw new ApiError(400, 'Nothing left to refund for this return');
+    }
+
+    return { lines, amount: roundMoney(amount) };
+  }
+
+  // Refund whatever is left on the payment of a cancelled prepaid order
+  async refundCancelledOrder(order, initiatedBy) {
+    if (order.paymentMethod !== 'Prepaid') return null;
+
+    const payment = order.payment
+      ? await Payment.findById(order.payment)
+      : await Payment.findOne({ orderRef: order._id });
+
+    if (!payment || !REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) return null;
+
+    const amount = payment.refundableAmount();
+    if (amount <= 0) return null;
+
+    return this.issueRefund(payment, amount, { reason: 'cancellation', initiatedBy });
+  }
+
+  /**
+   * Settle a refund from a refund.processed / refund.failed webhook and roll
+   * the result up to the Payment and, for return refunds, the Return.
+   *
+   * @returns {Promise<'processed'|'ignored'>}
+   */
+  async applyRefundEvent(refundEntity, paymentEntity, status) {
+    if (!refundEntity?.payment_id) throw new Error('Webhook is missing the refund entity');
+
+    const payment = await Payment.findOne({ razorpayPaymentId: refundEntity.payment_id });
+    if (!payment) return 'ignored';
+
+    let entry = payment.refunds.find(refund => refund.refundId === refundEntity.id);
+    if (!entry) {
+      // Issued outside the app, e.g. from the Razorpay dashboard
+      payment.refunds.push({
+        refundId: refundEntity.id,
+        amount: refundEntity.amount / 100,
+        returnId: refundEntity.notes?.returnId
+      });
+      entry = payment.refunds[payment.refunds.length - 1];
+    }
+
+    entry.status = status;
+    entry.processedAt = new Date();
+    payment.refundId = refundEntity.id;
+
+    // Prefer Razorpay's running total; it stays correct across partial refunds
+    payment.refundedAmount =
+      paymentEntity?.amount_refunded != null
+        ? paymentEntity.amount_refunded / 100
+        : roundMoney(
+            payment.refunds
+              .filter(refund => refund.status === 'processed')
+              .reduce((sum, refund) => sum + refund.amount, 0)
+          );
+
+    if (payment.refundedAmount > 0) {
+      payment.status =
+        toPaise(payment.refundedAmount) >= toPaise(payment.amount)
+          ? 'refunded'
+          : 'partially_refunded';
+    }
+
+    await payment.save();
+
+    if (entry.returnId) {
+      await this.settleReturnRefund(entry.returnId, refundEntity.id, status);
+    }
+
+    return 'processed';
+  }
+
+  async settleReturnRefund(returnId, refundId, status) {
+    const returnRequest = await Return.findById(returnId);
+    const entry = returnRequest?.refund?.razorpayRefunds.find(
+      refund => refund.refundId === refundId
+    );
+    if (!entry || entry.status !== 'pending') return;
+
+    entry.status = status;
+
+    if (status === 'failed') {
+      // Give the units back so the refund can be retried
+      for (const line of entry.items) {
+        const item = returnRequest.items.find(
+          returnItem => returnItem.productId.toString() === line.productId.toString()
+        );
+        if (item) item.refundedQuantity = Math.max((item.refundedQuantity || 0) - line.quantity, 0);
+      }
+      returnRequest.refund.amount = roundMoney(returnRequest.refund.amount - entry.amount);
+      returnRequest.refund.status = 'FAILED';
+      await returnRequest.save();
+      return;
+    }
+
+    const refunds = returnRequest.refund.razorpayRefunds;
+    if (refunds.some(refund => refund.status === 'pending')) {
+      await returnRequest.save();
+      return;
+    }
+
+    returnRequest.refund.status = 'COMPLETED';
+    returnRequest.refund.transactionId = refunds
+      .filter(refund => refund.status === 'processed')
+      .map(refund => refund.refundId)
+      .join(',');
+    returnRequest.refund.completedAt = new Date();
+
+    await returnRequest.addTimelineEntry(
+      'REFUND_COMPLETED',
+      `Refund of ₹${returnRequest.refund.amount} settled by Razorpay`
+    );
+  }
+}
+
+export default new RefundService();
@@ -0,0 +1,360 @@
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import mongoose from 'mongoose';
+import { Product } from '../modules/product/product.models.js';
+import { Order } from '../modules/order/order.models.js';
+import { StockReservation, RESERVATION_STATUS } from '../modules/inventory/reservation.model.js';
+import { ORDER_STATUS } from '../modules/order/order.status.js';
+import { orderEvents, statusEvent } from '../modules/order/order.events.js';
+import inventoryService from './inventoryService.js';
+import batchService from './batchService.js';
+import warehouseService from './warehouseService.js';
+
+const { ACTIVE, COMMITTED, RELEASED } = RESERVATION_STATUS;
+
+// Orders awaiting payment or COD confirmation hold their stock this long
+const HOLD_MS = (parseInt(process.env.STOCK_HOLD_MINUTES) || 30) * 60 * 1000;
+const SWEEP_MS = (parseInt(process.env.STOCK_HOLD_SWEEP_SECONDS) || 60) * 1000;
+const SWEEP_BATCH = 200;
+
+/**
+ * Time-boxed stock holds for checkouts.
+ *
+ * Starting checkout holds the cart's units (Product.reservedStock) for as
+ * long as the quote is locked, so two buyers can't pay for the same last
+ * unit. Finalizing the order commits the hold into a stock decrement; a
+ * failed payment, an expired hold, a changed cart or a cancelled order
+ * releases it; cancelling an order that was already committed restocks
+ * it. Every transition flips the reservation's status atomically first,
+ * so stock is moved at most once per reservation.
+ */
+class ReservationService {
+  constructor() {
+    // However an order gets cancelled, units still held go back and units
+    // already taken out of stock are restocked
+    orderEvents.on(statusEvent(ORDER_STATUS.CANCELLED), async ({ order }) => {
+      await this.releaseForOrder(order._id, 'order_cancelled');
+      await this.restockOrder(order._id);
+    });
+  }
+
+  // Units that can still be sold (of the variant, for products with variants): not sold and not held
+  available(product, variantId) {
+    const stock = variantId ? Product.findVariant(product, variantId) : product;
+    if (!stock) return 0;
+    return Math.max(stock.stocks - (stock.reservedStock || 0), 0);
+  }
+
+  // Lines of the same product and variant share a key
+  lineKey(productId, variantId) {
+    return variantId ? `${productId}:${variantId}` : productId.toString();
+  }
+
+  /**
+   * Hold stock for a checkout or an order. Holding again for the same payment
+   * or order extends the existing hold instead of taking more stock.
+   *
+   * @param {Array<{productId: ObjectId, variantId?: ObjectId, quantity: number, name?: string}>} lines
+   * @param {object} ref - userId, cartId, and the payment and/or order it is for
+   * @param {Date} [ref.expiresAt] - defaults to STOCK_HOLD_MINUTES from now
+   * @returns {Promise<object>} the reservation
+   */
+  async hold(lines, { userId, cartId, paymentId, orderId, expiresAt } = {}) {
+    expiresAt = expiresAt || new Date(Date.now() + HOLD_MS);
+
+    const owners = [paymentId && { payment: paymentId }, orderId && { order: orderId }].filter(
+      Boolean
+    );
+    const existing = await StockReservation.findOneAndUpdate(
+      { status: ACTIVE, $or: owners },
+      {
+        $max: { expiresAt },
+        $set: { ...(paymentId && { payment: paymentId }), ...(orderId && { order: orderId }) }
+      },
+      { new: true }
+    );
+    if (existing) return existing;
+
+    // One checkout hold per cart: an earlier, abandoned checkout gives its units back
+    if (cartId) {
+      await this.release({ cartId, order: { $exists: false } }, 'superseded');
+    }
+
+    const items = this.mergeLines(lines);
+    const held = [];
+    // Known up front so the ledger can point at it
+    const reservationId = new mongoose.Types.ObjectId();
+    const reference = { kind: 'StockReservation', id: reservationId };
+
+    for (const item of items) {
+      const { productId, variantId, quantity } = item;
+      if (await inventoryService.reserve(productId, quantity, { variantId, reference })) {
+        held.push(item);
+        continue;
+      }
+
+      await Promise.all(
+        held.map(line =>
+          inventoryService.release(line.productId, line.quantity, {
+            variantId: line.variantId,
+            reference,
+            note: 'Checkout could not hold every item'
+          })
+        )
+      );
+
+      const product = await Product.findById(productId)
+        .select('name stocks reservedStock variants')
+        .lean();
+      const left = product ? this.available(product, variantId) : 0;
+      const variant = product && Product.findVariant(product, variantId);
+      const name = variant ? `${product.name} (${variant.sku})` : product?.name;
+      throw new ApiError(
+        409,
+        left > 0
+          ? `Only ${left} left of ${name}`
+          : `${name || 'A product in your cart'} is out of stock`
+      );
+    }
+
+    return StockReservation.create({
+      _id: reservationId,
+      items,
+      userId,
+      cartId,
+      payment: paymentId,
+      order: orderId,
+      expiresAt
+    });
+  }
+
+  mergeLines(lines) {
+    const merged = new Map();
+    for (const line of lines) {
+      const key = this.lineKey(line.productId, line.variantId);
+      const existing = merged.get(key);
+      if (existing) {
+        existing.quantity += line.quantity;
+      } else {
+        merged.set(key, {
+          productId: line.productId.toString(),
+          ...(line.variantId && { variantId: line.variantId.toString() }),
+          quantity: line.quantity
+        });
+      }
+    }
+    return [...merged.values()];
+  }
+
+  // Point a checkout's hold at the order placed from it, so cart edits no longer release it
+  async attachOrder(paymentId, orderId) {
+    await StockReservation.updateOne(
+      { payment: paymentId, status: ACTIVE },
+      { $set: { order: orderId } }
+    );
+  }
+
+  /**
+   * Take an order's items out of stock. Units still held for it are
+   * committed; anything whose hold lapsed is decremented directly. The
+   * units sold are allocated to batches first expiry first out.
+   *
+   * @param {object} order
+   * @returns {Promise<Array<{productId: ObjectId, variantId?: ObjectId, quantity: number}>>} lines that could not be covered
+   */
+  async commitForOrder(order) {
+    const owners = [{ order: order._id }, order.payment && { payment: order.payment }].filter(
+      Boolean
+    );
+    const reservation = await StockReservation.findOneAndUpdate(
+      { status: ACTIVE, $or: owners },
+      { $set: { status: COMMITTED, committedAt: new Date(), order: order._id } },
+      { new: true }
+    );
+
+    const heldLines = new Map(
+      this.mergeLines(reservation?.items || []).map(item => [
+        this.lineKey(item.productId, item.variantId),
+        item
+      ])
+    );
+    const shortfalls = [];
+    const sold = [];
+    const sale = { reference: { kind: 'Order', id: order._id } };
+    const hold = reservation && { reference: { kind: 'StockReservation', id: reservation._id } };
+
+    for (const line of this.mergeLines(order.items)) {
+      const { productId, variantId } = line;
+      const key = this.lineKey(productId, variantId);
+      const held = Math.min(heldLines.get(key)?.quantity || 0, line.quantity);
+      const unheld = line.quantity - held;
+
+      let units = line.quantity;
+      if (held > 0 && !(await inventoryService.sellHeld(productId, held, { ...sale, variantId }))) {
+        await inventoryService.release(productId, held, {
+          ...hold,
+          variantId,
+          note: 'Held units could not be sold'
+        });
+        shortfalls.push({ productId, variantId, quantity: held });
+        units -= held;
+      }
+      if (unheld > 0 && !(await inventoryService.sell(productId, unheld, { ...sale, variantId }))) {
+        shortfalls.push({ productId, variantId, quantity: unheld });
+        units -= unheld;
+      }
+      if (units > 0) sold.push({ productId, variantId, quantity: units });
+      heldLines.delete(key);
+    }
+
+    // Held but no longer on the order
+    for (const { productId, variantId, quantity } of heldLines.values()) {
+      await inventoryService.release(productId, quantity, {
+        ...hold,
+        variantId,
+        note: 'No longer on the order'
+      });
+    }
+
+    // Pick the sold units from the batches that expire first, at the warehouses they ship from
+    await batchService.allocateOrder(order._id, sold);
+    await warehouseService.commitOrder(order);
+
+    return shortfalls;
+  }
+
+  /**
+   * Release every active hold matching `filter`.
+   *
+   * @param {object} filter - e.g. { payment }, { order }, { cartId }
+   * @param {string} reason - see StockReservation.releaseReason
+   * @returns {Promise<number>} holds released
+   */
+  async release(filter, reason) {
+    const candidates = await StockReservation.find({ ...filter, status: ACTIVE }).select('_id');
+    let released = 0;
+
+    for (const { _id } of candidates) {
+      const reservation = await StockReservation.findOneAndUpdate(
+        { _id, status: ACTIVE },
+        { $set: { status: RELEASED, releasedAt: new Date(), releaseReason: reason } },
+        { new: true }
+      );
+      // Committed or released elsewhere in the meantime
+      if (!reservation) continue;
+
+      for (const item of reservation.items) {
+        await inventoryService.release(item.productId, item.quantity, {
+          variantId: item.variantId,
+          reference: { kind: 'StockReservation', id: reservation._id },
+          note: reason
+        });
+      }
+      released += 1;
+    }
+
+    return released;
+  }
+
+  /**
+   * Put a cancelled order's sold units back: a cancel_restock ledger entry
+   * for every unit its sales took, and its batch allocations and warehouse
+   * stock handed back. Only a finalized order has anything to restock, and
+   * restockedAt is claimed first so it happens once per order.
+   *
+   * @param {ObjectId} orderId
+   * @returns {Promise<boolean>} whether this call restocked the order
+   */
+  async restockOrder(orderId) {
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        status: ORDER_STATUS.CANCELLED,
+        finalizedAt: { $exists: true },
+        restockedAt: { $exists: false }
+      },
+      { $set: { restockedAt: new Date() } },
+      { new: true, projection: 'batchAllocations shipments' }
+    );
+    if (!order) return false;
+
+    const reference = { kind: 'Order', id: order._id };
+    const sold = await inventoryService.soldForOrder(order._id);
+    for (const { productId, variantId, quantity } of sold) {
+      await inventoryService.restockCancelled(productId, quantity, {
+        variantId,
+        reference,
+        note: 'Order cancelled'
+      });
+    }
+
+    await batchService.releaseOrder(order);
+    await warehouseService.releaseOrder(order);
+
+    // The reservations it was committed from are given back with it
+    await StockReservation.updateMany(
+      { order: order._id, status: COMMITTED },
+      { $set: { status: RELEASED, releasedAt: new Date(), releaseReason: 'order_cancelled' } }
+    );
+
+    logger.info('Cancelled order restocked', { orderId: order._id });
+    return true;
+  }
+
+  releaseForPayment(paymentId, reason) {
+    return this.release({ payment: paymentId }, reason);
+  }
+
+  releaseForOrder(orderId, reason) {
+    return this.release({ order: orderId }, reason);
+  }
+
+  // Checkouts that haven't become an order yet
+  releaseForCart(cartId, reason) {
+    return this.release({ cartId, order: { $exists: false } }, reason);
+  }
+
+  // Units of each product this cart's checkout is holding, by lineKey
+  async heldForCart(cartId) {
+    const reservations = await StockReservation.find({
+      cartId,
+      status: ACTIVE,
+      order: { $exists: false }
+    })
+      .select('items')
+      .lean();
+
+    const held = new Map();
+    for (const item of reservations.flatMap(reservation => reservation.items)) {
+      const key = this.lineKey(item.productId, item.variantId);
+      held.set(key, (held.get(key) || 0) + item.quantity);
+    }
+    return held;
+  }
+
+  async releaseExpired() {
+    const expired = await StockReservation.find({ status: ACTIVE, expiresAt: { $lte: new Date() } })
+      .select('_id')
+      .limit(SWEEP_BATCH);
+    if (!expired.length) return 0;
+
+    const released = await this.release(
+      { _id: { $in: expired.map(reservation => reservation._id) } },
+      'expired'
+    );
+    logger.info('Expired stock holds released', { released });
+    return released;
+  }
+
+  startSweeper() {
+    setInterval(
+      () =>
+        this.releaseExpired().catch(error =>
+          logger.error('Releasing expired stock holds failed', { error: error.message })
+        ),
+      SWEEP_MS
+    ).unref();
+  }
+}
+
+export default new ReservationService();
@@ -0,0 +1,270 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { normalizeText } from '../utils/searchText.js';
+import { Product } from '../modules/product/product.models.js';
+import { SearchEvent } from '../modules/search/searchEvent.model.js';
+import { SearchQuery } from '../modules/search/searchQuery.model.js';
+
+// Clicks over this many days count towards a product's popularity
+const POPULARITY_DAYS = parseInt(process.env.SEARCH_POPULARITY_DAYS) || 30;
+const SWEEP_MS = (parseInt(process.env.SEARCH_POPULARITY_SWEEP_HOURS) || 6) * 60 * 60 * 1000;
+// Clicks kept per search; more than this is someone paging through every result
+const MAX_CLICKS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The search log: every search's first page with its filters and result
+ * count, the results shoppers clicked, the admin report built from it, and
+ * clicks fed back into product popularity (which search ranks by when no
+ * query is typed).
+ */
+class SearchAnalyticsService {
+  /**
+   * Log a search without waiting for it; a failure never fails the search.
+   *
+   * @param {object} search - query (as typed), filters, sort, resultCount,
+   *   didYouMean, correctedResultCount and results (the product ids shown)
+   * @param {object} [context] - userId and sessionId
+   * @returns {ObjectId} the searchId clicks are reported against
+   */
+  log(search, { userId, sessionId } = {}) {
+    const searchId = new mongoose.Types.ObjectId();
+    const query = normalizeText(search.query);
+
+    SearchEvent.create({
+      _id: searchId,
+      query,
+      filters: search.filters,
+      sort: search.sort,
+      resultCount: search.resultCount,
+      didYouMean: search.didYouMean || undefined,
+      correctedResultCount: search.correctedResultCount,
+      results: search.results,
+      user: userId,
+      sessionId
+    }).catch(error => {
+      logger.warn('Failed to log search', { query, error: error.message });
+    });
+
+    // Running counts behind the popular-query suggestions
+    if (query) {
+      SearchQuery.updateOne(
+        { query },
+        {
+          $inc: { count: 1 },
+          $set: { resultCount: search.resultCount, lastSearchedAt: new Date() }
+        },
+        { upsert: true }
+      ).catch(error => {
+        logger.warn('Failed to record search query', { query, error: error.message });
+      });
+    }
+
+    return searchId;
+  }
+
+  /**
+   * Record that a result of a logged search was opened. Only whoever ran the
+   * search (the same user, or for guests the same session) can report it,
+   * only for a product that was on the page shown, and once per product.
+   *
+   * @param {object} context - userId and sessionId of who is clicking
+   * @returns {Promise<boolean>} false when this product's click was already recorded
+   */
+  async recordClick(searchId, { productId, position }, { userId, sessionId } = {}) {
+    if (!mongoose.isValidObjectId(searchId)) throw new ApiError(400, 'Invalid search id');
+    if (!mongoose.isValidObjectId(productId)) throw new ApiError(400, 'Invalid product id');
+
+    const owners = [
+      userId && { user: userId },
+      sessionId && { user: { $exists: false }, sessionId }
+    ].filter(Boolean);
+    const search = owners.length
+      ? await SearchEvent.findOne({ _id: searchId, $or: owners }).select('results').lean()
+      : null;
+    if (!search) throw new ApiError(404, 'Search not found');
+    if (!search.results?.some(id => id.toString() === String(productId))) {
+      throw new ApiError(400, 'Product was not in the results of this search');
+    }
+
+    const place = parseInt(position);
+    const result = await SearchEvent.updateOne(
+      { _id: searchId, 'clicks.product': { $ne: productId } },
+      {
+        $push: {
+          clicks: {
+            $each: [
+              { product: productId, position: place > 0 ? place : undefined, at: new Date() }
+            ],
+            $slice: MAX_CLICKS
+          }
+        }
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Top queries, zero-result queries and queries whose results shoppers
+   * rarely click, between `from` and `to`. Click-through is the share of a
+   * query's searches with results in which something was clicked.
+   *
+   * @param {object} [options]
+   * @param {number} [options.minSearches] - searches a query needs to be listed as low click-through
+   */
+  async report({ from, to, limit = 20, minSearches = 5 } = {}) {
+    to = to || new Date();
+    from = from || new Date(to.getTime() - 30 * DAY_MS);
+    if (from > to) throw new ApiError(400, 'from must be before to');
+
+    const clickThrough = {
+      $cond: [
+        { $gt: ['$withResults', 0] },
+        { $round: [{ $divide: ['$clicked', '$withResults'] }, 3] },
+        null
+      ]
+    };
+
+    const [report] = await SearchEvent.aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to }, query: { $ne: '' } } },
+      {
+        $group: {
+          _id: '$query',
+          searches: { $sum: 1 },
+          zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+          withResults: { $sum: { $cond: [{ $gt: ['$resultCount', 0] }, 1, 0] } },
+          clicked: {
+            $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$clicks', []] } }, 0] }, 1, 0] }
+          },
+          avgResults: { $avg: '$resultCount' },
+          lastSearchedAt: { $max: '$createdAt' },
+          correctedTo: { $last: '$didYouMean' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          query: '$_id',
+          searches: 1,
+          zeroResults: 1,
+          withResults: 1,
+          clicked: 1,
+          avgResults: { $round: ['$avgResults', 1] },
+          lastSearchedAt: 1,
+          correctedTo: 1
+        }
+      },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                searches: { $sum: '$searches' },
+                uniqueQueries: { $sum: 1 },
+                zeroResults: { $sum: '$zeroResults' },
+                withResults: { $sum: '$withResults' },
+                clicked: { $sum: '$clicked' }
+              }
+            }
+          ],
+          topQueries: [
+            { $sort: { searches: -1, query: 1 } },
+            { $limit: limit },
+            { $addFields: { clickThrough } }
+          ],
+          zeroResultQueries: [
+            { $match: { zeroResults: { $gt: 0 } } },
+            { $sort: { zeroResults: -1, lastSearchedAt: -1 } },
+            { $limit: limit },
+            {
+              $project: { query: 1, zeroResults: 1, searches: 1, lastSearchedAt: 1, correctedTo: 1 }
+            }
+          ],
+          lowClickThroughQueries: [
+            { $match: { withResults: { $gte: minSearches } } },
+            { $addFields: { clickThrough } },
+            { $sort: { clickThrough: 1, searches: -1 } },
+            { $limit: limit }
+          ]
+        }
+      }
+    ]);
+
+    const totals = report.totals[0] || {
+      searches: 0,
+      uniqueQueries: 0,
+      zeroResults: 0,
+      withResults: 0,
+      clicked: 0
+    };
+    delete totals._id;
+
+    return {
+      period: { from, to },
+      totals: {
+        ...totals,
+        zeroResultRate: totals.searches
+          ? Math.round((totals.zeroResults / totals.searches) * 1000) / 1000
+          : null,
+        clickThrough: totals.withResults
+          ? Math.round((totals.clicked / totals.withResults) * 1000) / 1000
+          : null
+      },
+      topQueries: report.topQueries,
+      zeroResultQueries: report.zeroResultQueries,
+      lowClickThroughQueries: report.lowClickThroughQueries
+    };
+  }
+
+  /**
+   * Set each product's searchClicks to its clicks from search results over
+   * the last POPULARITY_DAYS and recompute its popularity, so products
+   * shoppers pick rank higher and ones they stopped picking drift down.
+   *
+   * @returns {Promise<number>} products updated
+   */
+  async refreshPopularity() {
+    const since = new Date(Date.now() - POPULARITY_DAYS * DAY_MS);
+    const clicks = await SearchEvent.aggregate([
+      { $match: { createdAt: { $gte: since }, 'clicks.0': { $exists: true } } },
+      { $unwind: '$clicks' },
+      { $group: { _id: '$clicks.product', clicks: { $sum: 1 } } }
+    ]);
+
+    const popularity = Product.popularityExpression();
+    const result = await Product.bulkWrite([
+      ...clicks.map(row => ({
+        updateOne: {
+          filter: { _id: row._id },
+          update: [{ $set: { searchClicks: row.clicks } }, { $set: { popularity } }]
+        }
+      })),
+      // Products no longer clicked lose what their clicks added
+      {
+        updateMany: {
+          filter: { searchClicks: { $gt: 0 }, _id: { $nin: clicks.map(row => row._id) } },
+          update: [{ $set: { searchClicks: 0 } }, { $set: { popularity } }]
+        }
+      }
+    ]);
+
+    const updated = result.modifiedCount;
+    if (updated) logger.info('Search popularity refreshed', { products: updated });
+    return updated;
+  }
+
+  startSweeper() {
+    setInterval(
+      () =>
+        this.refreshPopularity().catch(error =>
+          logger.error('Search popularity refresh failed', { error: error.message })
+        ),
+      SWEEP_MS
+    ).unref();
+  }
+}
+
+export default new SearchAnalyticsService();
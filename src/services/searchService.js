@@ -0,0 +1,471 @@
+import mongoose from 'mongoose';
+import { ApiError } from '../utils/ApiError.js';
+import { normalizeText } from '../utils/searchText.js';
+import { NUTRITION_BADGE } from '../utils/nutrition.js';
+import { Product, DIETARY_FLAGS } from '../modules/product/product.models.js';
+import synonymService from './synonymService.js';
+import suggestService from './suggestService.js';
+import searchAnalyticsService from './searchAnalyticsService.js';
+
+const CATEGORIES = Product.schema.path('Category').enumValues;
+
+// Nutrient range params (minProtein, maxSugar, ...) and where each is stored
+const NUTRIENTS = {
+  calories: 'nutrition.energy.calories',
+  protein: 'nutrition.macros.protein',
+  carbs: 'nutrition.macros.carbs',
+  sugar: 'nutrition.macros.sugar',
+  fat: 'nutrition.macros.fat',
+  fibre: 'nutrition.macros.fibre',
+  sodium: 'nutrition.micros.minerals.sodium'
+};
+
+const SORTS = {
+  relevance: { field: 'score', order: -1 },
+  popularity: { field: 'popularity', order: -1 },
+  rating: { field: 'rating', order: -1 },
+  price_asc: { field: 'price', order: 1 },
+  price_desc: { field: 'price', order: -1 },
+  newest: { field: 'createdAt', order: -1 }
+};
+
+// Lower bounds of the price facet's ranges; the last one is open-ended
+const PRICE_BUCKETS = [0, 100, 250, 500, 1000, 2500];
+const RATING_STEPS = [4, 3, 2, 1];
+const FACET_VALUES_LIMIT = 20;
+const MAX_LIMIT = 60;
+
+const LISTING_FIELDS = {
+  name: 1,
+  slug: 1,
+  price: 1,
+  originalPrice: 1,
+  discount: 1,
+  markdown: 1,
+  ProductImage: 1,
+  Category: 1,
+  subcategory: 1,
+  brand: 1,
+  rating: 1,
+  reviewCount: 1,
+  popularity: 1,
+  inStock: 1,
+  dietary: 1,
+  allergens: 1,
+  nutrition: 1,
+  nutritionBadges: 1,
+  'variants._id': 1,
+  'variants.sku': 1,
+  createdAt: 1,
+  score: 1
+};
+
+const capitalize = value => value[0].toUpperCase() + value.slice(1);
+
+// Query params that filter, as logged with each search
+const FILTER_PARAMS = [
+  'Category',
+  'category',
+  'subcategory',
+  'brand',
+  'minPrice',
+  'maxPrice',
+  'minRating',
+  'inStock',
+  'dietary',
+  ...DIETARY_FLAGS,
+  'badges',
+  'excludeAllergens',
+  ...Object.keys(NUTRIENTS).flatMap(nutrient => [
+    `min${capitalize(nutrient)}`,
+    `max${capitalize(nutrient)}`
+  ])
+];
+
+// ?brand=a,b and ?brand=a&brand=b both mean [a, b]
+const listParam = value =>
+  value === undefined
+    ? []
+    : (Array.isArray(value) ? value : [value])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Product search: the weighted text index for relevance, filters that
+ * narrow the results, facet counts for each filter, and cursor pagination.
+ *
+ * Filters come in groups. Facets of the pick-several groups (Category,
+ * subcategory, brand) and of the ranges (price, rating, nutrition) are
+ * counted with every other group applied but not their own, so shoppers see
+ * what widening that filter would give. The toggles (inStock, dietary flags,
+ * nutrition badges, allergens) are counted over the current results.
+ */
+class SearchService {
+  number(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new ApiError(400, `${name} must be a number of at least 0`);
+    }
+    return number;
+  }
+
+  range(query, min, max) {
+    const low = this.number(query[min], min);
+    const high = this.number(query[max], max);
+    if (low !== undefined && high !== undefined && low > high) {
+      throw new ApiError(400, `${min} cannot be more than ${max}`);
+    }
+    if (low === undefined && high === undefined) return undefined;
+    return { ...(low !== undefined && { $gte: low }), ...(high !== undefined && { $lte: high }) };
+  }
+
+  /**
+   * Read the search's query params.
+   *
+   * @returns {{q: string, sort: string, limit: number, cursor: object|null, filters: object}}
+   *   filters maps each filter group to its Mongo condition
+   */
+  parse(query) {
+    const q = query.q?.toString().trim() || '';
+    if (q.length > 100) throw new ApiError(400, 'q must be at most 100 characters');
+
+    const sort = query.sort || (q ? 'relevance' : 'popularity');
+    if (!SORTS[sort]) {
+      throw new ApiError(400, `sort must be one of ${Object.keys(SORTS).join(', ')}`);
+    }
+    if (sort === 'relevance' && !q) throw new ApiError(400, 'sort=relevance needs a search term q');
+
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_LIMIT);
+    const filters = {};
+
+    const categories = listParam(query.Category ?? query.category);
+    const unknown = categories.find(category => !CATEGORIES.includes(category));
+    if (unknown) {
+      throw new ApiError(400, `Unknown Category ${unknown}; use one of ${CATEGORIES.join(', ')}`);
+    }
+    if (categories.length) filters.Category = { Category: { $in: categories } };
+
+    for (const key of ['subcategory', 'brand']) {
+      const values = listParam(query[key]);
+      if (values.length) filters[key] = { [key]: { $in: values } };
+    }
+
+    const price = this.range(query, 'minPrice', 'maxPrice');
+    if (price) filters.price = { price };
+
+    const minRating = this.number(query.minRating, 'minRating');
+    if (minRating !== undefined) filters.rating = { rating: { $gte: minRating } };
+
+    const nutrition = {};
+    for (const [nutrient, path] of Object.entries(NUTRIENTS)) {
+      const bounds = this.range(query, `min${capitalize(nutrient)}`, `max${capitalize(nutrient)}`);
+      if (bounds) nutrition[path] = bounds;
+    }
+    if (Object.keys(nutrition).length) filters.nutrition = nutrition;
+
+    if (query.inStock === 'true') filters.inStock = { inStock: true };
+
+    // ?dietary=isVegan,isGlutenFree or ?isVegan=true
+    const flags = [
+      ...listParam(query.dietary),
+      ...DIETARY_FLAGS.filter(flag => query[flag] === 'true')
+    ];
+    const badFlag = flags.find(flag => !DIETARY_FLAGS.includes(flag));
+    if (badFlag) {
+      throw new ApiError(400, `Unknown dietary flag ${badFlag}; use ${DIETARY_FLAGS.join(', ')}`);
+    }
+    if (flags.length) {
+      filters.dietary = Object.fromEntries(flags.map(flag => [`dietary.${flag}`, true]));
+    }
+
+    // ?badges=high_protein,low_sugar: products with every one of them
+    const badges = listParam(query.badges);
+    const badBadge = badges.find(badge => !Object.values(NUTRITION_BADGE).includes(badge));
+    if (badBadge) {
+      throw new ApiError(
+        400,
+        `Unknown badge ${badBadge}; use ${Object.values(NUTRITION_BADGE).join(', ')}`
+      );
+    }
+    if (badges.length) filters.badges = { nutritionBadges: { $all: badges } };
+
+    // Sellers type allergens freely, so they are matched whole but in any case
+    const allergens = listParam(query.excludeAllergens);
+    if (allergens.length) {
+      filters.allergens = {
+        allergens: {
+          $nin: allergens.map(allergen => new RegExp(`^${escapeRegex(allergen)}$`, 'i'))
+        }
+      };
+    }
+
+    return { q, sort, limit, cursor: this.decodeCursor(query.cursor, sort), filters };
+  }
+
+  // All filter groups but `except` as one $match condition
+  combine(filters, except) {
+    const conditions = Object.entries(filters)
+      .filter(([group]) => group !== except)
+      .map(([, condition]) => condition);
+    return conditions.length ? { $and: conditions } : {};
+  }
+
+  encodeCursor(sort, product) {
+    const { field } = SORTS[sort];
+    return Buffer.from(JSON.stringify({ sort, value: product[field], id: product._id })).toString(
+      'base64url'
+    );
+  }
+
+  decodeCursor(cursor, sort) {
+    if (!cursor) return null;
+
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch {
+      throw new ApiError(400, 'Invalid cursor');
+    }
+    if (!mongoose.isValidObjectId(decoded?.id)) throw new ApiError(400, 'Invalid cursor');
+    if (decoded.sort !== sort) {
+      throw new ApiError(400, 'The cursor is for another sort order; start again without it');
+    }
+
+    const value =
+      SORTS[sort].field === 'createdAt' && decoded.value ? new Date(decoded.value) : decoded.value;
+    return { value, id: new mongoose.Types.ObjectId(decoded.id) };
+  }
+
+  // Results after the cursor's product in the sort order (ties broken by _id)
+  after(sort, cursor) {
+    const { field, order } = SORTS[sort];
+    const op = order === 1 ? '$gt' : '$lt';
+    return {
+      $or: [
+        { [field]: { [op]: cursor.value } },
+        { [field]: cursor.value, _id: { [op]: cursor.id } }
+      ]
+    };
+  }
+
+  /**
+   * Search active products. `q` also finds its synonyms; when it finds
+   * nothing, the typo-corrected query is searched instead and returned as
+   * didYouMean, with `searchedFor` the query the results are for (the one to
+   * page on).
+   *
+   * First pages are logged for search analytics; their searchId is what
+   * clicks on the results are reported against.
+   *
+   * @param {object} query - the request's query params
+   * @param {object} [context] - userId and sessionId of who is searching
+   * @returns {Promise<{products: Array<object>, facets: object|null, pageInfo: object, searchedFor: string, didYouMean: string|null, searchId?: ObjectId}>}
+   *   facets only on the first page (without a cursor); clients keep them while paging
+   */
+  async search(query, context = {}) {
+    const parsed = this.parse(query);
+    const typed = await this.run(parsed);
+    if (parsed.cursor) return { ...typed, searchedFor: parsed.q, didYouMean: null };
+
+    let result = typed;
+    let didYouMean = null;
+    if (parsed.q && !typed.products.length) {
+      const corrected = await suggestService.correct(parsed.q);
+      if (corrected !== normalizeText(parsed.q)) {
+        didYouMean = corrected;
+        result = await this.run({ ...parsed, q: corrected });
+      }
+    }
+
+    const searchId = searchAnalyticsService.log(
+      {
+        query: parsed.q,
+        filters: Object.fromEntries(
+          Object.entries(query).filter(([key]) => FILTER_PARAMS.includes(key))
+        ),
+        sort: parsed.sort,
+        resultCount: typed.facets.total,
+        didYouMean,
+        correctedResultCount: didYouMean ? result.facets.total : undefined,
+        results: result.products.map(product => product._id)
+      },
+      context
+    );
+
+    return { ...result, searchedFor: didYouMean || parsed.q, didYouMean, searchId };
+  }
+
+  async run({ q, sort, limit, cursor, filters }) {
+    const { field, order } = SORTS[sort];
+
+    const base = { isActive: true };
+    if (q) base.$text = { $search: await synonymService.expand(q) };
+
+    // $text has to be in the first stage, so it goes in with the filters
+    const pipeline = [{ $match: { ...base, ...this.combine(filters) } }];
+    if (q) pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    if (cursor) pipeline.push({ $match: this.after(sort, cursor) });
+    pipeline.push(
+      { $sort: { [field]: order, _id: order } },
+      { $limit: limit + 1 },
+      { $project: LISTING_FIELDS }
+    );
+
+    const [found, facets] = await Promise.all([
+      Product.aggregate(pipeline),
+      cursor ? null : this.facets(base, filters)
+    ]);
+
+    const hasMore = found.length > limit;
+    const products = found.slice(0, limit);
+
+    return {
+      products: products.map(product => this.present(product)),
+      facets,
+      pageInfo: {
+        sort,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(sort, products.at(-1)) : null
+      }
+    };
+  }
+
+  async facets(base, filters) {
+    const excluding = group => ({ $match: this.combine(filters, group) });
+    const current = { $match: this.combine(filters) };
+    const values = key => [
+      excluding(key),
+      { $match: { [key]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${key}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_VALUES_LIMIT }
+    ];
+
+    const [counts] = await Product.aggregate([
+      { $match: base },
+      {
+        $facet: {
+          Category: values('Category'),
+          subcategory: values('subcategory'),
+          brand: values('brand'),
+          price: [
+            excluding('price'),
+            {
+              $bucket: {
+                groupBy: '$price',
+                boundaries: PRICE_BUCKETS,
+                default: PRICE_BUCKETS.at(-1),
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ],
+          rating: [
+            excluding('rating'),
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(
+                  RATING_STEPS.map(step => [
+                    `from${step}`,
+                    { $sum: { $cond: [{ $gte: ['$rating', step] }, 1, 0] } }
+                  ])
+                )
+              }
+            }
+          ],
+          nutrition: [
+            excluding('nutrition'),
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(
+                  Object.entries(NUTRIENTS).flatMap(([nutrient, path]) => [
+                    [`${nutrient}Min`, { $min: `$${path}` }],
+                    [`${nutrient}Max`, { $max: `$${path}` }]
+                  ])
+                )
+              }
+            }
+          ],
+          toggles: [
+            current,
+            {
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                inStock: { $sum: { $cond: [{ $eq: ['$inStock', true] }, 1, 0] } },
+                ...Object.fromEntries(
+                  DIETARY_FLAGS.map(flag => [
+                    flag,
+                    { $sum: { $cond: [{ $eq: [`$dietary.${flag}`, true] }, 1, 0] } }
+                  ])
+                )
+              }
+            }
+          ],
+          badges: [
+            current,
+            { $unwind: '$nutritionBadges' },
+            { $group: { _id: '$nutritionBadges', count: { $sum: 1 } } }
+          ],
+          allergens: [
+            current,
+            { $unwind: '$allergens' },
+            { $group: { _id: { $toLower: '$allergens' }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_VALUES_LIMIT }
+          ]
+        }
+      }
+    ]);
+
+    const valueCounts = rows => rows.map(row => ({ value: row._id, count: row.count }));
+    const [rating] = counts.rating;
+    const [nutrition] = counts.nutrition;
+    const [toggles] = counts.toggles;
+
+    return {
+      total: toggles?.total || 0,
+      Category: valueCounts(counts.Category),
+      subcategory: valueCounts(counts.subcategory),
+      brand: valueCounts(counts.brand),
+      price: counts.price.map(row => {
+        const next = PRICE_BUCKETS[PRICE_BUCKETS.indexOf(row._id) + 1];
+        return { min: row._id, max: next ?? null, count: row.count };
+      }),
+      rating: RATING_STEPS.map(step => ({ min: step, count: rating?.[`from${step}`] || 0 })),
+      inStock: toggles?.inStock || 0,
+      dietary: Object.fromEntries(DIETARY_FLAGS.map(flag => [flag, toggles?.[flag] || 0])),
+      badges: Object.fromEntries(
+        Object.values(NUTRITION_BADGE).map(badge => [
+          badge,
+          counts.badges.find(row => row._id === badge)?.count || 0
+        ])
+      ),
+      allergens: valueCounts(counts.allergens),
+      nutrition: Object.fromEntries(
+        Object.keys(NUTRIENTS).map(nutrient => [
+          nutrient,
+          { min: nutrition?.[`${nutrient}Min`] ?? null, max: nutrition?.[`${nutrient}Max`] ?? null }
+        ])
+      )
+    };
+  }
+
+  // A search hit as listed: its current selling price instead of the markdown details
+  present({ markdown, variants, score, ...product }) {
+    return {
+      ...product,
+      sellingPrice: Product.sellingPrice({ ...product, markdown }),
+      hasVariants: Boolean(variants?.length),
+      ...(score !== undefined && { relevance: Math.round(score * 1000) / 1000 })
+    };
+  }
+}
+
+export default new SearchService();
@@ -0,0 +1,211 @@
+import logger from '../utils/logger.js';
+import redisClient from '../config/redis.js';
+import { checkServiceability } from '../utils/ShipRocket.js';
+import { Seller } from '../modules/seller/seller.model.js';
+import packingService from './packingService.js';
+import warehouseService from './warehouseService.js';
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const SHIPPING_RULES = Object.freeze({
+  // Shipments worth at least this much ship free, unless the seller sets their own threshold
+  freeShippingAbove: numberFromEnv('SHIPPING_FREE_ABOVE', 500),
+  // Charged per shipment when no pincode is known yet or Shiprocket can't be reached
+  fallbackRate: numberFromEnv('SHIPPING_FALLBACK_RATE', 50),
+  // Rates are cached per weight bucket so similar carts share a lookup
+  weightStepKg: numberFromEnv('SHIPPING_WEIGHT_STEP_KG', 0.5),
+  rateTtlSeconds: numberFromEnv('SHIPPING_RATE_TTL_SECONDS', 6 * 60 * 60),
+  // Ship-from pincode for sellers with neither a warehouse nor a pincode on their profile
+  pickupPincode: process.env.SHIPPING_PICKUP_PINCODE
+});
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Shipping charges from live Shiprocket courier rates.
+ *
+ * Items ship from their seller's warehouses, so a cart becomes one or more
+ * shipments per seller. Each shipment is priced at the cheapest courier
+ * serving its pickup and delivery pincodes for its weight, and ships free
+ * once the seller's part of the cart reaches the seller's (or the
+ * platform's) free-shipping threshold.
+ */
+class ShippingService {
+  weightBucket(weightKg) {
+    const step = SHIPPING_RULES.weightStepKg;
+    return Math.max(Math.ceil(weightKg / step) * step, step);
+  }
+
+  cacheKey({ pickupPincode, deliveryPincode, weight, cod }) {
+    return `shipping:rate:${pickupPincode}:${deliveryPincode}:${weight}:${cod ? 1 : 0}`;
+  }
+
+  async readCache(key) {
+    if (!redisClient.isConnected) return null;
+    try {
+      const cached = await redisClient.getClient().get(key);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      logger.warn('Failed to read shipping rate cache', { key, error: error.message });
+      return null;
+    }
+  }
+
+  async writeCache(key, rate) {
+    if (!redisClient.isConnected) return;
+    try {
+      await redisClient.getClient().setex(key, SHIPPING_RULES.rateTtlSeconds, JSON.stringify(rate));
+    } catch (error) {
+      logger.warn('Failed to write shipping rate cache', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Cheapest courier for one shipment. `serviceable: false` means no courier
+   * delivers there; `estimated: true` means Shiprocket could not be reached
+   * and the fallback rate applies.
+   *
+   * @returns {Promise<{serviceable: boolean, estimated: boolean, rate: number, courier?: string, courierId?: number, etd?: string}>}
+   */
+  async rateFor({ pickupPincode, deliveryPincode, weightKg, cod = false }) {
+    const weight = this.weightBucket(weightKg);
+    const key = this.cacheKey({ pickupPincode, deliveryPincode, weight, cod });
+
+    const cached = await this.readCache(key);
+    if (cached) return cached;
+
+    const result = await checkServiceability(
+      deliveryPincode,
+      cod ? 1 : 0,
+      weight,
+      pickupPincode
+    ).catch(error => {
+      logger.warn('Shiprocket rate lookup failed', { deliveryPincode, error: error.message });
+      return { failed: true };
+    });
+    if (result.failed) {
+      // Not cached, so the next quote tries Shiprocket again
+      return { serviceable: true, estimated: true, rate: SHIPPING_RULES.fallbackRate };
+    }
+
+    const cheapest = result.couriers
+      .map(courier => ({ courier, rate: Number(courier.rate ?? courier.freight_charge) }))
+      .filter(({ rate }) => Number.isFinite(rate))
+      .sort((a, b) => a.rate - b.rate)[0];
+
+    const rate = cheapest
+      ? {
+          serviceable: true,
+          estimated: false,
+          rate: roundMoney(cheapest.rate),
+          courier: cheapest.courier.courier_name,
+          courierId: cheapest.courier.courier_company_id,
+          etd: cheapest.courier.etd || null
+        }
+      : { serviceable: false, estimated: false, rate: 0 };
+
+    await this.writeCache(key, rate);
+    return rate;
+  }
+
+  /**
+   * Price delivery of order lines. Lines need `sellerId`, `price` and
+   * `quantity`, and may carry a `package` (see packingService.unitPackage).
+   * Each seller's lines are routed to their warehouses (see
+   * warehouseService.route), so one seller can make several shipments.
+   *
+   * @param {Array<object>} lines
+   * @param {object} [options]
+   * @param {string} [options.deliveryPincode] - without it every shipment gets the fallback rate
+   * @param {boolean} [options.cod=false] - price couriers for cash on delivery
+   * @returns {Promise<{shippingCost: number, serviceable: boolean, estimated: boolean, shipments: Array<object>}>}
+   */
+  async quote(lines, { deliveryPincode, cod = false } = {}) {
+    const groups = new Map();
+    for (const line of lines) {
+      const key = line.sellerId?.toString() || '';
+      groups.set(key, [...(groups.get(key) || []), line]);
+    }
+
+    const sellers = await Seller.findForUsers([...groups.keys()].filter(Boolean));
+
+    const rateFrom = (pickupPincode, weightKg) =>
+      deliveryPincode && pickupPincode
+        ? this.rateFor({ pickupPincode, deliveryPincode, weightKg, cod })
+        : { serviceable: true, estimated: true, rate: SHIPPING_RULES.fallbackRate };
+
+    const perSeller = await Promise.all(
+      [...groups].map(async ([sellerId, sellerLines]) => {
+        const seller = sellers.get(sellerId);
+        const freeShippingAbove = seller?.freeShippingAbove ?? SHIPPING_RULES.freeShippingAbove;
+        // The threshold is on everything bought from the seller, however it ships
+        const value = roundMoney(
+          sellerLines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+        );
+        const free = value >= freeShippingAbove;
+
+        const routes = await warehouseService.route(sellerId || null, sellerLines, {
+          deliveryPincode,
+          costOf: async (warehouse, routeLines) =>
+            (
+              await rateFrom(
+                warehouse.address.pincode,
+                packingService.pack(routeLines).chargeableWeight
+              )
+            ).rate
+        });
+
+        return Promise.all(
+          routes.map(async ({ warehouse, lines: shipmentLines }) => {
+            const pickupPincode =
+              warehouse?.address.pincode || seller?.pincode || SHIPPING_RULES.pickupPincode;
+            const packing = packingService.pack(shipmentLines);
+            const weightKg = packing.chargeableWeight;
+            const rate = await rateFrom(pickupPincode, weightKg);
+
+            return {
+              sellerId: sellerId || null,
+              warehouseId: warehouse?._id || null,
+              pickupLocation: warehouse?.pickupLocation || null,
+              pickupPincode: pickupPincode || null,
+              items: shipmentLines.map(line => ({
+                productId: line.productId,
+                name: line.name,
+                quantity: line.quantity
+              })),
+              value: roundMoney(
+                shipmentLines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+              ),
+              weight: packing.weight,
+              volumetricWeight: packing.volumetricWeight,
+              chargeableWeight: this.weightBucket(weightKg),
+              parcels: packing.parcels.map(({ length, breadth, height, weight }) => ({
+                length,
+                breadth,
+                height,
+                weight
+              })),
+              ...rate,
+              freeShippingAbove,
+              free,
+              cost: free || !rate.serviceable ? 0 : rate.rate
+            };
+          })
+        );
+      })
+    );
+    const shipments = perSeller.flat();
+
+    return {
+      shippingCost: roundMoney(shipments.reduce((sum, shipment) => sum + shipment.cost, 0)),
+      serviceable: shipments.every(shipment => shipment.serviceable),
+      estimated: shipments.some(shipment => shipment.estimated),
+      shipments
+    };
+  }
+}
+
+export default new ShippingService();
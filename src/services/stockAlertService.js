@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { sendLowStockAlert } from '../utils/Nodemailer.js';
+import { Product } from '../modules/product/product.models.js';
+import { User } from '../modules/user/user.model.js';
+import { Seller } from '../modules/seller/seller.model.js';
+import { InventoryMovement, MOVEMENT_TYPE } from '../modules/inventory/inventoryMovement.model.js';
+import { NOTIFICATION_TYPE } from '../modules/notification/notification.model.js';
+import notificationService from './notificationService.js';
+
+const ADMIN_ROLES = ['admin', 'superadmin'];
+
+export const STOCK_LEVEL = Object.freeze({
+  OK: 'ok',
+  LOW: 'low',
+  OUT_OF_STOCK: 'out_of_stock'
+});
+const SEVERITY = { ok: 0, low: 1, out_of_stock: 2 };
+
+// A seller isn't told twice about the same (or a milder) level within this window
+const COOLDOWN_MS = (parseInt(process.env.STOCK_ALERT_COOLDOWN_HOURS) || 12) * 60 * 60 * 1000;
+// Sales over this many days set the velocity reorder suggestions are based on
+const VELOCITY_DAYS = parseInt(process.env.STOCK_VELOCITY_DAYS) || 30;
+// Days a reorder takes to arrive, and days of sales it should cover after that
+const LEAD_TIME_DAYS = parseInt(process.env.REORDER_LEAD_TIME_DAYS) || 7;
+const COVER_DAYS = parseInt(process.env.REORDER_COVER_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Low-stock and out-of-stock alerts.
+ *
+ * inventoryService hands every product it moves to `check`, which compares
+ * the product's stock with its lowStockThreshold. A change of level is
+ * claimed atomically on the product (so concurrent moves alert once), and
+ * only a worsening level is sent to the seller: in-app, and by email unless
+ * they turned email off. Sellers who turned low-stock alerts off get
+ * nothing. Stock hovering around the threshold doesn't re-alert within the
+ * cooldown.
+ */
+class StockAlertService {
+  levelOf(product) {
+    const threshold = product.lowStockThreshold ?? 10;
+    if (product.stocks <= 0) return STOCK_LEVEL.OUT_OF_STOCK;
+    if (product.stocks <= threshold) return STOCK_LEVEL.LOW;
+    return STOCK_LEVEL.OK;
+  }
+
+  /**
+   * Record the product's stock level and alert its seller if it got worse.
+   *
+   * @param {object} product - levels as returned by the Product stock statics
+   * @returns {Promise<boolean>} whether the seller was alerted
+   */
+  async check(product) {
+    const previous = product.stockAlert?.level || STOCK_LEVEL.OK;
+    const level = this.levelOf(product);
+    if (level === previous) return false;
+
+    // Only the move that changes the stored level gets to act on it
+    const claimed = await Product.findOneAndUpdate(
+      {
+        _id: product._id,
+        'stockAlert.level': previous === STOCK_LEVEL.OK ? { $in: [null, STOCK_LEVEL.OK] } : previous
+      },
+      { $set: { 'stockAlert.level': level, 'stockAlert.changedAt': new Date() } },
+      {
+        new: true,
+        projection: { name: 1, seller: 1, stocks: 1, lowStockThreshold: 1, stockAlert: 1 },
+        lean: true
+      }
+    );
+    if (!claimed || SEVERITY[level] <= SEVERITY[previous]) return false;
+
+    const { notifiedAt, notifiedLevel } = claimed.stockAlert;
+    if (
+      notifiedAt &&
+      Date.now() - notifiedAt.getTime() < COOLDOWN_MS &&
+      SEVERITY[level] <= (SEVERITY[notifiedLevel] ?? 0)
+    ) {
+      return false;
+    }
+
+    if (!(await this.alertSeller(claimed, level))) return false;
+
+    await Product.updateOne(
+      { _id: claimed._id },
+      { $set: { 'stockAlert.notifiedAt': new Date(), 'stockAlert.notifiedLevel': level } }
+    );
+    return true;
+  }
+
+  async alertSeller(product, level) {
+    if (!product.seller) return false;
+
+    const sellerId = product.seller.toString();
+    const [sellers, user] = await Promise.all([
+      Seller.findForUsers([product.seller]),
+      User.findById(product.seller).select('email').lean()
+    ]);
+    const seller = sellers.get(sellerId);
+    if (seller?.notifications?.lowStock === false) return false;
+
+    const outOfStock = level === STOCK_LEVEL.OUT_OF_STOCK;
+    await notificationService.notify(product.seller, {
+      type: outOfStock ? NOTIFICATION_TYPE.OUT_OF_STOCK : NOTIFICATION_TYPE.LOW_STOCK,
+      title: outOfStock ? `${product.name} is out of stock` : `${product.name} is running low`,
+      message: outOfStock
+        ? 'It can no longer be ordered until you restock it.'
+        : `${product.stocks} left, at or below your threshold of ${product.lowStockThreshold}.`,
+      data: { productId: product._id, stocks: product.stocks, level }
+    });
+
+    const email = seller?.email || user?.email;
+    if (email && seller?.notifications?.email !== false) {
+      try {
+        await sendLowStockAlert(email, {
+          productName: product.name,
+          level,
+          stocks: product.stocks,
+          threshold: product.lowStockThreshold
+        });
+      } catch (error) {
+        // The in-app notification already went out
+        logger.error('Low-stock email failed', {
+          sellerId,
+          productId: product._id.toString(),
+          error: error.message
+        });
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Products at or below their threshold with how fast they sell and how
+   * many units to reorder: enough for the lead time plus the cover period at
+   * the recent sales rate, on top of the threshold as safety stock.
+   *
+   * @param {object} user - sellers see their own products, admins all
+   */
+  async listLowStock(user, { limit = 100 } = {}) {
+    const query = { $expr: { $lte: ['$stocks', { $ifNull: ['$lowStockThreshold', 10] }] } };
+    if (!ADMIN_ROLES.includes(user.role)) query.seller = user._id;
+
+    const products = await Product.find(query)
+      .select('name seller stocks reservedStock lowStockThreshold stockAlert')
+      .sort({ stocks: 1 })
+      .limit(limit)
+      .lean();
+    if (!products.length) return [];
+
+    const since = new Date(Date.now() - VELOCITY_DAYS * DAY_MS);
+    const sales = await InventoryMovement.aggregate([
+      {
+        $match: {
+          product: { $in: products.map(product => new mongoose.Types.ObjectId(product._id)) },
+          type: MOVEMENT_TYPE.SALE,
+          createdAt: { $gte: since }
+        }
+      },
+      { $group: { _id: '$product', sold: { $sum: { $multiply: ['$quantity', -1] } } } }
+    ]);
+    const soldByProduct = new Map(sales.map(row => [row._id.toString(), row.sold]));
+
+    return products
+      .map(product => {
+        const threshold = product.lowStockThreshold ?? 10;
+        const sold = soldByProduct.get(product._id.toString()) || 0;
+        const dailyVelocity = sold / VELOCITY_DAYS;
+        const target = Math.ceil(dailyVelocity * (LEAD_TIME_DAYS + COVER_DAYS)) + threshold;
+
+        return {
+          productId: product._id,
+          name: product.name,
+          seller: product.seller,
+          level: this.levelOf(product),
+          stocks: product.stocks,
+          reservedStock: product.reservedStock || 0,
+          available: Math.max(product.stocks - (product.reservedStock || 0), 0),
+          lowStockThreshold: threshold,
+          soldLastPeriod: sold,
+          dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+          daysOfStockLeft:
+            dailyVelocity > 0 ? Math.floor(Math.max(product.stocks, 0) / dailyVelocity) : null,
+          suggestedReorder: Math.max(target - product.stocks, 0)
+        };
+      })
+      .sort(
+        (a, b) =>
+          (a.daysOfStockLeft ?? Infinity) - (b.daysOfStockLeft ?? Infinity) || a.stocks - b.stocks
+      );
+  }
+
+  get settings() {
+    return { velocityDays: VELOCITY_DAYS, leadTimeDays: LEAD_TIME_DAYS, coverDays: COVER_DAYS };
+  }
+}
+
+export default new StockAlertService();
@@ -0,0 +1,201 @@
+import { normalizeText, tokenize, editDistance } from '../utils/searchText.js';
+import { Product } from '../modules/product/product.models.js';
+import { SearchQuery } from '../modules/search/searchQuery.model.js';
+import synonymService from './synonymService.js';
+
+const CACHE_MS = (parseInt(process.env.SEARCH_CACHE_MINUTES) || 10) * 60 * 1000;
+// Most-searched queries (that found something) offered as suggestions
+const POPULAR_QUERIES = 500;
+const MAX_SUGGESTIONS = 20;
+
+// How strongly each kind of suggestion is preferred at equal match quality
+const TYPE_WEIGHT = { query: 1.2, brand: 1.1, product: 1, tag: 0.8 };
+
+// Edits allowed when correcting a word: short words are easily mistaken for others
+const allowedEdits = word => (word.length <= 4 ? 1 : 2);
+
+/**
+ * Autocomplete and typo correction for product search.
+ *
+ * Suggestions come from product names, brands, tags and popular queries,
+ * and corrections from the words of every product's searchKeywords and
+ * tags plus the synonym dictionary. Both are built per process and rebuilt
+ * after the cache period.
+ */
+class SuggestService {
+  constructor() {
+    this.cache = null;
+    this.building = null;
+  }
+
+  async index() {
+    if (this.cache && this.cache.expiresAt > Date.now()) return this.cache;
+    // Concurrent requests share one rebuild
+    this.building ??= this.build().finally(() => {
+      this.building = null;
+    });
+    return this.building;
+  }
+
+  async build() {
+    const [products, queries, groups] = await Promise.all([
+      Product.find({ isActive: true }).select('name brand tags searchKeywords popularity').lean(),
+      SearchQuery.find({ resultCount: { $gt: 0 } })
+        .sort({ count: -1 })
+        .limit(POPULAR_QUERIES)
+        .select('query count')
+        .lean(),
+      synonymService.groups()
+    ]);
+
+    // Normalized text -> the suggestion it came from; duplicates add up their weight
+    const entries = new Map();
+    const add = (text, type, weight, extra = {}) => {
+      const key = normalizeText(text);
+      if (!key) return;
+      const entry = entries.get(key);
+      if (entry) {
+        entry.weight += weight;
+        return;
+      }
+      entries.set(key, { key, words: key.split(' '), text: text.trim(), type, weight, ...extra });
+    };
+
+    // Word -> how many times it appears, to prefer common words as corrections
+    const words = new Map();
+    const count = text => {
+      for (const word of tokenize(text)) {
+        if (word.length > 1) words.set(word, (words.get(word) || 0) + 1);
+      }
+    };
+
+    for (const product of products) {
+      add(product.name, 'product', 1 + (product.popularity || 0), { productId: product._id });
+      if (product.brand) add(product.brand, 'brand', 1);
+      for (const tag of product.tags || []) add(tag, 'tag', 1);
+      count(product.searchKeywords || product.name);
+      count((product.tags || []).join(' '));
+    }
+    for (const query of queries) add(query.query, 'query', query.count);
+    for (const term of groups.flat()) count(term);
+
+    this.cache = { entries: [...entries.values()], words, expiresAt: Date.now() + CACHE_MS };
+    return this.cache;
+  }
+
+  /**
+   * The query with misspelt words replaced by the closest known word (the
+   * most common one on a tie). With `partial`, the last word is taken as
+   * still being typed and kept if a known word starts with it.
+   *
+   * @returns {Promise<string>} the normalized query, corrected where needed
+   */
+  async correct(text, { partial = false } = {}) {
+    const { words } = await this.index();
+    const tokens = tokenize(text);
+
+    return tokens
+      .map((token, position) => {
+        if (token.length < 3 || /^\d+$/.test(token) || words.has(token)) return token;
+        if (partial && position === tokens.length - 1) {
+          for (const word of words.keys()) if (word.startsWith(token)) return token;
+        }
+
+        const max = allowedEdits(token);
+        let best = null;
+        for (const [word, frequency] of words) {
+          if (word.length < 3) continue;
+          const distance = editDistance(token, word, max);
+          if (distance > max) continue;
+          if (
+            !best ||
+            distance < best.distance ||
+            (distance === best.distance && frequency > best.frequency)
+          ) {
+            best = { word, distance, frequency };
+          }
+        }
+        return best ? best.word : token;
+      })
+      .join(' ');
+  }
+
+  // How well an entry matches what's typed: 2 if it starts with it, 1 if
+  // every word typed is in it and the last one starts one of its words, else 0
+  matchQuality(entry, typed, tokens) {
+    if (entry.key.startsWith(typed)) return 2;
+    const last = tokens.at(-1);
+    const complete = tokens.slice(0, -1);
+    if (
+      complete.every(token => entry.words.includes(token)) &&
+      entry.words.some(word => word.startsWith(last))
+    ) {
+      return 1;
+    }
+    return 0;
+  }
+
+  matches(entries, typed) {
+    const tokens = typed.split(' ');
+    return entries
+      .map(entry => ({ entry, quality: this.matchQuality(entry, typed, tokens) }))
+      .filter(({ quality }) => quality > 0)
+      .map(({ entry, quality }) => ({
+        entry,
+        score: quality + TYPE_WEIGHT[entry.type] * Math.log1p(entry.weight) * 0.1
+      }));
+  }
+
+  /**
+   * Suggestions for what a shopper has typed so far: matches for the text,
+   * for its synonyms, and for its typo-corrected form.
+   *
+   * @returns {Promise<{suggestions: Array<{text, type, productId?}>, didYouMean: string|null}>}
+   *   with nothing typed, the most popular queries
+   */
+  async suggest(text, { limit = 8 } = {}) {
+    limit = Math.min(Math.max(parseInt(limit) || 8, 1), MAX_SUGGESTIONS);
+    const { entries } = await this.index();
+    const typed = normalizeText(text);
+
+    if (!typed) {
+      const popular = entries
+        .filter(entry => entry.type === 'query')
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, limit);
+      return { suggestions: popular.map(entry => this.present(entry)), didYouMean: null };
+    }
+
+    const corrected = await this.correct(typed, { partial: true });
+    const didYouMean = corrected !== typed ? corrected : null;
+    const alternatives = [
+      ...(await synonymService.synonymsIn(typed)),
+      ...(didYouMean ? [didYouMean, ...(await synonymService.synonymsIn(didYouMean))] : [])
+    ];
+
+    // Matches for what was typed come first; synonyms and corrections fill up the rest
+    const ranked = [typed, ...alternatives].flatMap((candidate, position) =>
+      this.matches(entries, candidate).map(match => ({
+        ...match,
+        score: match.score - (position ? 1 : 0)
+      }))
+    );
+    ranked.sort((a, b) => b.score - a.score);
+
+    const seen = new Set();
+    const suggestions = [];
+    for (const { entry } of ranked) {
+      if (seen.has(entry.key)) continue;
+      seen.add(entry.key);
+      suggestions.push(this.present(entry));
+      if (suggestions.length === limit) break;
+    }
+    return { suggestions, didYouMean };
+  }
+
+  present({ text, type, productId }) {
+    return { text, type, ...(productId && { productId }) };
+  }
+}
+
+export default new SuggestService();
@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { normalizeText } from '../utils/searchText.js';
+import { Synonym } from '../modules/search/synonym.model.js';
+
+// How long this process keeps the dictionary before reading it again
+const CACHE_MS = (parseInt(process.env.SEARCH_CACHE_MINUTES) || 10) * 60 * 1000;
+
+// Hindi and English names for the same foods, added on request by an admin
+export const DEFAULT_SYNONYMS = [
+  ['makhana', 'fox nuts', 'lotus seeds', 'phool makhana'],
+  ['chana', 'chickpeas', 'garbanzo'],
+  ['rajma', 'kidney beans'],
+  ['dal', 'lentils'],
+  ['moong', 'mung beans', 'green gram'],
+  ['masoor', 'red lentils'],
+  ['ragi', 'finger millet', 'nachni'],
+  ['bajra', 'pearl millet'],
+  ['jowar', 'sorghum'],
+  ['atta', 'whole wheat flour'],
+  ['besan', 'gram flour', 'chickpea flour'],
+  ['sattu', 'roasted gram flour'],
+  ['sooji', 'rava', 'semolina'],
+  ['poha', 'flattened rice', 'beaten rice'],
+  ['jai', 'oats'],
+  ['haldi', 'turmeric'],
+  ['jeera', 'cumin'],
+  ['ajwain', 'carom seeds'],
+  ['methi', 'fenugreek'],
+  ['saunf', 'fennel seeds'],
+  ['elaichi', 'cardamom'],
+  ['dalchini', 'cinnamon'],
+  ['til', 'sesame seeds'],
+  ['alsi', 'flaxseeds', 'flax seeds'],
+  ['gur', 'jaggery'],
+  ['shahad', 'honey'],
+  ['ghee', 'clarified butter'],
+  ['dahi', 'curd', 'yogurt'],
+  ['paneer', 'cottage cheese'],
+  ['badam', 'almonds'],
+  ['kaju', 'cashews', 'cashew nuts'],
+  ['akhrot', 'walnuts'],
+  ['kishmish', 'raisins'],
+  ['khajoor', 'dates'],
+  ['moongphali', 'peanuts', 'groundnuts'],
+  ['amla', 'indian gooseberry'],
+  ['imli', 'tamarind'],
+  ['chai', 'tea']
+];
+
+/**
+ * The admin-managed synonym dictionary and query expansion with it.
+ *
+ * Active groups are cached per process; changes made through this service
+ * clear the cache, other instances pick them up within the cache period.
+ */
+class SynonymService {
+  constructor() {
+    this.cache = null;
+  }
+
+  // Active groups as arrays of normalized terms
+  async groups() {
+    if (this.cache && this.cache.expiresAt > Date.now()) return this.cache.groups;
+
+    const synonyms = await Synonym.find({ isActive: true }).select('terms').lean();
+    this.cache = {
+      groups: synonyms.map(synonym => synonym.terms),
+      expiresAt: Date.now() + CACHE_MS
+    };
+    return this.cache.groups;
+  }
+
+  /**
+   * Terms that mean the same as something in `text`: for each group with a
+   * term appearing in it as whole words, the group's other terms.
+   *
+   * @returns {Promise<string[]>} normalized terms not already in the text
+   */
+  async synonymsIn(text) {
+    const padded = ` ${normalizeText(text)} `;
+    const found = new Set();
+    for (const terms of await this.groups()) {
+      if (!terms.some(term => padded.includes(` ${term} `))) continue;
+      for (const term of terms) {
+        if (!padded.includes(` ${term} `)) found.add(term);
+      }
+    }
+    return [...found];
+  }
+
+  // The text with its synonyms appended, for the text index (which ORs the words)
+  async expand(text) {
+    const synonyms = await this.synonymsIn(text);
+    return synonyms.length ? `${text} ${synonyms.join(' ')}` : text;
+  }
+
+  /* ───────── Admin ───────── */
+
+  clean(terms) {
+    if (!Array.isArray(terms)) throw new ApiError(400, 'terms must be a list of words or phrases');
+    const cleaned = [...new Set(terms.map(normalizeText).filter(Boolean))];
+    if (cleaned.length < 2) throw new ApiError(400, 'A synonym group needs at least two terms');
+    if (cleaned.some(term => term.length > 60)) {
+      throw new ApiError(400, 'Synonym terms must be at most 60 characters');
+    }
+    return cleaned;
+  }
+
+  // A term may only belong to one active group, or expansion would chain groups together
+  async assertTermsFree(terms, synonymId) {
+    const taken = await Synonym.findOne({
+      isActive: true,
+      terms: { $in: terms },
+      ...(synonymId && { _id: { $ne: synonymId } })
+    }).lean();
+    if (taken) {
+      const term = taken.terms.find(candidate => terms.includes(candidate));
+      throw new ApiError(409, `"${term}" is already in the group ${taken.terms.join(', ')}`);
+    }
+  }
+
+  async list({ search, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (search) query.terms = normalizeText(search);
+
+    const skip = (page - 1) * limit;
+    const [synonyms, total] = await Promise.all([
+      Synonym.find(query).sort({ updatedAt: -1 }).skip(skip).limit(limit).lean(),
+      Synonym.countDocuments(query)
+    ]);
+
+    return {
+      synonyms,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  async get(synonymId) {
+    if (!mongoose.isValidObjectId(synonymId)) throw new ApiError(400, 'Invalid synonym id');
+    const synonym = await Synonym.findById(synonymId);
+    if (!synonym) throw new ApiError(404, 'Synonym group not found');
+    return synonym;
+  }
+
+  async create({ terms, note }, adminId) {
+    const cleaned = this.clean(terms);
+    await this.assertTermsFree(cleaned);
+
+    const synonym = await Synonym.create({
+      terms: cleaned,
+      note,
+      createdBy: adminId,
+      updatedBy: adminId
+    });
+    this.cache = null;
+    logger.logUserAction(adminId, 'synonym_created', { synonymId: synonym._id, terms: cleaned });
+    return synonym;
+  }
+
+  async update(synonymId, { terms, note, isActive }, adminId) {
+    const synonym = await this.get(synonymId);
+
+    if (terms !== undefined) synonym.terms = this.clean(terms);
+    if (note !== undefined) synonym.note = note;
+    if (isActive !== undefined) synonym.isActive = String(isActive) !== 'false';
+    if (synonym.isActive) await this.assertTermsFree(synonym.terms, synonym._id);
+
+    synonym.updatedBy = adminId;
+    await synonym.save();
+    this.cache = null;
+    logger.logUserAction(adminId, 'synonym_updated', { synonymId });
+    return synonym;
+  }
+
+  async remove(synonymId, adminId) {
+    const synonym = await this.get(synonymId);
+    await synonym.deleteOne();
+    this.cache = null;
+    logger.logUserAction(adminId, 'synonym_deleted', { synonymId, terms: synonym.terms });
+  }
+
+  /**
+   * Add the built-in Hindi/English groups. A group is skipped when any of
+   * its terms is already in an active group, so admins' edits are kept.
+   *
+   * @returns {Promise<{added: number, skipped: number}>}
+   */
+  async addDefaults(adminId) {
+    const existing = await Synonym.find({ isActive: true }).select('terms').lean();
+    const used = new Set(existing.flatMap(synonym => synonym.terms));
+
+    const fresh = DEFAULT_SYNONYMS.filter(terms => !terms.some(term => used.has(term)));
+    if (fresh.length) {
+      await Synonym.insertMany(
+        fresh.map(terms => ({
+          terms,
+          note: 'Built-in Hindi/English name',
+          createdBy: adminId,
+          updatedBy: adminId
+        }))
+      );
+    }
+    this.cache = null;
+    logger.logUserAction(adminId, 'synonym_defaults_added', { added: fresh.length });
+    return { added: fresh.length, skipped: DEFAULT_SYNONYMS.length - fresh.length };
+  }
+}
+
+export default new SynonymService();
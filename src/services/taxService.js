@@ -0,0 +1,200 @@
+import { Product } from '../modules/product/product.models.js';
+import { Seller } from '../modules/seller/seller.model.js';
+import { stateCodeFor, stateCodeFromGstin, UTGST_STATE_CODES } from '../utils/gstStates.js';
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Used for products that don't carry their own rate yet
+const DEFAULT_GST_RATE = numberFromEnv('GST_DEFAULT_RATE', 18);
+// Where goods ship from when the seller's GSTIN is missing (state name or code)
+const DEFAULT_ORIGIN_STATE = stateCodeFor(process.env.GST_ORIGIN_STATE);
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+/**
+ * GST on order lines.
+ *
+ * Each line is taxed at its product's rate on its value after the order
+ * discount (shared across lines by value). Tax-inclusive prices have the GST
+ * carved out of them; tax-exclusive prices have it added on top. Shipping and
+ * the COD fee are not taxed here.
+ *
+ * Intra-state supplies (seller state = delivery state) split the tax into
+ * CGST + SGST (UTGST in union territories without a legislature); inter-state
+ * supplies pay IGST. The seller's state is the first two digits of their GSTIN.
+ */
+class TaxService {
+  // Tax fields for a product, with defaults for products not set up for GST yet
+  productTax(product) {
+    return {
+      hsnCode: product?.hsnCode,
+      gstRate: product?.gstRate ?? DEFAULT_GST_RATE,
+      priceIncludesTax: product?.priceIncludesTax ?? true
+    };
+  }
+
+  /**
+   * Work out the taxable value and GST of each line. Lines need `price`,
+   * `quantity`, `gstRate` and `priceIncludesTax`; the result adds
+   * `taxableValue` and `taxAmount`.
+   *
+   * @param {Array<object>} lines
+   * @param {object} [options]
+   * @param {number} [options.discountAmount=0] - order-level discount on the items
+   * @returns {Array<object>}
+   */
+  computeLines(lines, { discountAmount = 0 } = {}) {
+    const gross = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const discountRatio = gross > 0 ? Math.min(discountAmount / gross, 1) : 0;
+
+    return lines.map(line => {
+      const value = line.price * line.quantity * (1 - discountRatio);
+      const rate = line.gstRate / 100;
+
+      const taxableValue = line.priceIncludesTax ? value / (1 + rate) : value;
+      const taxAmount = line.priceIncludesTax ? value - taxableValue : value * rate;
+
+      return {
+        ...line,
+        taxableValue: roundMoney(taxableValue),
+        taxAmount: roundMoney(taxAmount)
+      };
+    });
+  }
+
+  /**
+   * Split each line's tax into CGST/SGST or IGST for a delivery state.
+   * Lines need `sellerId` and `taxAmount` (see computeLines).
+   *
+   * @param {Array<object>} lines
+   * @param {string} deliveryState - state name or GST state code
+   * @returns {Promise<Array<object>>}
+   */
+  async splitByState(lines, deliveryState) {
+    const destination = stateCodeFor(deliveryState);
+    const sellerIds = [...new Set(lines.map(line => line.sellerId?.toString()).filter(Boolean))];
+    const sellers = await Seller.findForUsers(sellerIds);
+
+    return lines.map(line => {
+      const origin =
+        stateCodeFromGstin(sellers.get(line.sellerId?.toString())?.gstNumber) ||
+        DEFAULT_ORIGIN_STATE;
+
+      // Without both states we can't prove it is intra-state, so charge IGST
+      const intraState = Boolean(origin && destination && origin === destination);
+      const taxAmount = line.taxAmount || 0;
+      const half = roundMoney(taxAmount / 2);
+
+      return {
+        ...line,
+        cgst: intraState ? half : 0,
+        sgst: intraState ? roundMoney(taxAmount - half) : 0,
+        igst: intraState ? 0 : taxAmount
+      };
+    });
+  }
+
+  /**
+   * Order-level totals. `included` is the GST already inside the item prices;
+   * only `taxAmount - included` is added to the bill.
+   */
+  summarize(lines) {
+    const sum = field => roundMoney(lines.reduce((total, line) => total + (line[field] || 0), 0));
+
+    return {
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      taxAmount: sum('taxAmount'),
+      included: roundMoney(
+        lines
+          .filter(line => line.priceIncludesTax)
+          .reduce((total, line) => total + line.taxAmount, 0)
+      )
+    };
+  }
+
+  // HSN-wise breakup, as printed on invoices
+  summarizeByHsn(lines) {
+    const groups = new Map();
+
+    for (const line of lines) {
+      const key = `${line.hsnCode || ''}|${line.gstRate}`;
+      const group = groups.get(key) || {
+        hsnCode: line.hsnCode || null,
+        gstRate: line.gstRate,
+        quantity: 0,
+        taxableValue: 0,
+        cgst: 0,
+        sgst: 0,
+        igst: 0,
+        taxAmount: 0
+      };
+
+      group.quantity += line.quantity;
+      for (const field of ['taxableValue', 'cgst', 'sgst', 'igst', 'taxAmount']) {
+        group[field] = roundMoney(group[field] + (line[field] || 0));
+      }
+      groups.set(key, group);
+    }
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Price lines for checkout: tax per line, split for the delivery state,
+   * plus totals.
+   *
+   * @returns {Promise<{lines: Array<object>, summary: object}>}
+   */
+  async computeForOrder(lines, { discountAmount = 0, deliveryState } = {}) {
+    return this.applyDeliveryState(this.computeLines(lines, { discountAmount }), deliveryState);
+  }
+
+  // Re-split already taxed lines, e.g. when a quote priced without an address becomes an order
+  async applyDeliveryState(lines, deliveryState) {
+    const taxed = await this.splitByState(lines, deliveryState);
+    const summary = this.summarize(taxed);
+    summary.stateTaxType = UTGST_STATE_CODES.includes(stateCodeFor(deliveryState))
+      ? 'UTGST'
+      : 'SGST';
+    return { lines: taxed, summary };
+  }
+
+  /**
+   * Fill in a cart's taxAmount / taxIncluded from current product rates. The
+   * total doesn't depend on where the order ships, so no address is needed.
+   */
+  async applyToCart(cart) {
+    if (!cart.items.length) {
+      cart.taxAmount = 0;
+      cart.taxIncluded = 0;
+      return cart;
+    }
+
+    const products = await Product.find({ _id: { $in: cart.items.map(item => item.productId) } })
+      .select('hsnCode gstRate priceIncludesTax')
+      .lean();
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const lines = this.computeLines(
+      cart.items.map(item => ({
+        price: item.price,
+        quantity: item.quantity,
+        ...this.productTax(productMap.get(item.productId.toString()))
+      })),
+      { discountAmount: cart.discountAmount || 0 }
+    );
+    const summary = this.summarize(lines);
+
+    cart.taxAmount = summary.taxAmount;
+    cart.taxIncluded = summary.included;
+    return cart;
+  }
+}
+
+export default new TaxService();
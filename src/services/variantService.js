@@ -0,0 +1,366 @@
+import mongoose from 'mongoose';
+import { ApiError } from '../utils/ApiError.js';
+import { per100gFactor, servingGrams } from '../utils/nutrition.js';
+import { Product, VARIANT_OPTIONS } from '../modules/product/product.models.js';
+
+const NUTRITION_FIELDS = ['calories', 'protein', 'carbs', 'sugar', 'fat', 'fibre', 'sodium'];
+const EDITABLE_FIELDS = [
+  'sku',
+  ...VARIANT_OPTIONS,
+  'price',
+  'originalPrice',
+  'images',
+  'netWeight',
+  'grossWeight',
+  'packageDimensions',
+  'servingSize',
+  'nutrition',
+  'isActive'
+];
+
+const optionValue = value => (value === undefined || value === null ? '' : String(value).trim());
+const sameOption = (a, b) => optionValue(a).toLowerCase() === optionValue(b).toLowerCase();
+
+/**
+ * Product variants (pack sizes, flavours, ...): validating what sellers
+ * send, matching the cart's selectedVariant to a variant, and showing
+ * variants with their own availability and nutrition.
+ */
+class VariantService {
+  parse(input) {
+    if (input === undefined || input === null || input === '') return [];
+    let variants = input;
+    try {
+      if (typeof variants === 'string') variants = JSON.parse(variants);
+    } catch {
+      throw new ApiError(400, 'variants must be a JSON array');
+    }
+    if (!Array.isArray(variants)) throw new ApiError(400, 'variants must be an array');
+    return variants;
+  }
+
+  // One variant's editable fields, checked and converted from form strings
+  clean(raw, index) {
+    const name = `variants[${index}]`;
+    if (!raw || typeof raw !== 'object') throw new ApiError(400, `${name} must be an object`);
+
+    const variant = {};
+    for (const key of EDITABLE_FIELDS) {
+      if (raw[key] !== undefined) variant[key] = raw[key];
+    }
+
+    if (variant.sku !== undefined) {
+      variant.sku = String(variant.sku).trim().toUpperCase();
+      if (!/^[A-Z0-9][A-Z0-9_-]{0,63}$/.test(variant.sku)) {
+        throw new ApiError(400, `${name}.sku may only use letters, digits, - and _`);
+      }
+    }
+    for (const key of VARIANT_OPTIONS) {
+      if (variant[key] !== undefined) variant[key] = optionValue(variant[key]) || undefined;
+    }
+    for (const key of ['price', 'originalPrice', 'netWeight', 'grossWeight']) {
+      if (variant[key] === undefined) continue;
+      variant[key] = Number(variant[key]);
+      if (!Number.isFinite(variant[key]) || variant[key] < 0) {
+        throw new ApiError(400, `${name}.${key} must be a number of at least 0`);
+      }
+    }
+    if (variant.images !== undefined) {
+      if (!Array.isArray(variant.images) || variant.images.some(url => typeof url !== 'string')) {
+        throw new ApiError(400, `${name}.images must be a list of image URLs`);
+      }
+    }
+    if (variant.packageDimensions !== undefined) {
+      const dimensions = {};
+      for (const side of ['length', 'breadth', 'height']) {
+        const value = variant.packageDimensions?.[side];
+        if (value === undefined || value === null || value === '') continue;
+        dimensions[side] = Number(value);
+        if (!Number.isFinite(dimensions[side]) || dimensions[side] < 0) {
+          throw new ApiError(
+            400,
+            `${name}.packageDimensions.${side} must be a number of at least 0`
+          );
+        }
+      }
+      variant.packageDimensions = dimensions;
+    }
+    if (variant.nutrition !== undefined) {
+      const nutrition = {};
+      for (const key of NUTRITION_FIELDS) {
+        const value = variant.nutrition?.[key];
+        if (value === undefined || value === null || value === '') continue;
+        nutrition[key] = Number(value);
+        if (!Number.isFinite(nutrition[key]) || nutrition[key] < 0) {
+          throw new ApiError(400, `${name}.nutrition.${key} must be a number of at least 0`);
+        }
+      }
+      variant.nutrition = nutrition;
+    }
+    if (variant.isActive !== undefined) variant.isActive = String(variant.isActive) !== 'false';
+
+    return variant;
+  }
+
+  // SKUs and option combinations must each pick out one variant
+  assertDistinct(variants) {
+    const skus = new Set();
+    const combinations = new Set();
+    for (const variant of variants) {
+      if (skus.has(variant.sku)) throw new ApiError(400, `Duplicate variant SKU ${variant.sku}`);
+      skus.add(variant.sku);
+
+      const combination = VARIANT_OPTIONS.map(key => optionValue(variant[key]).toLowerCase()).join(
+        '|'
+      );
+      if (combinations.has(combination)) {
+        throw new ApiError(400, `Two variants have the same options as ${variant.sku}`);
+      }
+      combinations.add(combination);
+    }
+  }
+
+  async assertSkusFree(variants, productId) {
+    const taken = await Product.findOne({
+      'variants.sku': { $in: variants.map(variant => variant.sku) },
+      ...(productId && { _id: { $ne: productId } })
+    })
+      .select('name variants.sku')
+      .lean();
+    if (taken) {
+      const sku = taken.variants.find(variant =>
+        variants.some(candidate => candidate.sku === variant.sku)
+      )?.sku;
+      throw new ApiError(409, `SKU ${sku} is already used by ${taken.name}`);
+    }
+  }
+
+  /**
+   * Variants for a new product, each with its opening stock.
+   *
+   * @returns {Promise<Array<object>>} empty when none were sent
+   */
+  async forNewProduct(input) {
+    const variants = this.parse(input).map((raw, index) => {
+      const variant = this.clean(raw, index);
+      if (!variant.sku || variant.price === undefined) {
+        throw new ApiError(400, `variants[${index}] needs a sku and a price`);
+      }
+      const stocks = Number(raw.stocks ?? 0);
+      if (!Number.isInteger(stocks) || stocks < 0) {
+        throw new ApiError(400, `variants[${index}].stocks must be a whole number of at least 0`);
+      }
+      return { ...variant, stocks };
+    });
+    if (!variants.length) return variants;
+
+    this.assertDistinct(variants);
+    await this.assertSkusFree(variants);
+    return variants;
+  }
+
+  /**
+   * Add variants to a product or change existing ones (matched by _id or
+   * SKU). Variants can't be deleted, only deactivated with isActive: false,
+   * and stock is never set here: new variants start empty and are stocked
+   * through inventory receipts. The exception is a product getting its first
+   * variants, whose current stock has to be split between them.
+   *
+   * Changes are written field by field so stock moving meanwhile is kept.
+   *
+   * @returns {Promise<boolean>} whether anything was sent
+   */
+  async applyChanges(productId, input) {
+    const changes = this.parse(input);
+    if (!changes.length) return false;
+
+    const product = await Product.findById(productId)
+      .select('name stocks reservedStock variants')
+      .lean();
+    if (!product) throw new ApiError(404, 'Product not found');
+    const firstVariants = !product.variants?.length;
+
+    const edits = [];
+    const added = [];
+    changes.forEach((raw, index) => {
+      const variant = this.clean(raw, index);
+      const existing = product.variants?.find(candidate =>
+        mongoose.isValidObjectId(raw._id)
+          ? candidate._id.toString() === raw._id.toString()
+          : candidate.sku === variant.sku
+      );
+
+      if (existing) {
+        edits.push({ id: existing._id, fields: variant });
+        Object.assign(existing, variant);
+        return;
+      }
+      if (raw._id) throw new ApiError(404, `variants[${index}] does not exist on this product`);
+      if (!variant.sku || variant.price === undefined) {
+        throw new ApiError(400, `variants[${index}] needs a sku and a price`);
+      }
+
+      const stocks = firstVariants ? Number(raw.stocks ?? 0) : 0;
+      if (!Number.isInteger(stocks) || stocks < 0) {
+        throw new ApiError(400, `variants[${index}].stocks must be a whole number of at least 0`);
+      }
+      added.push({ isActive: true, ...variant, stocks, reservedStock: 0 });
+    });
+
+    const all = [...(product.variants || []), ...added];
+    this.assertDistinct(all);
+    await this.assertSkusFree(all, product._id);
+
+    if (firstVariants) {
+      const assigned = added.reduce((sum, variant) => sum + variant.stocks, 0);
+      if (assigned !== product.stocks) {
+        throw new ApiError(
+          400,
+          `The new variants' stocks must add up to the product's current stock of ${product.stocks}`
+        );
+      }
+      const converted = await Product.updateOne(
+        {
+          _id: product._id,
+          stocks: product.stocks,
+          reservedStock: { $in: [0, null] },
+          'variants.0': { $exists: false }
+        },
+        { $set: { variants: added } }
+      );
+      if (!converted.modifiedCount) {
+        throw new ApiError(409, 'Stock changed or is held by a checkout, please try again');
+      }
+    } else {
+      for (const { id, fields } of edits) {
+        const set = Object.fromEntries(
+          Object.entries(fields).map(([key, value]) => [`variants.$.${key}`, value])
+        );
+        await Product.updateOne({ _id: product._id, 'variants._id': id }, { $set: set });
+      }
+      if (added.length) {
+        await Product.updateOne({ _id: product._id }, { $push: { variants: { $each: added } } });
+      }
+    }
+
+    // Listed at its cheapest variant still on sale
+    await Product.updateOne({ _id: product._id }, [
+      {
+        $set: {
+          price: {
+            $ifNull: [
+              {
+                $min: {
+                  $map: {
+                    input: { $filter: { input: '$variants', cond: '$$this.isActive' } },
+                    in: '$$this.price'
+                  }
+                }
+              },
+              '$price'
+            ]
+          }
+        }
+      }
+    ]);
+    return true;
+  }
+
+  /**
+   * The variant a cart selection refers to: by `sku`, or by its options
+   * (size, flavour, color, material).
+   *
+   * @param {object} product - with its variants
+   * @param {object} [selected] - the cart's variant
+   * @returns {object|null} the variant, or null for a product without variants
+   */
+  resolve(product, selected = {}) {
+    const chosen = VARIANT_OPTIONS.some(key => optionValue(selected[key])) || selected.sku;
+
+    if (!product.variants?.length) {
+      if (chosen) throw new ApiError(400, `${product.name} does not come in variants`);
+      return null;
+    }
+    if (!chosen) throw new ApiError(400, `Choose which variant of ${product.name} you want`);
+
+    const variant = this.match(product, selected);
+    if (!variant) {
+      throw new ApiError(400, `${product.name} is not available in the selected variant`);
+    }
+    if (!variant.isActive) {
+      throw new ApiError(400, `${product.name} (${this.label(variant)}) is no longer sold`);
+    }
+    return variant;
+  }
+
+  // The variant a selection names, active or not; null when none does
+  match(product, selected = {}) {
+    if (!product.variants?.length) return null;
+    if (selected.sku) {
+      const sku = String(selected.sku).trim().toUpperCase();
+      return product.variants.find(candidate => candidate.sku === sku) || null;
+    }
+    return (
+      product.variants.find(candidate =>
+        VARIANT_OPTIONS.every(key => sameOption(candidate[key], selected[key]))
+      ) || null
+    );
+  }
+
+  label(variant) {
+    const options = VARIANT_OPTIONS.map(key => variant[key]).filter(Boolean);
+    return options.length ? options.join(' / ') : variant.sku;
+  }
+
+  // Per-serving nutrition of a variant: its own values, and the product's
+  // scaled to the serving where the variant doesn't set them
+  nutritionOf(product, variant) {
+    const base = product.nutrition || {};
+    const own = variant.nutrition || {};
+    const servingSize = variant.servingSize || product.foodInfo?.servingSize;
+
+    // Product values are per 100g or per its own serving; unknown sizes can't be converted
+    const toPer100g = per100gFactor(product);
+    const grams = servingGrams(servingSize);
+    let scale = null;
+    if (base.basis === 'serving' && servingSize === product.foodInfo?.servingSize) scale = 1;
+    else if (toPer100g && grams) scale = (toPer100g * grams) / 100;
+    const inherited = value =>
+      scale === null || typeof value !== 'number' ? undefined : Math.round(value * scale * 10) / 10;
+
+    return {
+      servingSize,
+      calories: own.calories ?? inherited(base.energy?.calories),
+      protein: own.protein ?? inherited(base.macros?.protein),
+      carbs: own.carbs ?? inherited(base.macros?.carbs),
+      sugar: own.sugar ?? inherited(base.macros?.sugar),
+      fat: own.fat ?? inherited(base.macros?.fat),
+      fibre: own.fibre ?? inherited(base.macros?.fibre),
+      sodium: own.sodium ?? inherited(base.micros?.minerals?.sodium)
+    };
+  }
+
+  // A lean product as shoppers see it: active variants with their price, availability and nutrition
+  present(product) {
+    if (!product.variants?.length) return product;
+
+    const variants = product.variants
+      .filter(variant => variant.isActive)
+      .map(variant => {
+        const available = Math.max(variant.stocks - (variant.reservedStock || 0), 0);
+        return {
+          ...variant,
+          label: this.label(variant),
+          sellingPrice: Product.sellingPrice(product, variant),
+          available,
+          inStock: available > 0,
+          images: variant.images?.length ? variant.images : [product.ProductImage],
+          nutritionPerServing: this.nutritionOf(product, variant)
+        };
+      });
+
+    return { ...product, variants };
+  }
+}
+
+export default new VariantService();
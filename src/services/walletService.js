@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { Wallet } from '../modules/wallet/wallet.model.js';
+import { WalletTransaction } from '../modules/wallet/walletTransaction.model.js';
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+class WalletService {
+  // Balance after lapsing any expired promotional credit
+  async getWallet(userId) {
+    await this.expireCredits(userId);
+
+    const wallet = await Wallet.findOne({ userId }).lean();
+    return wallet || { userId, balance: 0, currency: 'INR' };
+  }
+
+  async getBalance(userId) {
+    return (await this.getWallet(userId)).balance;
+  }
+
+  // Unspent credit that lapses within `days`
+  async getExpiringCredits(userId, days = 30) {
+    return WalletTransaction.find({
+      userId,
+      type: 'credit',
+      remaining: { $gt: 0 },
+      expiresAt: { $gt: new Date(), $lte: new Date(Date.now() + days * 24 * 60 * 60 * 1000) }
+    })
+      .select('remaining expiresAt source description')
+      .sort({ expiresAt: 1 })
+      .lean();
+  }
+
+  // Whether the transaction booked under an idempotency key exists
+  async hasTransaction(idempotencyKey) {
+    return Boolean(await WalletTransaction.exists({ idempotencyKey }));
+  }
+
+  /**
+   * Add money to a wallet.
+   *
+   * @param {ObjectId} userId
+   * @param {number} amount - INR
+   * @param {object} entry
+   * @param {string} entry.source - see WALLET_SOURCES
+   * @param {{kind: string, id: ObjectId}} [entry.reference]
+   * @param {Date} [entry.expiresAt] - promotional credit lapses at this time
+   * @param {string} [entry.idempotencyKey] - a repeated key returns the first transaction
+   */
+  async credit(userId, amount, entry) {
+    amount = roundMoney(amount);
+    if (!(amount > 0)) {
+      throw new ApiError(400, 'Credit amount must be greater than zero');
+    }
+
+    // Book the transaction first so a duplicate key never touches the balance
+    let transaction;
+    try {
+      transaction = await WalletTransaction.create({
+        ...entry,
+        userId,
+        type: 'credit',
+        amount,
+        remaining: amount
+      });
+    } catch (error) {
+      if (error.code === 11000 && entry.idempotencyKey) {
+        return WalletTransaction.findOne({ idempotencyKey: entry.idempotencyKey });
+      }
+      throw error;
+    }
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { userId },
+      { $inc: { balance: amount } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    transaction.balanceAfter = roundMoney(wallet.balance);
+    return transaction.save();
+  }
+
+  /**
+   * Spend from a wallet. Fails with 400 if the balance is short; credits
+   * expiring soonest are used up first.
+   */
+  async debit(userId, amount, entry) {
+    amount = roundMoney(amount);
+    if (!(amount > 0)) {
+      throw new ApiError(400, 'Debit amount must be greater than zero');
+    }
+
+    if (entry.idempotencyKey) {
+      const existing = await WalletTransaction.findOne({ idempotencyKey: entry.idempotencyKey });
+      if (existing) return existing;
+    }
+
+    await this.expireCredits(userId);
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { userId, balance: { $gte: amount } },
+      { $inc: { balance: -amount } },
+      { new: true }
+    );
+    if (!wallet) {
+      throw new ApiError(400, 'Insufficient wallet balance');
+    }
+
+    let transaction;
+    try {
+      transaction = await WalletTransaction.create({
+        ...entry,
+        userId,
+        type: 'debit',
+        amount,
+        balanceAfter: roundMoney(wallet.balance)
+      });
+    } catch (error) {
+      // Lost a race with the same spend; give the money back
+      await Wallet.updateOne({ userId }, { $inc: { balance: amount } });
+      if (error.code === 11000 && entry.idempotencyKey) {
+        return WalletTransaction.findOne({ idempotencyKey: entry.idempotencyKey });
+      }
+      throw error;
+    }
+
+    await this.consumeCredits(userId, amount);
+    return transaction;
+  }
+
+  // Draw `amount` down from unspent credits, soonest-expiring first
+  async consumeCredits(userId, amount) {
+    const credits = await WalletTransaction.find({
+      userId,
+      type: 'credit',
+      remaining: { $gt: 0 }
+    }).sort({ createdAt: 1 });
+
+    credits.sort(
+      (a, b) => (a.expiresAt?.getTime() ?? Infinity) - (b.expiresAt?.getTime() ?? Infinity)
+    );
+
+    let left = amount;
+    for (const credit of credits) {
+      if (left <= 0) break;
+      const used = Math.min(credit.remaining, left);
+      credit.remaining = roundMoney(credit.remaining - used);
+      left = roundMoney(left - used);
+      await credit.save();
+    }
+  }
+
+  // Lapse unspent promotional credit past its expiry
+  async expireCredits(userId) {
+    const expired = await WalletTransaction.find({
+      userId,
+      type: 'credit',
+      remaining: { $gt: 0 },
+      expiresAt: { $lte: new Date() }
+    });
+
+    for (const credit of expired) {
+      // Claim it so two concurrent reads don't expire it twice
+      const claimed = await WalletTransaction.findOneAndUpdate(
+        { _id: credit._id, remaining: credit.remaining },
+        { $set: { remaining: 0 } }
+      );
+      if (!claimed) continue;
+
+      const wallet = await Wallet.findOneAndUpdate(
+        { userId },
+        { $inc: { balance: -credit.remaining } },
+        { new: true }
+      );
+
+      await WalletTransaction.create({
+        userId,
+        type: 'debit',
+        amount: credit.remaining,
+        source: 'expiry',
+        description: `Expired ${credit.source} credit`,
+        balanceAfter: roundMoney(wallet.balance),
+        idempotencyKey: `expiry:${credit._id}`
+      });
+    }
+  }
+
+  // Total booked against a document, e.g. store credit already refunded for an order
+  async sumForReference(kind, id, { type, source } = {}) {
+    const match = { 'reference.kind': kind, 'reference.id': new mongoose.Types.ObjectId(id) };
+    if (type) match.type = type;
+    if (source) match.source = source;
+
+    const [result] = await WalletTransaction.aggregate([
+      { $match: match },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    return roundMoney(result?.total || 0);
+  }
+
+  async listTransactions(userId, { type, source, page = 1, limit = 20 } = {}) {
+    const query = { userId };
+    if (type) query.type = type;
+    if (source) query.source = source;
+
+    const skip = (page - 1) * limit;
+    const [transactions, total] = await Promise.all([
+      WalletTransaction.find(query)
+        .select('-remaining -idempotencyKey')
+        .populate('performedBy', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      WalletTransaction.countDocuments(query)
+    ]);
+
+    return {
+      transactions,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Manual credit (positive amount) or debit (negative amount) by an admin.
+   * The admin and the reason are stored on the ledger entry.
+   */
+  async adjust(adminId, userId, amount, { reason, expiresAt, promotional = false }) {
+    if (!reason || !reason.trim()) {
+      throw new ApiError(400, 'A reason is required for wallet adjustments');
+    }
+    if (!mongoose.isValidObjectId(userId)) {
+      throw new ApiError(400, 'Invalid user ID');
+    }
+
+    const entry = {
+      source: promotional ? 'promotion' : 'admin_adjustment',
+      description: reason,
+      performedBy: adminId,
+      reason
+    };
+
+    const transaction =
+      amount > 0
+        ? await this.credit(userId, amount, { ...entry, expiresAt })
+        : await this.debit(userId, -amount, entry);
+
+    logger.logUserAction(adminId, 'wallet_adjusted', {
+      userId,
+      amount,
+      reason,
+      transactionId: transaction._id
+    });
+
+    return transaction;
+  }
+}
+
+export default new WalletService();
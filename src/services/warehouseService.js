@@ -0,0 +1,374 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { addPickupLocation } from '../utils/ShipRocket.js';
+import { Product } from '../modules/product/product.models.js';
+import { Order } from '../modules/order/order.models.js';
+import { Warehouse } from '../modules/inventory/warehouse.model.js';
+import { WarehouseStock } from '../modules/inventory/warehouseStock.model.js';
+
+const ADMIN_ROLES = ['admin', 'superadmin'];
+const ADDRESS_FIELDS = [
+  'contactName',
+  'phone',
+  'email',
+  'line1',
+  'line2',
+  'city',
+  'state',
+  'country',
+  'pincode'
+];
+
+// Rough closeness of two Indian pincodes: sharing leading digits means the same region
+const pincodeDistance = (from, to) => {
+  if (!from || !to) return Infinity;
+  let shared = 0;
+  while (shared < 6 && from[shared] === to[shared]) shared += 1;
+  return 6 - shared;
+};
+
+/**
+ * Seller warehouses, the stock kept at each, and which warehouse an order
+ * ships from.
+ *
+ * A warehouse is a Shiprocket pickup location. Product.stocks stays the
+ * total; WarehouseStock says how much of it sits where, and whatever is not
+ * assigned to a warehouse ships from the seller's default one. Routing sends
+ * each seller's part of an order from the one warehouse that can fulfil all
+ * of it at the lowest cost, or splits it across warehouses when none can.
+ */
+class WarehouseService {
+  /* ───────── Warehouses ───────── */
+
+  addressFrom(body = {}) {
+    const address = {};
+    for (const field of ADDRESS_FIELDS) {
+      if (body[field] !== undefined) address[field] = body[field];
+    }
+    return address;
+  }
+
+  async register(warehouse) {
+    try {
+      const result = await addPickupLocation({
+        pickup_location: warehouse.pickupLocation,
+        name: warehouse.address.contactName,
+        email: warehouse.address.email,
+        phone: warehouse.address.phone,
+        address: warehouse.address.line1,
+        address_2: warehouse.address.line2 || '',
+        city: warehouse.address.city,
+        state: warehouse.address.state,
+        country: warehouse.address.country || 'India',
+        pin_code: warehouse.address.pincode
+      });
+      warehouse.shiprocket = {
+        pickupId: result?.address?.id,
+        registeredAt: new Date(),
+        error: undefined
+      };
+    } catch (error) {
+      // Saved anyway; registration is retried the next time the warehouse is updated
+      const message = error.response?.data?.message || error.message;
+      logger.warn('Shiprocket pickup location registration failed', {
+        warehouseId: warehouse._id,
+        error: message
+      });
+      warehouse.shiprocket = {
+        error: typeof message === 'string' ? message : 'Registration failed'
+      };
+    }
+    await warehouse.save();
+    return warehouse;
+  }
+
+  async create(user, body) {
+    const warehouse = new Warehouse({
+      seller: user._id,
+      name: body.name,
+      pickupLocation: body.pickupLocation,
+      address: this.addressFrom(body.address),
+      isDefault: Boolean(body.isDefault)
+    });
+    await warehouse.validate().catch(error => {
+      throw new ApiError(400, error.message);
+    });
+
+    if (await Warehouse.exists({ pickupLocation: warehouse.pickupLocation })) {
+      throw new ApiError(409, `Pickup location "${warehouse.pickupLocation}" is already in use`);
+    }
+
+    // The first warehouse is the default until another one is chosen
+    const others = await Warehouse.countDocuments({ seller: user._id, isActive: true });
+    if (!others) warehouse.isDefault = true;
+    if (warehouse.isDefault) {
+      await Warehouse.updateMany({ seller: user._id }, { $set: { isDefault: false } });
+    }
+
+    return this.register(warehouse);
+  }
+
+  async getOwned(warehouseId, user) {
+    if (!mongoose.isValidObjectId(warehouseId)) throw new ApiError(400, 'Invalid warehouse id');
+
+    const warehouse = await Warehouse.findById(warehouseId);
+    if (!warehouse) throw new ApiError(404, 'Warehouse not found');
+    if (!ADMIN_ROLES.includes(user.role) && warehouse.seller.toString() !== user._id.toString()) {
+      throw new ApiError(403, 'You can only manage your own warehouses');
+    }
+    return warehouse;
+  }
+
+  // Name, contact details, default and active flags. The pickup location is
+  // fixed, and so is the pincode once Shiprocket has the warehouse.
+  async update(warehouseId, user, body) {
+    const warehouse = await this.getOwned(warehouseId, user);
+
+    if (body.name !== undefined) warehouse.name = body.name;
+    const address = this.addressFrom(body.address);
+    if (
+      warehouse.shiprocket?.registeredAt &&
+      address.pincode &&
+      address.pincode !== warehouse.address.pincode
+    ) {
+      throw new ApiError(400, 'A registered warehouse cannot move; add a new warehouse instead');
+    }
+    Object.assign(warehouse.address, address);
+
+    if (body.isActive !== undefined) warehouse.isActive = Boolean(body.isActive);
+    if (body.isDefault) {
+      await Warehouse.updateMany(
+        { seller: warehouse.seller, _id: { $ne: warehouse._id } },
+        { $set: { isDefault: false } }
+      );
+      warehouse.isDefault = true;
+    }
+
+    await warehouse.validate().catch(error => {
+      throw new ApiError(400, error.message);
+    });
+    return warehouse.shiprocket?.registeredAt ? warehouse.save() : this.register(warehouse);
+  }
+
+  async list(user, { sellerId } = {}) {
+    const query = ADMIN_ROLES.includes(user.role)
+      ? { ...(sellerId && { seller: sellerId }) }
+      : { seller: user._id };
+    return Warehouse.find(query).sort({ isDefault: -1, name: 1 }).lean();
+  }
+
+  /* ───────── Stock per warehouse ───────── */
+
+  async getStock(warehouseId, user) {
+    const warehouse = await this.getOwned(warehouseId, user);
+    const stock = await WarehouseStock.find({ warehouse: warehouse._id, quantity: { $gt: 0 } })
+      .populate('product', 'name stocks')
+      .lean();
+    return { warehouse, stock };
+  }
+
+  /**
+   * Say how many units of a product are kept at a warehouse. Assigned units
+   * across warehouses can't exceed the product's stock.
+   */
+  async setStock(warehouseId, productId, quantity, user) {
+    const warehouse = await this.getOwned(warehouseId, user);
+    if (!mongoose.isValidObjectId(productId)) throw new ApiError(400, 'Invalid product id');
+
+    const product = await Product.findById(productId).select('name stocks seller').lean();
+    if (!product) throw new ApiError(404, 'Product not found');
+    if (product.seller?.toString() !== warehouse.seller.toString()) {
+      throw new ApiError(400, "The product is not sold by this warehouse's seller");
+    }
+
+    const [elsewhere] = await WarehouseStock.aggregate([
+      { $match: { product: product._id, warehouse: { $ne: warehouse._id } } },
+      { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+    ]);
+    const unassigned = product.stocks - (elsewhere?.quantity || 0);
+    if (quantity > unassigned) {
+      throw new ApiError(
+        409,
+        `Only ${Math.max(unassigned, 0)} units of ${product.name} are not assigned to another warehouse`
+      );
+    }
+
+    return WarehouseStock.findOneAndUpdate(
+      { warehouse: warehouse._id, product: product._id },
+      { $set: { quantity, seller: warehouse.seller } },
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  // Received (quantity > 0) or removed (quantity < 0) units at a known warehouse
+  async adjustStock(warehouseId, productId, quantity) {
+    if (quantity >= 0) {
+      const warehouse = await Warehouse.findById(warehouseId).select('seller').lean();
+      return WarehouseStock.findOneAndUpdate(
+        { warehouse: warehouseId, product: productId },
+        { $inc: { quantity }, $setOnInsert: { seller: warehouse?.seller } },
+        { upsert: true, new: true }
+      );
+    }
+
+    return WarehouseStock.findOneAndUpdate(
+      { warehouse: warehouseId, product: productId },
+      [{ $set: { quantity: { $max: [{ $add: ['$quantity', quantity] }, 0] } } }],
+      { new: true }
+    );
+  }
+
+  // Check a warehouse belongs to the product's seller before moving its stock
+  async assertHolds(warehouseId, productId) {
+    if (!mongoose.isValidObjectId(warehouseId)) throw new ApiError(400, 'Invalid warehouse id');
+    const [warehouse, product] = await Promise.all([
+      Warehouse.findById(warehouseId).select('seller').lean(),
+      Product.findById(productId).select('seller').lean()
+    ]);
+    if (!warehouse || warehouse.seller.toString() !== product?.seller?.toString()) {
+      throw new ApiError(400, "The warehouse does not belong to the product's seller");
+    }
+  }
+
+  /* ───────── Routing ───────── */
+
+  /**
+   * Choose where one seller's lines ship from.
+   *
+   * @param {ObjectId} sellerId
+   * @param {Array<object>} lines - need productId and quantity
+   * @param {object} [options]
+   * @param {string} [options.deliveryPincode]
+   * @param {Function} [options.costOf] - async (warehouse, lines) => shipping cost from that warehouse
+   * @returns {Promise<Array<{warehouse: object|null, lines: Array<object>}>>} one entry per shipment;
+   *   `warehouse` is null for sellers without warehouses
+   */
+  async route(sellerId, lines, { deliveryPincode, costOf } = {}) {
+    const warehouses = sellerId
+      ? await Warehouse.find({ seller: sellerId, isActive: true }).lean()
+      : [];
+    if (!warehouses.length) return [{ warehouse: null, lines }];
+
+    const fallback = warehouses.find(warehouse => warehouse.isDefault) || warehouses[0];
+    if (warehouses.length === 1) return [{ warehouse: fallback, lines }];
+
+    const rows = await WarehouseStock.find({
+      warehouse: { $in: warehouses.map(warehouse => warehouse._id) },
+      product: { $in: lines.map(line => line.productId) },
+      quantity: { $gt: 0 }
+    }).lean();
+    const stock = new Map(warehouses.map(warehouse => [warehouse._id.toString(), new Map()]));
+    for (const row of rows) {
+      stock.get(row.warehouse.toString()).set(row.product.toString(), row.quantity);
+    }
+    const unitsAt = (warehouse, line) =>
+      stock.get(warehouse._id.toString()).get(line.productId.toString()) || 0;
+
+    const rank = async candidates => {
+      const ranked = await Promise.all(
+        candidates.map(async warehouse => ({
+          warehouse,
+          cost: costOf ? await costOf(warehouse, lines) : 0,
+          distance: pincodeDistance(warehouse.address.pincode, deliveryPincode)
+        }))
+      );
+      return ranked.sort((a, b) => a.cost - b.cost || a.distance - b.distance);
+    };
+
+    // One warehouse for everything if any can
+    const complete = warehouses.filter(warehouse =>
+      this.mergeByProduct(lines).every(line => unitsAt(warehouse, line) >= line.quantity)
+    );
+    if (complete.length) {
+      const [best] = await rank(complete);
+      return [{ warehouse: best.warehouse, lines }];
+    }
+
+    // Otherwise split: repeatedly take the warehouse covering the most of what's left
+    const ranked = await rank(warehouses);
+    const remaining = lines.map(line => ({ line, quantity: line.quantity }));
+    const shipments = new Map();
+    const assign = (warehouse, line, quantity) => {
+      const key = warehouse._id.toString();
+      if (!shipments.has(key)) shipments.set(key, { warehouse, lines: [] });
+      shipments.get(key).lines.push({ ...line, quantity });
+    };
+
+    const pool = [...ranked];
+    while (pool.length && remaining.some(entry => entry.quantity > 0)) {
+      const covers = ({ warehouse }) =>
+        remaining.reduce(
+          (sum, entry) => sum + Math.min(entry.quantity, unitsAt(warehouse, entry.line)),
+          0
+        );
+      // ranked is cheapest first, so ties go to the cheaper warehouse
+      const best = pool.reduce((top, candidate) =>
+        covers(candidate) > covers(top) ? candidate : top
+      );
+      if (!covers(best)) break;
+      pool.splice(pool.indexOf(best), 1);
+
+      for (const entry of remaining) {
+        const units = Math.min(entry.quantity, unitsAt(best.warehouse, entry.line));
+        if (!units) continue;
+        assign(best.warehouse, entry.line, units);
+        stock
+          .get(best.warehouse._id.toString())
+          .set(entry.line.productId.toString(), unitsAt(best.warehouse, entry.line) - units);
+        entry.quantity -= units;
+      }
+    }
+
+    // Units no warehouse has on record come from the unassigned stock at the default warehouse
+    for (const entry of remaining) {
+      if (entry.quantity > 0) assign(fallback, entry.line, entry.quantity);
+    }
+
+    return [...shipments.values()];
+  }
+
+  mergeByProduct(lines) {
+    const quantities = new Map();
+    for (const line of lines) {
+      const key = line.productId.toString();
+      quantities.set(key, (quantities.get(key) || 0) + line.quantity);
+    }
+    return [...quantities].map(([productId, quantity]) => ({ productId, quantity }));
+  }
+
+  /* ───────── Orders ───────── */
+
+  // Take sold units out of the warehouses the order ships from
+  async commitOrder(order) {
+    for (const shipment of order.shipments || []) {
+      if (!shipment.warehouseId) continue;
+      for (const item of shipment.items || []) {
+        await this.adjustStock(shipment.warehouseId, item.productId, -item.quantity);
+      }
+    }
+  }
+
+  // A cancelled order's units go back to the warehouses it was to ship from
+  async releaseOrder(order) {
+    for (const shipment of order.shipments || []) {
+      if (!shipment.warehouseId) continue;
+      for (const item of shipment.items || []) {
+        await this.adjustStock(shipment.warehouseId, item.productId, item.quantity);
+      }
+    }
+  }
+
+  // Returned units go back to the warehouse they were shipped from
+  async returnUnits(orderRef, productId, quantity) {
+    const order = await Order.findByReference(orderRef).select('shipments').lean();
+    const shipment = (order?.shipments || []).find(
+      candidate =>
+        candidate.warehouseId &&
+        candidate.items?.some(item => item.productId?.toString() === productId.toString())
+    );
+    if (shipment) await this.adjustStock(shipment.warehouseId, productId, quantity);
+  }
+}
+
+export default new WarehouseService();
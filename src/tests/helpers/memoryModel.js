@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+
+/**
+ * A stand-in for a Mongoose model that keeps its documents in memory, for
+ * tests that run without a MongoDB server. It understands the queries the
+ * payment code makes: equality on (dotted) paths, $in, $gt, $lt, $ne,
+ * $exists and $or, and $set, $inc and $setOnInsert updates with upsert.
+ * Documents are plain objects with a save() that keeps them.
+ */
+
+const read = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const write = (doc, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => (node[key] ??= {}), doc);
+  parent[keys.at(-1)] = value;
+};
+
+const same = (a, b) => (a ?? null) === (b ?? null) || String(a) === String(b);
+
+const matchesCondition = (value, condition) => {
+  const isOperator =
+    condition &&
+    typeof condition === 'object' &&
+    !(condition instanceof Date) &&
+    !(condition instanceof mongoose.Types.ObjectId) &&
+    Object.keys(condition).every(key => key.startsWith('$'));
+  if (!isOperator) return same(value, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in':
+        return operand.some(candidate => same(value, candidate));
+      case '$ne':
+        return !same(value, operand);
+      case '$gt':
+        return value != null && value > operand;
+      case '$lt':
+        return value != null && value < operand;
+      case '$exists':
+        return (value !== undefined) === operand;
+      default:
+        throw new Error(`memoryModel does not support ${operator}`);
+    }
+  });
+};
+
+export const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) =>
+    path === '$or'
+      ? condition.some(branch => matches(doc, branch))
+      : matchesCondition(read(doc, path), condition)
+  );
+
+export const createMemoryModel = ({ defaults = {} } = {}) => {
+  const docs = [];
+
+  const hydrate = data => {
+    const doc = { ...structuredClone(defaults), _id: new mongoose.Types.ObjectId(), ...data };
+    doc.createdAt ??= new Date();
+    doc.updatedAt ??= doc.createdAt;
+    Object.defineProperty(doc, 'save', {
+      enumerable: false,
+      value: async () => {
+        doc.updatedAt = new Date();
+        return doc;
+      }
+    });
+    return doc;
+  };
+
+  const apply = (doc, update, inserting) => {
+    for (const [path, value] of Object.entries(update.$set || {})) write(doc, path, value);
+    for (const [path, value] of Object.entries(update.$inc || {})) {
+      write(doc, path, (read(doc, path) || 0) + value);
+    }
+    if (inserting) {
+      for (const [path, value] of Object.entries(update.$setOnInsert || {})) {
+        write(doc, path, value);
+      }
+    }
+    doc.updatedAt = new Date();
+  };
+
+  return {
+    docs,
+
+    reset() {
+      docs.length = 0;
+    },
+
+    async create(data) {
+      const doc = hydrate(data);
+      docs.push(doc);
+      return doc;
+    },
+
+    async findOne(filter) {
+      return docs.find(doc => matches(doc, filter)) || null;
+    },
+
+    async findById(id) {
+      return docs.find(doc => same(doc._id, id)) || null;
+    },
+
+    async exists(filter) {
+      const doc = docs.find(candidate => matches(candidate, filter));
+      return doc ? { _id: doc._id } : null;
+    },
+
+    async findOneAndUpdate(filter, update, { upsert = false } = {}) {
+      let doc = docs.find(candidate => matches(candidate, filter));
+      if (doc) {
+        apply(doc, update, false);
+        return doc;
+      }
+      if (!upsert) return null;
+
+      // Equality conditions of the filter become fields of the new document
+      const seed = Object.fromEntries(
+        Object.entries(filter).filter(
+          ([path, value]) => !path.startsWith('$') && (typeof value !== 'object' || value === null)
+        )
+      );
+      doc = hydrate({});
+      for (const [path, value] of Object.entries(seed)) write(doc, path, value);
+      apply(doc, update, true);
+      docs.push(doc);
+      return doc;
+    },
+
+    async updateOne(filter, update) {
+      const doc = docs.find(candidate => matches(candidate, filter));
+      if (doc) apply(doc, update, false);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    }
+  };
+};
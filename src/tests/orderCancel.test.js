@@ -0,0 +1,110 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { createMemoryModel } from './helpers/memoryModel.js';
+
+/**
+ * Cancelling an order whose checkout payment failed. The failed payment and
+ * the cancellation both return the wallet share; the wallet stand-in books
+ * each idempotency key once, the way walletService does.
+ */
+
+const Payment = createMemoryModel({
+  defaults: { status: 'created', walletAmount: 0, refundedAmount: 0, refunds: [] }
+});
+
+const userId = new mongoose.Types.ObjectId();
+
+const ledger = new Map();
+const walletService = {
+  credit: jest.fn(async (user, amount, { idempotencyKey }) => {
+    if (!ledger.has(idempotencyKey)) ledger.set(idempotencyKey, amount);
+    return ledger.get(idempotencyKey);
+  }),
+  debit: jest.fn(),
+  hasTransaction: jest.fn(async idempotencyKey => ledger.has(idempotencyKey))
+};
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    logUserAction: jest.fn()
+  }
+}));
+jest.unstable_mockModule('../modules/payment/payment.model.js', () => ({ Payment }));
+jest.unstable_mockModule('../services/walletService.js', () => ({ default: walletService }));
+jest.unstable_mockModule('../services/reservationService.js', () => ({
+  default: { releaseForPayment: jest.fn(), releaseForOrder: jest.fn() }
+}));
+jest.unstable_mockModule('../services/refundService.js', () => ({
+  default: { refundCancelledOrder: jest.fn() }
+}));
+jest.unstable_mockModule('../services/couponService.js', () => ({
+  default: { reverse: jest.fn() }
+}));
+
+let Order;
+let orderService;
+let paymentWebhookService;
+
+beforeAll(async () => {
+  ({ Order } = await import('../modules/order/order.models.js'));
+  ({ default: orderService } = await import('../services/orderService.js'));
+  ({ default: paymentWebhookService } = await import('../services/paymentWebhookService.js'));
+});
+
+const pendingOrder = fields => {
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: 'ORD-2001',
+    userId,
+    status: 'PENDING',
+    shipments: [],
+    walletAmount: 100,
+    canBeCancelled: () => true,
+    transitionTo: jest.fn(async status => {
+      order.status = status;
+    }),
+    ...fields
+  };
+  jest.spyOn(Order, 'findOne').mockReturnValue({ populate: async () => order });
+  return order;
+};
+
+beforeEach(() => {
+  Payment.reset();
+  ledger.clear();
+});
+
+describe('cancelling an order', () => {
+  it('returns the wallet share of a failed checkout payment once', async () => {
+    const payment = await Payment.create({
+      userId,
+      razorpayOrderId: 'order_fail_1',
+      amount: 399,
+      walletAmount: 100
+    });
+    const order = pendingOrder({ payment });
+
+    await paymentWebhookService.handleFailed({
+      id: 'pay_fail_1',
+      order_id: 'order_fail_1',
+      error_description: 'Payment failed'
+    });
+    await orderService.cancelOrder(order._id, userId, 'Changed my mind');
+
+    expect(order.status).toBe('CANCELLED');
+    expect(walletService.credit).toHaveBeenCalledTimes(2);
+    expect([...ledger]).toEqual([[`payment:${payment._id}:reversal`, 100]]);
+  });
+
+  it('returns the wallet share of a wallet-only order under the order', async () => {
+    const order = pendingOrder({ payment: undefined });
+
+    await orderService.cancelOrder(order._id, userId, 'Changed my mind');
+
+    expect([...ledger]).toEqual([[`order:${order._id}:cancelled`, 100]]);
+  });
+});
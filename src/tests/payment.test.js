@@ -0,0 +1,318 @@
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { createMemoryModel } from './helpers/memoryModel.js';
+
+/**
+ * Checkout through the fake gateway to the signed webhooks that settle it.
+ * Payments and webhook events live in memory; the services around them
+ * (cart, orders, stock holds, wallet) are mocked so each test can check what
+ * they were asked to do.
+ */
+
+const Payment = createMemoryModel({
+  defaults: { status: 'created', walletAmount: 0, refundedAmount: 0, refunds: [] }
+});
+const WebhookEvent = createMemoryModel({
+  defaults: { status: 'received', attempts: 0, deliveries: 0, replays: [] }
+});
+
+const userId = new mongoose.Types.ObjectId();
+const address = { _id: new mongoose.Types.ObjectId(), state: 'Gujarat', postalCode: '380001' };
+
+const cartService = { buildQuote: jest.fn() };
+const orderService = { getPayableOrder: jest.fn(), handlePaymentCaptured: jest.fn() };
+const reservationService = { hold: jest.fn(), releaseForPayment: jest.fn() };
+const walletService = {
+  getBalance: jest.fn(),
+  debit: jest.fn(),
+  credit: jest.fn(),
+  hasTransaction: jest.fn()
+};
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.unstable_mockModule('../modules/payment/payment.model.js', () => ({ Payment }));
+jest.unstable_mockModule('../modules/payment/webhookEvent.model.js', () => ({ WebhookEvent }));
+jest.unstable_mockModule('../modules/address/address.models.js', () => ({
+  Address: {
+    findOne: jest.fn(async ({ _id }) => (String(_id) === String(address._id) ? address : null))
+  }
+}));
+jest.unstable_mockModule('../modules/return/return.model.js', () => ({
+  Return: { findOne: jest.fn(async () => null) }
+}));
+jest.unstable_mockModule('../services/cartService.js', () => ({ default: cartService }));
+jest.unstable_mockModule('../services/orderService.js', () => ({ default: orderService }));
+jest.unstable_mockModule('../services/reservationService.js', () => ({
+  default: reservationService
+}));
+jest.unstable_mockModule('../services/walletService.js', () => ({ default: walletService }));
+jest.unstable_mockModule('../services/refundService.js', () => ({
+  default: { applyRefundEvent: jest.fn() }
+}));
+jest.unstable_mockModule('../services/invoiceService.js', () => ({
+  default: { issueCreditNotes: jest.fn() }
+}));
+
+let checkout;
+let paymentVerification;
+let razorpayWebhook;
+let paymentGateway;
+
+beforeAll(async () => {
+  ({ checkout, paymentVerification } = await import('../modules/payment/payment.controller.js'));
+  ({ razorpayWebhook } = await import('../modules/payment/razorpay.webhook.js'));
+  ({ default: paymentGateway } = await import('../services/paymentGateway/index.js'));
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  res.send = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+const quote = (totalAmount = 499) => ({
+  cartId: new mongoose.Types.ObjectId(),
+  items: [{ productId: new mongoose.Types.ObjectId(), price: totalAmount, quantity: 1 }],
+  subTotal: totalAmount,
+  totalAmount,
+  currency: 'INR',
+  fingerprint: `fingerprint-${totalAmount}`
+});
+
+const startCheckout = async body => {
+  const res = mockResponse();
+  await checkout({ body, user: { _id: userId, email: 'buyer@example.com' }, headers: {} }, res);
+  return res;
+};
+
+const verify = async (payment, paid) => {
+  const res = mockResponse();
+  const body = {
+    razorpay_order_id: payment.razorpayOrderId,
+    razorpay_payment_id: paid.payment.id,
+    razorpay_signature: paid.signature
+  };
+  await paymentVerification({ body, user: { _id: userId } }, res);
+  return res;
+};
+
+const deliver = async webhook => {
+  const res = mockResponse();
+  await razorpayWebhook({ body: webhook.rawBody, headers: webhook.headers }, res);
+  return res;
+};
+
+beforeEach(() => {
+  // The controllers log the failures these tests provoke
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  Payment.reset();
+  WebhookEvent.reset();
+  paymentGateway.reset();
+  orderService.handlePaymentCaptured.mockImplementation(async payment => payment.orderRef);
+  walletService.hasTransaction.mockResolvedValue(false);
+});
+
+describe('checkout to captured payment', () => {
+  it('finalises the order once a signed payment.captured webhook arrives', async () => {
+    const order = {
+      _id: new mongoose.Types.ObjectId(),
+      orderNumber: 'ORD-1001',
+      ...quote(499),
+      items: quote(499).items.map(item => ({ ...item, toObject: () => item })),
+      shippingAddress: { addressId: address._id },
+      save: jest.fn()
+    };
+    orderService.getPayableOrder.mockResolvedValue(order);
+
+    const res = await startCheckout({ orderId: order._id });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.order.amount).toBe(49900);
+    const [payment] = Payment.docs;
+    expect(payment).toMatchObject({ status: 'created', amount: 499, orderRef: order._id });
+    expect(reservationService.hold).toHaveBeenCalledWith(
+      [expect.objectContaining({ price: 499, quantity: 1 })],
+      expect.objectContaining({ paymentId: payment._id, orderId: order._id })
+    );
+
+    const paid = paymentGateway.pay(payment.razorpayOrderId);
+    const delivery = await deliver(
+      paymentGateway.buildWebhook('payment.captured', { payment: paid.payment })
+    );
+
+    expect(delivery.statusCode).toBe(200);
+    expect(delivery.body).toBe('Webhook processed');
+    expect(payment).toMatchObject({ status: 'captured', razorpayPaymentId: paid.payment.id });
+    expect(orderService.handlePaymentCaptured).toHaveBeenCalledTimes(1);
+    expect(orderService.handlePaymentCaptured.mock.calls[0][0].orderRef).toBe(order._id);
+  });
+
+  it('prices a new cart against the shipping address and refuses one without it', async () => {
+    cartService.buildQuote.mockResolvedValue(quote(250));
+
+    const refused = await startCheckout({});
+    expect(refused.statusCode).toBe(400);
+    expect(cartService.buildQuote).not.toHaveBeenCalled();
+
+    const res = await startCheckout({ addressId: address._id });
+    expect(res.statusCode).toBe(200);
+    expect(cartService.buildQuote).toHaveBeenCalledWith(userId, 'anonymous', {
+      state: 'Gujarat',
+      pincode: '380001'
+    });
+    expect(Payment.docs[0].quote.addressId).toBe(address._id);
+  });
+});
+
+describe('webhook deliveries', () => {
+  const capturedCheckout = async () => {
+    cartService.buildQuote.mockResolvedValue(quote(499));
+    await startCheckout({ addressId: address._id });
+    const [payment] = Payment.docs;
+    const paid = paymentGateway.pay(payment.razorpayOrderId);
+    return { payment, paid };
+  };
+
+  it('acknowledges a replayed event without processing it again', async () => {
+    const { paid } = await capturedCheckout();
+    const webhook = paymentGateway.buildWebhook('payment.captured', { payment: paid.payment });
+
+    await deliver(webhook);
+    const replay = await deliver(webhook);
+
+    expect(replay.statusCode).toBe(200);
+    expect(replay.body).toBe('Webhook already processed');
+    expect(orderService.handlePaymentCaptured).toHaveBeenCalledTimes(1);
+    expect(WebhookEvent.docs).toHaveLength(1);
+    expect(WebhookEvent.docs[0]).toMatchObject({ status: 'processed', deliveries: 2 });
+  });
+
+  it('keeps the payment captured when the same capture is reported twice', async () => {
+    const { payment, paid } = await capturedCheckout();
+
+    await deliver(paymentGateway.buildWebhook('payment.captured', { payment: paid.payment }));
+    const orderPaid = await deliver(
+      paymentGateway.buildWebhook('order.paid', { payment: paid.payment })
+    );
+
+    expect(orderPaid.statusCode).toBe(200);
+    expect(payment.status).toBe('captured');
+    expect(WebhookEvent.docs.map(event => event.status)).toEqual(['processed', 'processed']);
+    // Finalisation is handed the same captured payment; it only acts on it once
+    const finalised = orderService.handlePaymentCaptured.mock.calls.map(([call]) => call._id);
+    expect(finalised).toEqual([payment._id, payment._id]);
+  });
+
+  it('leaves a refunded payment refunded when the client callback is replayed', async () => {
+    const { payment, paid } = await capturedCheckout();
+    await verify(payment, paid);
+    expect(payment.status).toBe('captured');
+    payment.status = 'refunded';
+
+    const replay = await verify(payment, paid);
+
+    expect(replay.statusCode).toBe(200);
+    expect(payment.status).toBe('refunded');
+    expect(orderService.handlePaymentCaptured).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a delivery whose signature does not match', async () => {
+    const { payment, paid } = await capturedCheckout();
+    const webhook = paymentGateway.buildWebhook('payment.captured', { payment: paid.payment });
+    webhook.headers['x-razorpay-signature'] = 'forged';
+
+    const res = await deliver(webhook);
+
+    expect(res.statusCode).toBe(400);
+    expect(payment.status).toBe('created');
+    expect(WebhookEvent.docs[0]).toMatchObject({ status: 'rejected', signatureValid: false });
+    expect(orderService.handlePaymentCaptured).not.toHaveBeenCalled();
+  });
+
+  it('refuses a capture for a different amount than was quoted', async () => {
+    cartService.buildQuote.mockResolvedValue(quote(499));
+    await startCheckout({ addressId: address._id });
+    const [payment] = Payment.docs;
+    const paid = paymentGateway.pay(payment.razorpayOrderId, { amount: 100 });
+
+    const res = await deliver(
+      paymentGateway.buildWebhook('payment.captured', { payment: paid.payment })
+    );
+
+    expect(res.statusCode).toBe(500);
+    expect(payment.status).toBe('created');
+    expect(WebhookEvent.docs[0].status).toBe('failed');
+  });
+});
+
+describe('failed payments', () => {
+  const walletCheckout = async () => {
+    cartService.buildQuote.mockResolvedValue(quote(499));
+    walletService.getBalance.mockResolvedValue(100);
+    await startCheckout({ addressId: address._id, useWallet: true });
+    return Payment.docs[0];
+  };
+
+  it('releases the stock hold and gives the wallet share back once', async () => {
+    const payment = await walletCheckout();
+    expect(payment).toMatchObject({ amount: 399, walletAmount: 100 });
+    expect(walletService.debit).toHaveBeenCalledWith(
+      userId,
+      100,
+      expect.objectContaining({ idempotencyKey: `payment:${payment._id}` })
+    );
+
+    const failed = paymentGateway.pay(payment.razorpayOrderId, { status: 'failed' });
+    const webhook = paymentGateway.buildWebhook('payment.failed', { payment: failed.payment });
+    const res = await deliver(webhook);
+    await deliver(webhook);
+
+    expect(res.statusCode).toBe(200);
+    expect(payment).toMatchObject({ status: 'failed', failureReason: 'Payment failed' });
+    expect(reservationService.releaseForPayment).toHaveBeenCalledWith(
+      payment._id,
+      'payment_failed'
+    );
+    expect(walletService.credit).toHaveBeenCalledTimes(1);
+    expect(walletService.credit).toHaveBeenCalledWith(
+      userId,
+      100,
+      expect.objectContaining({
+        source: 'checkout_reversal',
+        idempotencyKey: `payment:${payment._id}:reversal`
+      })
+    );
+    expect(orderService.handlePaymentCaptured).not.toHaveBeenCalled();
+  });
+
+  it('takes the wallet share again when a retry is captured after the failure', async () => {
+    const payment = await walletCheckout();
+    const failed = paymentGateway.pay(payment.razorpayOrderId, { status: 'failed' });
+    await deliver(paymentGateway.buildWebhook('payment.failed', { payment: failed.payment }));
+    walletService.hasTransaction.mockResolvedValue(true);
+
+    const retry = paymentGateway.pay(payment.razorpayOrderId);
+    await deliver(paymentGateway.buildWebhook('payment.captured', { payment: retry.payment }));
+
+    expect(payment.status).toBe('captured');
+    expect(walletService.debit).toHaveBeenLastCalledWith(
+      userId,
+      100,
+      expect.objectContaining({ idempotencyKey: `payment:${payment._id}:recapture` })
+    );
+    expect(orderService.handlePaymentCaptured).toHaveBeenCalledTimes(1);
+  });
+});
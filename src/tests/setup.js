@@ -0,0 +1,8 @@
+import { afterEach, jest } from '@jest/globals';
+
+// Payments run against the in-memory fake gateway (see services/paymentGateway)
+process.env.PAYMENT_GATEWAY = 'fake';
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
@@ -8,23 +8,42 @@ const transporter = nodemailer.createTransport({
   },
 });
 
-export const sendOTP = async (email, otp) => {
+// Copy for each flow that verifies the customer by email OTP
+const OTP_PURPOSES = {
+  login: {
+    subject: "Your OTP for Login - E-Commerce",
+    heading: "Login Verification",
+    intro: "You requested to log in to your account. Please use the following OTP to complete your login:",
+    action: "login",
+    validity: "5 minutes",
+  },
+  cod: {
+    subject: "Confirm your Cash on Delivery order - E-Commerce",
+    heading: "Confirm your COD order",
+    intro: "You placed a Cash on Delivery order. Please use the following OTP to confirm it so we can ship it:",
+    action: "confirming your COD order",
+    validity: "10 minutes",
+  },
+};
+
+export const sendOTP = async (email, otp, purpose = "login") => {
+  const copy = OTP_PURPOSES[purpose] || OTP_PURPOSES.login;
   const mailOptions = {
     from: process.env.EMAIL,
     to: email,
-    subject: "Your OTP for Login - E-Commerce",
+    subject: copy.subject,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
         <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <h2 style="color: #333; text-align: center; margin-bottom: 20px;">Login Verification</h2>
+          <h2 style="color: #333; text-align: center; margin-bottom: 20px;">${copy.heading}</h2>
           <p style="color: #666; font-size: 16px; line-height: 1.5;">Hello,</p>
-          <p style="color: #666; font-size: 16px; line-height: 1.5;">You requested to log in to your account. Please use the following OTP to complete your login:</p>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">${copy.intro}</p>
           
           <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; text-align: center; margin: 30px 0;">
             <h1 style="color: #007bff; font-size: 36px; letter-spacing: 8px; margin: 0;">${otp}</h1>
           </div>
           
-          <p style="color: #666; font-size: 14px; line-height: 1.5;">This OTP is valid for <strong>5 minutes</strong>.</p>
+          <p style="color: #666; font-size: 14px; line-height: 1.5;">This OTP is valid for <strong>${copy.validity}</strong>.</p>
           <p style="color: #666; font-size: 14px; line-height: 1.5;">If you didn't request this OTP, please ignore this email or contact support if you have concerns.</p>
           
           <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
@@ -33,7 +52,92 @@ export const sendOTP = async (email, otp) => {
         </div>
       </div>
     `,
-    text: `Your OTP for login is ${otp}. It is valid for 5 minutes. If you didn't request this, please ignore this email.`,
+    text: `Your OTP for ${copy.action} is ${otp}. It is valid for ${copy.validity}. If you didn't request this, please ignore this email.`,
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+// Batches of a seller's products that expire soon: [{ productName, batchNumber, expiresAt, remaining }]
+export const sendNearExpiryAlert = async (email, batches) => {
+  const rows = batches
+    .map(
+      (batch) => `
+            <tr>
+              <td style="padding: 8px; border-bottom: 1px solid #eee;">${batch.productName}</td>
+              <td style="padding: 8px; border-bottom: 1px solid #eee;">${batch.batchNumber}</td>
+              <td style="padding: 8px; border-bottom: 1px solid #eee;">${batch.expiresAt.toDateString()}</td>
+              <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${batch.remaining}</td>
+            </tr>`
+    )
+    .join("");
+
+  const mailOptions = {
+    from: process.env.EMAIL,
+    to: email,
+    subject: `${batches.length} batch${batches.length === 1 ? "" : "es"} expiring soon - E-Commerce`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+        <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <h2 style="color: #333; text-align: center; margin-bottom: 20px;">Stock expiring soon</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">Hello,</p>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">These batches are close to their expiry date. Units still in stock when a batch expires are written off and taken off sale. Setting a markdown price on a batch can help it sell first.</p>
+
+          <table style="width: 100%; border-collapse: collapse; margin: 20px 0; color: #333; font-size: 14px;">
+            <tr>
+              <th style="padding: 8px; text-align: left; border-bottom: 2px solid #ddd;">Product</th>
+              <th style="padding: 8px; text-align: left; border-bottom: 2px solid #ddd;">Batch</th>
+              <th style="padding: 8px; text-align: left; border-bottom: 2px solid #ddd;">Expires</th>
+              <th style="padding: 8px; text-align: right; border-bottom: 2px solid #ddd;">In stock</th>
+            </tr>${rows}
+          </table>
+
+          <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+
+          <p style="color: #999; font-size: 12px; text-align: center;">This is an automated message, please do not reply.</p>
+        </div>
+      </div>
+    `,
+    text: batches
+      .map(
+        (batch) =>
+          `${batch.productName} - batch ${batch.batchNumber} expires ${batch.expiresAt.toDateString()} (${batch.remaining} in stock)`
+      )
+      .join("\n"),
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+// A product that ran low or out: { productName, level ("low" | "out_of_stock"), stocks, threshold }
+export const sendLowStockAlert = async (email, alert) => {
+  const outOfStock = alert.level === "out_of_stock";
+  const heading = outOfStock ? "Product out of stock" : "Product running low";
+  const intro = outOfStock
+    ? `<strong>${alert.productName}</strong> has sold out and can no longer be ordered until you restock it.`
+    : `<strong>${alert.productName}</strong> is down to ${alert.stocks} unit${alert.stocks === 1 ? "" : "s"}, at or below your low-stock threshold of ${alert.threshold}.`;
+
+  const mailOptions = {
+    from: process.env.EMAIL,
+    to: email,
+    subject: `${heading}: ${alert.productName} - E-Commerce`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+        <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <h2 style="color: #333; text-align: center; margin-bottom: 20px;">${heading}</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">Hello,</p>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">${intro}</p>
+          <p style="color: #666; font-size: 14px; line-height: 1.5;">Your low-stock report in the seller dashboard suggests how many units to reorder based on recent sales.</p>
+
+          <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+
+          <p style="color: #999; font-size: 12px; text-align: center;">You can turn off low-stock alerts in your store settings. This is an automated message, please do not reply.</p>
+        </div>
+      </div>
+    `,
+    text: outOfStock
+      ? `${alert.productName} is out of stock.`
+      : `${alert.productName} is down to ${alert.stocks} units (threshold ${alert.threshold}).`,
   };
 
   await transporter.sendMail(mailOptions);
@@ -82,6 +82,36 @@ export const createOrder = async (orders) => {
             throw new Error("Bulk order creation failed");
         }
     };
+
+/**
+ * Cancels one or more Shiprocket orders.
+ *
+ * @param {Array<string|number>} ids - Shiprocket order IDs to cancel.
+ * @returns {Promise<object>} Shiprocket's response body.
+ */
+export const cancelOrders = async (ids) => {
+        const response = await axios.post(
+                "https://apiv2.shiprocket.in/v1/external/orders/cancel",
+                { ids },
+                await getHeaders()
+        );
+        return response.data;
+};
+
+/**
+ * Registers a pickup location (warehouse) on the Shiprocket account.
+ *
+ * @param {object} location - Shiprocket's addpickup fields: pickup_location, name, email, phone, address, address_2, city, state, country, pin_code.
+ * @returns {Promise<object>} Shiprocket's response body; `address.id` is the pickup id.
+ */
+export const addPickupLocation = async (location) => {
+        const response = await axios.post(
+                "https://apiv2.shiprocket.in/v1/external/settings/company/addpickup",
+                location,
+                await getHeaders()
+        );
+        return response.data;
+};
     
 
 /**
@@ -90,15 +120,16 @@ export const createOrder = async (orders) => {
  * @param {string} deliveryPincode - The destination pincode to check.
  * @param {number} cod - Set to 1 to check for COD availability, 0 for prepaid (default: 0).
  * @param {number} weight - The weight of the package in kg (default: 1).
- * @param {string} pickupPincode - Your warehouse or origin pincode (default: "110030").
+ * @param {string} pickupPincode - Pincode of the warehouse shipping it (default: SHIPPING_PICKUP_PINCODE).
  *
- * @returns {Promise<{ available: boolean, eta: string | null, cod: boolean, couriers: Array }>}
+ * @returns {Promise<{ available: boolean, eta: string | null, cod: boolean, couriers: Array, failed?: boolean }>}
+ *   `failed` is set when Shiprocket could not be reached, as opposed to no courier serving the pincode.
  */
 export const checkServiceability = async (
   deliveryPincode,
   cod =1,
   weight = 1,
-  pickupPincode = "796012"
+  pickupPincode = process.env.SHIPPING_PICKUP_PINCODE
 ) => {
   const headers = await getHeaders(); // Includes Authorization token
 
@@ -121,6 +152,7 @@ export const checkServiceability = async (
       eta: null,
       cod: false,
       couriers: [],
+      failed: true,
     };
   }
 };
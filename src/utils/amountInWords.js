@@ -0,0 +1,67 @@
+const ONES = [
+  '',
+  'One',
+  'Two',
+  'Three',
+  'Four',
+  'Five',
+  'Six',
+  'Seven',
+  'Eight',
+  'Nine',
+  'Ten',
+  'Eleven',
+  'Twelve',
+  'Thirteen',
+  'Fourteen',
+  'Fifteen',
+  'Sixteen',
+  'Seventeen',
+  'Eighteen',
+  'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = n => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+const belowThousand = n => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds && `${ONES[hundreds]} Hundred`, rest && belowHundred(rest)]
+    .filter(Boolean)
+    .join(' ');
+};
+
+// Indian grouping: crore, lakh, thousand, hundred
+const integerInWords = n => {
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (rest) parts.push(belowThousand(rest));
+
+  return parts.join(' ');
+};
+
+/**
+ * Rupee amount as printed on invoices, e.g. 1234.5 →
+ * "Rupees One Thousand Two Hundred Thirty Four and Fifty Paise Only".
+ *
+ * @param {number} amount - INR
+ * @returns {string}
+ */
+export const amountInWords = amount => {
+  const paiseTotal = Math.round(Math.abs(amount) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  const words = `Rupees ${integerInWords(rupees)}`;
+  return paise ? `${words} and ${belowHundred(paise)} Paise Only` : `${words} Only`;
+};
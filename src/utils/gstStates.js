@@ -0,0 +1,80 @@
+// GST state codes (the first two digits of a GSTIN)
+export const GST_STATE_CODES = Object.freeze({
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  10: 'Bihar',
+  11: 'Sikkim',
+  12: 'Arunachal Pradesh',
+  13: 'Nagaland',
+  14: 'Manipur',
+  15: 'Mizoram',
+  16: 'Tripura',
+  17: 'Meghalaya',
+  18: 'Assam',
+  19: 'West Bengal',
+  20: 'Jharkhand',
+  21: 'Odisha',
+  22: 'Chhattisgarh',
+  23: 'Madhya Pradesh',
+  24: 'Gujarat',
+  26: 'Dadra and Nagar Haveli and Daman and Diu',
+  27: 'Maharashtra',
+  29: 'Karnataka',
+  30: 'Goa',
+  31: 'Lakshadweep',
+  32: 'Kerala',
+  33: 'Tamil Nadu',
+  34: 'Puducherry',
+  35: 'Andaman and Nicobar Islands',
+  36: 'Telangana',
+  37: 'Andhra Pradesh',
+  38: 'Ladakh'
+});
+
+// Union territories without a legislature levy UTGST in place of SGST
+export const UTGST_STATE_CODES = Object.freeze(['04', '26', '31', '35', '38']);
+
+const normalize = name =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z]/g, '');
+
+const ALIASES = {
+  orissa: '21',
+  pondicherry: '34',
+  newdelhi: '07',
+  nctofdelhi: '07',
+  uttaranchal: '05',
+  damananddiu: '26',
+  dadraandnagarhaveli: '26',
+  andamanandnicobar: '35'
+};
+
+const CODE_BY_NAME = new Map([
+  ...Object.entries(GST_STATE_CODES).map(([code, name]) => [normalize(name), code]),
+  ...Object.entries(ALIASES)
+]);
+
+// '27', 'Maharashtra' or 'maharashtra' → '27'; undefined if unknown
+export const stateCodeFor = state => {
+  if (state == null) return undefined;
+  const text = String(state).trim();
+  if (/^\d{1,2}$/.test(text)) {
+    const code = text.padStart(2, '0');
+    return GST_STATE_CODES[code] ? code : undefined;
+  }
+  return CODE_BY_NAME.get(normalize(text));
+};
+
+export const stateCodeFromGstin = gstin => {
+  const match = /^(\d{2})[A-Z0-9]{13}$/.exec(String(gstin || '').toUpperCase());
+  return match && GST_STATE_CODES[match[1]] ? match[1] : undefined;
+};
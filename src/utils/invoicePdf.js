@@ -0,0 +1,233 @@
+import PDFDocument from 'pdfkit';
+
+const MARGIN = 30;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// The built-in PDF fonts have no ₹ glyph
+const money = amount => `Rs. ${(amount || 0).toFixed(2)}`;
+const number = amount => (amount || 0).toFixed(2);
+
+const ITEM_COLUMNS = [
+  { key: 'index', label: '#', width: 18 },
+  { key: 'name', label: 'Item', width: 115, align: 'left' },
+  { key: 'hsnCode', label: 'HSN', width: 45 },
+  { key: 'quantity', label: 'Qty', width: 30 },
+  { key: 'unitPrice', label: 'Rate', width: 50, format: number },
+  { key: 'taxableValue', label: 'Taxable', width: 55, format: number },
+  { key: 'gstRate', label: 'GST %', width: 32 },
+  { key: 'cgst', label: 'CGST', width: 45, format: number },
+  { key: 'sgst', label: 'SGST', width: 45, format: number },
+  { key: 'igst', label: 'IGST', width: 45, format: number },
+  { key: 'total', label: 'Total', width: 55, format: number }
+];
+
+const HSN_COLUMNS = [
+  { key: 'hsnCode', label: 'HSN', width: 80, align: 'left' },
+  { key: 'gstRate', label: 'GST %', width: 50 },
+  { key: 'quantity', label: 'Qty', width: 50 },
+  { key: 'taxableValue', label: 'Taxable value', width: 90, format: number },
+  { key: 'cgst', label: 'CGST', width: 70, format: number },
+  { key: 'sgst', label: 'SGST', width: 70, format: number },
+  { key: 'igst', label: 'IGST', width: 70, format: number }
+];
+
+const drawRow = (doc, columns, values, { bold = false } = {}) => {
+  const y = doc.y;
+  let x = MARGIN;
+  let height = 0;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7.5);
+  for (const column of columns) {
+    const raw = values[column.key];
+    const text =
+      raw === undefined || raw === null
+        ? ''
+        : String(column.format && !bold ? column.format(raw) : raw);
+    const options = { width: column.width - 4, align: column.align || 'right' };
+    doc.text(text, x + 2, y + 3, options);
+    height = Math.max(height, doc.heightOfString(text, options));
+    x += column.width;
+  }
+
+  const bottom = y + height + 6;
+  doc
+    .moveTo(MARGIN, bottom)
+    .lineTo(MARGIN + columns.reduce((sum, column) => sum + column.width, 0), bottom)
+    .lineWidth(0.5)
+    .strokeColor('#999999')
+    .stroke();
+  doc.y = bottom;
+};
+
+const drawTable = (doc, columns, rows) => {
+  const header = Object.fromEntries(columns.map(column => [column.key, column.label]));
+  drawRow(doc, columns, header, { bold: true });
+
+  for (const row of rows) {
+    if (doc.y > doc.page.height - 120) {
+      doc.addPage();
+      drawRow(doc, columns, header, { bold: true });
+    }
+    drawRow(doc, columns, row);
+  }
+};
+
+const partyLines = party =>
+  [
+    party.name,
+    party.address,
+    [party.city, party.state, party.postalCode].filter(Boolean).join(', '),
+    party.stateCode && `State code: ${party.stateCode}`,
+    party.gstin && `GSTIN: ${party.gstin}`,
+    party.pan && `PAN: ${party.pan}`,
+    party.email,
+    party.phone
+  ].filter(Boolean);
+
+/**
+ * Render a tax invoice or credit note (an Invoice document) to a PDF.
+ *
+ * @param {object} invoice
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = invoice =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: invoice.number } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const isCreditNote = invoice.type === 'credit_note';
+    const stateTax = invoice.stateTaxType || 'SGST';
+
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(14)
+      .text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', { align: 'center' });
+    doc.moveDown(0.8);
+
+    // Supplier on the left, document details on the right
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(9).text('Sold by', MARGIN, top);
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .text(partyLines(invoice.supplier || {}).join('\n'), {
+        width: CONTENT_WIDTH / 2 - 10
+      });
+    const leftBottom = doc.y;
+
+    const details = [
+      [isCreditNote ? 'Credit note no.' : 'Invoice no.', invoice.number],
+      [
+        'Date',
+        new Date(invoice.issuedAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })
+      ],
+      ['Order no.', invoice.orderNumber],
+      isCreditNote &&
+        invoice.originalInvoiceNumber && ['Against invoice', invoice.originalInvoiceNumber],
+      ['Place of supply', invoice.placeOfSupply],
+      ['Supply', invoice.supplyType === 'intra_state' ? 'Intra-state' : 'Inter-state']
+    ].filter(Boolean);
+
+    doc.y = top;
+    for (const [label, value] of details) {
+      const y = doc.y;
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(8)
+        .text(label, MARGIN + CONTENT_WIDTH / 2, y, { width: 90 });
+      doc.font('Helvetica').text(value || '-', MARGIN + CONTENT_WIDTH / 2 + 90, y, {
+        width: CONTENT_WIDTH / 2 - 90
+      });
+    }
+    doc.y = Math.max(doc.y, leftBottom) + 10;
+
+    doc.font('Helvetica-Bold').fontSize(9).text('Bill to / Ship to', MARGIN);
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .text(partyLines(invoice.buyer || {}).join('\n'));
+    if (isCreditNote && invoice.reason) {
+      doc.moveDown(0.5).text(`Reason: ${invoice.reason}`);
+    }
+    doc.moveDown(1);
+
+    const columns = ITEM_COLUMNS.map(column =>
+      column.key === 'sgst' ? { ...column, label: stateTax } : column
+    );
+    drawTable(
+      doc,
+      columns,
+      invoice.items.map((item, index) => ({ ...item, index: index + 1 }))
+    );
+
+    // Totals
+    const totals = invoice.totals || {};
+    const totalRows = [
+      ['Taxable value', totals.taxableValue],
+      ['CGST', totals.cgst],
+      [stateTax, totals.sgst],
+      ['IGST', totals.igst],
+      totals.shippingCharges && ['Shipping charges', totals.shippingCharges],
+      totals.codFee && ['COD charges', totals.codFee],
+      totals.roundOff && ['Round off', totals.roundOff]
+    ].filter(Boolean);
+
+    doc.moveDown(0.8);
+    for (const [label, value] of totalRows) {
+      const y = doc.y;
+      doc
+        .font('Helvetica')
+        .fontSize(8)
+        .text(label, MARGIN + CONTENT_WIDTH - 220, y, { width: 120 });
+      doc.text(money(value), MARGIN + CONTENT_WIDTH - 100, y, { width: 100, align: 'right' });
+    }
+    const y = doc.y + 2;
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(9)
+      .text('Total', MARGIN + CONTENT_WIDTH - 220, y, { width: 120 });
+    doc.text(money(totals.grandTotal), MARGIN + CONTENT_WIDTH - 100, y, {
+      width: 100,
+      align: 'right'
+    });
+
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(8).text('Amount in words: ', MARGIN, doc.y, {
+      continued: true
+    });
+    doc.font('Helvetica').text(invoice.amountInWords || '');
+
+    if (invoice.hsnSummary?.length) {
+      doc.moveDown(1);
+      doc.font('Helvetica-Bold').fontSize(9).text('HSN-wise tax summary', MARGIN);
+      doc.moveDown(0.3);
+      drawTable(
+        doc,
+        HSN_COLUMNS.map(column =>
+          column.key === 'sgst' ? { ...column, label: stateTax } : column
+        ),
+        invoice.hsnSummary.map(row => ({ ...row, hsnCode: row.hsnCode || '-' }))
+      );
+    }
+
+    doc.moveDown(2);
+    doc
+      .font('Helvetica')
+      .fontSize(7)
+      .fillColor('#666666')
+      .text(
+        'This is a computer-generated document and does not require a signature.',
+        MARGIN,
+        doc.y,
+        {
+          align: 'center',
+          width: CONTENT_WIDTH
+        }
+      );
+
+    doc.end();
+  });
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+
+export const NUTRITION_BADGE = Object.freeze({
+  HIGH_PROTEIN: 'high_protein',
+  HIGH_FIBRE: 'high_fibre',
+  LOW_SUGAR: 'low_sugar',
+  LOW_SODIUM: 'low_sodium',
+  LOW_CALORIE: 'low_calorie'
+});
+
+const threshold = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+// Per 100g (or 100ml); a product earns a badge at or beyond the threshold of a
+// value its label gives
+const BADGE_RULES = [
+  {
+    badge: NUTRITION_BADGE.HIGH_PROTEIN,
+    value: n => n.macros?.protein,
+    atLeast: threshold('BADGE_HIGH_PROTEIN_G', 10)
+  },
+  {
+    badge: NUTRITION_BADGE.HIGH_FIBRE,
+    value: n => n.macros?.fibre,
+    atLeast: threshold('BADGE_HIGH_FIBRE_G', 6)
+  },
+  {
+    badge: NUTRITION_BADGE.LOW_SUGAR,
+    value: n => n.macros?.sugar,
+    atMost: threshold('BADGE_LOW_SUGAR_G', 5)
+  },
+  {
+    badge: NUTRITION_BADGE.LOW_SODIUM,
+    value: n => n.micros?.minerals?.sodium,
+    atMost: threshold('BADGE_LOW_SODIUM_MG', 120)
+  },
+  {
+    badge: NUTRITION_BADGE.LOW_CALORIE,
+    value: n => n.energy?.calories,
+    atMost: threshold('BADGE_LOW_CALORIE_KCAL', 40)
+  }
+];
+
+// Bump when the way badges are worked out changes, so stored ones are recomputed
+const BADGE_LOGIC_VERSION = 2;
+
+// Identifies the thresholds badges were computed with, so a change of them can be detected
+export const BADGE_RULES_KEY = crypto
+  .createHash('sha1')
+  .update(
+    JSON.stringify([
+      BADGE_LOGIC_VERSION,
+      ...BADGE_RULES.map(({ badge, atLeast, atMost }) => [badge, atLeast, atMost])
+    ])
+  )
+  .digest('hex')
+  .slice(0, 12);
+
+// Grams (or ml) in a serving size such as "30g", "1 scoop (32 g)" or "250 ml"
+export const servingGrams = servingSize => {
+  const match = String(servingSize ?? '').match(/(\d+(?:\.\d+)?)\s*(?:g|gm|grams?|ml)\b/i);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * What the product's nutrition values are multiplied by to get them per
+ * 100g: 1 when entered per 100g, and from the serving size when entered
+ * per serving. Null when that serving size can't be read.
+ */
+export const per100gFactor = product => {
+  if ((product.nutrition?.basis || '100g') === '100g') return 1;
+  const grams = servingGrams(product.foodInfo?.servingSize);
+  return grams ? 100 / grams : null;
+};
+
+/**
+ * The badges a product's nutrition panel earns. Each badge needs its own
+ * value on the label: a missing sodium value earns no low-sodium badge,
+ * whatever else is known. A panel of nothing but zeros counts as not filled
+ * in, since products saved before values could be left unset stored 0.
+ *
+ * @param {object} product - with nutrition and foodInfo (document or lean)
+ * @returns {string[]} NUTRITION_BADGE values
+ */
+export const nutritionBadges = product => {
+  const nutrition = product.nutrition;
+  const factor = per100gFactor(product);
+  if (!nutrition || !factor) return [];
+
+  const known = BADGE_RULES.map(rule => ({ ...rule, raw: rule.value(nutrition) })).filter(
+    ({ raw }) => typeof raw === 'number' && Number.isFinite(raw)
+  );
+  if (!known.some(({ raw }) => raw > 0)) return [];
+
+  return known
+    .filter(({ raw, atLeast, atMost }) => {
+      const per100g = raw * factor;
+      return atLeast !== undefined ? per100g >= atLeast : per100g <= atMost;
+    })
+    .map(({ badge }) => badge);
+};
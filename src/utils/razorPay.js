@@ -1,9 +0,0 @@
-import Razorpay from "razorpay";
-
-export const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_API_KEY,
-  key_secret: process.env.RAZORPAY_API_SECRET,
-});
-
-
-